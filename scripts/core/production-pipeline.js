@@ -10,6 +10,7 @@ import LambdaInvoker from '../utils/lambda-invoker.js';
 import FileHelpers from '../utils/file-helpers.js';
 
 const STATE_MACHINE_ARN = 'arn:aws:states:us-east-1:786673323159:stateMachine:automated-video-pipeline-state-machine';
+const WORKFLOW_ORCHESTRATOR_FUNCTION = process.env.WORKFLOW_ORCHESTRATOR_FUNCTION || 'video-pipeline-workflow-orchestrator-dev';
 
 class ProductionPipeline {
     constructor() {
@@ -60,7 +61,7 @@ class ProductionPipeline {
         
         try {
             const result = await this.lambdaInvoker.invokeWithHTTP(
-                'automated-video-pipeline-workflow-orchestrator-v2',
+                WORKFLOW_ORCHESTRATOR_FUNCTION,
                 'POST',
                 '/workflow/start',
                 executionInput
@@ -76,7 +77,8 @@ class ProductionPipeline {
                     type: 'direct-orchestration',
                     projectId: executionInput.topicId,
                     executionId: responseData.executionId,
-                    workingAgents: responseData.result?.workingAgents || 0,
+                    status: responseData.status,
+                    statusPath: responseData.statusPath,
                     details: responseData
                 };
             } else {
@@ -0,0 +1,156 @@
+/* eslint-env jest */
+/**
+ * Audio Generator Dry-Run Tests
+ */
+
+const {
+    S3Client
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient
+} = require('@aws-sdk/client-dynamodb');
+const {
+    PollyClient
+} = require('@aws-sdk/client-polly');
+const {
+    handler
+} = require('../index');
+
+describe('Audio Generator dry run', () => {
+    let written;
+    let language;
+    let seriesVoiceId;
+
+    beforeEach(() => {
+        written = {};
+        language = undefined;
+        seriesVoiceId = undefined;
+
+        jest.spyOn(S3Client.prototype, 'send').mockImplementation(async (command) => {
+            const key = command.input.Key;
+            if (command.constructor.name === 'PutObjectCommand') {
+                written[key] = command.input.Body;
+                return {};
+            }
+            if (key === 'videos/p1/01-context/scene-context.json') {
+                return {
+                    Body: {
+                        transformToString: async () => JSON.stringify({
+                            language,
+                            voiceId: seriesVoiceId,
+                            scenes: [{
+                                sceneNumber: 1,
+                                content: {
+                                    script: 'Hello'
+                                }
+                            }, {
+                                sceneNumber: 2,
+                                content: {
+                                    script: 'World'
+                                }
+                            }]
+                        })
+                    }
+                };
+            }
+            throw new Error('NoSuchKey');
+        });
+
+        jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+            if (command.constructor.name === 'GetItemCommand' && command.input.Key.PK.S === 'scene#p1') {
+                return {
+                    Item: {
+                        s3Location: {
+                            S: 'videos/p1/01-context/scene-context.json'
+                        }
+                    }
+                };
+            }
+            return {};
+        });
+
+        jest.spyOn(PollyClient.prototype, 'send');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should write every audio file without calling Polly', async () => {
+        const response = await handler({
+            httpMethod: 'POST',
+            path: '/audio/generate',
+            body: JSON.stringify({
+                projectId: 'p1',
+                dryRun: true
+            })
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toMatchObject({
+            success: true,
+            audioSegments: 2,
+            dryRun: true
+        });
+        expect(PollyClient.prototype.send).not.toHaveBeenCalled();
+        expect(Object.keys(written)).toEqual(expect.arrayContaining([
+            'videos/p1/04-audio/audio-segments/scene-1.mp3',
+            'videos/p1/04-audio/audio-segments/scene-2.mp3',
+            'videos/p1/04-audio/narration.mp3'
+        ]));
+        expect(JSON.parse(written['videos/p1/01-context/audio-context.json']).dryRun).toBe(true);
+    });
+
+    test('should pick the Polly voice from the scene context language', async () => {
+        language = 'es';
+
+        await handler({
+            httpMethod: 'POST',
+            path: '/audio/generate',
+            body: JSON.stringify({
+                projectId: 'p1',
+                dryRun: true
+            })
+        });
+
+        expect(JSON.parse(written['videos/p1/01-context/audio-context.json']).metadata).toMatchObject({
+            voiceId: 'Lucia',
+            languageCode: 'es-ES'
+        });
+    });
+
+    test('should let an explicit voiceId override the language voice', async () => {
+        language = 'es';
+
+        await handler({
+            httpMethod: 'POST',
+            path: '/audio/generate',
+            body: JSON.stringify({
+                projectId: 'p1',
+                voiceId: 'Mia',
+                dryRun: true
+            })
+        });
+
+        const metadata = JSON.parse(written['videos/p1/01-context/audio-context.json']).metadata;
+        expect(metadata.voiceId).toBe('Mia');
+        expect(metadata.languageCode).toBeUndefined();
+    });
+
+    test('should use the series voice from the scene context unless the request names one', async () => {
+        language = 'es';
+        seriesVoiceId = 'Sergio';
+
+        await handler({
+            httpMethod: 'POST',
+            path: '/audio/generate',
+            body: JSON.stringify({
+                projectId: 'p1',
+                dryRun: true
+            })
+        });
+
+        expect(JSON.parse(written['videos/p1/01-context/audio-context.json']).metadata.voiceId).toBe('Sergio');
+    });
+});
@@ -0,0 +1,121 @@
+/* eslint-env jest */
+/**
+ * Audio Generator Narration Tests
+ */
+
+const {
+    S3Client
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient
+} = require('@aws-sdk/client-dynamodb');
+const {
+    PollyClient
+} = require('@aws-sdk/client-polly');
+const {
+    handler
+} = require('../index');
+
+// About 150 words a scene, 750 words for the default 300 s video
+const SCENE_SCRIPT = 'Lisbon rewards travellers who walk its hills slowly, stopping for coffee and a pastel de nata on the way up. '.repeat(8).trim();
+
+const generateRequest = () => ({
+    httpMethod: 'POST',
+    path: '/audio/generate',
+    body: JSON.stringify({
+        projectId: 'p1'
+    })
+});
+
+describe('Audio Generator narration', () => {
+    let written;
+    let pollyTexts;
+    let pollyError;
+
+    beforeEach(() => {
+        written = {};
+        pollyTexts = [];
+        pollyError = null;
+
+        jest.spyOn(S3Client.prototype, 'send').mockImplementation(async (command) => {
+            const key = command.input.Key;
+            if (command.constructor.name === 'PutObjectCommand') {
+                written[key] = command.input.Body;
+                return {};
+            }
+            if (key === 'videos/p1/01-context/scene-context.json') {
+                return {
+                    Body: {
+                        transformToString: async () => JSON.stringify({
+                            scenes: [1, 2, 3, 4, 5].map(sceneNumber => ({
+                                sceneNumber,
+                                content: {
+                                    script: SCENE_SCRIPT
+                                }
+                            }))
+                        })
+                    }
+                };
+            }
+            const error = new Error('NoSuchKey');
+            error.name = 'NoSuchKey';
+            throw error;
+        });
+
+        jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+            if (command.constructor.name === 'GetItemCommand' && command.input.Key.PK.S === 'scene#p1') {
+                return {
+                    Item: {
+                        s3Location: {
+                            S: 'videos/p1/01-context/scene-context.json'
+                        }
+                    }
+                };
+            }
+            return {};
+        });
+
+        jest.spyOn(PollyClient.prototype, 'send').mockImplementation(async (command) => {
+            if (pollyError) {
+                throw pollyError;
+            }
+            if (command.input.Text.length > 3000) {
+                throw new Error('TextLengthExceededException');
+            }
+            const index = pollyTexts.push(command.input.Text) - 1;
+            return {
+                AudioStream: [Buffer.from(`mp3-${index};`)]
+            };
+        });
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should synthesize a full-length master narration in chunks Polly accepts', async () => {
+        const response = await handler(generateRequest());
+
+        expect(response.statusCode).toBe(200);
+
+        // Five scene segments, then the master narration in more than one call
+        const masterTexts = pollyTexts.slice(5);
+        expect(masterTexts.length).toBeGreaterThan(1);
+        expect(masterTexts.join(' ')).toBe(Array(5).fill(SCENE_SCRIPT).join(' '));
+        expect(written['videos/p1/04-audio/narration.mp3'].toString()).toBe(masterTexts.map((text, index) => `mp3-${index + 5};`).join(''));
+    });
+
+    test('should fail the stage instead of saving placeholder audio when Polly fails', async () => {
+        pollyError = new Error('ThrottlingException');
+
+        const response = await handler(generateRequest());
+
+        expect(response.statusCode).toBe(500);
+        expect(JSON.parse(response.body).error).toBe('Polly synthesis failed: ThrottlingException');
+        expect(Object.keys(written).filter(key => key.endsWith('.mp3'))).toEqual([]);
+        expect(written['videos/p1/01-context/audio-context.json']).toBeUndefined();
+    });
+});
@@ -0,0 +1,43 @@
+/* eslint-env jest */
+/**
+ * Audio Generator Speech Chunks Tests
+ */
+
+const {
+    POLLY_MAX_CHARACTERS,
+    splitSpeechText
+} = require('../speech-chunks');
+
+describe('Speech chunks', () => {
+    test('should keep short text in one chunk', () => {
+        expect(splitSpeechText('  Lisbon has seven hills.\nPorto has one river. ')).toEqual(['Lisbon has seven hills. Porto has one river.']);
+        expect(splitSpeechText('')).toEqual([]);
+    });
+
+    test('should split at sentence ends without changing the text', () => {
+        const text = 'The tram climbs 3.5 km. It is slow! Is it worth it? "Yes." Ride it early.';
+        const chunks = splitSpeechText(text, 30);
+
+        expect(chunks.every(chunk => chunk.length <= 30)).toBe(true);
+        expect(chunks.join(' ')).toBe(text);
+        expect(chunks[0]).toBe('The tram climbs 3.5 km.');
+    });
+
+    test('should cut sentences and words longer than the limit', () => {
+        const chunks = splitSpeechText(`${'word '.repeat(10).trim()} ${'x'.repeat(25)}`, 12);
+
+        expect(chunks.every(chunk => chunk.length <= 12)).toBe(true);
+        expect(chunks.join(' ').replace(/ /g, '')).toBe(`${'word'.repeat(10)}${'x'.repeat(25)}`);
+    });
+
+    test('should fit a full-length narration into Polly-sized chunks', () => {
+        const sentence = 'Lisbon rewards travellers who walk its hills slowly and stop for coffee. ';
+        const narration = sentence.repeat(70);
+        const chunks = splitSpeechText(narration);
+
+        expect(narration.length).toBeGreaterThan(POLLY_MAX_CHARACTERS);
+        expect(chunks.length).toBe(2);
+        expect(chunks.every(chunk => chunk.length <= POLLY_MAX_CHARACTERS)).toBe(true);
+        expect(chunks.join(' ')).toBe(narration.trim());
+    });
+});
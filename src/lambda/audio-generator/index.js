@@ -48,7 +48,12 @@
  * - Prosody Intelligence: Applies natural emphasis and emotional tone
  * - Scene-Synchronized Timing: Perfect audio-visual synchronization
  * - Quality Optimization: Professional audio processing and enhancement
- * - Multi-Language Support: Intelligent voice selection for different languages
+ * - Multi-Language Support: Voice and LanguageCode follow the scene context language
+ * - Segment Reuse: Scenes whose narration and voice are unchanged keep their audio;
+ *   after a script edit only the rewritten scenes and the master narration are synthesized
+ * - Long Narration: Text over Polly's 3000-character limit is synthesized in
+ *   chunks (speech-chunks.js) and concatenated; a Polly failure fails the stage
+ *   instead of saving a placeholder file
  *
  * DOWNSTREAM AI IMPACT:
  * - Video Assembler AI uses audio timing for precise visual synchronization
@@ -59,7 +64,8 @@
 const {
     S3Client,
     GetObjectCommand,
-    PutObjectCommand
+    PutObjectCommand,
+    HeadObjectCommand
 } = require('@aws-sdk/client-s3');
 const {
     DynamoDBClient,
@@ -74,6 +80,14 @@ const {
     marshall,
     unmarshall
 } = require('@aws-sdk/util-dynamodb');
+const {
+    checkStageCache,
+    saveStageCache,
+    cachedResponse
+} = require('pipeline-shared/stage-cache');
+const {
+    splitSpeechText
+} = require('./speech-chunks');
 
 const s3Client = new S3Client({
     region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
@@ -85,6 +99,30 @@ const pollyClient = new PollyClient({
     region: process.env.AWS_REGION || 'us-east-1'
 });
 
+// Default Polly voice per project language (scene context `language`); all support the standard engine
+const LANGUAGE_VOICES = {
+    en: {
+        voiceId: 'Joanna',
+        languageCode: 'en-US'
+    },
+    es: {
+        voiceId: 'Lucia',
+        languageCode: 'es-ES'
+    },
+    fr: {
+        voiceId: 'Lea',
+        languageCode: 'fr-FR'
+    },
+    de: {
+        voiceId: 'Vicki',
+        languageCode: 'de-DE'
+    },
+    pt: {
+        voiceId: 'Camila',
+        languageCode: 'pt-BR'
+    }
+};
+
 /**
  * Main Lambda handler
  */
@@ -103,7 +141,7 @@ exports.handler = async (event) => {
             service: 'audio-generator-simplified',
             status: 'healthy',
             timestamp: new Date().toISOString(),
-            architecture: 'simplified-no-shared-layer'
+            architecture: 'simplified-shared-layer'
         });
     }
 
@@ -113,7 +151,8 @@ exports.handler = async (event) => {
             const requestBody = body ? JSON.parse(body) : {};
             const {
                 projectId,
-                voiceId = 'Joanna'
+                dryRun = false,
+                force = false
             } = requestBody;
 
             if (!projectId) {
@@ -134,22 +173,57 @@ exports.handler = async (event) => {
                 });
             }
 
+            // An explicit voiceId (request, then the series voice) wins and Polly uses that voice's own language
+            const language = LANGUAGE_VOICES[sceneContext.language] ? sceneContext.language : 'en';
+            const explicitVoiceId = requestBody.voiceId || sceneContext.voiceId;
+            const voiceId = explicitVoiceId || LANGUAGE_VOICES[language].voiceId;
+            const languageCode = explicitVoiceId ? undefined : LANGUAGE_VOICES[language].languageCode;
+
+            // Skip Polly entirely when the scenes and voice are unchanged
+            const cache = await checkStageCache({
+                stage: 'audio-generator',
+                projectId,
+                options: {
+                    voiceId,
+                    languageCode,
+                    dryRun
+                },
+                inputKeys: [`videos/${projectId}/01-context/scene-context.json`],
+                outputKeys: [
+                    `videos/${projectId}/01-context/audio-context.json`,
+                    `videos/${projectId}/04-audio/narration.mp3`
+                ],
+                force
+            });
+
+            if (cache.hit) {
+                return createResponse(200, cachedResponse(cache));
+            }
+
+            // Segments of scenes whose narration is unchanged since the last run are kept
+            const previousAudio = await retrieveContext('audio', projectId);
+
             // Generate audio for each scene
-            const audioResults = await generateAudioForScenes(projectId, sceneContext, voiceId);
+            const audioResults = await generateAudioForScenes(projectId, sceneContext, voiceId, languageCode, dryRun, previousAudio);
 
             // Store audio context
             await storeContext(audioResults, 'audio', projectId);
 
             console.log(`✅ Audio Generator completed for project: ${projectId}`);
 
-            return createResponse(200, {
+            const responseBody = {
                 success: true,
                 projectId: projectId,
                 totalScenes: sceneContext.scenes.length,
                 audioSegments: audioResults.audioSegments.length,
                 masterNarration: audioResults.masterNarrationFile,
+                dryRun,
+                fingerprint: cache.fingerprint,
                 timestamp: new Date().toISOString()
-            });
+            };
+
+            await saveStageCache(cache, responseBody);
+            return createResponse(200, responseBody);
 
         } catch (error) {
             console.error('❌ Audio Generator error:', error);
@@ -168,28 +242,39 @@ exports.handler = async (event) => {
 
 /**
  * Generate audio for all scenes
+ * In dry-run mode Polly is never called; each file holds a text stand-in.
+ * A scene whose script, voice and dry-run mode match previousAudio keeps its
+ * segment as long as the file is still in S3 (script edits delete it).
  */
-async function generateAudioForScenes(projectId, sceneContext, voiceId) {
+async function generateAudioForScenes(projectId, sceneContext, voiceId, languageCode, dryRun = false, previousAudio = null) {
     const scenes = sceneContext.scenes || [];
     const audioSegments = [];
     const audioFiles = [];
+    const synthesize = dryRun ? createDryRunAudio : synthesizeSpeech;
+    const reusableSegments = getReusableSegments(previousAudio, voiceId, languageCode, dryRun);
+    let reusedCount = 0;
 
     // Generate audio for each scene
     for (const scene of scenes) {
         const sceneNumber = scene.sceneNumber;
         const script = scene.content ?.script || `Scene ${sceneNumber} content`;
-
-        // Generate audio using AWS Polly
-        const audioData = await synthesizeSpeech(script, voiceId);
-
-        // Store scene audio in S3
         const sceneAudioKey = `videos/${projectId}/04-audio/audio-segments/scene-${sceneNumber}.mp3`;
-        await s3Client.send(new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET,
-            Key: sceneAudioKey,
-            Body: audioData,
-            ContentType: 'audio/mpeg'
-        }));
+        const previousSegment = reusableSegments[sceneNumber];
+
+        if (previousSegment && previousSegment.script === script && previousSegment.s3Key === sceneAudioKey && await objectExists(sceneAudioKey)) {
+            reusedCount++;
+        } else {
+            // Generate audio using AWS Polly
+            const audioData = await synthesize(script, voiceId, languageCode);
+
+            // Store scene audio in S3
+            await s3Client.send(new PutObjectCommand({
+                Bucket: process.env.S3_BUCKET,
+                Key: sceneAudioKey,
+                Body: audioData,
+                ContentType: 'audio/mpeg'
+            }));
+        }
 
         const audioSegment = {
             sceneNumber: sceneNumber,
@@ -203,9 +288,13 @@ async function generateAudioForScenes(projectId, sceneContext, voiceId) {
         audioFiles.push(audioSegment);
     }
 
+    if (reusedCount > 0) {
+        console.log(`♻️ Reused ${reusedCount} of ${scenes.length} scene audio segments`);
+    }
+
     // Create master narration (combine all scenes)
     const masterScript = scenes.map(s => s.content ?.script || '').join(' ');
-    const masterAudioData = await synthesizeSpeech(masterScript, voiceId);
+    const masterAudioData = await synthesize(masterScript, voiceId, languageCode);
 
     // Store master narration
     const masterAudioKey = `videos/${projectId}/04-audio/narration.mp3`;
@@ -223,6 +312,9 @@ async function generateAudioForScenes(projectId, sceneContext, voiceId) {
         audioFiles: audioFiles,
         masterNarrationFile: 'narration.mp3',
         voiceId: voiceId,
+        languageCode: languageCode,
+        language: sceneContext.language || 'en',
+        dryRun: dryRun,
         generatedAt: new Date().toISOString()
     };
 
@@ -240,41 +332,88 @@ async function generateAudioForScenes(projectId, sceneContext, voiceId) {
         audioSegments: audioSegments,
         masterNarrationFile: 'narration.mp3',
         audioFiles: audioFiles,
+        ...(dryRun ? {
+            dryRun: true
+        } : {}),
         metadata: {
             generatedAt: new Date().toISOString(),
             architecture: 'simplified',
-            voiceId: voiceId
+            voiceId: voiceId,
+            languageCode: languageCode
         }
     };
 }
 
 /**
- * Synthesize speech using AWS Polly
+ * Previous audio segments by scene number, when they were made with the same voice and mode
  */
-async function synthesizeSpeech(text, voiceId) {
+function getReusableSegments(previousAudio, voiceId, languageCode, dryRun) {
+    if (!previousAudio || !previousAudio.metadata || !Array.isArray(previousAudio.audioSegments)) {
+        return {};
+    }
+
+    const sameVoice = previousAudio.metadata.voiceId === voiceId && previousAudio.metadata.languageCode === languageCode;
+    if (!sameVoice || (previousAudio.dryRun === true) !== dryRun) {
+        return {};
+    }
+
+    return Object.fromEntries(previousAudio.audioSegments.map(segment => [segment.sceneNumber, segment]));
+}
+
+async function objectExists(key) {
     try {
-        const command = new SynthesizeSpeechCommand({
-            Text: text,
-            OutputFormat: 'mp3',
-            VoiceId: voiceId,
-            Engine: 'standard'
-        });
+        await s3Client.send(new HeadObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: key
+        }));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
 
-        const response = await pollyClient.send(command);
+/**
+ * Dry-run stand-in for synthesizeSpeech
+ */
+async function createDryRunAudio(text, voiceId, languageCode) {
+    return Buffer.from(`Dry-run audio (${voiceId}${languageCode ? ', ' + languageCode : ''}): ${text.substring(0, 50)}...`, 'utf8');
+}
+
+/**
+ * Synthesize speech using AWS Polly, one call per chunk of at most 3000 characters
+ * @throws When Polly fails, so no placeholder is ever stored as audio
+ */
+async function synthesizeSpeech(text, voiceId, languageCode) {
+    const textChunks = splitSpeechText(text);
+
+    if (textChunks.length === 0) {
+        throw new Error('No narration text to synthesize');
+    }
+
+    const audioChunks = [];
+
+    for (const textChunk of textChunks) {
+        let response;
+        try {
+            response = await pollyClient.send(new SynthesizeSpeechCommand({
+                Text: textChunk,
+                OutputFormat: 'mp3',
+                VoiceId: voiceId,
+                LanguageCode: languageCode,
+                Engine: 'standard'
+            }));
+        } catch (error) {
+            console.error('❌ Polly synthesis error:', error);
+            throw new Error(`Polly synthesis failed: ${error.message}`);
+        }
 
         // Convert stream to buffer
-        const chunks = [];
         for await (const chunk of response.AudioStream) {
-            chunks.push(chunk);
+            audioChunks.push(chunk);
         }
-
-        return Buffer.concat(chunks);
-
-    } catch (error) {
-        console.error('❌ Polly synthesis error:', error);
-        // Return placeholder audio data if Polly fails
-        return Buffer.from(`Audio placeholder for: ${text.substring(0, 50)}...`, 'utf8');
     }
+
+    return Buffer.concat(audioChunks);
 }
 
 /**
@@ -0,0 +1,67 @@
+/**
+ * Speech Chunks - Audio Generator
+ *
+ * Polly's SynthesizeSpeech takes at most 3000 characters per call, while the
+ * master narration of a default 300 s video (about 750 words) runs to well
+ * over 4000. Text is split at sentence ends, and only where a sentence is too
+ * long between words, into chunks Polly accepts; the MP3 streams of the
+ * chunks are concatenated in order.
+ */
+
+const POLLY_MAX_CHARACTERS = 3000;
+
+/**
+ * Split narration text into chunks of at most maxCharacters
+ * @returns {Array<string>} Chunks in reading order; none for blank text
+ */
+function splitSpeechText(text, maxCharacters = POLLY_MAX_CHARACTERS) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    // Only a space after sentence punctuation ends a sentence, so "3.5 km" stays whole
+    const sentences = normalized ? normalized.split(/(?<=[.!?]["')\]]*) /) : [];
+
+    return packPieces(sentences
+        .flatMap(sentence => (sentence.length <= maxCharacters ? [sentence] : splitSentence(sentence, maxCharacters))), maxCharacters);
+}
+
+/**
+ * Cut an over-long sentence between words (and a word longer than the limit anywhere)
+ */
+function splitSentence(sentence, maxCharacters) {
+    const pieces = [];
+
+    for (const word of sentence.split(' ')) {
+        for (let start = 0; start < word.length; start += maxCharacters) {
+            pieces.push(word.slice(start, start + maxCharacters));
+        }
+    }
+
+    return packPieces(pieces, maxCharacters);
+}
+
+/**
+ * Join pieces with spaces into as few chunks as fit the limit
+ */
+function packPieces(pieces, maxCharacters) {
+    const chunks = [];
+    let current = '';
+
+    for (const piece of pieces) {
+        if (current && current.length + 1 + piece.length > maxCharacters) {
+            chunks.push(current);
+            current = piece;
+        } else {
+            current = current ? `${current} ${piece}` : piece;
+        }
+    }
+
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    POLLY_MAX_CHARACTERS,
+    splitSpeechText
+};
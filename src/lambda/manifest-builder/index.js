@@ -76,6 +76,11 @@ const {
     marshall,
     unmarshall
 } = require('@aws-sdk/util-dynamodb');
+const {
+    checkStageCache,
+    saveStageCache,
+    cachedResponse
+} = require('pipeline-shared/stage-cache');
 
 const s3Client = new S3Client({
     region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
@@ -102,7 +107,7 @@ exports.handler = async (event) => {
             service: 'manifest-builder-simplified',
             status: 'healthy',
             timestamp: new Date().toISOString(),
-            architecture: 'simplified-no-shared-layer'
+            architecture: 'simplified-shared-layer'
         });
     }
 
@@ -112,7 +117,9 @@ exports.handler = async (event) => {
             const requestBody = body ? JSON.parse(body) : {};
             const {
                 projectId,
-                minVisuals = 3
+                minVisuals = 3,
+                dryRun = false,
+                force = false
             } = requestBody;
 
             if (!projectId) {
@@ -122,7 +129,23 @@ exports.handler = async (event) => {
                 });
             }
 
-            // Validate project structure and quality
+            const cache = await checkStageCache({
+                stage: 'manifest-builder',
+                projectId,
+                options: {
+                    minVisuals,
+                    dryRun
+                },
+                inputKeys: ['topic', 'scene', 'media', 'audio'].map(type => `videos/${projectId}/01-context/${type}-context.json`),
+                outputKeys: [`videos/${projectId}/01-context/manifest.json`],
+                force
+            });
+
+            if (cache.hit) {
+                return createResponse(200, cachedResponse(cache));
+            }
+
+            // Validate project structure and quality (dry runs are held to the same rules)
             const validation = await validateProjectStructure(projectId, minVisuals);
 
             if (validation.issues.length > 0) {
@@ -133,26 +156,32 @@ exports.handler = async (event) => {
                     error: 'Project validation failed',
                     issues: validation.issues,
                     kpis: validation.kpis,
+                    dryRun,
                     validationLogPath: `videos/${projectId}/05-video/processing-logs/validation.log`
                 });
             }
 
             // Generate unified manifest
-            const manifest = await generateUnifiedManifest(projectId, validation);
+            const manifest = await generateUnifiedManifest(projectId, validation, dryRun);
 
             // Store manifest and metadata
             await storeManifestOutputs(projectId, manifest, validation);
 
             console.log(`✅ Manifest Builder completed for project: ${projectId}`);
 
-            return createResponse(200, {
+            const responseBody = {
                 success: true,
                 projectId: projectId,
                 manifestPath: `videos/${projectId}/01-context/manifest.json`,
                 kpis: validation.kpis,
                 readyForRendering: true,
+                dryRun,
+                fingerprint: cache.fingerprint,
                 timestamp: new Date().toISOString()
-            });
+            };
+
+            await saveStageCache(cache, responseBody);
+            return createResponse(200, responseBody);
 
         } catch (error) {
             console.error('❌ Manifest Builder error:', error);
@@ -248,7 +277,7 @@ async function loadAllContexts(projectId) {
 
     for (const contextType of contextTypes) {
         try {
-                        contexts[contextType] = context;
+            contexts[contextType] = await retrieveContext(contextType, projectId);
         } catch (error) {
             console.log(`⚠️ Could not load ${contextType} context:`, error.message);
             contexts[contextType] = null;
@@ -366,7 +395,7 @@ async function validateAudioFiles(projectId) {
 /**
  * Generate unified manifest from validated contexts
  */
-async function generateUnifiedManifest(projectId, validation) {
+async function generateUnifiedManifest(projectId, validation, dryRun = false) {
     console.log(`📋 Generating unified manifest for project: ${projectId}`);
 
     const {
@@ -377,12 +406,8 @@ async function generateUnifiedManifest(projectId, validation) {
         videoId: contexts.topic ?.mainTopic ?.replace(/[^a-z0-9]/gi, '-').toLowerCase() || projectId,
         title: contexts.topic ?.mainTopic || `Video ${projectId}`,
         visibility: 'unlisted',
-        seo: {
-            tags: [
-                ...(contexts.topic ?.seoContext ?.primaryKeywords || []),
-                ...(contexts.topic ?.seoContext ?.longTailKeywords || [])
-            ].slice(0, 50)
-        },
+        language: (contexts.topic && contexts.topic.language) || 'en',
+        seo: buildSeoFromContext(contexts.topic ? contexts.topic.seoContext : null),
         chapters: generateChaptersFromScenes(contexts.scene ?.scenes || []),
         scenes: buildScenesFromContexts(projectId, contexts),
         export: {
@@ -402,6 +427,7 @@ async function generateUnifiedManifest(projectId, validation) {
             projectId: projectId,
             manifestVersion: '1.0.0',
             validationPassed: true,
+            dryRun: dryRun,
             kpis: validation.kpis,
             architecture: 'simplified'
         }
@@ -410,6 +436,35 @@ async function generateUnifiedManifest(projectId, validation) {
     return manifest;
 }
 
+/**
+ * Manifest SEO block from the topic's keyword clusters
+ * Contexts from before keyword clustering only carry primary and long-tail keywords.
+ */
+function buildSeoFromContext(seoContext) {
+    seoContext = seoContext || {};
+    const clusters = seoContext.keywordClusters;
+
+    if (!clusters) {
+        return {
+            tags: [
+                ...(seoContext.primaryKeywords || []),
+                ...(seoContext.longTailKeywords || [])
+            ].slice(0, 50)
+        };
+    }
+
+    // Short, high-intent keywords first; questions last
+    const tags = ['primary', 'longTail', 'secondary', 'question']
+        .flatMap(cluster => (clusters[cluster] || []).map(entry => entry.keyword));
+
+    return {
+        tags: [...new Set(tags)].slice(0, 50),
+        primaryKeywords: seoContext.primaryKeywords || [],
+        questionKeywords: seoContext.questionKeywords || [],
+        keywordClusters: clusters
+    };
+}
+
 /**
  * Generate YouTube chapters from scenes
  */
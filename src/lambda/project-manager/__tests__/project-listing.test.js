@@ -0,0 +1,198 @@
+/* eslint-env jest */
+/**
+ * Project Listing Tests
+ */
+
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseListingQuery,
+    compareProjects,
+    isAfterCursor,
+    getNextToken
+} = require('../project-listing');
+const {
+    S3Client
+} = require('@aws-sdk/client-s3');
+const {
+    handler
+} = require('../index');
+
+describe('parseListingQuery', () => {
+    test('uses the defaults without a query string', () => {
+        expect(parseListingQuery(null).options).toEqual({
+            limit: DEFAULT_LIMIT,
+            after: null,
+            from: null,
+            to: null,
+            topic: null,
+            stage: null,
+            published: null
+        });
+    });
+
+    test('parses filters, caps the limit and extends a bare "to" date to the end of the day', () => {
+        const {
+            options
+        } = parseListingQuery({
+            limit: '500',
+            from: '2025-06-01',
+            to: '2025-06-10',
+            topic: '  Lisbon ',
+            stage: 'audio-generator',
+            published: 'false'
+        });
+
+        expect(options.limit).toBe(MAX_LIMIT);
+        expect(options.from.toISOString()).toBe('2025-06-01T00:00:00.000Z');
+        expect(options.to.toISOString()).toBe('2025-06-10T23:59:59.999Z');
+        expect(options.topic).toBe('lisbon');
+        expect(options.stage).toBe('audio-generator');
+        expect(options.published).toBe(false);
+    });
+
+    test('rejects invalid values with an error', () => {
+        expect(parseListingQuery({
+            limit: '0'
+        }).error).toMatch(/limit/);
+        expect(parseListingQuery({
+            from: 'last week'
+        }).error).toMatch(/from must be an ISO date/);
+        expect(parseListingQuery({
+            published: 'yes'
+        }).error).toMatch(/published/);
+        expect(parseListingQuery({
+            nextToken: 'not-a-token'
+        }).error).toMatch(/nextToken/);
+
+        const unknownStage = parseListingQuery({
+            stage: 'render'
+        });
+        expect(unknownStage.error).toBe('Unknown stage: render');
+        expect(unknownStage.validStages).toContain('video-assembler');
+    });
+});
+
+describe('listing cursor', () => {
+    const project = (folderName, date) => ({
+        folderName,
+        date: new Date(date)
+    });
+
+    test('orders newest first with the projectId breaking ties and undated projects last', () => {
+        const projects = [
+            project('b', '2025-06-01T00:00:00Z'),
+            project('undated', 'invalid'),
+            project('c', '2025-06-02T00:00:00Z'),
+            project('a', '2025-06-01T00:00:00Z')
+        ];
+
+        expect(projects.sort(compareProjects).map(item => item.folderName)).toEqual(['c', 'b', 'a', 'undated']);
+    });
+
+    test('nextToken continues after the last project even when earlier projects are added or removed', () => {
+        const {
+            options
+        } = parseListingQuery({
+            nextToken: getNextToken(project('b', '2025-06-01T00:00:00Z'))
+        });
+
+        expect(isAfterCursor(project('new', '2025-07-01T00:00:00Z'), options.after)).toBe(false);
+        expect(isAfterCursor(project('b', '2025-06-01T00:00:00Z'), options.after)).toBe(false);
+        expect(isAfterCursor(project('a', '2025-06-01T00:00:00Z'), options.after)).toBe(true);
+        expect(isAfterCursor(project('older', '2025-05-01T00:00:00Z'), options.after)).toBe(true);
+        expect(isAfterCursor(project('undated', 'invalid'), options.after)).toBe(true);
+    });
+});
+
+describe('GET /projects', () => {
+    let folders;
+    let published;
+    let listedFolders;
+
+    const listProjects = async (query) => {
+        const response = await handler({
+            httpMethod: 'GET',
+            path: '/projects',
+            queryStringParameters: query
+        });
+        return JSON.parse(response.body);
+    };
+
+    beforeEach(() => {
+        process.env.S3_BUCKET = 'bucket';
+        folders = ['2025-06-05_10-00-00_e', '2025-06-04_10-00-00_d', '2025-06-03_10-00-00_c', '2025-06-02_10-00-00_b', '2025-06-01_10-00-00_a'];
+        published = ['2025-06-04_10-00-00_d', '2025-06-01_10-00-00_a'];
+        listedFolders = [];
+
+        jest.spyOn(S3Client.prototype, 'send').mockImplementation(async (command) => {
+            const {
+                Prefix,
+                Delimiter
+            } = command.input;
+
+            if (Delimiter) {
+                return {
+                    CommonPrefixes: folders.map(folder => ({
+                        Prefix: `videos/${folder}/`
+                    }))
+                };
+            }
+
+            listedFolders.push(Prefix);
+            const folder = Prefix.split('/')[1];
+            if (Prefix.endsWith('/06-metadata/')) {
+                return {
+                    Contents: published.includes(folder) ? [{
+                        Key: `${Prefix}youtube-metadata.json`
+                    }] : []
+                };
+            }
+            return {
+                Contents: [{
+                    Key: `${Prefix}topic-context.json`
+                }]
+            };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.S3_BUCKET;
+    });
+
+    test('walks every page through nextToken and only summarizes the returned projects', async () => {
+        const first = await listProjects({
+            limit: '2'
+        });
+        expect(first.projects.map(item => item.projectId)).toEqual(['2025-06-05_10-00-00_e', '2025-06-04_10-00-00_d']);
+        expect(listedFolders).toHaveLength(4);
+
+        // A project created between calls does not shift the next page
+        folders.unshift('2025-06-06_10-00-00_f');
+        const second = await listProjects({
+            limit: '2',
+            nextToken: first.nextToken
+        });
+        expect(second.projects.map(item => item.projectId)).toEqual(['2025-06-03_10-00-00_c', '2025-06-02_10-00-00_b']);
+
+        const last = await listProjects({
+            limit: '2',
+            nextToken: second.nextToken
+        });
+        expect(last.projects.map(item => item.projectId)).toEqual(['2025-06-01_10-00-00_a']);
+        expect(last.nextToken).toBeNull();
+    });
+
+    test('skips the context listing of projects that fail the published filter', async () => {
+        const page = await listProjects({
+            published: 'true'
+        });
+
+        expect(page.projects.map(item => item.projectId)).toEqual(['2025-06-04_10-00-00_d', '2025-06-01_10-00-00_a']);
+        expect(listedFolders.filter(prefix => prefix.endsWith('/01-context/'))).toEqual([
+            'videos/2025-06-04_10-00-00_d/01-context/',
+            'videos/2025-06-01_10-00-00_a/01-context/'
+        ]);
+    });
+});
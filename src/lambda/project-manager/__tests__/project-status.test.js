@@ -0,0 +1,146 @@
+/* eslint-env jest */
+/**
+ * Project Status Tests
+ */
+
+const {
+    buildProjectStatus,
+    summarizeProjectProgress
+} = require('../project-status');
+const {
+    PIPELINE_STAGES
+} = require('pipeline-shared/pipeline-stages');
+
+const PROJECT_ID = '2025-06-10T12-00-00_lisbon-travel';
+const base = `videos/${PROJECT_ID}`;
+
+const s3Object = (key, lastModified = '2025-06-10T12:05:00.000Z') => ({
+    Key: `${base}/${key}`,
+    LastModified: lastModified
+});
+
+describe('buildProjectStatus', () => {
+    test('follows the workflow record when the orchestrator ran the project', () => {
+        const status = buildProjectStatus(PROJECT_ID, {
+            workflow: {
+                status: 'failed',
+                currentStage: 'media-curator',
+                executionId: 'exec-1',
+                lastError: {
+                    stage: 'media-curator',
+                    message: 'Pexels quota exceeded'
+                },
+                stages: {
+                    'topic-management': {
+                        status: 'succeeded',
+                        attempts: 1,
+                        startedAt: '2025-06-10T12:00:00.000Z',
+                        completedAt: '2025-06-10T12:01:00.000Z'
+                    },
+                    'script-generator': {
+                        status: 'succeeded',
+                        attempts: 2,
+                        completedAt: '2025-06-10T12:03:00.000Z'
+                    },
+                    'media-curator': {
+                        status: 'failed',
+                        attempts: 1,
+                        error: 'Pexels quota exceeded'
+                    }
+                }
+            },
+            s3Objects: [
+                s3Object('01-context/topic-context.json'),
+                s3Object('02-script/script.json')
+            ]
+        });
+
+        expect(status.status).toBe('failed');
+        expect(status.currentStage).toBe('media-curator');
+        expect(status.executionId).toBe('exec-1');
+        expect(status.progress).toEqual({
+            completedStages: 2,
+            totalStages: PIPELINE_STAGES.length,
+            percent: 29
+        });
+        expect(status.stages[1]).toMatchObject({
+            name: 'script-generator',
+            status: 'succeeded',
+            attempts: 2,
+            completedAt: '2025-06-10T12:03:00.000Z',
+            artifacts: [`${base}/02-script/script.json`]
+        });
+        expect(status.stages[2].lastError).toBe('Pexels quota exceeded');
+        expect(status.s3Prefix).toBe(`${base}/`);
+    });
+
+    test('derives stage status from context records and S3 for stages run by hand', () => {
+        const status = buildProjectStatus(PROJECT_ID, {
+            contextRecords: {
+                topic: {
+                    createdAt: '2025-06-10T12:01:00.000Z'
+                },
+                scene: {
+                    createdAt: '2025-06-10T12:02:00.000Z'
+                }
+            },
+            s3Objects: [
+                s3Object('01-context/topic-context.json'),
+                s3Object('01-context/scene-context.json'),
+                s3Object('03-media/scene-1/images/a.jpg')
+            ]
+        });
+
+        expect(status.status).toBe('incomplete');
+        expect(status.stages.map(stage => stage.status)).toEqual([
+            'succeeded', 'succeeded', 'pending', 'pending', 'pending', 'pending', 'pending'
+        ]);
+        expect(status.stages[0].completedAt).toBe('2025-06-10T12:01:00.000Z');
+        // Media files without a media context do not complete the stage
+        expect(status.stages[2].artifacts).toEqual([`${base}/03-media/scene-1/images/a.jpg`]);
+        expect(status.youtubeUrl).toBeNull();
+    });
+
+    test('marks the publisher done from its metadata file and reports empty projects as pending', () => {
+        const published = buildProjectStatus(PROJECT_ID, {
+            s3Objects: [s3Object('06-metadata/youtube-metadata.json', '2025-06-10T13:00:00.000Z')]
+        });
+        expect(published.stages[6]).toMatchObject({
+            status: 'succeeded',
+            completedAt: '2025-06-10T13:00:00.000Z'
+        });
+
+        expect(buildProjectStatus(PROJECT_ID).status).toBe('pending');
+    });
+});
+
+describe('summarizeProjectProgress', () => {
+    test('reports the last completed stage and whether the project was published', () => {
+        expect(summarizeProjectProgress(PROJECT_ID, [
+            `${base}/01-context/topic-context.json`,
+            `${base}/01-context/scene-context.json`,
+            `${base}/01-context/media-context.json`
+        ])).toEqual({
+            completedStage: 'media-curator',
+            completedStages: 3,
+            totalStages: PIPELINE_STAGES.length,
+            published: false
+        });
+
+        expect(summarizeProjectProgress(PROJECT_ID, [
+            `${base}/06-metadata/youtube-metadata.json`
+        ])).toMatchObject({
+            completedStage: 'youtube-publisher',
+            published: true
+        });
+    });
+
+    test('reports nothing completed for a project without keys', () => {
+        expect(summarizeProjectProgress(PROJECT_ID)).toEqual({
+            completedStage: null,
+            completedStages: 0,
+            totalStages: PIPELINE_STAGES.length,
+            published: false
+        });
+    });
+});
@@ -0,0 +1,296 @@
+/**
+ * 📂 PROJECT MANAGER - PROJECT VISIBILITY AND PROGRESS TRACKING
+ *
+ * CORE RESPONSIBILITY:
+ * This Lambda answers "where does this project stand?" without anyone having to
+ * browse S3 by hand. It combines the context table records written by every
+ * agent with the standardized folder layout from pipeline-shared/s3-folder-structure.
+ *
+ * STATUS SOURCES:
+ * - workflow#{projectId}: per-stage status from the Workflow Orchestrator
+ * - {contextType}#{projectId}: completion evidence for each agent
+ * - videos/{projectId}/: artifact keys grouped by stage folder
+ *
+ * ENDPOINTS:
+ * - GET /projects: paginated listing filtered by date range, topic, completed stage and published state
+ * - GET /projects/{projectId}/status: per-stage status, timestamps, artifacts and last error
+ */
+
+const {
+    S3Client,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient,
+    GetItemCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const {
+    buildProjectStatus,
+    summarizeProjectProgress
+} = require('./project-status');
+const {
+    parseListingQuery,
+    matchesFolderFilters,
+    needsProgressFilter,
+    matchesProgressFilters,
+    compareProjects,
+    isAfterCursor,
+    getNextToken
+} = require('./project-listing');
+const {
+    listVideoProjects
+} = require('pipeline-shared/s3-folder-structure');
+const {
+    PIPELINE_STAGES
+} = require('pipeline-shared/pipeline-stages');
+
+const s3Client = new S3Client({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+const dynamoClient = new DynamoDBClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+/**
+ * Main Lambda handler
+ */
+exports.handler = async (event) => {
+    console.log('Project Manager invoked:', JSON.stringify(event, null, 2));
+
+    const {
+        httpMethod,
+        path
+    } = event;
+
+    if (httpMethod === 'GET' && path === '/projects/health') {
+        return createResponse(200, {
+            service: 'project-manager',
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            endpoints: {
+                'GET /projects': 'List and search projects',
+                'GET /projects/{projectId}/status': 'Per-stage project progress'
+            }
+        });
+    }
+
+    if (httpMethod === 'GET' && path === '/projects') {
+        const {
+            options,
+            error,
+            validStages
+        } = parseListingQuery(event.queryStringParameters);
+
+        if (error) {
+            return createResponse(400, {
+                success: false,
+                error,
+                validStages
+            });
+        }
+
+        try {
+            return createResponse(200, {
+                success: true,
+                ...await listProjects(options),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('❌ Project listing error:', error);
+            return createResponse(500, {
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    const statusMatch = (path || '').match(/^\/projects\/([^/]+)\/status$/);
+
+    if (httpMethod === 'GET' && statusMatch) {
+        const projectId = decodeURIComponent((event.pathParameters && event.pathParameters.projectId) || statusMatch[1]);
+
+        try {
+            const [workflow, contextRecords, s3Objects] = await Promise.all([
+                getRecord(`workflow#${projectId}`, projectId),
+                loadContextRecords(projectId),
+                listProjectObjects(projectId)
+            ]);
+
+            if (!workflow && Object.keys(contextRecords).length === 0 && s3Objects.length === 0) {
+                return createResponse(404, {
+                    success: false,
+                    error: `Project not found: ${projectId}`
+                });
+            }
+
+            return createResponse(200, {
+                success: true,
+                ...buildProjectStatus(projectId, {
+                    workflow,
+                    contextRecords,
+                    s3Objects
+                }),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('❌ Project status error:', error);
+            return createResponse(500, {
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    return createResponse(404, {
+        success: false,
+        error: 'Endpoint not found'
+    });
+};
+
+// Projects summarized in parallel while filling a page
+const SUMMARY_BATCH_SIZE = 10;
+
+/**
+ * List one page of projects newest first with filters applied
+ * Folder filters and the cursor run on the folder names alone; only the
+ * remaining projects are summarized, a batch at a time, until the page is full.
+ */
+async function listProjects(options) {
+    const folders = await listVideoProjects(s3Client, process.env.S3_BUCKET);
+    const candidates = folders
+        .filter(project => isAfterCursor(project, options.after) && matchesFolderFilters(project, options))
+        .sort(compareProjects);
+    const matches = [];
+    let scanned = 0;
+
+    while (matches.length < options.limit && scanned < candidates.length) {
+        // Without progress filters every candidate matches, so summarize just what the page needs
+        const batchSize = needsProgressFilter(options) ? SUMMARY_BATCH_SIZE : Math.min(SUMMARY_BATCH_SIZE, options.limit - matches.length);
+        const batch = candidates.slice(scanned, scanned + batchSize);
+        scanned += batch.length;
+
+        const summarized = await Promise.all(batch.map(project => summarizeProject(project, options)));
+        matches.push(...summarized.filter(project => project && matchesProgressFilters(project.progress, options)));
+    }
+
+    const items = matches.slice(0, options.limit);
+    const hasMore = items.length === options.limit && (matches.length > items.length || scanned < candidates.length);
+
+    return {
+        projects: items.map(formatProject),
+        count: items.length,
+        nextToken: hasMore ? getNextToken(items[items.length - 1]) : null
+    };
+}
+
+/**
+ * Attach a progress summary to a project
+ * The published filter only needs 06-metadata/, so non-matching projects are
+ * dropped before their context folder is listed.
+ * @returns {Promise<object|null>} null when the project fails the published filter
+ */
+async function summarizeProject(project, options) {
+    const metadataKeys = (await listProjectObjects(project.folderName, '06-metadata/')).map(obj => obj.Key);
+
+    if (options.published !== null && summarizeProjectProgress(project.folderName, metadataKeys).published !== options.published) {
+        return null;
+    }
+
+    const contextKeys = (await listProjectObjects(project.folderName, '01-context/')).map(obj => obj.Key);
+
+    return {
+        ...project,
+        progress: summarizeProjectProgress(project.folderName, [...contextKeys, ...metadataKeys])
+    };
+}
+
+/**
+ * Listing item shape
+ */
+function formatProject(project) {
+    return {
+        projectId: project.folderName,
+        title: project.title,
+        createdAt: isNaN(project.date.getTime()) ? null : project.date.toISOString(),
+        completedStage: project.progress.completedStage,
+        completedStages: project.progress.completedStages,
+        totalStages: project.progress.totalStages,
+        published: project.progress.published,
+        s3Prefix: project.s3Prefix
+    };
+}
+
+/**
+ * Load every stage context record for a project, keyed by context type
+ */
+async function loadContextRecords(projectId) {
+    const contextTypes = PIPELINE_STAGES.map(stage => stage.contextType).filter(Boolean);
+    const records = await Promise.all(contextTypes.map(type => getRecord(`${type}#${projectId}`, projectId)));
+
+    const contextRecords = {};
+    contextTypes.forEach((type, index) => {
+        if (records[index]) {
+            contextRecords[type] = records[index];
+        }
+    });
+
+    return contextRecords;
+}
+
+/**
+ * Get a single record from the context table
+ */
+async function getRecord(pk, sk) {
+    const response = await dynamoClient.send(new GetItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: sk
+        })
+    }));
+
+    return response.Item ? unmarshall(response.Item) : null;
+}
+
+/**
+ * List all S3 objects under the project folder, optionally within one stage folder
+ */
+async function listProjectObjects(projectId, folder = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+        const response = await s3Client.send(new ListObjectsV2Command({
+            Bucket: process.env.S3_BUCKET,
+            Prefix: `videos/${projectId}/${folder}`,
+            ContinuationToken: continuationToken
+        }));
+
+        objects.push(...(response.Contents || []));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+            'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+        },
+        body: JSON.stringify(body, null, 2)
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Project Listing Filters - Project Manager
+ *
+ * Parses the GET /projects query string and applies filters and pagination
+ * to the folders returned by listVideoProjects. Date range and topic filters
+ * only need the folder name; stage and published filters need a progress
+ * summary per project, which the handler loads on demand.
+ *
+ * Projects are ordered newest first (createdAt, then projectId). nextToken
+ * holds the last project returned, so a page stays correct when projects are
+ * added or removed between calls.
+ */
+
+const {
+    PIPELINE_STAGES
+} = require('pipeline-shared/pipeline-stages');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse and validate listing query parameters
+ * @param {object} query - API Gateway queryStringParameters
+ * @returns {object} { options } or { error }
+ */
+function parseListingQuery(query = {}) {
+    const params = query || {};
+    const options = {
+        limit: DEFAULT_LIMIT,
+        after: null,
+        from: null,
+        to: null,
+        topic: null,
+        stage: null,
+        published: null
+    };
+
+    if (params.limit !== undefined) {
+        const limit = parseInt(params.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+            return {
+                error: 'limit must be a positive integer'
+            };
+        }
+        options.limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    if (params.nextToken) {
+        const after = decodeNextToken(params.nextToken);
+        if (after === null) {
+            return {
+                error: 'nextToken is invalid'
+            };
+        }
+        options.after = after;
+    }
+
+    for (const field of ['from', 'to']) {
+        if (params[field]) {
+            const date = new Date(params[field]);
+            if (isNaN(date.getTime())) {
+                return {
+                    error: `${field} must be an ISO date`
+                };
+            }
+            // A bare date in "to" covers the whole day
+            if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(params[field])) {
+                date.setUTCHours(23, 59, 59, 999);
+            }
+            options[field] = date;
+        }
+    }
+
+    if (params.topic) {
+        options.topic = params.topic.toLowerCase().trim();
+    }
+
+    if (params.stage) {
+        if (!PIPELINE_STAGES.some(stage => stage.name === params.stage)) {
+            return {
+                error: `Unknown stage: ${params.stage}`,
+                validStages: PIPELINE_STAGES.map(stage => stage.name)
+            };
+        }
+        options.stage = params.stage;
+    }
+
+    if (params.published !== undefined) {
+        if (!['true', 'false'].includes(String(params.published))) {
+            return {
+                error: 'published must be true or false'
+            };
+        }
+        options.published = String(params.published) === 'true';
+    }
+
+    return {
+        options
+    };
+}
+
+/**
+ * Filters that only need the parsed folder name
+ */
+function matchesFolderFilters(project, options) {
+    if (options.from && project.date < options.from) {
+        return false;
+    }
+    if (options.to && project.date > options.to) {
+        return false;
+    }
+    if (options.topic) {
+        const title = (project.title || '').toLowerCase();
+        const folderName = project.folderName.toLowerCase();
+        if (!title.includes(options.topic) && !folderName.includes(options.topic)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Whether the listing needs a progress summary before it can paginate
+ */
+function needsProgressFilter(options) {
+    return options.stage !== null || options.published !== null;
+}
+
+/**
+ * Filters that need a progress summary from summarizeProjectProgress
+ */
+function matchesProgressFilters(summary, options) {
+    if (options.stage && summary.completedStage !== options.stage) {
+        return false;
+    }
+    if (options.published !== null && summary.published !== options.published) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Listing order: newest first, projectId breaking ties
+ * Projects without a parseable date go last.
+ */
+function compareProjects(a, b) {
+    const timeA = getProjectTime(a);
+    const timeB = getProjectTime(b);
+
+    if (timeA !== timeB) {
+        return timeB - timeA;
+    }
+    if (a.folderName === b.folderName) {
+        return 0;
+    }
+    return a.folderName < b.folderName ? 1 : -1;
+}
+
+/**
+ * Whether a project comes after the last one of the previous page
+ */
+function isAfterCursor(project, after) {
+    return !after || compareProjects(after, project) < 0;
+}
+
+/**
+ * nextToken continuing after the given project
+ */
+function getNextToken(project) {
+    const time = getProjectTime(project);
+
+    return Buffer.from(JSON.stringify({
+        projectId: project.folderName,
+        createdAt: time === -Infinity ? null : new Date(time).toISOString()
+    })).toString('base64');
+}
+
+function getProjectTime(project) {
+    const time = project.date ? project.date.getTime() : NaN;
+    return isNaN(time) ? -Infinity : time;
+}
+
+function decodeNextToken(token) {
+    try {
+        const {
+            projectId,
+            createdAt
+        } = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+        const date = new Date(createdAt === null ? NaN : createdAt);
+
+        if (typeof projectId !== 'string' || !projectId || (createdAt !== null && isNaN(date.getTime()))) {
+            return null;
+        }
+
+        return {
+            folderName: projectId,
+            date
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseListingQuery,
+    matchesFolderFilters,
+    needsProgressFilter,
+    matchesProgressFilters,
+    compareProjects,
+    isAfterCursor,
+    getNextToken
+};
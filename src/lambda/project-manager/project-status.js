@@ -0,0 +1,136 @@
+/**
+ * Project Status Builder - Project Manager
+ *
+ * Derives per-stage progress for one project from three sources:
+ * 1. Workflow record (workflow#{projectId}) - authoritative when the orchestrator ran the project
+ * 2. Context records (CONTEXT_TABLE) - completion evidence for each agent
+ * 3. S3 objects under videos/{projectId}/ - artifact keys per stage folder
+ *
+ * The listing endpoint uses summarizeProjectProgress instead, which only needs
+ * the 01-context/ and 06-metadata/ keys of each project.
+ */
+
+const {
+    getProjectPaths
+} = require('pipeline-shared/s3-folder-structure');
+const {
+    PIPELINE_STAGES
+} = require('pipeline-shared/pipeline-stages');
+
+/**
+ * Build the status report for a single project
+ * @param {string} projectId - Project identifier (folder name under videos/)
+ * @param {object} sources - { workflow, contextRecords, s3Objects }
+ * @returns {object} Status report with per-stage progress
+ */
+function buildProjectStatus(projectId, sources = {}) {
+    const {
+        workflow = null,
+        contextRecords = {},
+        s3Objects = []
+    } = sources;
+    const paths = getProjectPaths(projectId);
+
+    const stages = PIPELINE_STAGES.map(stage => {
+        const prefixes = stage.artifactPrefixes(paths);
+        const stageObjects = s3Objects.filter(obj => prefixes.some(prefix => obj.Key.startsWith(prefix)));
+        const contextRecord = stage.contextType ? contextRecords[stage.contextType] : null;
+        const workflowState = workflow && workflow.stages ? workflow.stages[stage.name] : null;
+
+        const lastModified = stageObjects
+            .map(obj => new Date(obj.LastModified).toISOString())
+            .sort()
+            .pop() || null;
+
+        let status = 'pending';
+        if (workflowState && workflowState.status !== 'pending') {
+            status = workflowState.status;
+        } else if (contextRecord || (!stage.contextType && stageObjects.length > 0)) {
+            status = 'succeeded';
+        }
+
+        return {
+            name: stage.name,
+            contextType: stage.contextType,
+            status,
+            startedAt: workflowState ? workflowState.startedAt : null,
+            completedAt: (workflowState && workflowState.completedAt) ||
+                (contextRecord && contextRecord.createdAt) ||
+                (status === 'succeeded' ? lastModified : null),
+            attempts: workflowState ? workflowState.attempts : 0,
+            artifacts: stageObjects.map(obj => obj.Key),
+            lastError: workflowState ? workflowState.error || null : null
+        };
+    });
+
+    const completed = stages.filter(stage => stage.status === 'succeeded').length;
+
+    return {
+        projectId,
+        status: resolveOverallStatus(workflow, stages),
+        currentStage: workflow ? workflow.currentStage : null,
+        progress: {
+            completedStages: completed,
+            totalStages: stages.length,
+            percent: Math.round((completed / stages.length) * 100)
+        },
+        stages,
+        lastError: workflow ? workflow.lastError || null : null,
+        youtubeUrl: workflow ? workflow.youtubeUrl || null : null,
+        executionId: workflow ? workflow.executionId : null,
+        s3Prefix: `${paths.basePath}/`
+    };
+}
+
+/**
+ * Overall project status from the workflow record, or from stage evidence
+ */
+function resolveOverallStatus(workflow, stages) {
+    if (workflow && workflow.status) {
+        return workflow.status;
+    }
+    if (stages.some(stage => stage.status === 'failed')) {
+        return 'failed';
+    }
+    if (stages.every(stage => stage.status === 'succeeded')) {
+        return 'succeeded';
+    }
+    if (stages.every(stage => stage.status === 'pending')) {
+        return 'pending';
+    }
+
+    // Stages were run by hand and stopped part-way through
+    return 'incomplete';
+}
+
+/**
+ * Lightweight completion summary from context and metadata keys only
+ * @param {string} projectId - Project identifier
+ * @param {Array<string>} keys - S3 keys under 01-context/ and 06-metadata/
+ * @returns {object} { completedStage, completedStages, published }
+ */
+function summarizeProjectProgress(projectId, keys = []) {
+    const paths = getProjectPaths(projectId);
+    let completedStage = null;
+    let completedStages = 0;
+
+    for (const stage of PIPELINE_STAGES) {
+        const prefixes = stage.artifactPrefixes(paths);
+        if (keys.some(key => prefixes.some(prefix => key.startsWith(prefix)))) {
+            completedStage = stage.name;
+            completedStages++;
+        }
+    }
+
+    return {
+        completedStage,
+        completedStages,
+        totalStages: PIPELINE_STAGES.length,
+        published: keys.includes(paths.metadata.youtube)
+    };
+}
+
+module.exports = {
+    buildProjectStatus,
+    summarizeProjectProgress
+};
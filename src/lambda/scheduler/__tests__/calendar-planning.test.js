@@ -0,0 +1,144 @@
+/* eslint-env jest */
+/**
+ * Scheduler Calendar Planning Tests
+ */
+
+const {
+    getSchedulingSettings,
+    planCalendar,
+    findPublishSlot,
+    selectDueEntries,
+    reslotPublishAt,
+    zonedTimeToUtc
+} = require('../calendar-planning');
+
+const SETTINGS = {
+    enabled: true,
+    frequency: 2,
+    optimalTimes: ['14:00', '18:00', '20:00'],
+    timezone: 'UTC',
+    productionLeadMinutes: 120,
+    horizonDays: 7
+};
+
+describe('Scheduler Calendar Planning', () => {
+    test('getSchedulingSettings should read frequency and optimal times from config', () => {
+        const config = {
+            'content.generation.defaultFrequency': 2,
+            'publishing.youtube.scheduling.optimalTimes': ['20:00', '14:00'],
+            'publishing.youtube.scheduling.timezone': 'Europe/Paris'
+        };
+        const settings = getSchedulingSettings((key, defaultValue) => (key in config ? config[key] : defaultValue));
+
+        expect(settings.frequency).toBe(2);
+        expect(settings.optimalTimes).toEqual(['14:00', '20:00']);
+        expect(settings.timezone).toBe('Europe/Paris');
+        expect(settings.enabled).toBe(false);
+    });
+
+    test('zonedTimeToUtc should apply the timezone offset', () => {
+        expect(zonedTimeToUtc('2025-07-01', '14:00', 'Europe/Paris').toISOString()).toBe('2025-07-01T12:00:00.000Z');
+        expect(zonedTimeToUtc('2025-01-01', '14:00', 'Europe/Paris').toISOString()).toBe('2025-01-01T13:00:00.000Z');
+    });
+
+    test('planCalendar should spread productions by frequency and publish at the next optimal time', () => {
+        const queue = [{
+            topicId: 't1',
+            topic: 'Brittany'
+        }, {
+            topicId: 't2',
+            topic: 'Normandy'
+        }, {
+            topicId: 't3',
+            topic: 'Provence'
+        }];
+
+        const planned = planCalendar(queue, [], SETTINGS, new Date('2025-07-01T08:00:00Z'));
+
+        expect(planned.map(entry => [entry.entryId, entry.productionAt, entry.publishAt])).toEqual([
+            ['t1', '2025-07-01T12:00:00.000Z', '2025-07-01T14:00:00.000Z'],
+            ['t2', '2025-07-02T00:00:00.000Z', '2025-07-02T14:00:00.000Z'],
+            ['t3', '2025-07-02T12:00:00.000Z', '2025-07-02T18:00:00.000Z']
+        ]);
+    });
+
+    test('planCalendar should skip slots held by active entries', () => {
+        const planned = planCalendar([{
+            topicId: 't1',
+            topic: 'Brittany'
+        }], [{
+            entryId: 'e1',
+            status: 'scheduled',
+            productionAt: '2025-07-01T12:00:00.000Z',
+            publishAt: '2025-07-01T14:00:00.000Z'
+        }, {
+            entryId: 'e2',
+            status: 'cancelled',
+            productionAt: '2025-07-02T00:00:00.000Z',
+            publishAt: '2025-07-02T14:00:00.000Z'
+        }], SETTINGS, new Date('2025-07-01T08:00:00Z'));
+
+        expect(planned[0].productionAt).toBe('2025-07-02T00:00:00.000Z');
+        expect(planned[0].publishAt).toBe('2025-07-02T14:00:00.000Z');
+    });
+
+    test('findPublishSlot should roll over to the next day', () => {
+        expect(findPublishSlot(new Date('2025-07-01T21:00:00Z'), SETTINGS)).toBe('2025-07-02T14:00:00.000Z');
+    });
+
+    test('selectDueEntries should only return scheduled entries whose time has come', () => {
+        const due = selectDueEntries([{
+            entryId: 'a',
+            status: 'scheduled',
+            productionAt: '2025-07-01T12:00:00.000Z'
+        }, {
+            entryId: 'b',
+            status: 'producing',
+            productionAt: '2025-07-01T00:00:00.000Z'
+        }, {
+            entryId: 'c',
+            status: 'scheduled',
+            productionAt: '2025-07-02T00:00:00.000Z'
+        }], new Date('2025-07-01T13:00:00Z'));
+
+        expect(due.map(entry => entry.entryId)).toEqual(['a']);
+    });
+
+    test('reslotPublishAt should keep a publish time production can still make', () => {
+        const entry = {
+            entryId: 'a',
+            status: 'scheduled',
+            publishAt: '2025-07-01T18:00:00.000Z'
+        };
+
+        expect(reslotPublishAt(entry, [entry], SETTINGS, new Date('2025-07-01T12:00:00Z'))).toBe('2025-07-01T18:00:00.000Z');
+    });
+
+    test('reslotPublishAt should move a late start to the next free slot after the lead time', () => {
+        const entry = {
+            entryId: 'a',
+            status: 'scheduled',
+            publishAt: '2025-07-01T14:00:00.000Z'
+        };
+        const entries = [entry, {
+            entryId: 'b',
+            status: 'scheduled',
+            publishAt: '2025-07-01T20:00:00.000Z'
+        }, {
+            entryId: 'c',
+            status: 'completed',
+            publishAt: '2025-07-02T14:00:00.000Z'
+        }];
+
+        expect(reslotPublishAt(entry, entries, SETTINGS, new Date('2025-07-01T16:30:00Z'))).toBe('2025-07-02T14:00:00.000Z');
+        expect(reslotPublishAt(entry, entries, SETTINGS, new Date('2025-07-01T15:00:00Z'))).toBe('2025-07-01T18:00:00.000Z');
+    });
+
+    test('reslotPublishAt should leave entries without a publish time unscheduled', () => {
+        expect(reslotPublishAt({
+            entryId: 'a',
+            status: 'scheduled',
+            publishAt: null
+        }, [], SETTINGS, new Date('2025-07-01T12:00:00Z'))).toBeNull();
+    });
+});
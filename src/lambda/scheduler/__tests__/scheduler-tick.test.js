@@ -0,0 +1,107 @@
+/* eslint-env jest */
+/**
+ * Scheduler Tick Tests
+ */
+
+const {
+    DynamoDBClient
+} = require('@aws-sdk/client-dynamodb');
+const {
+    LambdaClient
+} = require('@aws-sdk/client-lambda');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+
+const mockConfig = {
+    'content.generation.defaultFrequency': 2,
+    'publishing.youtube.scheduling.enabled': true
+};
+
+jest.mock('pipeline-shared/config-loader', () => ({
+    getConfigValue: (key, defaultValue) => (key in mockConfig ? mockConfig[key] : defaultValue)
+}));
+
+const {
+    handler
+} = require('../index');
+
+describe('Scheduler tick', () => {
+    let calendar;
+    let starts;
+
+    beforeEach(() => {
+        process.env.WORKFLOW_ORCHESTRATOR_FUNCTION = 'orchestrator';
+        calendar = {};
+        starts = [];
+
+        ['2025-06-01T08:00:00.000Z', '2025-06-01T09:00:00.000Z', '2025-06-01T10:00:00.000Z'].forEach((productionAt, index) => {
+            calendar[`entry-${index + 1}`] = {
+                entryId: `entry-${index + 1}`,
+                topic: `Topic ${index + 1}`,
+                status: 'scheduled',
+                productionAt,
+                publishAt: null
+            };
+        });
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+            const name = command.constructor.name;
+            if (name === 'QueryCommand') {
+                const pk = unmarshall(command.input.ExpressionAttributeValues)[':pk'];
+                const items = pk === 'schedule#calendar' ? Object.values(calendar) : [];
+                return {
+                    Items: items.map(item => marshall({
+                        PK: pk,
+                        SK: item.entryId,
+                        ...item
+                    }))
+                };
+            }
+            if (name === 'PutItemCommand') {
+                const item = unmarshall(command.input.Item);
+                calendar[item.SK] = item;
+            }
+            return {};
+        });
+
+        jest.spyOn(LambdaClient.prototype, 'send').mockImplementation(async (command) => {
+            const body = JSON.parse(JSON.parse(command.input.Payload).body);
+            starts.push(body.topic);
+            return {
+                Payload: new TextEncoder().encode(JSON.stringify({
+                    statusCode: 200,
+                    body: JSON.stringify({
+                        success: true,
+                        projectId: `project-${starts.length}`,
+                        executionId: `exec-${starts.length}`
+                    })
+                }))
+            };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.WORKFLOW_ORCHESTRATOR_FUNCTION;
+    });
+
+    test('starts at most defaultFrequency overdue entries per tick, oldest first', async () => {
+        const first = await handler({
+            action: 'tick'
+        });
+
+        expect(starts).toEqual(['Topic 1', 'Topic 2']);
+        expect(first.started.map(entry => entry.status)).toEqual(['producing', 'producing']);
+        expect(calendar['entry-3'].status).toBe('scheduled');
+
+        await handler({
+            action: 'tick'
+        });
+
+        expect(starts).toEqual(['Topic 1', 'Topic 2', 'Topic 3']);
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Production Calendar Planning - Scheduler
+ *
+ * Turns the topic queue into calendar entries. Each entry has a production
+ * slot (when the workflow starts) and a publish slot (the next optimal time
+ * after production is expected to finish):
+ *
+ * - content.generation.defaultFrequency: productions per day, spread evenly
+ *   across the day in the scheduling timezone
+ * - publishing.youtube.scheduling.optimalTimes: local HH:MM publish slots
+ * - publishing.youtube.scheduling.timezone: IANA timezone for both
+ */
+
+const DEFAULT_PRODUCTION_LEAD_MINUTES = 120;
+const DEFAULT_PLANNING_HORIZON_DAYS = 7;
+
+// Entries that still hold their production and publish slots
+const ACTIVE_ENTRY_STATUSES = ['scheduled', 'producing'];
+
+/**
+ * Resolve scheduler settings from the pipeline configuration
+ * @param {function} getConfigValue - Config accessor from config-loader
+ * @returns {object} Scheduling settings
+ */
+function getSchedulingSettings(getConfigValue) {
+    const frequency = Number(getConfigValue('content.generation.defaultFrequency', 1));
+    const optimalTimes = getConfigValue('publishing.youtube.scheduling.optimalTimes', ['14:00'])
+        .filter(time => /^\d{2}:\d{2}$/.test(time))
+        .sort();
+
+    return {
+        enabled: getConfigValue('publishing.youtube.scheduling.enabled', false) === true,
+        frequency: frequency > 0 ? frequency : 1,
+        optimalTimes: optimalTimes.length > 0 ? optimalTimes : ['14:00'],
+        timezone: getConfigValue('publishing.youtube.scheduling.timezone', 'UTC'),
+        productionLeadMinutes: getConfigValue('publishing.youtube.scheduling.productionLeadMinutes', DEFAULT_PRODUCTION_LEAD_MINUTES),
+        horizonDays: getConfigValue('publishing.youtube.scheduling.planningHorizonDays', DEFAULT_PLANNING_HORIZON_DAYS)
+    };
+}
+
+/**
+ * Assign queued topics to the next free production slots
+ * @param {Array<object>} queue - Queued topics, oldest first
+ * @param {Array<object>} entries - Existing calendar entries
+ * @param {object} settings - Scheduling settings
+ * @param {Date} now - Planning time
+ * @returns {Array<object>} New calendar entries (entryId is the queued topicId)
+ */
+function planCalendar(queue, entries, settings, now = new Date()) {
+    const active = entries.filter(entry => ACTIVE_ENTRY_STATUSES.includes(entry.status));
+    const takenProduction = new Set(active.map(entry => entry.productionAt));
+    const takenPublish = new Set(active.map(entry => entry.publishAt).filter(Boolean));
+
+    const slots = listProductionSlots(now, settings)
+        .filter(slot => !takenProduction.has(slot.toISOString()));
+
+    const planned = [];
+
+    for (const item of queue) {
+        const slot = slots.shift();
+        if (!slot) {
+            break;
+        }
+
+        const readyAt = new Date(slot.getTime() + settings.productionLeadMinutes * 60 * 1000);
+        const publishAt = findPublishSlot(readyAt, settings, takenPublish);
+        if (publishAt) {
+            takenPublish.add(publishAt);
+        }
+
+        planned.push({
+            entryId: item.topicId,
+            topic: item.topic,
+            options: item.options || {},
+            productionAt: slot.toISOString(),
+            publishAt,
+            status: 'scheduled'
+        });
+    }
+
+    return planned;
+}
+
+/**
+ * Production slots from now until the end of the planning horizon
+ * @returns {Array<Date>} Slot start times in UTC, ascending
+ */
+function listProductionSlots(now, settings) {
+    const slots = [];
+    const firstDay = getLocalDate(now, settings.timezone);
+
+    for (let day = 0; day <= settings.horizonDays; day++) {
+        const localDate = addDays(firstDay, day);
+
+        for (let i = 0; i < settings.frequency; i++) {
+            const minutes = Math.round((i * 24 * 60) / settings.frequency);
+            const slot = zonedTimeToUtc(localDate, formatTime(minutes), settings.timezone);
+
+            if (slot >= now) {
+                slots.push(slot);
+            }
+        }
+    }
+
+    return slots;
+}
+
+/**
+ * Next free optimal publish time at or after readyAt
+ * @returns {string|null} ISO timestamp, null when nothing is free within the horizon
+ */
+function findPublishSlot(readyAt, settings, takenPublish = new Set()) {
+    const firstDay = getLocalDate(readyAt, settings.timezone);
+
+    for (let day = 0; day <= settings.horizonDays + 1; day++) {
+        const localDate = addDays(firstDay, day);
+
+        for (const time of settings.optimalTimes) {
+            const slot = zonedTimeToUtc(localDate, time, settings.timezone).toISOString();
+
+            if (new Date(slot) >= readyAt && !takenPublish.has(slot)) {
+                return slot;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Scheduled entries whose production time has arrived
+ */
+function selectDueEntries(entries, now = new Date()) {
+    return entries
+        .filter(entry => entry.status === 'scheduled' && new Date(entry.productionAt) <= now)
+        .sort((a, b) => a.productionAt.localeCompare(b.productionAt));
+}
+
+/**
+ * Publish time for an entry whose production starts now
+ * A start later than planned (disabled ticks, edits, retries) can leave the
+ * planned publishAt before the video is ready; it then moves to the next free
+ * optimal slot after the production lead time.
+ * @param {object} entry - Calendar entry about to start
+ * @param {Array<object>} entries - All calendar entries (their publish slots are taken)
+ * @returns {string|null} Planned or re-slotted publishAt; null when none was planned or none is free
+ */
+function reslotPublishAt(entry, entries, settings, now = new Date()) {
+    if (!entry.publishAt) {
+        return null;
+    }
+
+    const readyAt = new Date(now.getTime() + settings.productionLeadMinutes * 60 * 1000);
+    if (new Date(entry.publishAt) >= readyAt) {
+        return entry.publishAt;
+    }
+
+    const takenPublish = new Set(entries
+        .filter(other => other.entryId !== entry.entryId && ACTIVE_ENTRY_STATUSES.includes(other.status))
+        .map(other => other.publishAt)
+        .filter(Boolean));
+
+    return findPublishSlot(readyAt, settings, takenPublish);
+}
+
+/**
+ * Convert a local date and HH:MM in a timezone to a UTC Date
+ */
+function zonedTimeToUtc(localDate, time, timezone) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hours, minutes);
+
+    return new Date(guess - getTimezoneOffset(new Date(guess), timezone));
+}
+
+/**
+ * Milliseconds the timezone is ahead of UTC at the given instant
+ */
+function getTimezoneOffset(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in the timezone
+ */
+function getLocalDate(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+function getZonedParts(date, timezone) {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = Number(part.value);
+        }
+    });
+
+    return parts;
+}
+
+function addDays(localDate, days) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+    ACTIVE_ENTRY_STATUSES,
+    getSchedulingSettings,
+    planCalendar,
+    listProductionSlots,
+    findPublishSlot,
+    selectDueEntries,
+    reslotPublishAt,
+    zonedTimeToUtc
+};
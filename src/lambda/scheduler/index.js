@@ -0,0 +1,628 @@
+/**
+ * 📅 SCHEDULER - TOPIC QUEUE AND PRODUCTION CALENDAR
+ *
+ * CORE RESPONSIBILITY:
+ * Keeps a queue of topics and turns it into a production calendar driven by
+ * config/default.json, so videos are produced and published on a steady
+ * cadence without anyone starting runs by hand.
+ *
+ * CONFIGURATION:
+ * - content.generation.defaultFrequency: productions started per day
+ * - publishing.youtube.scheduling.optimalTimes: publish slots (HH:MM)
+ * - publishing.youtube.scheduling.timezone: timezone of both
+ * - publishing.youtube.scheduling.enabled: lets the scheduled tick start runs
+ *
+ * EXECUTION MODEL:
+ * - An EventBridge schedule invokes { action: 'tick' } every 15 minutes
+ * - Each tick plans queued topics into free calendar slots, starts due
+ *   entries through the Workflow Orchestrator (passing publishAt so the video
+ *   goes live at its optimal slot) and syncs entries that are producing
+ * - A tick starts at most defaultFrequency entries, oldest first; a backlog of
+ *   overdue entries (scheduling re-enabled, missed ticks) drains over later ticks
+ * - POST /workflow/start only saves the workflow and dispatches its first
+ *   stage asynchronously, so waiting for its response stays short
+ * - An entry started too late for its publishAt moves to the next free
+ *   optimal slot; a producing entry whose workflow record has expired is
+ *   marked failed
+ *
+ * RECORDS (CONTEXT_TABLE):
+ * - PK 'schedule#queue',    SK '{topicId}': topics waiting for a slot
+ * - PK 'schedule#calendar', SK '{entryId}': planned, producing and finished entries
+ *
+ * ENDPOINTS:
+ * - POST/GET /schedule/topics, DELETE /schedule/topics/{topicId}
+ * - GET/POST /schedule/calendar, PUT/DELETE /schedule/calendar/{entryId}
+ */
+
+const {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand,
+    DeleteItemCommand,
+    QueryCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+    LambdaClient,
+    InvokeCommand
+} = require('@aws-sdk/client-lambda');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const crypto = require('crypto');
+const {
+    getConfigValue
+} = require('pipeline-shared/config-loader');
+const {
+    ACTIVE_ENTRY_STATUSES,
+    getSchedulingSettings,
+    planCalendar,
+    selectDueEntries,
+    reslotPublishAt
+} = require('./calendar-planning');
+
+const dynamoClient = new DynamoDBClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+const lambdaClient = new LambdaClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+const QUEUE_PK = 'schedule#queue';
+const CALENDAR_PK = 'schedule#calendar';
+const TOPIC_OPTION_FIELDS = ['targetAudience', 'videoDuration', 'videoStyle', 'scriptStructure', 'voiceId', 'language', 'seriesId', 'minVisuals', 'privacy', 'allowDuplicate', 'metadata'];
+const EDITABLE_ENTRY_FIELDS = ['topic', 'options', 'productionAt', 'publishAt'];
+
+/**
+ * Main Lambda handler
+ */
+exports.handler = async (event) => {
+    console.log('Scheduler invoked:', JSON.stringify(event, null, 2));
+
+    // EventBridge schedule
+    if (event.action === 'tick') {
+        return await runSchedulerTick();
+    }
+
+    const {
+        httpMethod,
+        path = '',
+        body
+    } = event;
+
+    if (httpMethod === 'GET' && path === '/schedule/health') {
+        const settings = getSchedulingSettings(getConfigValue);
+
+        return createResponse(200, {
+            service: 'scheduler',
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            settings,
+            endpoints: {
+                'POST /schedule/topics': 'Queue a topic for production',
+                'GET /schedule/topics': 'List queued topics',
+                'DELETE /schedule/topics/{topicId}': 'Remove a queued topic',
+                'GET /schedule/calendar': 'Production calendar (optional from/to)',
+                'POST /schedule/calendar': 'Add a calendar entry at an explicit time',
+                'PUT /schedule/calendar/{entryId}': 'Edit a scheduled entry',
+                'DELETE /schedule/calendar/{entryId}': 'Cancel a scheduled entry'
+            }
+        });
+    }
+
+    try {
+        const requestBody = body ? JSON.parse(body) : {};
+        const topicMatch = path.match(/^\/schedule\/topics\/([^/]+)$/);
+        const entryMatch = path.match(/^\/schedule\/calendar\/([^/]+)$/);
+
+        if (httpMethod === 'POST' && path === '/schedule/topics') {
+            return await queueTopic(requestBody);
+        }
+
+        if (httpMethod === 'GET' && path === '/schedule/topics') {
+            return createResponse(200, {
+                success: true,
+                topics: await listRecords(QUEUE_PK)
+            });
+        }
+
+        if (httpMethod === 'DELETE' && topicMatch) {
+            const topicId = getPathId(event, 'topicId', topicMatch);
+            const existing = await getRecord(QUEUE_PK, topicId);
+
+            if (!existing) {
+                return createResponse(404, {
+                    success: false,
+                    error: `Queued topic not found: ${topicId}`
+                });
+            }
+
+            await deleteRecord(QUEUE_PK, topicId);
+            return createResponse(200, {
+                success: true,
+                topicId
+            });
+        }
+
+        if (httpMethod === 'GET' && path === '/schedule/calendar') {
+            return await getCalendar(event.queryStringParameters || {});
+        }
+
+        if (httpMethod === 'POST' && path === '/schedule/calendar') {
+            return await createCalendarEntry(requestBody);
+        }
+
+        if (httpMethod === 'PUT' && entryMatch) {
+            return await updateCalendarEntry(getPathId(event, 'entryId', entryMatch), requestBody);
+        }
+
+        if (httpMethod === 'DELETE' && entryMatch) {
+            return await updateCalendarEntry(getPathId(event, 'entryId', entryMatch), {
+                status: 'cancelled'
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Scheduler error:', error);
+        return createResponse(500, {
+            success: false,
+            error: error.message
+        });
+    }
+
+    return createResponse(404, {
+        success: false,
+        error: 'Endpoint not found'
+    });
+};
+
+/**
+ * Add a topic to the queue and plan it into the calendar straight away
+ */
+async function queueTopic(requestBody) {
+    if (!requestBody.topic || typeof requestBody.topic !== 'string') {
+        return createResponse(400, {
+            success: false,
+            error: 'Topic is required'
+        });
+    }
+
+    const now = new Date().toISOString();
+    const item = {
+        // Sortable id so the queue is read back oldest first
+        topicId: `topic-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`,
+        topic: requestBody.topic,
+        options: pickTopicOptions(requestBody),
+        createdAt: now
+    };
+
+    await putRecord(QUEUE_PK, item.topicId, item);
+    const planned = await planQueuedTopics();
+    const entry = planned.find(plannedEntry => plannedEntry.entryId === item.topicId) || null;
+
+    console.log(`📥 Topic queued: ${item.topic} (${entry ? `production ${entry.productionAt}` : 'waiting for a free slot'})`);
+
+    return createResponse(200, {
+        success: true,
+        topicId: item.topicId,
+        topic: item.topic,
+        status: entry ? 'scheduled' : 'queued',
+        entry,
+        timestamp: now
+    });
+}
+
+/**
+ * Calendar entries ordered by production time
+ */
+async function getCalendar(query) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return createResponse(400, {
+            success: false,
+            error: 'from and to must be ISO dates'
+        });
+    }
+
+    const entries = (await listRecords(CALENDAR_PK))
+        .filter(entry => (!from || new Date(entry.productionAt) >= from) && (!to || new Date(entry.productionAt) <= to))
+        .sort((a, b) => a.productionAt.localeCompare(b.productionAt));
+
+    return createResponse(200, {
+        success: true,
+        settings: getSchedulingSettings(getConfigValue),
+        entries,
+        count: entries.length
+    });
+}
+
+/**
+ * Add an entry at an explicit production time, bypassing the queue
+ */
+async function createCalendarEntry(requestBody) {
+    if (!requestBody.topic || typeof requestBody.topic !== 'string') {
+        return createResponse(400, {
+            success: false,
+            error: 'Topic is required'
+        });
+    }
+
+    const entry = {
+        entryId: `entry-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`,
+        topic: requestBody.topic,
+        options: requestBody.options || pickTopicOptions(requestBody),
+        productionAt: requestBody.productionAt,
+        publishAt: requestBody.publishAt || null,
+        status: 'scheduled'
+    };
+
+    const error = validateEntryTimes(entry);
+    if (error) {
+        return createResponse(400, {
+            success: false,
+            error
+        });
+    }
+
+    entry.createdAt = new Date().toISOString();
+    await saveEntry(entry);
+
+    return createResponse(200, {
+        success: true,
+        entry
+    });
+}
+
+/**
+ * Edit or cancel an entry that has not started production yet
+ */
+async function updateCalendarEntry(entryId, changes) {
+    const entry = await getRecord(CALENDAR_PK, entryId);
+
+    if (!entry) {
+        return createResponse(404, {
+            success: false,
+            error: `Calendar entry not found: ${entryId}`
+        });
+    }
+
+    if (entry.status !== 'scheduled') {
+        return createResponse(409, {
+            success: false,
+            error: `Calendar entry ${entryId} is ${entry.status} and can no longer be edited`
+        });
+    }
+
+    for (const field of EDITABLE_ENTRY_FIELDS) {
+        if (changes[field] !== undefined) {
+            entry[field] = changes[field];
+        }
+    }
+
+    if (changes.status !== undefined) {
+        if (!['scheduled', 'cancelled'].includes(changes.status)) {
+            return createResponse(400, {
+                success: false,
+                error: 'status can only be set to scheduled or cancelled'
+            });
+        }
+        entry.status = changes.status;
+    }
+
+    const error = validateEntryTimes(entry);
+    if (error) {
+        return createResponse(400, {
+            success: false,
+            error
+        });
+    }
+
+    await saveEntry(entry);
+    console.log(`✏️ Calendar entry ${entryId} updated (${entry.status})`);
+
+    return createResponse(200, {
+        success: true,
+        entry
+    });
+}
+
+/**
+ * Scheduled run: sync producing entries, plan the queue and start due entries
+ */
+async function runSchedulerTick() {
+    const settings = getSchedulingSettings(getConfigValue);
+
+    if (!settings.enabled) {
+        console.log('⏸️ Scheduling disabled (publishing.youtube.scheduling.enabled), skipping tick');
+        return {
+            skipped: true
+        };
+    }
+
+    const synced = await syncProducingEntries();
+    const planned = await planQueuedTopics();
+    const entries = await listRecords(CALENDAR_PK);
+    const due = selectDueEntries(entries);
+    const started = [];
+
+    if (due.length > settings.frequency) {
+        console.log(`⏳ ${due.length} entries due; starting ${settings.frequency} this tick`);
+    }
+
+    for (const entry of due.slice(0, settings.frequency)) {
+        started.push(await startEntryProduction(entry, entries, settings));
+    }
+
+    console.log(`✅ Scheduler tick: ${planned.length} planned, ${started.length} started, ${synced} synced`);
+
+    return {
+        planned: planned.length,
+        started: started.map(entry => ({
+            entryId: entry.entryId,
+            status: entry.status,
+            projectId: entry.projectId || null
+        })),
+        synced
+    };
+}
+
+/**
+ * Move queued topics into free calendar slots
+ * @returns {Array<object>} Newly planned entries
+ */
+async function planQueuedTopics() {
+    const [queue, entries] = await Promise.all([
+        listRecords(QUEUE_PK),
+        listRecords(CALENDAR_PK)
+    ]);
+
+    const planned = planCalendar(queue, entries, getSchedulingSettings(getConfigValue));
+
+    for (const entry of planned) {
+        entry.createdAt = new Date().toISOString();
+        await saveEntry(entry);
+        await deleteRecord(QUEUE_PK, entry.entryId);
+    }
+
+    return planned;
+}
+
+/**
+ * Start the workflow for a due entry
+ * @param {Array<object>} entries - Calendar entries, for re-slotting a publishAt that is too close
+ */
+async function startEntryProduction(entry, entries, settings) {
+    const options = entry.options || {};
+    const publishAt = reslotPublishAt(entry, entries, settings);
+
+    if (publishAt !== entry.publishAt) {
+        console.log(`🕒 ${entry.entryId} starts too late to publish at ${entry.publishAt}; publishing at ${publishAt || 'once ready'} instead`);
+        entry.publishAt = publishAt;
+    }
+
+    try {
+        // The start returns once the first stage is dispatched, with the projectId and executionId to track
+        const response = await lambdaClient.send(new InvokeCommand({
+            FunctionName: process.env.WORKFLOW_ORCHESTRATOR_FUNCTION,
+            InvocationType: 'RequestResponse',
+            Payload: JSON.stringify({
+                httpMethod: 'POST',
+                path: '/workflow/start',
+                body: JSON.stringify({
+                    ...options,
+                    topic: entry.topic,
+                    publishAt: entry.publishAt,
+                    // YouTube only schedules private videos
+                    privacy: entry.publishAt ? 'private' : options.privacy
+                })
+            })
+        }));
+
+        const payload = JSON.parse(new TextDecoder().decode(response.Payload));
+        const result = payload.body ? JSON.parse(payload.body) : {};
+
+        if (payload.statusCode !== 200 || !result.success) {
+            throw new Error(result.error || `Workflow start returned ${payload.statusCode}`);
+        }
+
+        entry.status = 'producing';
+        entry.projectId = result.projectId;
+        entry.executionId = result.executionId;
+        entry.startedAt = new Date().toISOString();
+        console.log(`🎬 Production started for "${entry.topic}": ${entry.projectId}`);
+
+    } catch (error) {
+        console.error(`❌ Failed to start production for ${entry.entryId}:`, error);
+        entry.status = 'failed';
+        entry.lastError = error.message;
+    }
+
+    await saveEntry(entry);
+    return entry;
+}
+
+/**
+ * Copy the final workflow status onto producing entries
+ * @returns {number} Entries that finished since the last tick
+ */
+async function syncProducingEntries() {
+    const producing = (await listRecords(CALENDAR_PK)).filter(entry => entry.status === 'producing');
+    let finished = 0;
+
+    for (const entry of producing) {
+        const workflow = await getRecord(`workflow#${entry.projectId}`, entry.projectId);
+
+        if (workflow && workflow.status === 'running') {
+            continue;
+        }
+
+        // Workflow records expire after 30 days; the outcome is no longer known
+        if (!workflow) {
+            entry.status = 'failed';
+            entry.lastError = `Workflow record for ${entry.projectId} not found (expired or deleted)`;
+            entry.completedAt = new Date().toISOString();
+            await saveEntry(entry);
+            finished++;
+            continue;
+        }
+
+        entry.status = workflow.status === 'succeeded' ? 'completed' : 'failed';
+        entry.youtubeUrl = workflow.youtubeUrl || null;
+        entry.lastError = workflow.lastError ? workflow.lastError.message : null;
+        entry.completedAt = workflow.completedAt || workflow.updatedAt;
+        await saveEntry(entry);
+        finished++;
+    }
+
+    return finished;
+}
+
+/**
+ * Validate production and publish times of an entry
+ * @returns {string|null} Error message
+ */
+function validateEntryTimes(entry) {
+    const productionAt = new Date(entry.productionAt);
+
+    if (!entry.productionAt || isNaN(productionAt.getTime())) {
+        return 'productionAt must be an ISO timestamp';
+    }
+
+    if (entry.publishAt) {
+        const publishAt = new Date(entry.publishAt);
+        if (isNaN(publishAt.getTime())) {
+            return 'publishAt must be an ISO timestamp';
+        }
+        if (publishAt <= productionAt) {
+            return 'publishAt must be after productionAt';
+        }
+    }
+
+    // Normalize so entries sort and compare consistently
+    entry.productionAt = productionAt.toISOString();
+    entry.publishAt = entry.publishAt ? new Date(entry.publishAt).toISOString() : null;
+    return null;
+}
+
+/**
+ * Workflow options accepted alongside a topic
+ */
+function pickTopicOptions(requestBody) {
+    const options = {};
+
+    for (const field of TOPIC_OPTION_FIELDS) {
+        if (requestBody[field] !== undefined) {
+            options[field] = requestBody[field];
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Resolve an id from API Gateway path parameters or the raw path match
+ */
+function getPathId(event, name, match) {
+    return decodeURIComponent((event.pathParameters && event.pathParameters[name]) || match[1]);
+}
+
+/**
+ * Store a calendar entry; keep finished entries for 30 days after production
+ */
+async function saveEntry(entry) {
+    entry.updatedAt = new Date().toISOString();
+    const keepUntil = ACTIVE_ENTRY_STATUSES.includes(entry.status) ? null :
+        Math.floor(new Date(entry.productionAt).getTime() / 1000) + (30 * 24 * 60 * 60);
+
+    await putRecord(CALENDAR_PK, entry.entryId, entry, keepUntil);
+}
+
+/**
+ * List every record under a partition key
+ */
+async function listRecords(pk) {
+    const records = [];
+    let exclusiveStartKey;
+
+    do {
+        const response = await dynamoClient.send(new QueryCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({
+                ':pk': pk
+            }),
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+
+        records.push(...(response.Items || []).map(item => stripKeys(unmarshall(item))));
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return records;
+}
+
+async function getRecord(pk, sk) {
+    const response = await dynamoClient.send(new GetItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: sk
+        })
+    }));
+
+    return response.Item ? stripKeys(unmarshall(response.Item)) : null;
+}
+
+async function putRecord(pk, sk, record, ttl = null) {
+    await dynamoClient.send(new PutItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Item: marshall({
+            ...record,
+            PK: pk,
+            SK: sk,
+            ...(ttl ? {
+                ttl
+            } : {})
+        }, {
+            removeUndefinedValues: true
+        })
+    }));
+}
+
+async function deleteRecord(pk, sk) {
+    await dynamoClient.send(new DeleteItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: sk
+        })
+    }));
+}
+
+function stripKeys(record) {
+    const rest = {
+        ...record
+    };
+    delete rest.PK;
+    delete rest.SK;
+    delete rest.ttl;
+    return rest;
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+            'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+        },
+        body: JSON.stringify(body, null, 2)
+    };
+}
@@ -0,0 +1,184 @@
+/* eslint-env jest */
+/**
+ * Narrative Generation Tests
+ */
+
+const {
+    buildNarrativePrompt,
+    parseNarrative,
+    generateNarrative
+} = require('../narrative-generation');
+const {
+    getScriptTemplates
+} = require('../script-templates');
+
+const config = {
+    'ai.models.primary': {
+        id: 'primary-model',
+        maxTokens: 4000,
+        temperature: 0.7
+    },
+    'ai.models.fallback': {
+        id: 'fallback-model',
+        maxTokens: 2000,
+        temperature: 0.5
+    },
+    'ai.prompts.scriptGeneration': {
+        systemPrompt: 'You write narration.',
+        temperature: 0.6,
+        narrativeElements: ['End each scene with a transition'],
+        callToAction: 'Ask viewers to subscribe'
+    }
+};
+const getConfigValue = (key, defaultValue) => (config[key] !== undefined ? config[key] : defaultValue);
+
+// 8 seconds at 150 words per minute is a 20-word budget
+const scenes = [{
+    sceneNumber: 1,
+    purpose: 'hook',
+    template: 'hook',
+    duration: 8,
+    topic: {
+        subtopic: 'Why Lisbon beats Porto for a first trip',
+        valueProposition: 'Pick the right city first'
+    }
+}, {
+    sceneNumber: 2,
+    purpose: 'conclusion',
+    template: 'conclusion',
+    duration: 8,
+    topic: {
+        subtopic: 'Three days in Lisbon on a budget',
+        valueProposition: 'Spend less than 200 euros'
+    }
+}];
+
+const narration = words => Array.from({
+    length: words
+}, (_, index) => `word${index}`).join(' ');
+
+describe('buildNarrativePrompt', () => {
+    test('includes the scene plan, word budgets, prompt settings and language', () => {
+        const prompt = buildNarrativePrompt({
+            mainTopic: 'Lisbon travel',
+            targetAudience: 'budget travelers',
+            videoStyle: 'engaging',
+            scenes,
+            templates: getScriptTemplates('pt'),
+            settings: {
+                wordsPerMinute: 150,
+                narrativeElements: ['End each scene with a transition'],
+                callToAction: 'Ask viewers to subscribe'
+            }
+        });
+
+        expect(prompt).toContain('1. [hook, about 20 words] Why Lisbon beats Porto for a first trip');
+        expect(prompt).toContain('- End each scene with a transition');
+        expect(prompt).toContain('Call to action for the final scene: Ask viewers to subscribe.');
+        expect(prompt).toContain('Write every narration in Portuguese');
+    });
+});
+
+describe('parseNarrative', () => {
+    test('returns narration in scene order', () => {
+        expect(parseNarrative(`Here you go: ${JSON.stringify([{
+            sceneNumber: 2,
+            narration: narration(12)
+        }, {
+            sceneNumber: 1,
+            narration: `  ${narration(20)}\n`
+        }])}`, scenes)).toEqual([narration(20), narration(12)]);
+    });
+
+    test('rejects missing or far too short scenes', () => {
+        expect(parseNarrative(JSON.stringify([{
+            sceneNumber: 1,
+            narration: narration(20)
+        }]), scenes)).toBeNull();
+        expect(parseNarrative(JSON.stringify([{
+            sceneNumber: 1,
+            narration: narration(20)
+        }, {
+            sceneNumber: 2,
+            narration: 'Subscribe!'
+        }]), scenes)).toBeNull();
+        expect(parseNarrative('no JSON here', scenes)).toBeNull();
+    });
+});
+
+describe('generateNarrative', () => {
+    const options = {
+        mainTopic: 'Lisbon travel',
+        targetAudience: 'general',
+        videoStyle: 'engaging',
+        scenes,
+        templates: getScriptTemplates('en')
+    };
+
+    test('uses the prompt settings and falls back to the second model', async () => {
+        const modelClient = {
+            invoke: jest.fn()
+                .mockResolvedValueOnce('Sorry, I cannot help with that.')
+                .mockResolvedValueOnce(JSON.stringify(scenes.map(scene => ({
+                    sceneNumber: scene.sceneNumber,
+                    narration: narration(20)
+                }))))
+        };
+        const result = await generateNarrative(options, {
+            modelClient,
+            getConfigValue
+        });
+
+        expect(result.source).toBe('model');
+        expect(result.modelId).toBe('fallback-model');
+        expect(modelClient.invoke.mock.calls[0][0].system).toBe('You write narration.');
+        expect(modelClient.invoke.mock.calls[0][0].model).toEqual({
+            id: 'primary-model',
+            maxTokens: 4000,
+            temperature: 0.6,
+            timeout: 60000
+        });
+    });
+
+    test('leaves the fallback model time before the deadline', async () => {
+        const modelClient = {
+            invoke: jest.fn().mockRejectedValue(new Error('aborted'))
+        };
+        await generateNarrative(options, {
+            modelClient,
+            getConfigValue,
+            deadline: Date.now() + 20000
+        });
+
+        const [primary, fallback] = modelClient.invoke.mock.calls.map(call => call[0].model.timeout);
+        expect(primary).toBeGreaterThan(9000);
+        expect(primary).toBeLessThanOrEqual(10000);
+        expect(fallback).toBeGreaterThan(primary);
+
+        const late = await generateNarrative(options, {
+            modelClient,
+            getConfigValue,
+            deadline: Date.now() + 500
+        });
+        expect(modelClient.invoke).toHaveBeenCalledTimes(2);
+        expect(late.source).toBe('template');
+    });
+
+    test('uses the templates with a call to action in dry runs', async () => {
+        const modelClient = {
+            invoke: jest.fn()
+        };
+        const result = await generateNarrative({
+            ...options,
+            dryRun: true
+        }, {
+            modelClient,
+            getConfigValue
+        });
+
+        expect(modelClient.invoke).not.toHaveBeenCalled();
+        expect(result.source).toBe('template');
+        expect(result.narrations[0]).toMatch(/^Welcome to our comprehensive guide on Lisbon travel/);
+        expect(result.narrations[1]).toMatch(/subscribe for more/);
+    });
+});
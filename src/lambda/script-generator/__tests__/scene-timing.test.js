@@ -0,0 +1,56 @@
+/* eslint-env jest */
+/**
+ * Scene Timing Tests
+ */
+
+const {
+    getTimingSettings,
+    estimateSceneDuration,
+    timeScenes
+} = require('../scene-timing');
+
+const settings = {
+    wordsPerMinute: 150,
+    minSceneDuration: 5,
+    maxSceneDuration: 30
+};
+
+const words = count => Array.from({
+    length: count
+}, (_, index) => `word${index}`).join(' ');
+
+test('getTimingSettings reads content.sceneTiming with defaults', () => {
+    expect(getTimingSettings((key, defaultValue) => (key === 'content.sceneTiming' ? {
+        wordsPerMinute: 180
+    } : defaultValue))).toEqual({
+        wordsPerMinute: 180,
+        minSceneDuration: 5,
+        maxSceneDuration: 120
+    });
+});
+
+test('estimateSceneDuration rounds up to whole seconds within the bounds', () => {
+    // 2.5 words per second
+    expect(estimateSceneDuration(words(26), settings)).toBe(11);
+    expect(estimateSceneDuration('Hi there.', settings)).toBe(5);
+    expect(estimateSceneDuration(words(200), settings)).toBe(30);
+});
+
+test('timeScenes chains start times from the narration durations', () => {
+    expect(timeScenes([words(25), words(50), 'Subscribe!'], settings)).toEqual({
+        timings: [{
+            wordCount: 25,
+            duration: 10,
+            startTime: 0
+        }, {
+            wordCount: 50,
+            duration: 20,
+            startTime: 10
+        }, {
+            wordCount: 1,
+            duration: 5,
+            startTime: 30
+        }],
+        totalDuration: 35
+    });
+});
@@ -0,0 +1,70 @@
+/* eslint-env jest */
+/**
+ * Script Structure Tests
+ */
+
+const {
+    planScenes
+} = require('../script-structures');
+
+const topicContext = count => ({
+    mainTopic: 'Lisbon travel',
+    expandedTopics: Array.from({
+        length: count
+    }, (_, index) => ({
+        subtopic: `Subtopic ${index + 1}`,
+        valueProposition: `Value ${index + 1}`,
+        visualNeeds: [`visual ${index + 1}`, 'city']
+    }))
+});
+
+const layout = plan => plan.scenes.map(scene => [scene.purpose, scene.sceneType, scene.number]);
+
+describe('planScenes', () => {
+    test('standard uses one scene per subtopic beyond the old six-scene cap', () => {
+        const plan = planScenes(topicContext(8));
+
+        expect(plan.structure).toBe('standard');
+        expect(plan.scenes).toHaveLength(8);
+        expect(layout(plan)[0]).toEqual(['hook', 'dynamic_intro', null]);
+        expect(layout(plan)[7]).toEqual(['conclusion', 'informative', null]);
+    });
+
+    test('listicle adds an intro and recap around items counted down', () => {
+        const plan = planScenes(topicContext(3), 'listicle');
+
+        expect(layout(plan)).toEqual([
+            ['hook', 'dynamic_intro', null],
+            ['list_item', 'ranked_item', 3],
+            ['list_item', 'ranked_item', 2],
+            ['list_item', 'ranked_item', 1],
+            ['conclusion', 'recap', null]
+        ]);
+        expect(plan.scenes[0].topic).toEqual({
+            subtopic: 'Lisbon travel',
+            valueProposition: 'Value 1',
+            visualNeeds: ['visual 1', 'visual 2', 'visual 3']
+        });
+    });
+
+    test('story follows the arc and comparison ends with a verdict', () => {
+        expect(layout(planScenes(topicContext(4), 'story')).map(([purpose]) => purpose))
+            .toEqual(['setup', 'rising_action', 'climax', 'resolution']);
+        expect(layout(planScenes(topicContext(9), 'comparison'))).toHaveLength(10);
+        expect(layout(planScenes(topicContext(2), 'comparison')).pop()).toEqual(['verdict', 'verdict', null]);
+    });
+
+    test('numbers tutorial steps and itinerary days from one', () => {
+        expect(planScenes(topicContext(2), 'tutorial').scenes.map(scene => scene.number)).toEqual([null, 1, 2, null]);
+        expect(planScenes(topicContext(1), 'itinerary').scenes[1]).toMatchObject({
+            purpose: 'day',
+            sceneType: 'location_showcase',
+            number: 1
+        });
+    });
+
+    test('rejects unknown structures and too few subtopics', () => {
+        expect(planScenes(topicContext(3), 'podcast').error).toMatch(/Unknown script structure/);
+        expect(planScenes(topicContext(2), 'story').error).toMatch(/at least 3 subtopics/);
+    });
+});
@@ -0,0 +1,50 @@
+/* eslint-env jest */
+/**
+ * Script Template Tests
+ */
+
+const {
+    getScriptTemplates,
+    buildTitle
+} = require('../script-templates');
+
+const rules = {
+    minTitleLength: 30,
+    maxTitleLength: 100
+};
+
+describe('buildTitle', () => {
+    test('lengthens short topics with a subtopic that adds information', () => {
+        const title = buildTitle('Spain', [
+            'Complete guide to Spain for travelers',
+            'Madrid to Toledo by AVE train'
+        ], getScriptTemplates('en'), rules);
+
+        expect(title).toBe('Complete Guide: Spain | Madrid to Toledo by AVE train');
+        expect(title.length).toBeGreaterThanOrEqual(rules.minTitleLength);
+    });
+
+    test('keeps titles that already fit the bounds', () => {
+        expect(buildTitle('Lisbon travel on a budget', ['Day trips'], getScriptTemplates('en'), rules))
+            .toBe('Complete Guide: Lisbon travel on a budget');
+    });
+
+    test('cuts long titles at a word boundary', () => {
+        const title = buildTitle('the best neighbourhoods, markets, museums and day trips for a long weekend in Lisbon and Porto', [], getScriptTemplates('en'), rules);
+
+        expect(title.length).toBeLessThanOrEqual(rules.maxTitleLength);
+        expect(title).toBe('Complete Guide: the best neighbourhoods, markets, museums and day trips for a long weekend in Lisbon');
+    });
+    test('extends and then pads titles that the subtopics leave too short', () => {
+        expect(buildTitle('Spain', ['Spain'], getScriptTemplates('en'), rules))
+            .toBe('Complete Guide: Spain | Spain | Everything You Need to Know');
+
+        const title = buildTitle('Spain', [], getScriptTemplates('de'), {
+            minTitleLength: 80,
+            maxTitleLength: 100
+        });
+        expect(title.startsWith('Der komplette Leitfaden: Spain | Alles, was du wissen musst')).toBe(true);
+        expect(title).toHaveLength(80);
+    });
+});
+
@@ -0,0 +1,157 @@
+/* eslint-env jest */
+/**
+ * Script Text Tests
+ */
+
+const {
+    formatScriptText,
+    parseScriptText,
+    readScriptEdit,
+    applyScriptEdit
+} = require('../script-text');
+
+const timing = {
+    wordsPerMinute: 150,
+    minSceneDuration: 5,
+    maxSceneDuration: 120
+};
+
+const words = count => Array.from({
+    length: count
+}, (_, index) => `word${index}`).join(' ');
+
+const script = {
+    title: 'Complete Guide: Lisbon travel',
+    totalDuration: 30,
+    fullScript: `${words(25)} ${words(50)}`,
+    metadata: {
+        language: 'en'
+    }
+};
+
+const sceneContext = {
+    structure: 'standard',
+    language: 'en',
+    totalDuration: 30,
+    scenes: [{
+        sceneNumber: 1,
+        title: 'Lisbon travel',
+        purpose: 'hook',
+        duration: 10,
+        startTime: 0,
+        content: {
+            script: words(25)
+        },
+        visualRequirements: {
+            sceneType: 'dynamic_intro'
+        }
+    }, {
+        sceneNumber: 2,
+        title: 'Three days on a budget',
+        purpose: 'conclusion',
+        duration: 20,
+        startTime: 10,
+        content: {
+            script: words(50)
+        },
+        visualRequirements: {
+            sceneType: 'informative'
+        }
+    }]
+};
+
+describe('formatScriptText', () => {
+    test('writes the title, details and one section per scene', () => {
+        const text = formatScriptText(script, sceneContext);
+
+        expect(text).toMatch(/^# Complete Guide: Lisbon travel\n> Structure: standard \| Language: en \| Duration: 0:30\n/);
+        expect(text).toContain('## Scene 2 - Three days on a budget (conclusion, 0:10-0:30)\nword0 word1');
+    });
+
+    test('round-trips through parseScriptText', () => {
+        expect(parseScriptText(formatScriptText(script, sceneContext))).toEqual({
+            title: 'Complete Guide: Lisbon travel',
+            scenes: [{
+                sceneNumber: 1,
+                script: words(25)
+            }, {
+                sceneNumber: 2,
+                script: words(50)
+            }]
+        });
+    });
+});
+
+describe('readScriptEdit', () => {
+    test('joins wrapped narration lines and rejects text without scene sections', () => {
+        expect(readScriptEdit({
+            scriptText: '## Scene 2\nFirst line\n  second line\n'
+        }).scenes).toEqual([{
+            sceneNumber: 2,
+            script: 'First line second line'
+        }]);
+        expect(readScriptEdit({
+            scriptText: 'Just some text'
+        }).violations[0].rule).toBe('format');
+    });
+
+    test('accepts a scene list and reports malformed entries', () => {
+        expect(readScriptEdit({
+            scenes: [{
+                sceneNumber: 1,
+                script: 'New hook'
+            }]
+        }).scenes).toHaveLength(1);
+        expect(readScriptEdit({
+            scenes: [{
+                sceneNumber: '1'
+            }]
+        }).violations[0].field).toBe('scenes[0]');
+        expect(readScriptEdit({}).violations[0].rule).toBe('required');
+    });
+});
+
+describe('applyScriptEdit', () => {
+    test('re-times the scenes and reports only changed narration', () => {
+        const result = applyScriptEdit(script, sceneContext, {
+            title: null,
+            scenes: [{
+                sceneNumber: 1,
+                script: words(25)
+            }, {
+                sceneNumber: 2,
+                script: words(75)
+            }]
+        }, timing);
+
+        expect(result.changedScenes).toEqual([2]);
+        expect(result.sceneContext.scenes[1]).toMatchObject({
+            duration: 30,
+            startTime: 10,
+            wordCount: 75
+        });
+        expect(result.sceneContext.totalDuration).toBe(40);
+        expect(result.script.scenes[1].script).toBe(words(75));
+        expect(result.script.title).toBe(script.title);
+    });
+
+    test('rejects unknown, repeated and empty scenes', () => {
+        const result = applyScriptEdit(script, sceneContext, {
+            scenes: [{
+                sceneNumber: 3,
+                script: 'Extra'
+            }, {
+                sceneNumber: 1,
+                script: ''
+            }, {
+                sceneNumber: 2,
+                script: 'Once'
+            }, {
+                sceneNumber: 2,
+                script: 'Twice'
+            }]
+        }, timing);
+
+        expect(result.violations.map(violation => violation.rule)).toEqual(['exists', 'required', 'unique']);
+    });
+});
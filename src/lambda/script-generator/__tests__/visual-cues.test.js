@@ -0,0 +1,100 @@
+/* eslint-env jest */
+/**
+ * Visual Cue Tests
+ */
+
+const {
+    splitBeats,
+    extractCues,
+    addVisualCues
+} = require('../visual-cues');
+
+const scene = {
+    sceneNumber: 2,
+    startTime: 10,
+    duration: 20,
+    content: {
+        script: 'Welcome back! Ride tram 28 past the Alfama rooftops at sunrise. Then we are exploring Belem Tower and tasting pastries at Lisbon\'s oldest bakery.'
+    },
+    visualRequirements: {
+        searchKeywords: ['overview', 'tips'],
+        sceneType: 'informative',
+        locations: [{
+            name: 'Alfama'
+        }, {
+            name: 'Belém Tower'
+        }]
+    }
+};
+
+describe('splitBeats', () => {
+    test('splits sentences and merges very short ones into a neighbour', () => {
+        expect(splitBeats(scene.content.script)).toEqual([
+            'Welcome back! Ride tram 28 past the Alfama rooftops at sunrise.',
+            'Then we are exploring Belem Tower and tasting pastries at Lisbon\'s oldest bakery.'
+        ]);
+    });
+
+    test('merges the shortest neighbours when a scene has too many sentences', () => {
+        const narration = Array.from({
+            length: 8
+        }, (_, index) => `Sentence number ${index + 1} has six words.`).join(' ');
+
+        expect(splitBeats(narration)).toHaveLength(6);
+    });
+});
+
+describe('extractCues', () => {
+    test('finds location entities, capitalized names, nouns and actions', () => {
+        const {
+            cues,
+            locations
+        } = extractCues('Then we are exploring Belem Tower and tasting pastries at Lisbon\'s oldest bakery.', scene.visualRequirements.locations);
+
+        expect(cues.places).toEqual(['Belém Tower', 'Lisbon']);
+        expect(cues.actions).toEqual(['exploring', 'tasting']);
+        expect(cues.nouns).toContain('pastries');
+        expect(locations).toEqual([{
+            name: 'Belém Tower'
+        }]);
+    });
+
+    test('uses the narration language stop words', () => {
+        expect(extractCues('Paseando por el mercado de San Miguel con amigos.', [], 'es').cues).toEqual({
+            places: ['San Miguel'],
+            nouns: ['mercado', 'amigos'],
+            actions: ['paseando']
+        });
+    });
+});
+
+describe('addVisualCues', () => {
+    test('times beats by word count and replaces generic search keywords', () => {
+        const {
+            visualRequirements
+        } = addVisualCues(scene, 'en');
+
+        // 11 and 13 words over the scene's 20 seconds
+        expect(visualRequirements.beats.map(beat => [beat.beatNumber, beat.startTime, beat.duration])).toEqual([
+            [1, 10, 9.2],
+            [2, 19.2, 10.8]
+        ]);
+        expect(visualRequirements.beats[0].searchQuery).toBe('Alfama tram rooftops sunrise ride');
+        expect(visualRequirements.searchKeywords[0]).toBe('Alfama');
+        expect(visualRequirements.visualNeeds).toEqual(['overview', 'tips']);
+    });
+
+    test('falls back to the topic visual needs for beats without cues', () => {
+        const {
+            visualRequirements
+        } = addVisualCues({
+            ...scene,
+            content: {
+                script: 'You will want to see this one.'
+            }
+        });
+
+        expect(visualRequirements.beats[0].searchQuery).toBe('overview tips');
+        expect(visualRequirements.searchKeywords).toEqual(['overview', 'tips']);
+    });
+});
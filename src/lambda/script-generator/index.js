@@ -44,6 +44,57 @@
  * - Multi-Modal Content Planning: Determines when to use images vs video clips
  * - Audience Engagement Optimization: Structures content for maximum viewer retention
  * 
+ * STRUCTURE:
+ * scriptOptions.structure picks the scene layout (standard, listicle,
+ * tutorial, itinerary, comparison or story; see script-structures.js), which
+ * sets the scene count, each scene's purpose and its
+ * visualRequirements.sceneType.
+ *
+ * NARRATION:
+ * The primary model (then the fallback) writes every scene's narration in one
+ * pass: hook, scene bodies with transitions, and a call-to-action conclusion,
+ * following ai.prompts.scriptGeneration (see narrative-generation.js). Dry
+ * runs and failed model calls use the script templates.
+ *
+ * TIMING:
+ * scriptOptions.targetLength only sets the narration word budgets. Each
+ * scene's duration comes from its narration's word count at the
+ * content.sceneTiming speaking rate (see scene-timing.js); start times and
+ * totalDuration follow from those durations.
+ *
+ * LANGUAGE:
+ * Narration follows topic-context.json's language (see script-templates.js),
+ * which is copied into the scene context for Audio Generator and Media Curator.
+ * A series episode's shared voice is copied the same way.
+ *
+ * VISUAL CUES:
+ * Each scene's narration is split into beats (sentences) with the places,
+ * nouns and actions they mention and approximate timestamps, stored as
+ * visualRequirements.beats (see visual-cues.js). searchKeywords holds the
+ * scene's concrete cues; the topic's visualNeeds are kept alongside as the
+ * fallback for beats without any. Media Curator picks one visual per beat.
+ *
+ * LOCATIONS:
+ * Each scene's visualRequirements.locations lists the place entities its
+ * subtopic mentions (or the topic's primary place), so Media Curator searches
+ * Google Places with exact names.
+ *
+ * VALIDATION:
+ * Request bodies and the topic context are checked against the schemas in
+ * pipeline-shared/content-validation.js (400 listing every violated rule).
+ * The generated script must meet content.validation's title bounds and
+ * required elements (title and hook at this stage); otherwise nothing is
+ * stored and a 422 lists why.
+ *
+ * EDITING:
+ * Every run also writes 02-script/script.txt, a Markdown copy of the script
+ * with one section per scene (see script-text.js). PUT /scripts/{projectId}
+ * takes an edited copy as { scriptText } (or { title, scenes: [{ sceneNumber,
+ * script }] }), re-times the scenes and stores the new script, scene context
+ * and script.txt. Audio segments and 03-media folders of the scenes whose
+ * narration changed are deleted with the master narration; Audio Generator
+ * and Media Curator redo only those scenes on their next run.
+ *
  * DOWNSTREAM AI IMPACT:
  * - Media Curator AI uses visualRequirements for intelligent content selection
  * - Audio Generator AI uses script content for natural narration generation
@@ -54,7 +105,9 @@
 const {
     S3Client,
     GetObjectCommand,
-    PutObjectCommand
+    PutObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectsCommand
 } = require('@aws-sdk/client-s3');
 const {
     DynamoDBClient,
@@ -65,6 +118,52 @@ const {
     marshall,
     unmarshall
 } = require('@aws-sdk/util-dynamodb');
+const {
+    checkStageCache,
+    saveStageCache,
+    cachedResponse
+} = require('pipeline-shared/stage-cache');
+const {
+    getScriptTemplates,
+    buildTitle
+} = require('./script-templates');
+const {
+    generateNarrative
+} = require('./narrative-generation');
+const {
+    createBedrockModelClient
+} = require('pipeline-shared/bedrock-client');
+const {
+    getModelDeadline
+} = require('pipeline-shared/model-deadline');
+const {
+    getTimingSettings,
+    timeScenes
+} = require('./scene-timing');
+const {
+    DEFAULT_STRUCTURE,
+    SCRIPT_STRUCTURE_NAMES,
+    planScenes
+} = require('./script-structures');
+const {
+    addVisualCues
+} = require('./visual-cues');
+const {
+    formatScriptText,
+    readScriptEdit,
+    applyScriptEdit
+} = require('./script-text');
+const {
+    getConfigValue
+} = require('pipeline-shared/config-loader');
+const {
+    SCRIPT_REQUEST_SCHEMA,
+    TOPIC_CONTEXT_SCHEMA,
+    SCENE_CONTEXT_SCHEMA,
+    getContentRules,
+    validateSchema,
+    validateContent
+} = require('pipeline-shared/content-validation');
 
 const s3Client = new S3Client({
     region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
@@ -73,16 +172,29 @@ const dynamoClient = new DynamoDBClient({
     region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
 });
 
+// Created on first use so dry runs never build a Bedrock client
+let defaultModelClient = null;
+
+// content.validation requiredElements produced by this stage
+const SCRIPT_CONTENT_ELEMENTS = ['title', 'hook'];
+
+// PUT /scripts/{projectId}
+const SCRIPT_EDIT_PATH = /^\/scripts\/([^/]+)$/;
+
 /**
  * Main Lambda handler
  */
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
     console.log('Simplified Script Generator invoked:', JSON.stringify(event, null, 2));
 
+    // Model calls must finish within this invocation (and API Gateway's limit)
+    const modelDeadline = getModelDeadline(event, context);
+
     const {
         httpMethod,
         path,
-        body
+        body,
+        pathParameters
     } = event;
 
     // Health check and GET endpoint
@@ -91,9 +203,10 @@ exports.handler = async (event) => {
             service: 'script-generator-simplified',
             status: 'healthy',
             timestamp: new Date().toISOString(),
-            architecture: 'simplified-no-shared-layer',
+            architecture: 'simplified-shared-layer',
             endpoints: {
                 'POST /scripts/generate': 'Generate script from topic context',
+                'PUT /scripts/{projectId}': 'Replace scene narration with an edited script',
                 'GET /scripts/generate': 'Health check and service status'
             },
             version: '4.0.0'
@@ -104,18 +217,33 @@ exports.handler = async (event) => {
     if (httpMethod === 'POST' && path === '/scripts/generate') {
         try {
             const requestBody = body ? JSON.parse(body) : {};
-            const {
-                projectId,
-                scriptOptions = {}
-            } = requestBody;
+            const requestViolations = validateSchema(requestBody, SCRIPT_REQUEST_SCHEMA);
+            const structure = (requestBody.scriptOptions && requestBody.scriptOptions.structure) || DEFAULT_STRUCTURE;
+
+            if (typeof structure === 'string' && !SCRIPT_STRUCTURE_NAMES.includes(structure)) {
+                requestViolations.push({
+                    field: 'scriptOptions.structure',
+                    rule: 'supported',
+                    message: `Unknown script structure: ${structure} (supported: ${SCRIPT_STRUCTURE_NAMES.join(', ')})`
+                });
+            }
 
-            if (!projectId) {
+            if (requestViolations.length > 0) {
                 return createResponse(400, {
                     success: false,
-                    error: 'Project ID is required'
+                    error: `Invalid script request: ${requestViolations.map(violation => violation.message).join('; ')}`,
+                    type: 'VALIDATION',
+                    violations: requestViolations
                 });
             }
 
+            const {
+                projectId,
+                scriptOptions = {},
+                dryRun = false,
+                force = false
+            } = requestBody;
+
             // Retrieve topic context
             const topicContext = await retrieveContext('topic', projectId);
 
@@ -127,23 +255,94 @@ exports.handler = async (event) => {
                 });
             }
 
+            const contextViolations = validateSchema(topicContext, TOPIC_CONTEXT_SCHEMA);
+
+            if (contextViolations.length > 0) {
+                return createResponse(400, {
+                    success: false,
+                    error: 'Topic context is incomplete. Run Topic Management again.',
+                    type: 'VALIDATION',
+                    violations: contextViolations
+                });
+            }
+
+            const plan = planScenes(topicContext, structure);
+
+            if (plan.error) {
+                return createResponse(400, {
+                    success: false,
+                    error: plan.error,
+                    type: 'VALIDATION',
+                    violations: [{
+                        field: 'scriptOptions.structure',
+                        rule: 'minSubtopics',
+                        message: plan.error
+                    }]
+                });
+            }
+
+            const cache = await checkStageCache({
+                stage: 'script-generator',
+                projectId,
+                options: {
+                    ...scriptOptions,
+                    dryRun
+                },
+                inputKeys: [`videos/${projectId}/01-context/topic-context.json`],
+                outputKeys: [
+                    `videos/${projectId}/01-context/scene-context.json`,
+                    `videos/${projectId}/02-script/script.json`
+                ],
+                force
+            });
+
+            if (cache.hit) {
+                return createResponse(200, cachedResponse(cache));
+            }
+
             // Generate script
-            const scriptData = await generateScript(topicContext, scriptOptions);
+            const scriptData = await generateScript(topicContext, scriptOptions, plan, {
+                dryRun,
+                deadline: modelDeadline
+            });
+            const scriptViolations = validateGeneratedScript(scriptData);
+
+            if (scriptViolations.length > 0) {
+                console.warn(`⚠️ Generated script for ${projectId} failed validation:`, scriptViolations.map(violation => violation.message));
+                return createResponse(422, {
+                    success: false,
+                    error: 'Generated script failed content validation',
+                    type: 'VALIDATION',
+                    projectId,
+                    violations: scriptViolations
+                });
+            }
+
+            if (dryRun) {
+                scriptData.scenes.dryRun = true;
+            }
 
             // Store script and scene context
             await storeContext(scriptData.script, 'script', projectId);
             await storeContext(scriptData.scenes, 'scene', projectId);
+            await storeScriptText(scriptData.script, scriptData.scenes, projectId);
 
             console.log(`✅ Script Generator completed for project: ${projectId}`);
 
-            return createResponse(200, {
+            const responseBody = {
                 success: true,
                 projectId: projectId,
+                structure: plan.structure,
                 totalScenes: scriptData.scenes.scenes.length,
                 totalDuration: scriptData.script.totalDuration,
                 script: scriptData.script,
+                dryRun,
+                fingerprint: cache.fingerprint,
                 timestamp: new Date().toISOString()
-            });
+            };
+
+            await saveStageCache(cache, responseBody);
+            return createResponse(200, responseBody);
 
         } catch (error) {
             console.error('❌ Script Generator error:', error);
@@ -154,6 +353,77 @@ exports.handler = async (event) => {
         }
     }
 
+    // Edited script
+    const editMatch = httpMethod === 'PUT' && path ? path.match(SCRIPT_EDIT_PATH) : null;
+    if (editMatch) {
+        try {
+            const projectId = (pathParameters && pathParameters.projectId) || decodeURIComponent(editMatch[1]);
+            const requestBody = body ? JSON.parse(body) : {};
+            const edit = readScriptEdit(requestBody);
+
+            if (edit.violations) {
+                return createResponse(400, {
+                    success: false,
+                    error: `Invalid script edit: ${edit.violations.map(violation => violation.message).join('; ')}`,
+                    type: 'VALIDATION',
+                    violations: edit.violations
+                });
+            }
+
+            const script = await retrieveContext('script', projectId);
+            const sceneContext = await retrieveContext('scene', projectId);
+
+            if (!script || !sceneContext) {
+                return createResponse(404, {
+                    success: false,
+                    error: `No script found for project ${projectId}. Generate one with POST /scripts/generate first.`
+                });
+            }
+
+            const result = applyScriptEdit(script, sceneContext, edit, getTimingSettings(getConfigValue));
+            const violations = result.violations || validateGeneratedScript({
+                script: result.script,
+                scenes: result.sceneContext
+            });
+
+            if (violations.length > 0) {
+                return createResponse(400, {
+                    success: false,
+                    error: `Invalid script edit: ${violations.map(violation => violation.message).join('; ')}`,
+                    type: 'VALIDATION',
+                    projectId,
+                    violations
+                });
+            }
+
+            await storeContext(result.script, 'script', projectId);
+            await storeContext(result.sceneContext, 'scene', projectId);
+            await storeScriptText(result.script, result.sceneContext, projectId);
+
+            // Audio and media of the rewritten scenes are stale; the other scenes are reused on the next run
+            const invalidated = await invalidateSceneAssets(projectId, result.changedScenes);
+
+            console.log(`✏️ Script for ${projectId} edited; changed scenes: ${result.changedScenes.join(', ') || 'none'}`);
+
+            return createResponse(200, {
+                success: true,
+                projectId,
+                changedScenes: result.changedScenes,
+                invalidated,
+                totalDuration: result.script.totalDuration,
+                script: result.script,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('❌ Script edit error:', error);
+            return createResponse(500, {
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
     return createResponse(404, {
         success: false,
         error: 'Endpoint not found'
@@ -162,47 +432,90 @@ exports.handler = async (event) => {
 
 /**
  * Generate script from topic context
+ * @param {object} plan - Scene plan from planScenes (script-structures.js)
+ * @param {object} options - { dryRun, modelClient, deadline } where modelClient replaces the
+ *   Bedrock client and deadline (see model-deadline.js) bounds the narration model calls
  */
-async function generateScript(topicContext, scriptOptions) {
+async function generateScript(topicContext, scriptOptions, plan, options = {}) {
     const {
         targetLength = 300, videoStyle = 'engaging', targetAudience = 'general'
     } = scriptOptions;
+    const dryRun = options.dryRun === true;
+    const language = topicContext.language || 'en';
+    const templates = getScriptTemplates(language);
 
-    // Calculate scene timing
-    const sceneCount = Math.min(topicContext.expandedTopics.length, 6);
+    // Planned length per scene sets the narration word budgets; the final timing follows the narration
+    const sceneCount = plan.scenes.length;
     const sceneLength = Math.floor(targetLength / sceneCount);
+    const plannedScenes = plan.scenes.map(scene => ({
+        ...scene,
+        duration: sceneLength
+    }));
+
+    // Model-written narration for all scenes at once (ai.models.primary, then ai.models.fallback)
+    const narrative = await generateNarrative({
+        mainTopic: topicContext.mainTopic,
+        targetAudience,
+        videoStyle,
+        guidance: plan.guidance,
+        scenes: plannedScenes,
+        templates,
+        dryRun
+    }, {
+        modelClient: options.modelClient || (dryRun ? null : getDefaultModelClient()),
+        getConfigValue,
+        deadline: options.deadline || null
+    });
+    console.log(`✍️ Narration for ${sceneCount} ${plan.structure} scenes written by ${narrative.modelId || narrative.source}`);
+
+    const {
+        timings,
+        totalDuration
+    } = timeScenes(narrative.narrations, getTimingSettings(getConfigValue));
+    console.log(`⏱️ Narration runs ${totalDuration}s (target ${targetLength}s)`);
 
     const scenes = [];
     const scriptParts = [];
 
-    // Generate scenes from expanded topics
+    // Generate scenes from the planned structure
     for (let i = 0; i < sceneCount; i++) {
-        const topic = topicContext.expandedTopics[i];
-        const sceneNumber = i + 1;
+        const {
+            sceneNumber,
+            purpose,
+            sceneType,
+            number,
+            topic
+        } = plannedScenes[i];
 
         const scene = {
             sceneNumber,
             title: topic.subtopic,
-            duration: sceneLength,
-            startTime: i * sceneLength,
-            purpose: i === 0 ? 'hook' : i === sceneCount - 1 ? 'conclusion' : 'content',
+            duration: timings[i].duration,
+            startTime: timings[i].startTime,
+            wordCount: timings[i].wordCount,
+            purpose,
+            // Rank, step or day in numbered structures
+            number,
             content: {
-                script: generateSceneScript(topic, topicContext.mainTopic, i === 0)
+                script: narrative.narrations[i]
             },
             visualRequirements: {
                 searchKeywords: topic.visualNeeds,
-                sceneType: i === 0 ? 'dynamic_intro' : 'informative',
-                emotionalTone: videoStyle
+                sceneType,
+                emotionalTone: videoStyle,
+                locations: getSceneLocations(topicContext.locations, topic)
             }
         };
 
-        scenes.push(scene);
+        // Beats with concrete cues replace the topic's generic visual needs as search keywords
+        scenes.push(addVisualCues(scene, language));
         scriptParts.push(scene.content.script);
     }
 
     const script = {
-        title: `Complete Guide: ${topicContext.mainTopic}`,
-        totalDuration: targetLength,
+        title: buildTitle(topicContext.mainTopic, plannedScenes.map(scene => scene.topic.subtopic), templates, getContentRules(getConfigValue)),
+        totalDuration,
+        structure: plan.structure,
         sceneCount: sceneCount,
         fullScript: scriptParts.join(' '),
         scenes: scenes.map(s => ({
@@ -214,13 +527,21 @@ async function generateScript(topicContext, scriptOptions) {
             generatedAt: new Date().toISOString(),
             targetAudience,
             videoStyle,
+            language,
+            targetDuration: targetLength,
+            narrativeSource: narrative.source,
+            narrativeModel: narrative.modelId,
             architecture: 'simplified'
         }
     };
 
     const sceneContext = {
         scenes: scenes,
-        totalDuration: targetLength,
+        totalDuration,
+        structure: plan.structure,
+        // Narration voice and media search locale for the later stages
+        language,
+        voiceId: topicContext.series && topicContext.series.voice ? topicContext.series.voice.voiceId : null,
         metadata: {
             generatedAt: new Date().toISOString(),
             architecture: 'simplified'
@@ -234,14 +555,35 @@ async function generateScript(topicContext, scriptOptions) {
 }
 
 /**
- * Generate script for individual scene
+ * Schema and content.validation violations of a generated script and scene context
+ */
+function validateGeneratedScript(scriptData) {
+    // Every structure opens with the scene that hooks the viewer
+    const openingScene = scriptData.scenes.scenes[0];
+
+    return validateSchema(scriptData.scenes, SCENE_CONTEXT_SCHEMA).concat(validateContent({
+        title: scriptData.script.title,
+        hook: openingScene ? openingScene.content.script : null
+    }, getContentRules(getConfigValue), SCRIPT_CONTENT_ELEMENTS));
+}
+
+function getDefaultModelClient() {
+    defaultModelClient = defaultModelClient || createBedrockModelClient();
+    return defaultModelClient;
+}
+
+/**
+ * Location entities a scene's subtopic mentions, or the topic's primary place
  */
-function generateSceneScript(topic, mainTopic, isHook) {
-    if (isHook) {
-        return `Welcome to our comprehensive guide on ${mainTopic}. ${topic.valueProposition}. In this video, we'll cover everything you need to know to get started.`;
+function getSceneLocations(locations, topic) {
+    if (!locations) {
+        return [];
     }
 
-    return `Let's explore ${topic.subtopic}. ${topic.valueProposition}. Here are the key points you need to understand.`;
+    const names = topic.locations || [];
+    const mentioned = locations.entities.filter(entity => names.includes(entity.name));
+
+    return mentioned.length > 0 ? mentioned : [locations.primary].filter(Boolean);
 }
 
 /**
@@ -325,6 +667,67 @@ async function storeContext(context, contextType, projectId) {
     }
 }
 
+/**
+ * Store the human-readable 02-script/script.txt
+ */
+async function storeScriptText(script, sceneContext, projectId) {
+    await s3Client.send(new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: `videos/${projectId}/02-script/script.txt`,
+        Body: formatScriptText(script, sceneContext),
+        ContentType: 'text/markdown; charset=utf-8'
+    }));
+}
+
+/**
+ * Delete the audio segments and media of changed scenes, plus the master narration they are part of
+ * @returns {object} { scenes, deletedObjects }
+ */
+async function invalidateSceneAssets(projectId, sceneNumbers) {
+    if (sceneNumbers.length === 0) {
+        return {
+            scenes: [],
+            deletedObjects: 0
+        };
+    }
+
+    const keys = [
+        `videos/${projectId}/04-audio/narration.mp3`,
+        ...sceneNumbers.map(sceneNumber => `videos/${projectId}/04-audio/audio-segments/scene-${sceneNumber}.mp3`)
+    ];
+
+    for (const sceneNumber of sceneNumbers) {
+        let continuationToken;
+        do {
+            const listing = await s3Client.send(new ListObjectsV2Command({
+                Bucket: process.env.S3_BUCKET,
+                Prefix: `videos/${projectId}/03-media/scene-${sceneNumber}/`,
+                ContinuationToken: continuationToken
+            }));
+            keys.push(...(listing.Contents || []).map(object => object.Key));
+            continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+        } while (continuationToken);
+    }
+
+    // DeleteObjects takes at most 1000 keys per call
+    for (let start = 0; start < keys.length; start += 1000) {
+        await s3Client.send(new DeleteObjectsCommand({
+            Bucket: process.env.S3_BUCKET,
+            Delete: {
+                Objects: keys.slice(start, start + 1000).map(key => ({
+                    Key: key
+                })),
+                Quiet: true
+            }
+        }));
+    }
+
+    return {
+        scenes: sceneNumbers,
+        deletedObjects: keys.length
+    };
+}
+
 /**
  * Create HTTP response
  */
@@ -0,0 +1,219 @@
+/**
+ * Narrative Generation - Script Generator
+ *
+ * Asks the configured model (ai.models.primary, then ai.models.fallback) to
+ * write the spoken narration for every scene in one pass, so the video reads
+ * as one story: a hook, scene bodies that lead into each other, and a
+ * conclusion with a call to action. Prompt settings come from
+ * ai.prompts.scriptGeneration; word budgets use the content.sceneTiming
+ * speaking rate (see scene-timing.js). When no model answers usably the
+ * narration templates (script-templates.js) are used instead, as in dry runs.
+ *
+ * MODEL CLIENT:
+ * Any object with `invoke({ model, system, prompt }) => Promise<string>`.
+ * The default client calls Amazon Bedrock (pipeline-shared/bedrock-client.js);
+ * tests pass a local stub.
+ */
+
+const {
+    getTimingSettings,
+    countWords
+} = require('./scene-timing');
+const {
+    getAttemptTimeout
+} = require('pipeline-shared/model-deadline');
+
+const DEFAULT_SYSTEM_PROMPT = 'You are an expert YouTube scriptwriter.';
+const DEFAULT_WORDS_PER_MINUTE = 150;
+
+// Narration shorter than this share of its word budget leaves the scene mostly silent
+const MIN_WORD_BUDGET_SHARE = 0.4;
+
+/**
+ * Prompt settings from ai.prompts.scriptGeneration, with the content.sceneTiming speaking rate
+ */
+function getNarrativeSettings(getConfigValue) {
+    const settings = getConfigValue('ai.prompts.scriptGeneration', {}) || {};
+
+    return {
+        systemPrompt: settings.systemPrompt || DEFAULT_SYSTEM_PROMPT,
+        maxTokens: settings.maxTokens,
+        temperature: settings.temperature,
+        wordsPerMinute: getTimingSettings(getConfigValue).wordsPerMinute,
+        narrativeElements: Array.isArray(settings.narrativeElements) ? settings.narrativeElements : [],
+        callToAction: settings.callToAction || null
+    };
+}
+
+/**
+ * Spoken words that fit a scene
+ */
+function getWordBudget(duration, wordsPerMinute) {
+    return Math.max(10, Math.round(duration * wordsPerMinute / 60));
+}
+
+/**
+ * Prompt asking for the narration of every scene as a JSON array
+ * @param {object} options - { mainTopic, targetAudience, videoStyle, guidance, scenes, templates, settings }
+ *   where scenes are { sceneNumber, purpose, number, duration, topic } (see script-structures.js)
+ *   and templates come from getScriptTemplates
+ */
+function buildNarrativePrompt(options) {
+    const {
+        mainTopic,
+        targetAudience,
+        videoStyle,
+        guidance,
+        scenes,
+        templates,
+        settings
+    } = options;
+
+    return [
+        `Write the spoken narration for a ${scenes.length}-scene YouTube video about "${mainTopic}".`,
+        `Audience: ${targetAudience}. Tone: ${videoStyle}. Language: ${templates.name}.`,
+        guidance || null,
+        ...settings.narrativeElements.map(element => `- ${element}`),
+        settings.callToAction ? `Call to action for the final scene: ${settings.callToAction}.` : null,
+        '',
+        'Scenes:',
+        ...scenes.map(scene => [
+            `${scene.sceneNumber}. [${scene.purpose}${scene.number ? ` #${scene.number}` : ''}, about ${getWordBudget(scene.duration, settings.wordsPerMinute)} words] ${scene.topic.subtopic}`,
+            scene.topic.valueProposition ? ` - viewer gains: ${scene.topic.valueProposition}` : null
+        ].filter(Boolean).join('\n')),
+        '',
+        'Write only what the narrator says: no stage directions, headings or scene labels.',
+        'Answer with a JSON array only, no prose. Each item: {"sceneNumber": number, "narration": string}',
+        templates.name !== 'English' ? `Write every narration in ${templates.name}; keep the JSON keys in English.` : null
+    ].filter(item => item !== null).join('\n');
+}
+
+/**
+ * Parse model output into one narration per scene
+ * @param {Array} scenes - Planned scenes ({ sceneNumber, duration })
+ * @returns {Array<string>|null} Narration in scene order, or null when any scene is missing or far too short
+ */
+function parseNarrative(text, scenes, wordsPerMinute = DEFAULT_WORDS_PER_MINUTE) {
+    const start = typeof text === 'string' ? text.indexOf('[') : -1;
+    const end = start === -1 ? -1 : text.lastIndexOf(']');
+
+    if (start === -1 || end <= start) {
+        return null;
+    }
+
+    let items;
+    try {
+        items = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        return null;
+    }
+
+    if (!Array.isArray(items)) {
+        return null;
+    }
+
+    const narrations = scenes.map(scene => {
+        const item = items.find(entry => entry && Number(entry.sceneNumber) === scene.sceneNumber);
+        const narration = item && typeof item.narration === 'string' ? item.narration.trim().replace(/\s+/g, ' ') : '';
+        const minimum = Math.floor(getWordBudget(scene.duration, wordsPerMinute) * MIN_WORD_BUDGET_SHARE);
+
+        return countWords(narration) >= minimum ? narration : null;
+    });
+
+    return narrations.every(Boolean) ? narrations : null;
+}
+
+/**
+ * Template narration for dry runs and when no model answers usably
+ */
+function getTemplateNarrative(mainTopic, scenes, templates) {
+    return scenes.map(scene => {
+        if (scene.template === 'hook') {
+            return templates.hook(mainTopic, scene.topic);
+        }
+        if (scene.template === 'conclusion') {
+            return templates.conclusion(mainTopic, scene.topic);
+        }
+        return templates.content(scene.topic);
+    });
+}
+
+/**
+ * Write narration for every scene with the primary model, then the fallback model
+ * @param {object} options - { mainTopic, targetAudience, videoStyle, guidance, scenes, templates, dryRun }
+ * @param {object} deps - { modelClient, getConfigValue, deadline } where deadline
+ *   (see model-deadline.js) bounds the primary and fallback attempts together
+ * @returns {Promise<object>} { narrations, source, modelId }
+ */
+async function generateNarrative(options, deps) {
+    const {
+        mainTopic,
+        scenes,
+        templates,
+        dryRun = false
+    } = options;
+    const {
+        modelClient,
+        getConfigValue,
+        deadline = null
+    } = deps;
+
+    const settings = getNarrativeSettings(getConfigValue);
+    const models = dryRun || !modelClient ? [] : [
+        getConfigValue('ai.models.primary', null),
+        getConfigValue('ai.models.fallback', null)
+    ].filter(model => model && model.id);
+    const prompt = models.length > 0 ? buildNarrativePrompt({
+        ...options,
+        settings
+    }) : null;
+
+    for (const [index, model] of models.entries()) {
+        const timeout = getAttemptTimeout(model, deadline, models.length - index);
+        if (timeout === 0) {
+            console.warn(`⚠️ No time left to write the narration with ${model.id}`);
+            break;
+        }
+
+        try {
+            const narrations = parseNarrative(await modelClient.invoke({
+                model: {
+                    ...model,
+                    maxTokens: settings.maxTokens || model.maxTokens,
+                    temperature: settings.temperature !== undefined ? settings.temperature : model.temperature,
+                    timeout
+                },
+                system: settings.systemPrompt,
+                prompt
+            }), scenes, settings.wordsPerMinute);
+
+            if (narrations) {
+                return {
+                    narrations,
+                    source: 'model',
+                    modelId: model.id
+                };
+            }
+
+            console.warn(`⚠️ Unusable narration from ${model.id}`);
+        } catch (error) {
+            console.warn(`⚠️ Narration failed with ${model.id}:`, error.message);
+        }
+    }
+
+    if (!dryRun) {
+        console.warn('⚠️ No model wrote the narration, using script templates');
+    }
+
+    return {
+        narrations: getTemplateNarrative(mainTopic, scenes, templates),
+        source: 'template',
+        modelId: null
+    };
+}
+
+module.exports = {
+    buildNarrativePrompt,
+    parseNarrative,
+    generateNarrative
+};
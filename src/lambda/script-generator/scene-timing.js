@@ -0,0 +1,76 @@
+/**
+ * Scene Timing - Script Generator
+ *
+ * Times each scene by how long its narration takes to speak instead of
+ * splitting the target length evenly, so chapters and the video timeline
+ * line up with the audio. Durations are whole seconds (rounded up so the
+ * narration always fits) within per-scene bounds; start times follow from
+ * the durations before them.
+ *
+ * SETTINGS (content.sceneTiming):
+ * - wordsPerMinute:   speaking rate, also the narration word budget (see narrative-generation.js)
+ * - minSceneDuration: seconds a scene stays on screen however short its narration
+ * - maxSceneDuration: seconds a scene may run however long its narration
+ */
+
+const DEFAULT_TIMING = {
+    wordsPerMinute: 150,
+    minSceneDuration: 5,
+    maxSceneDuration: 120
+};
+
+/**
+ * Timing settings from content.sceneTiming
+ */
+function getTimingSettings(getConfigValue) {
+    const settings = getConfigValue('content.sceneTiming', {}) || {};
+
+    return {
+        wordsPerMinute: Number(settings.wordsPerMinute) || DEFAULT_TIMING.wordsPerMinute,
+        minSceneDuration: Number(settings.minSceneDuration) || DEFAULT_TIMING.minSceneDuration,
+        maxSceneDuration: Number(settings.maxSceneDuration) || DEFAULT_TIMING.maxSceneDuration
+    };
+}
+
+function countWords(text) {
+    return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Seconds needed to speak a narration, within the scene bounds
+ */
+function estimateSceneDuration(text, settings) {
+    const spoken = Math.ceil(countWords(text) * 60 / settings.wordsPerMinute);
+    return Math.min(settings.maxSceneDuration, Math.max(settings.minSceneDuration, spoken));
+}
+
+/**
+ * Duration and start time for each narration, in order
+ * @param {Array<string>} narrations - Scene narration in scene order
+ * @returns {object} { timings: [{ wordCount, duration, startTime }], totalDuration }
+ */
+function timeScenes(narrations, settings) {
+    let startTime = 0;
+
+    const timings = narrations.map(text => {
+        const timing = {
+            wordCount: countWords(text),
+            duration: estimateSceneDuration(text, settings),
+            startTime
+        };
+        startTime += timing.duration;
+        return timing;
+    });
+
+    return {
+        timings,
+        totalDuration: startTime
+    };
+}
+
+module.exports = {
+    getTimingSettings,
+    countWords,
+    estimateSceneDuration,
+    timeScenes
+};
@@ -0,0 +1,218 @@
+/**
+ * Script Structures - Script Generator
+ *
+ * Scene layouts selectable with scriptOptions.structure. Each structure maps
+ * the topic's subtopics to scenes: how many subtopics it uses, the purpose
+ * and visualRequirements.sceneType of each scene, and the intro/outro scenes
+ * it adds around them. Numbered structures give their scenes a number (the
+ * rank counting down, the step or the day) that the narration refers to.
+ *
+ * STRUCTURES:
+ * - standard:   hook → content → conclusion, one scene per subtopic (default)
+ * - listicle:   intro, items counted down from #N to #1, recap
+ * - tutorial:   intro, numbered steps, result
+ * - itinerary:  intro, one scene per day, recap
+ * - comparison: intro, one scene per comparison point, verdict
+ * - story:      setup → rising action → climax → resolution
+ *
+ * Roles are { purpose, sceneType, template } where template picks the
+ * narration template (hook, content or conclusion) used without a model.
+ */
+
+const DEFAULT_STRUCTURE = 'standard';
+
+const INTRO = {
+    purpose: 'hook',
+    sceneType: 'dynamic_intro',
+    template: 'hook'
+};
+
+const SCRIPT_STRUCTURES = {
+    standard: {
+        minSubtopics: 1,
+        maxSubtopics: 10,
+        guidance: 'Open with a hook, cover one subtopic per scene and close with a conclusion.',
+        item: (index, count) => {
+            if (index === 0) {
+                return INTRO;
+            }
+            return {
+                purpose: index === count - 1 ? 'conclusion' : 'content',
+                sceneType: 'informative',
+                template: index === count - 1 ? 'conclusion' : 'content'
+            };
+        }
+    },
+    listicle: {
+        minSubtopics: 3,
+        maxSubtopics: 10,
+        guidance: 'This is a Top N list: introduce the list, count the items down to #1, then recap the ranking.',
+        intro: INTRO,
+        item: (index, count) => ({
+            purpose: 'list_item',
+            sceneType: 'ranked_item',
+            template: 'content',
+            number: count - index
+        }),
+        outro: {
+            purpose: 'conclusion',
+            sceneType: 'recap',
+            template: 'conclusion'
+        }
+    },
+    tutorial: {
+        minSubtopics: 2,
+        maxSubtopics: 10,
+        guidance: 'This is a step-by-step tutorial: say what the viewer will achieve, walk through each step in order, then show the finished result.',
+        intro: INTRO,
+        item: index => ({
+            purpose: 'step',
+            sceneType: 'step_demonstration',
+            template: 'content',
+            number: index + 1
+        }),
+        outro: {
+            purpose: 'conclusion',
+            sceneType: 'result_showcase',
+            template: 'conclusion'
+        }
+    },
+    itinerary: {
+        minSubtopics: 1,
+        maxSubtopics: 10,
+        guidance: 'This is a day-by-day itinerary: introduce the trip, give each day its own scene with where to go and when, then recap the trip.',
+        intro: INTRO,
+        item: index => ({
+            purpose: 'day',
+            sceneType: 'location_showcase',
+            template: 'content',
+            number: index + 1
+        }),
+        outro: {
+            purpose: 'conclusion',
+            sceneType: 'recap',
+            template: 'conclusion'
+        }
+    },
+    comparison: {
+        minSubtopics: 2,
+        maxSubtopics: 8,
+        guidance: 'This is a comparison: set up what is being compared, weigh the options on one point per scene, then give a clear verdict.',
+        intro: INTRO,
+        item: () => ({
+            purpose: 'comparison_point',
+            sceneType: 'side_by_side',
+            template: 'content'
+        }),
+        outro: {
+            purpose: 'verdict',
+            sceneType: 'verdict',
+            template: 'conclusion'
+        }
+    },
+    story: {
+        minSubtopics: 3,
+        maxSubtopics: 10,
+        guidance: 'Tell this as a story: set the scene, build tension through the middle scenes, peak in the climax and resolve with the lesson learned.',
+        item: (index, count) => {
+            if (index === 0) {
+                return {
+                    purpose: 'setup',
+                    sceneType: 'establishing',
+                    template: 'hook'
+                };
+            }
+            if (index === count - 1) {
+                return {
+                    purpose: 'resolution',
+                    sceneType: 'reflective',
+                    template: 'conclusion'
+                };
+            }
+            if (index === count - 2) {
+                return {
+                    purpose: 'climax',
+                    sceneType: 'dramatic',
+                    template: 'content'
+                };
+            }
+            return {
+                purpose: 'rising_action',
+                sceneType: 'narrative',
+                template: 'content'
+            };
+        }
+    }
+};
+
+const SCRIPT_STRUCTURE_NAMES = Object.keys(SCRIPT_STRUCTURES);
+
+/**
+ * Stand-in subtopic for intro and outro scenes, drawn from the whole topic
+ */
+function framingTopic(mainTopic, subtopics) {
+    return {
+        subtopic: mainTopic,
+        valueProposition: subtopics[0].valueProposition,
+        visualNeeds: [...new Set(subtopics.flatMap(topic => (topic.visualNeeds || []).slice(0, 1)))].slice(0, 5)
+    };
+}
+
+/**
+ * Scenes for a structure, in order
+ * @param {object} topicContext - Topic context with mainTopic and expandedTopics
+ * @param {string} structureName - One of SCRIPT_STRUCTURE_NAMES; defaults to standard
+ * @returns {object} { structure, guidance, scenes: [{ sceneNumber, purpose, sceneType, template, number, topic }] } or { error }
+ */
+function planScenes(topicContext, structureName = DEFAULT_STRUCTURE) {
+    const structure = SCRIPT_STRUCTURES[structureName];
+
+    if (!structure) {
+        return {
+            error: `Unknown script structure: ${structureName} (supported: ${SCRIPT_STRUCTURE_NAMES.join(', ')})`
+        };
+    }
+
+    const subtopics = topicContext.expandedTopics.slice(0, structure.maxSubtopics);
+
+    if (subtopics.length < structure.minSubtopics) {
+        return {
+            error: `The ${structureName} structure needs at least ${structure.minSubtopics} subtopics (topic has ${subtopics.length})`
+        };
+    }
+
+    const framing = framingTopic(topicContext.mainTopic, subtopics);
+    const roles = [
+        ...(structure.intro ? [{
+            ...structure.intro,
+            topic: framing
+        }] : []),
+        ...subtopics.map((topic, index) => ({
+            ...structure.item(index, subtopics.length),
+            topic
+        })),
+        ...(structure.outro ? [{
+            ...structure.outro,
+            topic: framing
+        }] : [])
+    ];
+
+    return {
+        structure: structureName,
+        guidance: structure.guidance,
+        scenes: roles.map((role, index) => ({
+            sceneNumber: index + 1,
+            purpose: role.purpose,
+            sceneType: role.sceneType,
+            template: role.template,
+            number: role.number || null,
+            topic: role.topic
+        }))
+    };
+}
+
+module.exports = {
+    DEFAULT_STRUCTURE,
+    SCRIPT_STRUCTURE_NAMES,
+    planScenes
+};
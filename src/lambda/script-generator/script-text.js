@@ -0,0 +1,254 @@
+/**
+ * Script Text - Script Generator
+ *
+ * The human-readable 02-script/script.txt and its round trip back into the
+ * script. script.txt is Markdown: the title as a heading, then one
+ * "## Scene N" section per scene with its narration. An edited copy (or a
+ * JSON list of scenes) sent to PUT /scripts/{projectId} replaces the
+ * narration of the scenes it contains; scene durations and start times are
+ * recomputed from the new word counts (see scene-timing.js), and every
+ * scene's visual cue beats are rebuilt (see visual-cues.js).
+ *
+ * FORMAT:
+ * # Complete Guide: Lisbon travel
+ * > Structure: standard | Language: en | Duration: 0:42
+ *
+ * ## Scene 1 - Why Lisbon beats Porto (hook, 0:00-0:12)
+ * Narration...
+ *
+ * Only the title and the narration under each scene heading are read back;
+ * the "> " line and the text after the scene number are informational.
+ */
+
+const {
+    timeScenes
+} = require('./scene-timing');
+const {
+    addVisualCues
+} = require('./visual-cues');
+
+const SCENE_HEADING = /^##\s*Scene\s+(\d+)\b/i;
+const TITLE_HEADING = /^#\s+(.+)$/;
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * script.txt contents for a script and its scene context
+ */
+function formatScriptText(script, sceneContext) {
+    const details = [
+        sceneContext.structure ? `Structure: ${sceneContext.structure}` : null,
+        `Language: ${sceneContext.language || 'en'}`,
+        `Duration: ${formatTime(sceneContext.totalDuration)}`
+    ].filter(Boolean).join(' | ');
+
+    const sections = sceneContext.scenes.map(scene => [
+        `## Scene ${scene.sceneNumber} - ${scene.title} (${scene.purpose}, ${formatTime(scene.startTime)}-${formatTime(scene.startTime + scene.duration)})`,
+        scene.content.script
+    ].join('\n'));
+
+    return [`# ${script.title}\n> ${details}`, ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * Read an edited script.txt back into { title, scenes: [{ sceneNumber, script }] }
+ * @returns {object} Parsed edit, or { violations } when no scene sections are found
+ */
+function parseScriptText(text) {
+    const edit = {
+        title: null,
+        scenes: []
+    };
+    let current = null;
+
+    for (const line of String(text).split(/\r?\n/)) {
+        const sceneMatch = line.match(SCENE_HEADING);
+        const titleMatch = line.match(TITLE_HEADING);
+
+        if (sceneMatch) {
+            current = {
+                sceneNumber: Number(sceneMatch[1]),
+                lines: []
+            };
+            edit.scenes.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        } else if (titleMatch && edit.title === null) {
+            edit.title = titleMatch[1].trim();
+        }
+    }
+
+    if (edit.scenes.length === 0) {
+        return {
+            violations: [{
+                field: 'scriptText',
+                rule: 'format',
+                message: 'scriptText has no "## Scene N" sections'
+            }]
+        };
+    }
+
+    return {
+        title: edit.title,
+        scenes: edit.scenes.map(scene => ({
+            sceneNumber: scene.sceneNumber,
+            script: normalizeText(scene.lines.join(' '))
+        }))
+    };
+}
+
+/**
+ * Edit from a PUT /scripts/{projectId} body: { scriptText } or { title, scenes: [{ sceneNumber, script }] }
+ * @returns {object} { title, scenes } or { violations }
+ */
+function readScriptEdit(requestBody) {
+    if (typeof requestBody.scriptText === 'string') {
+        return parseScriptText(requestBody.scriptText);
+    }
+
+    if (!Array.isArray(requestBody.scenes)) {
+        return {
+            violations: [{
+                field: 'scriptText',
+                rule: 'required',
+                message: 'Send the edited script as scriptText or as scenes: [{ sceneNumber, script }]'
+            }]
+        };
+    }
+
+    const violations = [];
+    requestBody.scenes.forEach((scene, index) => {
+        if (!scene || !Number.isInteger(scene.sceneNumber) || typeof scene.script !== 'string') {
+            violations.push({
+                field: `scenes[${index}]`,
+                rule: 'type',
+                message: `scenes[${index}] must be { sceneNumber: integer, script: string }`
+            });
+        }
+    });
+
+    if (requestBody.title !== undefined && typeof requestBody.title !== 'string') {
+        violations.push({
+            field: 'title',
+            rule: 'type',
+            message: 'title must be a string'
+        });
+    }
+
+    return violations.length > 0 ? {
+        violations
+    } : {
+        title: requestBody.title || null,
+        scenes: requestBody.scenes.map(scene => ({
+            sceneNumber: scene.sceneNumber,
+            script: normalizeText(scene.script)
+        }))
+    };
+}
+
+/**
+ * Apply an edit to the stored script and scene context
+ * Scenes the edit leaves out keep their narration; scenes cannot be added or removed.
+ * @param {object} timing - Settings from getTimingSettings
+ * @returns {object} { script, sceneContext, changedScenes } or { violations }
+ */
+function applyScriptEdit(script, sceneContext, edit, timing) {
+    const known = new Set(sceneContext.scenes.map(scene => scene.sceneNumber));
+    const seen = new Set();
+    const violations = [];
+
+    for (const scene of edit.scenes) {
+        if (!known.has(scene.sceneNumber)) {
+            violations.push({
+                field: `scene ${scene.sceneNumber}`,
+                rule: 'exists',
+                message: `Scene ${scene.sceneNumber} does not exist (scenes 1-${sceneContext.scenes.length}); regenerate the script to change the scene structure`
+            });
+        } else if (seen.has(scene.sceneNumber)) {
+            violations.push({
+                field: `scene ${scene.sceneNumber}`,
+                rule: 'unique',
+                message: `Scene ${scene.sceneNumber} appears more than once`
+            });
+        } else if (!scene.script) {
+            violations.push({
+                field: `scene ${scene.sceneNumber}`,
+                rule: 'required',
+                message: `Scene ${scene.sceneNumber} has no narration`
+            });
+        }
+        seen.add(scene.sceneNumber);
+    }
+
+    if (violations.length > 0) {
+        return {
+            violations
+        };
+    }
+
+    const edited = new Map(edit.scenes.map(scene => [scene.sceneNumber, scene.script]));
+    const changedScenes = sceneContext.scenes
+        .filter(scene => edited.has(scene.sceneNumber) && edited.get(scene.sceneNumber) !== normalizeText(scene.content.script))
+        .map(scene => scene.sceneNumber);
+    const narrations = sceneContext.scenes.map(scene => (edited.has(scene.sceneNumber) ? edited.get(scene.sceneNumber) : scene.content.script));
+    const {
+        timings,
+        totalDuration
+    } = timeScenes(narrations, timing);
+
+    // Beats follow the new narration and start times
+    const scenes = sceneContext.scenes.map((scene, index) => addVisualCues({
+        ...scene,
+        duration: timings[index].duration,
+        startTime: timings[index].startTime,
+        wordCount: timings[index].wordCount,
+        content: {
+            ...scene.content,
+            script: narrations[index]
+        }
+    }, sceneContext.language));
+    const editedAt = new Date().toISOString();
+
+    return {
+        changedScenes,
+        sceneContext: {
+            ...sceneContext,
+            scenes,
+            totalDuration,
+            metadata: {
+                ...sceneContext.metadata,
+                editedAt,
+                editedScenes: changedScenes
+            }
+        },
+        script: {
+            ...script,
+            title: edit.title || script.title,
+            totalDuration,
+            fullScript: narrations.join(' '),
+            scenes: scenes.map(scene => ({
+                sceneNumber: scene.sceneNumber,
+                script: scene.content.script,
+                duration: scene.duration
+            })),
+            metadata: {
+                ...script.metadata,
+                editedAt
+            }
+        }
+    };
+}
+
+module.exports = {
+    formatScriptText,
+    parseScriptText,
+    readScriptEdit,
+    applyScriptEdit
+};
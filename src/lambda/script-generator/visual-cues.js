@@ -0,0 +1,293 @@
+/**
+ * Visual Cues - Script Generator
+ *
+ * Breaks each scene's narration into beats (sentences, with very short ones
+ * merged into their neighbour) and derives the concrete things to show
+ * during each beat, so Media Curator can pick one visual per beat instead of
+ * one set of generic keywords per scene.
+ *
+ * Stored on every scene as visualRequirements.beats:
+ * {
+ *   'beatNumber': 2,
+ *   'text': 'Ride tram 28 past the Alfama rooftops at sunrise.',
+ *   'startTime': 4.2,                 // seconds into the video
+ *   'duration': 3.8,
+ *   'cues': {
+ *     'places': ['Alfama'],           // location entities, then capitalized names
+ *     'nouns': ['tram', 'rooftops', 'sunrise'],
+ *     'actions': ['ride']
+ *   },
+ *   'locations': [...],               // the scene's location entities this beat names
+ *   'searchQuery': 'Alfama tram rooftops sunrise'
+ * }
+ *
+ * Timestamps split the scene's duration by word count, matching how
+ * scene-timing.js times the scenes themselves. Words are picked with
+ * per-language stop words and verb lists, not a parser: cues are search
+ * terms, not grammar. A beat with no cues searches the topic's visual needs.
+ */
+
+const MAX_BEATS_PER_SCENE = 6;
+const MIN_BEAT_WORDS = 4;
+const MAX_NOUNS_PER_BEAT = 3;
+const MAX_SCENE_KEYWORDS = 5;
+
+// Stop words and common verbs per narration language; actions are verbs in base form or gerunds
+const LANGUAGE_CUE_RULES = {
+    en: {
+        stopWords: [
+            'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'around', 'as', 'at', 'back', 'be',
+            'because', 'been', 'before', 'best', 'but', 'by', 'can', 'could', 'day', 'did', 'do', 'does', 'down',
+            'each', 'even', 'every', 'few', 'first', 'for', 'from', 'get', 'great', 'guide', 'had', 'has', 'have',
+            'here', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'know', 'last', 'less', 'like', 'little',
+            'lot', 'make', 'many', 'may', 'more', 'most', 'much', 'must', 'need', 'next', 'no', 'not', 'now', 'of',
+            'off', 'on', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'really', 'right', 'same', 'so',
+            'some', 'still', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+            'thing', 'things', 'this', 'those', 'through', 'time', 'tips', 'to', 'too', 'up', 'us', 'very',
+            'want', 'was', 'way', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why',
+            'will', 'with', 'without', 'would', 'you', 'your', 'overview', 'welcome', 'video', 'today',
+            'subscribe', 'channel', 'let', 'lets', 'going', 'something', 'nothing', 'everything', 'anything',
+            'again', 'almost', 'along', 'always', 'amazing', 'away', 'beautiful', 'better', 'both', 'different',
+            'enjoy', 'enough', 'ever', 'favorite', 'favourite', 'free', 'good', 'incredible', 'love', 'never',
+            'online', 'own', 'past', 'perfect', 'real', 'stunning', 'sure', 'whole', 'worth'
+        ],
+        actions: [
+            'book', 'climb', 'cook', 'cross', 'dance', 'drink', 'drive', 'eat', 'explore', 'fly', 'hike', 'pack',
+            'ride', 'sail', 'shop', 'sip', 'ski', 'stroll', 'surf', 'swim', 'taste', 'tour', 'visit', 'walk',
+            'watch', 'wander'
+        ],
+        gerund: /^[a-z]{3,}ing$/,
+        notGerunds: ['morning', 'evening', 'building', 'ceiling', 'spring', 'string', 'thing', 'king', 'wing', 'ring',
+            'during', 'sing', 'bring'
+        ]
+    },
+    es: {
+        stopWords: [
+            'a', 'al', 'algo', 'así', 'como', 'con', 'cuando', 'de', 'del', 'desde', 'donde', 'el', 'ella', 'en',
+            'entre', 'es', 'esta', 'este', 'esto', 'hay', 'la', 'las', 'lo', 'los', 'más', 'mejor', 'muy', 'no',
+            'nos', 'o', 'para', 'pero', 'por', 'puedes', 'que', 'se', 'si', 'sin', 'sobre', 'son', 'su', 'sus',
+            'también', 'te', 'todo', 'todos', 'tu', 'tus', 'un', 'una', 'y', 'ya', 'guía', 'consejos', 'video',
+            'canal', 'hoy', 'bienvenidos'
+        ],
+        actions: ['caminar', 'comer', 'explorar', 'nadar', 'pasear', 'probar', 'recorrer', 'subir', 'visitar', 'viajar'],
+        gerund: /^[a-zñáéíóú]{2,}(ando|iendo)$/
+    },
+    fr: {
+        stopWords: [
+            'à', 'au', 'aux', 'avec', 'ce', 'cette', 'comme', 'dans', 'de', 'des', 'du', 'en', 'est', 'et', 'il',
+            'je', 'la', 'le', 'les', 'leur', 'mais', 'meilleur', 'nous', 'on', 'ou', 'où', 'par', 'pas', 'plus',
+            'pour', 'qui', 'que', 'sans', 'se', 'son', 'sur', 'tout', 'très', 'un', 'une', 'vos', 'votre', 'vous',
+            'guide', 'conseils', 'vidéo', 'chaîne', 'bienvenue'
+        ],
+        actions: ['explorer', 'goûter', 'grimper', 'manger', 'marcher', 'nager', 'visiter', 'voyager', 'flâner'],
+        gerund: /^[a-zàâçéèêëîïôûùüÿ]{3,}ant$/
+    },
+    de: {
+        stopWords: [
+            'als', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'das', 'dass', 'dein', 'deine', 'dem', 'den', 'der',
+            'des', 'die', 'du', 'ein', 'eine', 'einen', 'es', 'für', 'hier', 'ihr', 'im', 'in', 'ist', 'kann',
+            'mehr', 'mit', 'nach', 'nicht', 'noch', 'oder', 'sehr', 'sich', 'sie', 'sind', 'so', 'und', 'vom',
+            'von', 'wie', 'wir', 'zu', 'zum', 'zur', 'beste', 'tipps', 'ratgeber', 'video', 'kanal', 'willkommen'
+        ],
+        actions: ['besuchen', 'entdecken', 'erkunden', 'essen', 'fahren', 'probieren', 'schwimmen', 'wandern'],
+        gerund: null
+    },
+    pt: {
+        stopWords: [
+            'a', 'ao', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'é', 'ela', 'ele', 'em', 'essa',
+            'esse', 'esta', 'este', 'isso', 'mais', 'mas', 'melhor', 'muito', 'na', 'nas', 'no', 'nos', 'não',
+            'o', 'os', 'ou', 'para', 'pela', 'pelo', 'por', 'que', 'se', 'sem', 'seu', 'sua', 'também', 'um',
+            'uma', 'você', 'guia', 'dicas', 'vídeo', 'canal', 'bem-vindos'
+        ],
+        actions: ['caminhar', 'comer', 'explorar', 'nadar', 'passear', 'provar', 'subir', 'visitar', 'viajar'],
+        gerund: /^[a-zçãáéíóú]{2,}(ando|endo|indo)$/
+    }
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+function getCueRules(language) {
+    return LANGUAGE_CUE_RULES[language] || LANGUAGE_CUE_RULES.en;
+}
+
+// Accent-free lower case, so "Sé" and "Se" compare equal
+function fold(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function countWords(text) {
+    return (text.match(WORD_PATTERN) || []).length;
+}
+
+function roundTenth(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Narration split into beat texts: sentences, short ones merged, at most MAX_BEATS_PER_SCENE
+ */
+function splitBeats(narration) {
+    const sentences = (String(narration || '').match(/[^.!?…]+[.!?…]*["'”’)]*/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(sentence => countWords(sentence) > 0);
+    const beats = [];
+
+    for (const sentence of sentences) {
+        const previous = beats[beats.length - 1];
+        if (previous && (countWords(sentence) < MIN_BEAT_WORDS || countWords(previous) < MIN_BEAT_WORDS)) {
+            beats[beats.length - 1] = `${previous} ${sentence}`;
+        } else {
+            beats.push(sentence);
+        }
+    }
+
+    // Too many sentences: merge the shortest adjacent pair until the scene fits
+    while (beats.length > MAX_BEATS_PER_SCENE) {
+        let shortest = 0;
+        for (let i = 1; i < beats.length - 1; i++) {
+            if (countWords(beats[i]) + countWords(beats[i + 1]) < countWords(beats[shortest]) + countWords(beats[shortest + 1])) {
+                shortest = i;
+            }
+        }
+        beats.splice(shortest, 2, `${beats[shortest]} ${beats[shortest + 1]}`);
+    }
+
+    return beats;
+}
+
+/**
+ * Places, nouns and actions a beat's text mentions
+ * @param {Array} locations - The scene's location entities ({ name, ... })
+ */
+function extractCues(text, locations = [], language = 'en') {
+    const rules = getCueRules(language);
+    const foldedText = fold(text);
+    const mentioned = locations.filter(entity => entity && entity.name && foldedText.includes(fold(entity.name)));
+    const places = mentioned.map(entity => entity.name);
+    const placeWords = new Set(places.flatMap(place => fold(place).match(WORD_PATTERN) || []));
+    const nouns = [];
+    const actions = [];
+    let name = [];
+
+    const addName = () => {
+        const joined = name.join(' ');
+        if (joined && !places.some(place => fold(place) === fold(joined))) {
+            places.push(joined);
+        }
+        name = [];
+    };
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+        // Drop elisions and possessives ("l'Alfama", "Lisbon's"); skip other contractions ("I'm", "don't")
+        const word = match[0].replace(/^(?:qu|[cdjlmnst])['’](?=\p{L})/iu, '').replace(/['’]s$/i, '');
+        if (/['’]/.test(word)) {
+            addName();
+            continue;
+        }
+        const folded = fold(word);
+        const sentenceStart = /^[\s"'“‘(]*$|[.!?…]["'”’)]*\s*$/.test(text.slice(0, match.index));
+        const stopWord = rules.stopWords.includes(folded) || rules.stopWords.includes(word.toLowerCase());
+
+        // Capitalized words other than the first one run together into a name ("Belem Tower")
+        if (!sentenceStart && /^\p{Lu}/u.test(word) && word.length > 1 && !stopWord && !placeWords.has(folded)) {
+            name.push(word);
+            continue;
+        }
+        addName();
+
+        if (stopWord || placeWords.has(folded) || /^\d+$/.test(word) || word.length < 3) {
+            continue;
+        }
+
+        const lower = word.toLowerCase();
+        const gerund = rules.gerund && rules.gerund.test(lower) && !(rules.notGerunds || []).includes(lower);
+        if (rules.actions.includes(lower) || gerund) {
+            if (!actions.includes(lower)) {
+                actions.push(lower);
+            }
+        } else if (lower.length >= 4 && !nouns.includes(lower)) {
+            nouns.push(lower);
+        }
+    }
+    addName();
+
+    return {
+        cues: {
+            places,
+            nouns: nouns.slice(0, MAX_NOUNS_PER_BEAT),
+            actions: actions.slice(0, 2)
+        },
+        locations: mentioned
+    };
+}
+
+/**
+ * Beats for one scene with cues and timestamps
+ * @param {object} scene - Scene with content.script, startTime, duration and visualRequirements
+ * @param {string} language - Narration language
+ */
+function planSceneBeats(scene, language = 'en') {
+    const requirements = scene.visualRequirements || {};
+    const locations = requirements.locations || [];
+    const visualNeeds = requirements.visualNeeds || requirements.searchKeywords || [];
+    const texts = splitBeats(scene.content && scene.content.script);
+    const totalWords = texts.reduce((total, text) => total + countWords(text), 0) || 1;
+    const startTime = scene.startTime || 0;
+    let wordsBefore = 0;
+
+    return texts.map((text, index) => {
+        const words = countWords(text);
+        const {
+            cues,
+            locations: beatLocations
+        } = extractCues(text, locations, language);
+        const terms = [...cues.places.slice(0, 2), ...cues.nouns, ...cues.actions.slice(0, 1)];
+        const beat = {
+            beatNumber: index + 1,
+            text,
+            startTime: roundTenth(startTime + scene.duration * wordsBefore / totalWords),
+            duration: roundTenth(scene.duration * words / totalWords),
+            cues,
+            locations: beatLocations,
+            searchQuery: (terms.length > 0 ? terms : visualNeeds.slice(0, 2)).join(' ')
+        };
+
+        wordsBefore += words;
+        return beat;
+    });
+}
+
+/**
+ * Scene with visualRequirements.beats and searchKeywords drawn from the beats' cues
+ * visualRequirements.visualNeeds keeps the topic's visual needs so edited
+ * narration can be re-cued later.
+ */
+function addVisualCues(scene, language = 'en') {
+    const requirements = scene.visualRequirements || {};
+    const visualNeeds = requirements.visualNeeds || requirements.searchKeywords || [];
+    const beats = planSceneBeats({
+        ...scene,
+        visualRequirements: {
+            ...requirements,
+            visualNeeds
+        }
+    }, language);
+    const concrete = [...new Set(beats.flatMap(beat => [...beat.cues.places, ...beat.cues.nouns]))];
+
+    return {
+        ...scene,
+        visualRequirements: {
+            ...requirements,
+            searchKeywords: concrete.length > 0 ? concrete.slice(0, MAX_SCENE_KEYWORDS) : visualNeeds,
+            visualNeeds,
+            beats
+        }
+    };
+}
+
+module.exports = {
+    splitBeats,
+    extractCues,
+    planSceneBeats,
+    addVisualCues
+};
@@ -0,0 +1,128 @@
+/* eslint-env jest */
+/**
+ * Stage Chaining Rules Tests
+ */
+
+const {
+    parseContextKey,
+    parsePublishedKey,
+    findTriggeredRules,
+    getStageInputs,
+    getStageResultError,
+    resolveChainingSetting
+} = require('../chain-rules');
+
+describe('Stage Chaining Rules', () => {
+    test('parseContextKey should only accept project context files', () => {
+        expect(parseContextKey('videos/2025-01-01_travel-spain/01-context/scene-context.json')).toEqual({
+            projectId: '2025-01-01_travel-spain',
+            contextType: 'scene'
+        });
+        expect(parseContextKey('videos/p1/04-audio/audio-context.json')).toBeNull();
+        expect(parseContextKey('videos/p1/01-context/notes.json')).toBeNull();
+    });
+
+    test('parsePublishedKey should only accept the YouTube metadata file', () => {
+        expect(parsePublishedKey('videos/p1/06-metadata/youtube-metadata.json')).toBe('p1');
+        expect(parsePublishedKey('videos/p1/06-metadata/project-summary.json')).toBeNull();
+        expect(parsePublishedKey('videos/p1/01-context/youtube-metadata.json')).toBeNull();
+    });
+
+    test('scene context should start media curation and audio generation', () => {
+        expect(findTriggeredRules('scene').map(rule => rule.stage)).toEqual(['media-curator', 'audio-generator']);
+    });
+
+    test('manifest builder should require both media and audio', () => {
+        const [mediaRule] = findTriggeredRules('media');
+        const [audioRule] = findTriggeredRules('audio');
+
+        expect(mediaRule.stage).toBe('manifest-builder');
+        expect(audioRule).toBe(mediaRule);
+        expect(mediaRule.requires).toEqual(['media', 'audio']);
+    });
+
+    test('stage bodies should fall back to the topic context', () => {
+        const [scriptRule] = findTriggeredRules('topic');
+        const body = scriptRule.buildBody('p1', {
+            videoStyle: 'educational'
+        }, {
+            videoDuration: 480,
+            targetAudience: 'travelers'
+        });
+
+        expect(body).toEqual({
+            projectId: 'p1',
+            scriptOptions: {
+                targetLength: 480,
+                targetAudience: 'travelers',
+                videoStyle: 'educational'
+            }
+        });
+    });
+
+    test('resolveChainingSetting should prefer project, then topic, then default', () => {
+        expect(resolveChainingSetting({
+            enabled: false
+        }, {
+            autoChain: true
+        }, true)).toEqual({
+            enabled: false,
+            source: 'project'
+        });
+        expect(resolveChainingSetting(null, {
+            autoChain: true
+        }, false)).toEqual({
+            enabled: true,
+            source: 'topic'
+        });
+        expect(resolveChainingSetting(null, {}, false)).toEqual({
+            enabled: false,
+            source: 'default'
+        });
+    });
+
+    test('getStageInputs should list the contexts a stage reads', () => {
+        expect(getStageInputs('manifest-builder')).toEqual(['media', 'audio']);
+        expect(getStageInputs('topic-management')).toEqual([]);
+    });
+
+    test('getStageResultError should catch thrown errors, failed invocations and error responses', () => {
+        const success = {
+            condition: 'Success'
+        };
+
+        expect(getStageResultError({
+            requestContext: success,
+            responseContext: {
+                functionError: 'Unhandled'
+            },
+            responsePayload: {
+                errorMessage: 'Task timed out after 300.00 seconds'
+            }
+        })).toBe('Task timed out after 300.00 seconds');
+        expect(getStageResultError({
+            requestContext: {
+                condition: 'RetriesExhausted'
+            },
+            responseContext: {}
+        })).toBe('Invocation failed: RetriesExhausted');
+        expect(getStageResultError({
+            requestContext: success,
+            responseContext: {},
+            responsePayload: {
+                statusCode: 400,
+                body: '{}'
+            }
+        })).toBe('Stage returned status 400');
+        expect(getStageResultError({
+            requestContext: success,
+            responseContext: {},
+            responsePayload: {
+                statusCode: 200,
+                body: JSON.stringify({
+                    success: true
+                })
+            }
+        })).toBeNull();
+    });
+});
@@ -0,0 +1,217 @@
+/* eslint-env jest */
+/**
+ * Stage Chainer Webhook Events Tests
+ */
+
+const {
+    S3Client
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient
+} = require('@aws-sdk/client-dynamodb');
+const {
+    LambdaClient
+} = require('@aws-sdk/client-lambda');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const {
+    handler
+} = require('../index');
+
+const s3Event = key => ({
+    Records: [{
+        s3: {
+            object: {
+                key
+            }
+        }
+    }]
+});
+
+describe('Stage Chainer webhook events', () => {
+    let records;
+    let objects;
+    let etags;
+    let invocations;
+
+    beforeEach(() => {
+        process.env.WEBHOOK_NOTIFIER_FUNCTION = 'webhook-notifier';
+        process.env.AUDIO_GENERATOR_FUNCTION = 'audio-generator';
+        records = {};
+        objects = {
+            'videos/p1/01-context/topic-context.json': {
+                mainTopic: 'Lisbon'
+            },
+            'videos/p1/01-context/scene-context.json': {
+                scenes: []
+            },
+            'videos/p1/06-metadata/youtube-metadata.json': {
+                youtubeUrl: 'https://www.youtube.com/watch?v=abc'
+            }
+        };
+        etags = {};
+        invocations = [];
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        jest.spyOn(S3Client.prototype, 'send').mockImplementation(async (command) => {
+            const object = objects[command.input.Key];
+            if (!object) {
+                const error = new Error('NotFound');
+                error.name = 'NotFound';
+                throw error;
+            }
+            return {
+                ETag: `"${etags[command.input.Key] || `etag-${command.input.Key.split('/').pop()}`}"`,
+                Body: {
+                    transformToString: async () => JSON.stringify(object)
+                }
+            };
+        });
+
+        jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+            if (command.constructor.name === 'GetItemCommand') {
+                const record = records[unmarshall(command.input.Key).PK];
+                return {
+                    Item: record ? marshall(record) : undefined
+                };
+            }
+            return {};
+        });
+
+        jest.spyOn(LambdaClient.prototype, 'send').mockImplementation(async (command) => {
+            invocations.push({
+                functionName: command.input.FunctionName,
+                payload: JSON.parse(command.input.Payload)
+            });
+            return {};
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.WEBHOOK_NOTIFIER_FUNCTION;
+        delete process.env.AUDIO_GENERATOR_FUNCTION;
+    });
+
+    const webhookEvents = () => invocations
+        .filter(invocation => invocation.functionName === 'webhook-notifier')
+        .map(invocation => invocation.payload.event);
+
+    test('should report the stage that wrote a context file even when chaining is off', async () => {
+        const result = await handler(s3Event('videos/p1/01-context/scene-context.json'));
+
+        expect(result.results[0].skipped).toBe('auto-chaining disabled');
+        expect(webhookEvents()).toEqual([expect.objectContaining({
+            event: 'stage.completed',
+            projectId: 'p1',
+            executionId: expect.stringMatching(/^chain-[0-9a-f]{32}$/),
+            stage: 'script-generator',
+            artifacts: ['videos/p1/01-context/scene-context.json']
+        })]);
+    });
+
+    test('should give a re-run on new inputs its own execution id and a redelivery the same one', async () => {
+        const sceneKey = 'videos/p1/01-context/scene-context.json';
+
+        await handler(s3Event(sceneKey));
+        await handler(s3Event(sceneKey));
+        etags['videos/p1/01-context/topic-context.json'] = 'etag-topic-v2';
+        await handler(s3Event(sceneKey));
+        etags[sceneKey] = 'etag-scene-v2';
+        await handler(s3Event(sceneKey));
+
+        const ids = webhookEvents().map(event => event.executionId);
+        expect(ids[1]).toBe(ids[0]);
+        expect(new Set(ids).size).toBe(3);
+    });
+
+    test('should report a failed chained stage as project.failed with its start execution id', async () => {
+        objects['videos/p1/01-context/topic-context.json'].autoChain = true;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await handler(s3Event('videos/p1/01-context/scene-context.json'));
+        const start = invocations.find(invocation => invocation.functionName === 'audio-generator');
+        expect(start).toBeDefined();
+
+        await handler({
+            requestContext: {
+                condition: 'Success'
+            },
+            requestPayload: start.payload,
+            responseContext: {
+                statusCode: 200
+            },
+            responsePayload: {
+                statusCode: 500,
+                body: JSON.stringify({
+                    success: false,
+                    error: 'Polly synthesis failed: throttled'
+                })
+            }
+        });
+
+        expect(webhookEvents().pop()).toEqual(expect.objectContaining({
+            event: 'project.failed',
+            projectId: 'p1',
+            executionId: start.payload.headers['X-Chain-Execution-Id'],
+            stage: 'audio-generator',
+            error: 'Polly synthesis failed: throttled'
+        }));
+    });
+
+    test('should send nothing when a chained stage succeeds', async () => {
+        const result = await handler({
+            requestContext: {
+                condition: 'Success'
+            },
+            requestPayload: {
+                path: '/audio/generate',
+                headers: {
+                    'X-Chain-Execution-Id': 'chain-abc'
+                },
+                body: JSON.stringify({
+                    projectId: 'p1'
+                })
+            },
+            responseContext: {
+                statusCode: 200
+            },
+            responsePayload: {
+                statusCode: 200,
+                body: JSON.stringify({
+                    success: true
+                })
+            }
+        });
+
+        expect(result.succeeded).toBe(true);
+        expect(invocations).toEqual([]);
+    });
+
+    test('should report publication and completion from the YouTube metadata', async () => {
+        await handler(s3Event('videos/p1/06-metadata/youtube-metadata.json'));
+
+        expect(webhookEvents().map(event => [event.event, event.stage])).toEqual([
+            ['stage.completed', 'youtube-publisher'],
+            ['project.published', 'youtube-publisher'],
+            ['project.completed', null]
+        ]);
+        expect(webhookEvents()[1].youtubeUrl).toBe('https://www.youtube.com/watch?v=abc');
+    });
+
+    test('should leave projects with a running workflow to the orchestrator', async () => {
+        records['workflow#p1'] = {
+            projectId: 'p1',
+            executionId: 'exec-1',
+            status: 'running'
+        };
+
+        await handler(s3Event('videos/p1/01-context/scene-context.json'));
+        await handler(s3Event('videos/p1/06-metadata/youtube-metadata.json'));
+
+        expect(invocations).toEqual([]);
+    });
+});
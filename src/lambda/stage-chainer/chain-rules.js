@@ -0,0 +1,169 @@
+/**
+ * Chaining Rules - Stage Chainer
+ *
+ * Maps each 01-context/ file to the stages it unblocks. A stage starts once
+ * every context type it requires exists, so manifest-builder waits for both
+ * media and audio no matter which of the two lands last.
+ */
+
+const {
+    PIPELINE_STAGES
+} = require('pipeline-shared/pipeline-stages');
+
+const CONTEXT_KEY_PATTERN = /^videos\/([^/]+)\/01-context\/([a-z]+)-context\.json$/;
+const PUBLISHED_KEY_PATTERN = /^videos\/([^/]+)\/06-metadata\/youtube-metadata\.json$/;
+
+// Request header carrying the webhook executionId of a chained stage run
+const CHAIN_EXECUTION_HEADER = 'X-Chain-Execution-Id';
+
+// Stage that writes each 01-context/ file, for its stage.completed webhook event
+const CONTEXT_PRODUCERS = Object.fromEntries(PIPELINE_STAGES
+    .filter(stage => stage.contextType)
+    .map(stage => [stage.contextType, stage.name]));
+
+/**
+ * Downstream stages in pipeline order, from the shared stage definitions
+ *
+ * buildBody receives the project's chaining options and its topic context
+ * (null when unavailable) so requests match what the orchestrator would send.
+ */
+const CHAIN_RULES = PIPELINE_STAGES
+    .filter(stage => stage.requires.length > 0)
+    .map(stage => ({
+        stage: stage.name,
+        functionEnv: stage.functionEnv,
+        path: stage.path,
+        requires: stage.requires,
+        buildBody: (projectId, options, topicContext) => stage.buildBody(projectId, buildChainRequest(options, topicContext))
+    }));
+
+/**
+ * Workflow-style request for a chained stage: the chaining options, with the
+ * topic, duration and audience falling back to the topic context
+ */
+function buildChainRequest(options, topicContext) {
+    const topic = topicContext || {};
+
+    return {
+        ...options,
+        topic: topic.mainTopic,
+        videoDuration: options.videoDuration || topic.videoDuration,
+        targetAudience: options.targetAudience || topic.targetAudience
+    };
+}
+
+/**
+ * Extract projectId and context type from an S3 object key
+ * @param {string} key - Decoded S3 object key
+ * @returns {object|null} { projectId, contextType }
+ */
+function parseContextKey(key) {
+    const match = key.match(CONTEXT_KEY_PATTERN);
+    return match ? {
+        projectId: match[1],
+        contextType: match[2]
+    } : null;
+}
+
+/**
+ * Extract the projectId from the YouTube Publisher's metadata key
+ * @returns {string|null} projectId
+ */
+function parsePublishedKey(key) {
+    const match = key.match(PUBLISHED_KEY_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Context types a stage reads; none for Topic Management, which starts a project
+ */
+function getStageInputs(stage) {
+    const definition = PIPELINE_STAGES.find(candidate => candidate.name === stage);
+    return definition ? definition.requires : [];
+}
+
+/**
+ * Why a chained stage run failed, from the Lambda destination record of its
+ * asynchronous invocation
+ * Stages report most failures as HTTP-style responses instead of throwing.
+ * @returns {string|null} Error message, null when the stage succeeded
+ */
+function getStageResultError(destinationEvent) {
+    const requestContext = destinationEvent.requestContext || {};
+    const responseContext = destinationEvent.responseContext || {};
+    const response = destinationEvent.responsePayload || {};
+
+    if (responseContext.functionError) {
+        return response.errorMessage || responseContext.functionError;
+    }
+
+    if (requestContext.condition && requestContext.condition !== 'Success') {
+        return `Invocation failed: ${requestContext.condition}`;
+    }
+
+    let body = {};
+    try {
+        body = typeof response.body === 'string' ? JSON.parse(response.body) : (response.body || {});
+    } catch (error) {
+        body = {};
+    }
+
+    if (response.statusCode >= 400 || body.success === false) {
+        return body.error || `Stage returned status ${response.statusCode}`;
+    }
+
+    return null;
+}
+
+/**
+ * Stages that depend on the context type that was just written
+ */
+function findTriggeredRules(contextType) {
+    return CHAIN_RULES.filter(rule => rule.requires.includes(contextType));
+}
+
+/**
+ * Context file key for a project and context type
+ */
+function getContextKey(projectId, contextType) {
+    return `videos/${projectId}/01-context/${contextType}-context.json`;
+}
+
+/**
+ * Resolve whether auto-chaining is on for a project
+ * Precedence: project setting, then the topic context flag, then the default.
+ * @returns {object} { enabled, source }
+ */
+function resolveChainingSetting(projectSetting, topicContext, defaultEnabled) {
+    if (projectSetting && typeof projectSetting.enabled === 'boolean') {
+        return {
+            enabled: projectSetting.enabled,
+            source: 'project'
+        };
+    }
+
+    if (topicContext && typeof topicContext.autoChain === 'boolean') {
+        return {
+            enabled: topicContext.autoChain,
+            source: 'topic'
+        };
+    }
+
+    return {
+        enabled: defaultEnabled,
+        source: 'default'
+    };
+}
+
+module.exports = {
+    CHAIN_RULES,
+    CHAIN_EXECUTION_HEADER,
+    CONTEXT_PRODUCERS,
+    parseContextKey,
+    parsePublishedKey,
+    getStageInputs,
+    getStageResultError,
+    findTriggeredRules,
+    getContextKey,
+    resolveChainingSetting
+};
@@ -0,0 +1,586 @@
+/**
+ * 🔗 STAGE CHAINER - EVENT-DRIVEN PIPELINE PROGRESSION
+ *
+ * CORE RESPONSIBILITY:
+ * Starts the next agents as soon as a stage writes its context file, so a
+ * project moves through the pipeline without the Workflow Orchestrator.
+ *
+ * TRIGGERS (S3 ObjectCreated on videos/{projectId}/01-context/*-context.json):
+ * - topic-context.json    → Script Generator
+ * - scene-context.json    → Media Curator and Audio Generator (in parallel)
+ * - media/audio-context   → Manifest Builder, once both exist
+ * - manifest-context.json → Video Assembler
+ * - video-context.json    → YouTube Publisher
+ *
+ * OPT-IN (first match wins):
+ * 1. PUT /projects/{projectId}/auto-chain { enabled, options }
+ * 2. autoChain: true|false passed to Topic Management
+ * 3. AUTO_CHAIN_DEFAULT environment variable (off unless 'true')
+ *
+ * Projects with a running orchestrator workflow are skipped; the orchestrator
+ * already drives them. Each stage start is claimed with a conditional write
+ * keyed on the upstream object versions, so duplicate S3 notifications never
+ * start a stage twice.
+ *
+ * WEBHOOKS (projects without a running workflow, chained or not):
+ * - A context file written → stage.completed for the stage that wrote it
+ * - 06-metadata/youtube-metadata.json with a youtubeUrl → stage.completed,
+ *   project.published and project.completed
+ * - A chained stage that fails → project.failed; the stage functions send the
+ *   outcome of every asynchronous invocation back here (Lambda destinations)
+ * - executionId is a hash of the stage and the upstream context ETags it ran
+ *   on (the start claim's key), plus for completions the ETag it wrote; a
+ *   re-run on new inputs or a rewritten context is a new execution, an S3
+ *   redelivery is not
+ *
+ * RECORDS (CONTEXT_TABLE):
+ * - PK 'chaining#{projectId}',            SK '{projectId}': per-project setting
+ * - PK 'chain-claim#{stage}#{projectId}', SK '{upstream ETags}': start claims
+ */
+
+const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+    LambdaClient,
+    InvokeCommand
+} = require('@aws-sdk/client-lambda');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const crypto = require('crypto');
+const {
+    sendWebhookEvent
+} = require('pipeline-shared/webhook-events');
+const {
+    CHAIN_RULES,
+    CHAIN_EXECUTION_HEADER,
+    CONTEXT_PRODUCERS,
+    parseContextKey,
+    parsePublishedKey,
+    getStageInputs,
+    getStageResultError,
+    findTriggeredRules,
+    getContextKey,
+    resolveChainingSetting
+} = require('./chain-rules');
+
+const s3Client = new S3Client({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+const dynamoClient = new DynamoDBClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+const lambdaClient = new LambdaClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+// Claims only need to outlive S3's notification retries
+const CLAIM_TTL_SECONDS = 24 * 60 * 60;
+const CHAIN_OPTION_FIELDS = ['targetAudience', 'videoDuration', 'videoStyle', 'scriptStructure', 'voiceId', 'minVisuals', 'privacy', 'publishAt', 'metadata'];
+
+/**
+ * Main Lambda handler
+ */
+exports.handler = async (event) => {
+    console.log('Stage Chainer invoked:', JSON.stringify(event, null, 2));
+
+    // Lambda destination record of a chained stage's asynchronous invocation
+    if (event.requestPayload && event.responseContext) {
+        return await handleStageResult(event);
+    }
+
+    // S3 notification
+    if (Array.isArray(event.Records)) {
+        const results = [];
+        for (const record of event.Records) {
+            results.push(await handleObjectCreated(record));
+        }
+        return {
+            processed: results.length,
+            results
+        };
+    }
+
+    const {
+        httpMethod,
+        path = ''
+    } = event;
+
+    if (httpMethod === 'GET' && path === '/chaining/health') {
+        return createResponse(200, {
+            service: 'stage-chainer',
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            defaultEnabled: isEnabledByDefault(),
+            stages: CHAIN_RULES.map(rule => ({
+                stage: rule.stage,
+                requires: rule.requires
+            }))
+        });
+    }
+
+    try {
+        const settingMatch = path.match(/^\/projects\/([^/]+)\/auto-chain$/);
+
+        if (settingMatch) {
+            const projectId = decodeURIComponent((event.pathParameters && event.pathParameters.projectId) || settingMatch[1]);
+
+            if (httpMethod === 'GET') {
+                return await getChainingSetting(projectId);
+            }
+
+            if (httpMethod === 'PUT') {
+                return await updateChainingSetting(projectId, event.body ? JSON.parse(event.body) : {});
+            }
+        }
+
+        return createResponse(404, {
+            success: false,
+            error: 'Endpoint not found'
+        });
+
+    } catch (error) {
+        console.error('❌ Stage Chainer error:', error);
+        return createResponse(error instanceof SyntaxError ? 400 : 500, {
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Route an S3 notification to context or publication handling
+ */
+async function handleObjectCreated(record) {
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+    const publishedProjectId = parsePublishedKey(key);
+
+    if (publishedProjectId) {
+        return await handlePublished(record, key, publishedProjectId);
+    }
+
+    return await handleContextWritten(record, key);
+}
+
+/**
+ * Report the stage that wrote a context file and start every stage it unblocks
+ */
+async function handleContextWritten(record, key) {
+    const parsed = parseContextKey(key);
+
+    if (!parsed) {
+        return {
+            key,
+            skipped: 'not a context file'
+        };
+    }
+
+    const {
+        projectId,
+        contextType
+    } = parsed;
+
+    // The orchestrator chains and reports the stages of its own workflows
+    const workflow = await getRecord(`workflow#${projectId}`, projectId);
+    if (workflow && workflow.status === 'running') {
+        console.log(`⏭️ ${projectId} is driven by workflow ${workflow.executionId}, not chaining`);
+        return {
+            key,
+            skipped: 'workflow running'
+        };
+    }
+
+    const topicContext = await readContext(getContextKey(projectId, 'topic'));
+    const producer = CONTEXT_PRODUCERS[contextType];
+
+    await sendWebhookEvent({
+        event: 'stage.completed',
+        projectId,
+        executionId: await getCompletedExecutionId(producer, projectId, record, key),
+        stage: producer,
+        artifacts: [key],
+        dryRun: Boolean(topicContext && topicContext.dryRun),
+        timestamp: new Date().toISOString()
+    });
+
+    const rules = findTriggeredRules(contextType);
+
+    if (rules.length === 0) {
+        return {
+            key,
+            skipped: 'no downstream stages'
+        };
+    }
+
+    const projectSetting = await getRecord(`chaining#${projectId}`, projectId);
+    const setting = resolveChainingSetting(projectSetting, topicContext, isEnabledByDefault());
+
+    if (!setting.enabled) {
+        console.log(`⏸️ Auto-chaining disabled for ${projectId} (${setting.source})`);
+        return {
+            key,
+            skipped: 'auto-chaining disabled'
+        };
+    }
+
+    const options = (projectSetting && projectSetting.options) || {};
+    const started = [];
+
+    for (const rule of rules) {
+        if (await startStage(rule, projectId, options, topicContext)) {
+            started.push(rule.stage);
+        }
+    }
+
+    return {
+        key,
+        projectId,
+        started
+    };
+}
+
+/**
+ * Report a publication that happened outside an orchestrator workflow
+ * Publishing is the last stage, so the project is complete as well.
+ */
+async function handlePublished(record, key, projectId) {
+    const workflow = await getRecord(`workflow#${projectId}`, projectId);
+    if (workflow && workflow.status === 'running') {
+        return {
+            key,
+            skipped: 'workflow running'
+        };
+    }
+
+    const metadata = await readContext(key);
+    if (!metadata || !metadata.youtubeUrl) {
+        return {
+            key,
+            skipped: 'no youtubeUrl'
+        };
+    }
+
+    const event = {
+        projectId,
+        executionId: await getCompletedExecutionId('youtube-publisher', projectId, record, key),
+        stage: 'youtube-publisher',
+        artifacts: [key],
+        youtubeUrl: metadata.youtubeUrl,
+        dryRun: false,
+        timestamp: new Date().toISOString()
+    };
+
+    await sendWebhookEvent({
+        ...event,
+        event: 'stage.completed'
+    });
+    await sendWebhookEvent({
+        ...event,
+        event: 'project.published'
+    });
+    await sendWebhookEvent({
+        ...event,
+        event: 'project.completed',
+        stage: null,
+        status: 'succeeded'
+    });
+
+    console.log(`📺 Reported publication of ${projectId}: ${metadata.youtubeUrl}`);
+    return {
+        key,
+        projectId,
+        published: metadata.youtubeUrl
+    };
+}
+
+/**
+ * Report a chained stage whose invocation failed or returned an error
+ * Successes are reported when the stage's context file lands.
+ */
+async function handleStageResult(destinationEvent) {
+    const request = destinationEvent.requestPayload || {};
+    const rule = CHAIN_RULES.find(candidate => candidate.path === request.path);
+    const executionId = request.headers && request.headers[CHAIN_EXECUTION_HEADER];
+
+    if (!rule || !executionId) {
+        return {
+            skipped: 'not a chained stage run'
+        };
+    }
+
+    const body = JSON.parse(request.body || '{}');
+    const error = getStageResultError(destinationEvent);
+
+    if (!error) {
+        return {
+            stage: rule.stage,
+            projectId: body.projectId,
+            succeeded: true
+        };
+    }
+
+    console.error(`❌ Chained ${rule.stage} failed for project ${body.projectId}: ${error}`);
+    await sendWebhookEvent({
+        event: 'project.failed',
+        projectId: body.projectId,
+        executionId,
+        stage: rule.stage,
+        status: 'failed',
+        error,
+        dryRun: body.dryRun === true,
+        timestamp: new Date().toISOString()
+    });
+
+    return {
+        stage: rule.stage,
+        projectId: body.projectId,
+        failed: error
+    };
+}
+
+/**
+ * Webhook execution id of a stage run outside a workflow
+ * @param {Array<string>} versions - ETags of the stage's inputs (and, once done, of what it wrote)
+ */
+function getChainExecutionId(stage, versions) {
+    const hash = crypto.createHash('sha256').update([stage, ...versions].join('|')).digest('hex');
+    return `chain-${hash.slice(0, 32)}`;
+}
+
+/**
+ * Execution id of the run that wrote key: its current inputs plus the written version
+ */
+async function getCompletedExecutionId(stage, projectId, record, key) {
+    const inputs = await getContextVersions(projectId, getStageInputs(stage));
+    const written = record.s3.object.eTag || await getObjectETag(key);
+
+    return getChainExecutionId(stage, [...inputs, written].map(version => normalizeETag(version)));
+}
+
+/**
+ * ETags of a project's context files, null for missing ones
+ */
+async function getContextVersions(projectId, contextTypes) {
+    const versions = [];
+
+    for (const contextType of contextTypes) {
+        versions.push(await getObjectETag(getContextKey(projectId, contextType)));
+    }
+
+    return versions;
+}
+
+// HEAD responses quote ETags, S3 notifications do not
+function normalizeETag(etag) {
+    return etag ? etag.replace(/"/g, '') : 'missing';
+}
+
+/**
+ * Start one stage if all its inputs exist and nobody else claimed this run
+ * @returns {Promise<boolean>} Whether the stage was started
+ */
+async function startStage(rule, projectId, options, topicContext) {
+    const etags = await getContextVersions(projectId, rule.requires);
+    const missing = rule.requires.find((contextType, index) => !etags[index]);
+
+    if (missing) {
+        console.log(`⏳ ${rule.stage} waiting for ${missing} context (${projectId})`);
+        return false;
+    }
+
+    const inputVersion = etags.join('|');
+    const claimed = await claimStageStart(rule.stage, projectId, inputVersion);
+    if (!claimed) {
+        console.log(`⏭️ ${rule.stage} already started for these inputs (${projectId})`);
+        return false;
+    }
+
+    const functionName = process.env[rule.functionEnv];
+    if (!functionName) {
+        console.error(`❌ No function configured for stage ${rule.stage} (${rule.functionEnv})`);
+        return false;
+    }
+
+    await lambdaClient.send(new InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'Event',
+        Payload: JSON.stringify({
+            httpMethod: 'POST',
+            path: rule.path,
+            headers: {
+                'Content-Type': 'application/json',
+                [CHAIN_EXECUTION_HEADER]: getChainExecutionId(rule.stage, etags.map(normalizeETag))
+            },
+            body: JSON.stringify({
+                ...rule.buildBody(projectId, options, topicContext),
+                // A project started as a dry run stays one all the way down
+                dryRun: Boolean(topicContext && topicContext.dryRun)
+            })
+        })
+    }));
+
+    console.log(`🚀 Chained ${rule.stage} for project: ${projectId}`);
+    return true;
+}
+
+/**
+ * Record that a stage was started for a given set of upstream objects
+ * @returns {Promise<boolean>} False when the claim already exists
+ */
+async function claimStageStart(stage, projectId, inputVersion) {
+    try {
+        await dynamoClient.send(new PutItemCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            Item: marshall({
+                PK: `chain-claim#${stage}#${projectId}`,
+                SK: inputVersion,
+                stage,
+                projectId,
+                claimedAt: new Date().toISOString(),
+                ttl: Math.floor(Date.now() / 1000) + CLAIM_TTL_SECONDS
+            }),
+            ConditionExpression: 'attribute_not_exists(PK)'
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * GET /projects/{projectId}/auto-chain
+ */
+async function getChainingSetting(projectId) {
+    const projectSetting = await getRecord(`chaining#${projectId}`, projectId);
+    const topicContext = await readContext(getContextKey(projectId, 'topic'));
+    const setting = resolveChainingSetting(projectSetting, topicContext, isEnabledByDefault());
+
+    return createResponse(200, {
+        success: true,
+        projectId,
+        enabled: setting.enabled,
+        source: setting.source,
+        options: (projectSetting && projectSetting.options) || {},
+        updatedAt: projectSetting ? projectSetting.updatedAt : null
+    });
+}
+
+/**
+ * PUT /projects/{projectId}/auto-chain
+ */
+async function updateChainingSetting(projectId, requestBody) {
+    if (typeof requestBody.enabled !== 'boolean') {
+        return createResponse(400, {
+            success: false,
+            error: 'enabled must be true or false'
+        });
+    }
+
+    if (requestBody.options !== undefined && (typeof requestBody.options !== 'object' || Array.isArray(requestBody.options))) {
+        return createResponse(400, {
+            success: false,
+            error: 'options must be an object'
+        });
+    }
+
+    const options = {};
+    for (const field of CHAIN_OPTION_FIELDS) {
+        if (requestBody.options && requestBody.options[field] !== undefined) {
+            options[field] = requestBody.options[field];
+        }
+    }
+
+    const setting = {
+        projectId,
+        enabled: requestBody.enabled,
+        options,
+        updatedAt: new Date().toISOString()
+    };
+
+    await dynamoClient.send(new PutItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Item: marshall({
+            ...setting,
+            PK: `chaining#${projectId}`,
+            SK: projectId,
+            ttl: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60) // 30 days
+        }, {
+            removeUndefinedValues: true
+        })
+    }));
+
+    console.log(`🔗 Auto-chaining ${setting.enabled ? 'enabled' : 'disabled'} for ${projectId}`);
+    return createResponse(200, {
+        success: true,
+        ...setting,
+        source: 'project'
+    });
+}
+
+function isEnabledByDefault() {
+    return process.env.AUTO_CHAIN_DEFAULT === 'true';
+}
+
+async function getObjectETag(key) {
+    try {
+        const response = await s3Client.send(new HeadObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: key
+        }));
+        return response.ETag || 'present';
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readContext(key) {
+    try {
+        const response = await s3Client.send(new GetObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: key
+        }));
+        return JSON.parse(await response.Body.transformToString());
+    } catch (error) {
+        return null;
+    }
+}
+
+async function getRecord(pk, sk) {
+    const response = await dynamoClient.send(new GetItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: sk
+        })
+    }));
+
+    return response.Item ? unmarshall(response.Item) : null;
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+            'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+        },
+        body: JSON.stringify(body, null, 2)
+    };
+}
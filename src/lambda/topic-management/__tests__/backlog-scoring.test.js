@@ -0,0 +1,125 @@
+/* eslint-env jest */
+/**
+ * Backlog Scoring Tests
+ */
+
+const {
+    getScoringSettings,
+    validateSignals,
+    getScoreTier,
+    rankBacklog
+} = require('../backlog-scoring');
+
+const SETTINGS = {
+    weights: {
+        volume: 0.3,
+        engagement: 0.25,
+        recency: 0.2,
+        growth: 0.15,
+        sentiment: 0.1
+    },
+    thresholds: {
+        highScore: 80,
+        mediumScore: 50,
+        lowScore: 20
+    },
+    scale: [0, 100]
+};
+
+const topic = (backlogId, signals, createdAt = '2025-01-01T00:00:00.000Z') => ({
+    backlogId,
+    topic: backlogId,
+    signals,
+    createdAt
+});
+
+describe('Backlog Scoring', () => {
+    test('getScoringSettings should read weights, thresholds and scale from config', () => {
+        const config = {
+            'content.scoring.weights': {
+                volume: 0.5,
+                engagement: 0.5
+            },
+            'content.scoring.normalization': {
+                method: 'min_max',
+                scale: [0, 10]
+            }
+        };
+        const settings = getScoringSettings((key, defaultValue) => (key in config ? config[key] : defaultValue));
+
+        expect(settings.weights.volume).toBe(0.5);
+        expect(settings.weights.recency).toBe(0.2);
+        expect(settings.thresholds.highScore).toBe(80);
+        expect(settings.scale).toEqual([0, 10]);
+    });
+
+    test('validateSignals should reject unknown or non-numeric signals', () => {
+        expect(validateSignals({
+            clicks: 3
+        }).error).toMatch(/Unknown signals: clicks/);
+        expect(validateSignals({
+            volume: '12'
+        }).error).toMatch(/signals.volume/);
+        expect(validateSignals({
+            volume: 12,
+            growth: null
+        })).toEqual({
+            signals: {
+                volume: 12
+            }
+        });
+    });
+
+    test('should min-max normalize each signal and rank by weighted score', () => {
+        const ranked = rankBacklog([
+            topic('weak', {
+                volume: 100,
+                engagement: 1,
+                recency: 1,
+                growth: 0,
+                sentiment: -1
+            }),
+            topic('strong', {
+                volume: 5000,
+                engagement: 9,
+                recency: 7,
+                growth: 40,
+                sentiment: 1
+            }),
+            topic('middle', {
+                volume: 2550,
+                engagement: 5,
+                recency: 4,
+                growth: 20,
+                sentiment: 0
+            })
+        ], SETTINGS);
+
+        expect(ranked.map(item => item.backlogId)).toEqual(['strong', 'middle', 'weak']);
+        expect(ranked.map(item => item.rank)).toEqual([1, 2, 3]);
+        expect(ranked[0]).toMatchObject({
+            score: 100,
+            tier: 'high'
+        });
+        expect(ranked[1].normalizedSignals.volume).toBe(50);
+        expect(ranked[1].tier).toBe('medium');
+        expect(ranked[2]).toMatchObject({
+            score: 0,
+            tier: 'below-threshold'
+        });
+    });
+
+    test('missing signals score lowest and identical values sit mid-scale', () => {
+        const ranked = rankBacklog([
+            topic('no-signals', {}, '2025-01-01T00:00:00.000Z'),
+            topic('volume-only', {
+                volume: 10
+            }, '2025-01-02T00:00:00.000Z')
+        ], SETTINGS);
+
+        expect(ranked[0].backlogId).toBe('volume-only');
+        expect(ranked[0].normalizedSignals.volume).toBe(50);
+        expect(ranked[1].score).toBe(0);
+        expect(getScoreTier(20, SETTINGS.thresholds)).toBe('low');
+    });
+});
@@ -0,0 +1,112 @@
+/* eslint-env jest */
+/**
+ * Keyword Clustering Tests
+ */
+
+const {
+    stemWord,
+    stemKeyword,
+    estimateIntent,
+    buildSeoContext
+} = require('../keyword-clustering');
+const {
+    applyTrendKeywords
+} = require('../trend-data');
+
+describe('stemming', () => {
+    test('merges plurals and verb forms', () => {
+        expect(['planning', 'plans', 'beaches', 'cities', 'tips'].map(stemWord)).toEqual(['plan', 'plan', 'beach', 'city', 'tip']);
+    });
+
+    test('leaves short words, numbers and -ss words alone', () => {
+        expect(['bus', '2025s', 'business'].map(stemWord)).toEqual(['bus', '2025s', 'business']);
+    });
+
+    test('stemKeyword drops stop words but keeps question words', () => {
+        expect(stemKeyword('Travel to the Beaches')).toBe('travel beach');
+        expect(stemKeyword('how to travel to Spain')).toBe('how travel spain');
+    });
+});
+
+describe('estimateIntent', () => {
+    test.each([
+        ['book spain flights', 'transactional'],
+        ['is spain worth it', 'commercial'],
+        ['best spain beaches', 'commercial'],
+        ['spain tourism official website', 'navigational'],
+        ['history of spain', 'informational']
+    ])('%s is %s', (keyword, intent) => {
+        expect(estimateIntent(keyword)).toBe(intent);
+    });
+});
+
+describe('buildSeoContext', () => {
+    const expandedTopics = [{
+        subtopic: 'Best beaches in Spain for budget travelers'
+    }, {
+        subtopic: 'Spain travel tips for budget travelers'
+    }, {
+        subtopic: 'Getting around Spain by train'
+    }];
+
+    test('builds stopword-filtered primary keywords and all four clusters', () => {
+        const seoContext = buildSeoContext('Travel to Spain', {
+            expandedTopics,
+            audienceLabel: 'Budget Travelers'
+        });
+
+        expect(seoContext.primaryKeywords).toEqual(['travel to spain', 'travel', 'spain']);
+        expect(seoContext.keywordClusters.secondary.map(entry => entry.keyword)).toEqual([
+            'best beaches in spain',
+            'spain travel tips',
+            'getting around spain by train'
+        ]);
+        expect(seoContext.longTailKeywords).toContain('travel to spain for budget travelers');
+        expect(seoContext.questionKeywords).toEqual(expect.arrayContaining(['how to travel to spain', 'is travel to spain worth it']));
+        expect(seoContext.keywordClusters.question.find(entry => entry.keyword === 'is travel to spain worth it')).toEqual({
+            keyword: 'is travel to spain worth it',
+            stem: 'travel spain worth',
+            intent: 'commercial'
+        });
+    });
+
+    test('a keyword appears in only one cluster by stemmed form', () => {
+        const seoContext = buildSeoContext('Spain travel tips', {
+            expandedTopics: [{
+                subtopic: 'Spain travel tip'
+            }]
+        });
+        const stems = Object.values(seoContext.keywordClusters).flat().map(entry => entry.stem);
+
+        expect(new Set(stems).size).toBe(stems.length);
+        expect(seoContext.keywordClusters.secondary).toHaveLength(0);
+        expect(seoContext.longTailKeywords).not.toContain('spain travel tips tips');
+    });
+
+    test('follows the project language for stop words, templates and intent', () => {
+        const seoContext = buildSeoContext('Viajar a España', {
+            language: 'es'
+        });
+
+        expect(seoContext.language).toBe('es');
+        expect(seoContext.primaryKeywords).toEqual(['viajar a españa', 'viajar', 'españa']);
+        expect(seoContext.questionKeywords.every(keyword => keyword.includes('viajar a españa'))).toBe(true);
+        expect(seoContext.longTailKeywords).not.toContain('viajar a españa guide');
+        expect(estimateIntent('reservar hotel en madrid', 'es')).toBe('transactional');
+    });
+
+    test('trend keywords join the long-tail cluster once', () => {
+        const seoContext = applyTrendKeywords(buildSeoContext('Spain travel'), {
+            hotKeywords: ['spain digital nomad visa', 'Spain Travel', 'spain digital nomad visas']
+        });
+
+        expect(seoContext.trendingKeywords).toHaveLength(3);
+        expect(seoContext.keywordClusters.longTail.filter(entry => entry.trending)).toEqual([{
+            keyword: 'spain digital nomad visa',
+            stem: 'spain digital nomad visa',
+            intent: 'informational',
+            trending: true
+        }]);
+        expect(seoContext.longTailKeywords).toContain('spain digital nomad visa');
+    });
+});
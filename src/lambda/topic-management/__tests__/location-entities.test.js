@@ -0,0 +1,123 @@
+/* eslint-env jest */
+/**
+ * Location Entity Extraction Tests
+ */
+
+const {
+    findGazetteerPlaces,
+    parseLocations,
+    extractLocations
+} = require('../location-entities');
+
+const getConfigValue = (key, defaultValue) => (key === 'ai.models.primary' ? {
+    id: 'primary-model'
+} : defaultValue);
+
+const expandedTopics = [{
+    subtopic: 'Getting from Madrid to Granada by train',
+    visualNeeds: ['AVE train', 'Granada station']
+}, {
+    subtopic: 'Buying tickets online',
+    visualNeeds: ['ticket office']
+}];
+
+describe('findGazetteerPlaces', () => {
+    test('matches names and translated aliases without accents, longest first', () => {
+        expect(findGazetteerPlaces('Sevilla, la Torre Eiffel y Ciudad de México')).toEqual(['Seville', 'Eiffel Tower', 'Mexico City']);
+        expect(findGazetteerPlaces('Mexico City street food')).toEqual(['Mexico City']);
+    });
+
+    test('case-sensitive names only match when capitalized', () => {
+        expect(findGazetteerPlaces('a nice weekend in Nice')).toEqual(['Nice']);
+        expect(findGazetteerPlaces('roast turkey on fine china')).toEqual([]);
+    });
+});
+
+test('parseLocations keeps valid items and fills the entity\'s own level', () => {
+    expect(parseLocations('Places: [{"name": "Alhambra", "type": "landmark", "city": "Granada", "country": "Spain"}, {"name": "x", "type": "planet"}]')).toEqual([{
+        type: 'landmark',
+        name: 'Alhambra',
+        city: 'Granada',
+        region: null,
+        country: 'Spain'
+    }]);
+    expect(parseLocations('no places')).toBeNull();
+});
+
+describe('extractLocations', () => {
+    test('uses the gazetteer in dry runs and tags subtopics', async () => {
+        const modelClient = {
+            invoke: jest.fn()
+        };
+        const result = await extractLocations({
+            topic: 'Visiting the Alhambra',
+            expandedTopics,
+            dryRun: true
+        }, {
+            modelClient,
+            getConfigValue
+        });
+
+        expect(modelClient.invoke).not.toHaveBeenCalled();
+        expect(result.locations.source).toBe('gazetteer');
+        expect(result.locations.primary).toEqual({
+            type: 'landmark',
+            name: 'Alhambra',
+            city: 'Granada',
+            region: 'Andalusia',
+            country: 'Spain',
+            query: 'Alhambra, Granada, Spain'
+        });
+        expect(result.expandedTopics.map(item => item.locations)).toEqual([
+            ['Madrid', 'Granada'],
+            []
+        ]);
+    });
+
+    test('adds model places that appear in the text and drops the rest', async () => {
+        const modelClient = {
+            invoke: jest.fn(async () => JSON.stringify([{
+                name: 'Alhambra',
+                type: 'landmark'
+            }, {
+                name: 'Granada Station',
+                type: 'landmark',
+                city: 'Granada',
+                country: 'Spain'
+            }, {
+                name: 'Cordoba',
+                type: 'city',
+                country: 'Spain'
+            }]))
+        };
+        const result = await extractLocations({
+            topic: 'Visiting the Alhambra',
+            expandedTopics
+        }, {
+            modelClient,
+            getConfigValue
+        });
+
+        expect(result.locations.source).toBe('model');
+        expect(result.locations.modelId).toBe('primary-model');
+        expect(result.locations.primary.query).toBe('Alhambra, Granada, Spain');
+        expect(result.locations.entities.map(entity => entity.name)).toEqual(['Alhambra', 'Granada Station', 'Madrid', 'Granada']);
+    });
+
+    test('falls back to the gazetteer when the model fails', async () => {
+        const result = await extractLocations({
+            topic: 'Visiting the Alhambra',
+            expandedTopics
+        }, {
+            modelClient: {
+                invoke: jest.fn(async () => {
+                    throw new Error('ThrottlingException');
+                })
+            },
+            getConfigValue
+        });
+
+        expect(result.locations.source).toBe('gazetteer');
+        expect(result.locations.entities).toHaveLength(3);
+    });
+});
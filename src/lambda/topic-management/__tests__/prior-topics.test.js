@@ -0,0 +1,168 @@
+/* eslint-env jest */
+/**
+ * Prior Topic Tests
+ */
+
+const {
+    S3Client
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient
+} = require('@aws-sdk/client-dynamodb');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const {
+    loadPriorTopics,
+    backfillProducedTopics
+} = require('../index');
+
+describe('Prior topics', () => {
+    let records;
+    let commands;
+
+    beforeEach(() => {
+        records = {};
+        commands = [];
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+            const name = command.constructor.name;
+            commands.push(name);
+
+            if (name === 'ScanCommand') {
+                return {
+                    Items: [{
+                        projectId: 'lisbon',
+                        mainTopic: 'Lisbon travel guide',
+                        createdAt: '2025-01-01T00:00:00.000Z'
+                    }, {
+                        projectId: 'porto-dry-run',
+                        mainTopic: 'Porto food tour',
+                        dryRun: true
+                    }].map(item => marshall(item))
+                };
+            }
+            if (name === 'PutItemCommand') {
+                const item = unmarshall(command.input.Item);
+                records[`${item.PK}|${item.SK}`] = item;
+                return {};
+            }
+            if (name === 'DeleteItemCommand') {
+                const key = unmarshall(command.input.Key);
+                delete records[`${key.PK}|${key.SK}`];
+                return {};
+            }
+            if (name === 'GetItemCommand') {
+                const key = unmarshall(command.input.Key);
+                const item = records[`${key.PK}|${key.SK}`];
+                return {
+                    Item: item ? marshall(item) : undefined
+                };
+            }
+            // QueryCommand on the produced topics partition
+            return {
+                Items: Object.values(records)
+                    .filter(item => item.PK === unmarshall(command.input.ExpressionAttributeValues)[':pk'])
+                    .map(item => marshall(item))
+            };
+        });
+
+        jest.spyOn(S3Client.prototype, 'send').mockImplementation(async (command) => {
+            commands.push(command.constructor.name);
+
+            // Two pages of project folders
+            if (command.constructor.name === 'ListObjectsV2Command') {
+                const firstPage = !command.input.ContinuationToken;
+                return {
+                    CommonPrefixes: (firstPage ? ['lisbon', 'porto-dry-run'] : ['madrid', 'empty']).map(id => ({
+                        Prefix: `videos/${id}/`
+                    })),
+                    NextContinuationToken: firstPage ? 'page-2' : undefined
+                };
+            }
+            if (command.input.Key === 'videos/madrid/01-context/topic-context.json') {
+                return {
+                    Body: {
+                        transformToString: async () => JSON.stringify({
+                            mainTopic: 'Madrid on a budget'
+                        })
+                    }
+                };
+            }
+            throw new Error('NoSuchKey');
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('loadPriorTopics should only query the produced topics partition', async () => {
+        records['topics#produced|lisbon'] = {
+            PK: 'topics#produced',
+            SK: 'lisbon',
+            projectId: 'lisbon',
+            topic: 'Lisbon travel guide'
+        };
+        records['topics#produced|#backfill-cursor'] = {
+            PK: 'topics#produced',
+            SK: '#backfill-cursor',
+            phase: 'folders'
+        };
+
+        const priors = await loadPriorTopics('seville');
+
+        expect(priors.map(prior => prior.projectId)).toEqual(['lisbon']);
+        expect(commands).toEqual(['QueryCommand']);
+    });
+
+    test('backfillProducedTopics should copy older projects once', async () => {
+        expect(await backfillProducedTopics()).toEqual({
+            done: true,
+            recorded: 2
+        });
+        expect(records['topics#produced|#backfill'].count).toBe(2);
+        expect(records['topics#produced|#backfill-cursor']).toBeUndefined();
+        expect(records['topics#produced|madrid'].topic).toBe('Madrid on a budget');
+        expect(records['topics#produced|porto-dry-run']).toBeUndefined();
+
+        commands = [];
+        expect((await backfillProducedTopics()).recorded).toBe(0);
+        expect(commands).toEqual(['GetItemCommand']);
+
+        expect((await loadPriorTopics('madrid')).map(prior => prior.topic)).toEqual(['Lisbon travel guide']);
+    });
+
+    test('backfillProducedTopics should stop near the timeout and continue from its cursor', async () => {
+        let remainingMs = 60000;
+        const context = {
+            getRemainingTimeInMillis: () => remainingMs
+        };
+
+        // Scan page, then the first folder page before time runs short
+        const firstRun = await backfillProducedTopics({
+            getRemainingTimeInMillis: () => {
+                remainingMs -= 10000;
+                return remainingMs;
+            }
+        });
+
+        expect(firstRun.done).toBe(false);
+        expect(records['topics#produced|#backfill-cursor']).toMatchObject({
+            phase: 'folders',
+            continuationToken: 'page-2'
+        });
+        expect(records['topics#produced|madrid']).toBeUndefined();
+
+        remainingMs = 60000;
+        expect(await backfillProducedTopics(context)).toEqual({
+            done: true,
+            recorded: 1
+        });
+        expect(records['topics#produced|madrid'].topic).toBe('Madrid on a budget');
+        expect(records['topics#produced|#backfill'].count).toBe(2);
+    });
+});
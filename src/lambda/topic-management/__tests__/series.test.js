@@ -0,0 +1,206 @@
+/* eslint-env jest */
+/**
+ * Content Series Tests
+ */
+
+const {
+    DynamoDBClient
+} = require('@aws-sdk/client-dynamodb');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const {
+    validateSeriesSettings,
+    placeEpisode,
+    reorderEpisodes,
+    toSeriesContext
+} = require('../series');
+const {
+    updateSeriesRecord
+} = require('../index');
+
+const series = {
+    seriesId: 'series-france',
+    title: 'France travel',
+    branding: {
+        titlePrefix: 'France Travel | '
+    },
+    voice: {
+        voiceId: 'Matthew'
+    },
+    playlistId: 'PL123',
+    episodes: [{
+        episodeNumber: 1,
+        projectId: 'paris',
+        topic: 'Paris in 3 days'
+    }, {
+        episodeNumber: 2,
+        projectId: 'lyon',
+        topic: 'Lyon food guide'
+    }]
+};
+
+describe('validateSeriesSettings', () => {
+    test('requires a title on create and normalizes language', () => {
+        expect(validateSeriesSettings({}).error).toMatch(/title/);
+        expect(validateSeriesSettings({
+            title: ' France travel ',
+            language: 'fr-FR',
+            branding: {
+                tags: ['france']
+            }
+        }).settings).toEqual({
+            title: 'France travel',
+            language: 'fr',
+            branding: {
+                tags: ['france']
+            }
+        });
+    });
+
+    test('rejects malformed branding, voice and language', () => {
+        expect(validateSeriesSettings({
+            title: 'x',
+            branding: {
+                tags: 'france'
+            }
+        }).error).toMatch(/branding.tags/);
+        expect(validateSeriesSettings({
+            title: 'x',
+            voice: 'Matthew'
+        }).error).toMatch(/voice.voiceId/);
+        expect(validateSeriesSettings({
+            language: 'xx'
+        }, series).error).toMatch(/Unsupported language/);
+    });
+});
+
+describe('placeEpisode', () => {
+    test('appends new projects and keeps an existing episode in place', () => {
+        const added = placeEpisode(series, {
+            projectId: 'nice',
+            topic: 'Nice on a budget'
+        });
+        expect(added.episode.episodeNumber).toBe(3);
+        expect(added.episodes.map(episode => episode.projectId)).toEqual(['paris', 'lyon', 'nice']);
+
+        expect(placeEpisode(series, {
+            projectId: 'paris',
+            topic: 'Paris in 3 days'
+        }).episode.episodeNumber).toBe(1);
+    });
+
+    test('rejects an episode number taken by another project', () => {
+        expect(placeEpisode(series, {
+            projectId: 'nice',
+            topic: 'Nice on a budget',
+            episodeNumber: 2
+        }).error).toMatch(/already taken/);
+    });
+});
+
+describe('reorderEpisodes', () => {
+    test('renumbers episodes in the given order', () => {
+        expect(reorderEpisodes(series.episodes, ['lyon', 'paris']).episodes.map(episode => [episode.projectId, episode.episodeNumber]))
+            .toEqual([
+                ['lyon', 1],
+                ['paris', 2]
+            ]);
+        expect(reorderEpisodes(series.episodes, ['lyon']).error).toMatch(/every episode/);
+    });
+});
+
+test('toSeriesContext snapshots the shared settings for one episode', () => {
+    expect(toSeriesContext(series, series.episodes[1])).toEqual({
+        seriesId: 'series-france',
+        title: 'France travel',
+        episodeNumber: 2,
+        branding: {
+            titlePrefix: 'France Travel | '
+        },
+        voice: {
+            voiceId: 'Matthew'
+        },
+        playlistId: 'PL123'
+    });
+});
+
+describe('updateSeriesRecord', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('re-applies the change to the latest record when another writer got there first', async () => {
+        // The publisher records episode 2's URL between our read and our write
+        const published = {
+            ...series,
+            version: 2,
+            episodes: [series.episodes[0], {
+                ...series.episodes[1],
+                youtubeUrl: 'https://youtu.be/lyon'
+            }]
+        };
+        const reads = [{
+            ...series,
+            version: 1
+        }, published];
+        const writes = [];
+
+        jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+            if (command.constructor.name === 'GetItemCommand') {
+                return {
+                    Item: marshall(reads.shift())
+                };
+            }
+
+            writes.push(command.input);
+            if (writes.length === 1) {
+                const error = new Error('The conditional request failed');
+                error.name = 'ConditionalCheckFailedException';
+                throw error;
+            }
+            return {};
+        });
+
+        const result = await updateSeriesRecord('series-france', latest => {
+            const placement = placeEpisode(latest, {
+                projectId: 'nice',
+                topic: 'Nice beaches'
+            });
+            return {
+                episode: placement.episode,
+                series: {
+                    ...latest,
+                    episodes: placement.episodes
+                }
+            };
+        });
+
+        expect(writes).toHaveLength(2);
+        expect(unmarshall(writes[1].ExpressionAttributeValues)).toEqual({
+            ':version': 2
+        });
+
+        const written = unmarshall(writes[1].Item);
+        expect(written.version).toBe(3);
+        expect(written.episodes.map(episode => episode.projectId)).toEqual(['paris', 'lyon', 'nice']);
+        expect(written.episodes[1].youtubeUrl).toBe('https://youtu.be/lyon');
+        expect(result.episode.episodeNumber).toBe(3);
+    });
+
+    test('stops with the change error or when the series is gone', async () => {
+        jest.spyOn(DynamoDBClient.prototype, 'send')
+            .mockResolvedValueOnce({
+                Item: marshall(series)
+            })
+            .mockResolvedValueOnce({});
+
+        expect(await updateSeriesRecord('series-france', () => ({
+            error: 'episodeOrder must list every episode projectId exactly once'
+        }))).toEqual({
+            error: 'episodeOrder must list every episode projectId exactly once'
+        });
+        expect(await updateSeriesRecord('series-gone', () => ({}))).toBeNull();
+    });
+});
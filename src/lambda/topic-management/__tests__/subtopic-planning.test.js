@@ -0,0 +1,57 @@
+/* eslint-env jest */
+/**
+ * Subtopic Planning Tests
+ */
+
+const {
+    getAudienceProfile,
+    getSubtopicCount,
+    planSubtopics
+} = require('../subtopic-planning');
+
+describe('Subtopic Planning', () => {
+    test('getSubtopicCount should scale with duration within 3-10', () => {
+        expect(getSubtopicCount(60)).toBe(3);
+        expect(getSubtopicCount(300)).toBe(5);
+        expect(getSubtopicCount(3600)).toBe(10);
+        expect(getSubtopicCount(600, 6)).toBe(6);
+        expect(getSubtopicCount(450, 3)).toBe(3);
+    });
+
+    test('should plan a 60s short and a 10-minute deep dive differently', () => {
+        const short = planSubtopics('general', 60);
+        const deepDive = planSubtopics('general', 600);
+
+        expect(short).toMatchObject({
+            depth: 'short',
+            subtopicCount: 3,
+            secondsPerSubtopic: 20,
+            visualNeedsPerSubtopic: 3
+        });
+        expect(deepDive).toMatchObject({
+            depth: 'deep-dive',
+            subtopicCount: 10,
+            secondsPerSubtopic: 60,
+            visualNeedsPerSubtopic: 5
+        });
+        expect(deepDive.guidance.depth).not.toBe(short.guidance.depth);
+    });
+
+    test('should match free-form audiences to vocabulary and framing profiles', () => {
+        expect(getAudienceProfile('Complete beginners').key).toBe('beginners');
+        expect(getAudienceProfile('families with young kids').key).toBe('families');
+        expect(getAudienceProfile('budget travelers').key).toBe('budget-travelers');
+        expect(getAudienceProfile('Business professionals').key).toBe('professionals');
+
+        const general = getAudienceProfile('general');
+        expect(general.key).toBe('general');
+        expect(general.label).toBeNull();
+
+        const custom = getAudienceProfile('history buffs');
+        expect(custom.key).toBe('general');
+        expect(custom.label).toBe('history buffs');
+
+        expect(planSubtopics('beginners', 300).guidance.vocabulary).toMatch(/jargon/);
+        expect(planSubtopics('professionals', 300).guidance.vocabulary).toMatch(/terminology/);
+    });
+});
@@ -0,0 +1,186 @@
+/* eslint-env jest */
+/**
+ * Topic Expansion Tests
+ */
+
+const {
+    parseExpansion,
+    getTemplateSubtopics,
+    expandTopic
+} = require('../topic-expansion');
+const {
+    planSubtopics
+} = require('../subtopic-planning');
+const {
+    generateTopicContext
+} = require('../index');
+
+const CONFIG = {
+    'ai.models.primary': {
+        id: 'primary-model',
+        maxTokens: 4000
+    },
+    'ai.models.fallback': {
+        id: 'fallback-model',
+        maxTokens: 2000
+    },
+    'content.generation.maxTopicsPerGeneration': 10
+};
+const getConfigValue = (key, defaultValue) => (key in CONFIG ? CONFIG[key] : defaultValue);
+
+const subtopics = count => Array.from({
+    length: count
+}, (_, index) => ({
+    subtopic: `Day ${index + 1}: Madrid to Toledo by AVE train`,
+    valueProposition: 'Skip the ticket queue with the exact train times',
+    visualNeeds: ['Madrid Atocha station', 'AVE train', 'Toledo skyline'],
+    priority: 'high',
+    trendScore: 88
+}));
+
+// Local stand-in for the Bedrock client: answers per model id
+const stubClient = answers => ({
+    invoke: jest.fn(async ({
+        model
+    }) => {
+        const answer = answers[model.id];
+        if (answer instanceof Error) {
+            throw answer;
+        }
+        return answer;
+    })
+});
+
+describe('Topic Expansion', () => {
+    test('parseExpansion should read a JSON array wrapped in prose and drop incomplete items', () => {
+        const text = `Here you go:\n${JSON.stringify([...subtopics(3), {
+            subtopic: 'No visuals'
+        }])}\nEnjoy!`;
+        const parsed = parseExpansion(text);
+
+        expect(parsed).toHaveLength(3);
+        expect(parsed[0]).toMatchObject(subtopics(1)[0]);
+        expect(parseExpansion(JSON.stringify(subtopics(2)))).toBeNull();
+        expect(parseExpansion('not json')).toBeNull();
+        expect(parseExpansion(JSON.stringify(subtopics(12)))).toHaveLength(10);
+        expect(parseExpansion(JSON.stringify(subtopics(12)), planSubtopics('general', 60))).toHaveLength(3);
+    });
+
+    test('template subtopics should follow the plan count and audience framing', () => {
+        const short = getTemplateSubtopics('Spain travel', planSubtopics('general', 60));
+        expect(short.map(item => item.subtopic)).toEqual([
+            'Complete guide to Spain travel',
+            'Best practices for Spain travel',
+            'Common mistakes in Spain travel'
+        ]);
+
+        const deepDive = getTemplateSubtopics('Spain travel', planSubtopics('families', 600));
+        expect(deepDive).toHaveLength(10);
+        expect(deepDive[0].subtopic).toBe('Complete guide to Spain travel for families');
+        expect(deepDive[0].valueProposition).toMatch(/whole family$/);
+        expect(deepDive[0].estimatedDuration).toBe(60);
+    });
+
+    test('template subtopics and the model prompt should follow the project language', async () => {
+        const spanish = getTemplateSubtopics('viajar a España', planSubtopics('families', 60), 'es');
+        expect(spanish.map(item => item.subtopic)).toEqual([
+            'Guía completa de viajar a España',
+            'Buenas prácticas para viajar a España',
+            'Errores comunes en viajar a España'
+        ]);
+        expect(spanish[0].visualNeeds).toContain('vista general');
+
+        const modelClient = stubClient({
+            'primary-model': JSON.stringify(subtopics(5))
+        });
+        await expandTopic({
+            topic: 'viajar a España',
+            targetAudience: 'travelers',
+            videoDuration: 300,
+            language: 'es'
+        }, {
+            modelClient,
+            getConfigValue
+        });
+        expect(modelClient.invoke.mock.calls[0][0].prompt).toContain('visualNeeds term in Spanish');
+    });
+
+    test('should use the primary model and send the configured settings', async () => {
+        const modelClient = stubClient({
+            'primary-model': JSON.stringify(subtopics(5))
+        });
+
+        const result = await expandTopic({
+            topic: 'Spain travel',
+            targetAudience: 'travelers',
+            videoDuration: 300
+        }, {
+            modelClient,
+            getConfigValue
+        });
+
+        expect(result.source).toBe('model');
+        expect(result.modelId).toBe('primary-model');
+        expect(result.expandedTopics).toHaveLength(5);
+        expect(modelClient.invoke).toHaveBeenCalledTimes(1);
+        expect(modelClient.invoke.mock.calls[0][0].model).toEqual({
+            ...CONFIG['ai.models.primary'],
+            timeout: 60000
+        });
+        expect(modelClient.invoke.mock.calls[0][0].prompt).toContain('exactly 5 specific subtopics');
+        expect(result.plan.depth).toBe('standard');
+        expect(result.expandedTopics[0].estimatedDuration).toBe(60);
+    });
+
+    test('should fall back to the fallback model, then to template subtopics', async () => {
+        const fallback = await expandTopic({
+            topic: 'Spain travel',
+            targetAudience: 'travelers',
+            videoDuration: 300
+        }, {
+            modelClient: stubClient({
+                'primary-model': new Error('ThrottlingException'),
+                'fallback-model': JSON.stringify(subtopics(4))
+            }),
+            getConfigValue
+        });
+        expect(fallback.modelId).toBe('fallback-model');
+        expect(fallback.expandedTopics).toHaveLength(4);
+
+        const template = await expandTopic({
+            topic: 'Spain travel',
+            targetAudience: 'travelers',
+            videoDuration: 300
+        }, {
+            modelClient: stubClient({
+                'primary-model': 'I cannot help with that',
+                'fallback-model': new Error('AccessDeniedException')
+            }),
+            getConfigValue
+        });
+        expect(template.source).toBe('template');
+        expect(template.expandedTopics).toHaveLength(5);
+        expect(template.expandedTopics[0].subtopic).toBe('Complete guide to Spain travel for travelers');
+    });
+
+    test('generateTopicContext should accept a stub client and skip it in dry runs', async () => {
+        const modelClient = stubClient({
+            'anthropic.claude-3-sonnet-20240229-v1:0': JSON.stringify(subtopics(6)),
+            'anthropic.claude-3-haiku-20240307-v1:0': JSON.stringify(subtopics(6))
+        });
+
+        const context = await generateTopicContext('Spain travel', 'travelers', 360, {
+            modelClient
+        });
+        expect(context.expandedTopics).toHaveLength(6);
+        expect(context.projectMetadata.expansionSource).toBe('model');
+
+        const dryRun = await generateTopicContext('Spain travel', 'travelers', 360, {
+            modelClient,
+            dryRun: true
+        });
+        expect(dryRun.projectMetadata.expansionSource).toBe('template');
+        // Expansion and location extraction for the first context only
+        expect(modelClient.invoke).toHaveBeenCalledTimes(2);
+    });
+});
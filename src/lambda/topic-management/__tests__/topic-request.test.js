@@ -0,0 +1,37 @@
+/* eslint-env jest */
+/**
+ * Topic Request Validation Tests
+ */
+
+const {
+    handler
+} = require('../index');
+
+describe('POST /topics validation', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reports an unsupported language once, as a structured violation', async () => {
+        const response = await handler({
+            httpMethod: 'POST',
+            path: '/topics',
+            body: JSON.stringify({
+                topic: 'Lisbon travel on a budget',
+                language: 'xx'
+            })
+        });
+        const body = JSON.parse(response.body);
+
+        expect(response.statusCode).toBe(400);
+        expect(body.type).toBe('VALIDATION');
+        expect(body.violations).toEqual([expect.objectContaining({
+            field: 'language',
+            rule: 'supported'
+        })]);
+    });
+});
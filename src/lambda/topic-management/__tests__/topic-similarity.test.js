@@ -0,0 +1,88 @@
+/* eslint-env jest */
+/**
+ * Topic Similarity Tests
+ */
+
+const {
+    normalizeTopic,
+    topicSimilarity,
+    getDuplicateSettings,
+    checkDuplicateTopic
+} = require('../topic-similarity');
+
+const SETTINGS = {
+    warnThreshold: 0.6,
+    rejectThreshold: 0.85
+};
+
+const PRIOR_TOPICS = [{
+        projectId: '2025-01-01T10-00-00_spain-travel-guide',
+        topic: 'Spain Travel Guide',
+        createdAt: '2025-01-01T10:00:00.000Z'
+    },
+    {
+        projectId: '2025-01-02T10-00-00_spain-travel-for-families',
+        topic: 'Spain travel for families with kids',
+        createdAt: '2025-01-02T10:00:00.000Z'
+    },
+    {
+        projectId: '2025-01-03T10-00-00_madrid-food',
+        topic: 'Madrid street food',
+        createdAt: '2025-01-03T10:00:00.000Z'
+    }
+];
+
+describe('Topic Similarity', () => {
+    test('should ignore case, word order, punctuation and filler words', () => {
+        expect(normalizeTopic('The Ultimate Guide to SPAIN travel!')).toBe('spain travel');
+        expect(topicSimilarity('Travel in Spain', 'Spain travel guide')).toBe(1);
+        expect(topicSimilarity('Best budget hotels in Paris', 'Budget hotel Paris')).toBeGreaterThan(0.85);
+        expect(topicSimilarity('Madrid food', 'Barcelona nightlife')).toBeLessThan(0.3);
+        expect(topicSimilarity('', 'Spain travel')).toBe(0);
+    });
+
+    test('should compare accented and non-Latin topics by their letters', () => {
+        expect(normalizeTopic('Guía de viaje: España')).toBe('de espana guia viaje');
+        expect(topicSimilarity('Guía de España', 'Guia de Espana')).toBe(1);
+        expect(normalizeTopic('Путешествие по Москве')).toBe('москве по путешествие');
+        expect(topicSimilarity('東京 旅行', '大阪 グルメ')).toBeLessThan(0.3);
+    });
+
+    test('should reject near-identical topics and list the matching projects', () => {
+        const result = checkDuplicateTopic('A complete guide to travel in Spain', PRIOR_TOPICS, SETTINGS);
+
+        expect(result.verdict).toBe('reject');
+        expect(result.matches[0]).toEqual({
+            projectId: '2025-01-01T10-00-00_spain-travel-guide',
+            topic: 'Spain Travel Guide',
+            createdAt: '2025-01-01T10:00:00.000Z',
+            similarity: 1
+        });
+        expect(result.matches.map(match => match.projectId)).not.toContain('2025-01-03T10-00-00_madrid-food');
+    });
+
+    test('should warn on related topics and pass unrelated ones', () => {
+        const related = checkDuplicateTopic('Spain travel with kids', PRIOR_TOPICS, SETTINGS);
+        expect(related.verdict).toBe('warn');
+        expect(related.matches.length).toBeGreaterThan(0);
+
+        expect(checkDuplicateTopic('Japanese tea ceremony', PRIOR_TOPICS, SETTINGS)).toEqual({
+            verdict: 'unique',
+            matches: []
+        });
+    });
+
+    test('getDuplicateSettings should read thresholds and keep reject above warn', () => {
+        const config = {
+            'content.validation.duplicateTopics.warnThreshold': 0.7,
+            'content.validation.duplicateTopics.rejectThreshold': 0.5
+        };
+        const settings = getDuplicateSettings((key, defaultValue) => (key in config ? config[key] : defaultValue));
+
+        expect(settings).toEqual({
+            warnThreshold: 0.7,
+            rejectThreshold: 0.7
+        });
+        expect(getDuplicateSettings((key, defaultValue) => defaultValue)).toEqual(SETTINGS);
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Backlog Scoring - Topic Management
+ *
+ * Ranks backlog topics with the composite score configured in
+ * content.scoring: every signal is min-max normalized across the backlog to
+ * the configured scale, then weighted (volume, engagement, recency, growth,
+ * sentiment) and tiered with the high/medium/low thresholds.
+ *
+ * Scores are relative to the rest of the backlog, so they are computed when
+ * the backlog is read rather than stored on each topic.
+ */
+
+const SIGNALS = ['volume', 'engagement', 'recency', 'growth', 'sentiment'];
+
+const DEFAULT_WEIGHTS = {
+    volume: 0.3,
+    engagement: 0.25,
+    recency: 0.2,
+    growth: 0.15,
+    sentiment: 0.1
+};
+const DEFAULT_THRESHOLDS = {
+    highScore: 80,
+    mediumScore: 50,
+    lowScore: 20
+};
+const DEFAULT_SCALE = [0, 100];
+
+/**
+ * Read weights, thresholds and normalization from configuration
+ * @param {Function} getConfigValue - (keyPath, defaultValue) => value
+ */
+function getScoringSettings(getConfigValue) {
+    const weights = {
+        ...DEFAULT_WEIGHTS,
+        ...getConfigValue('content.scoring.weights', {})
+    };
+    const normalization = getConfigValue('content.scoring.normalization', {});
+    const scale = Array.isArray(normalization.scale) && normalization.scale.length === 2 ?
+        normalization.scale.map(Number) : DEFAULT_SCALE;
+
+    if (normalization.method && normalization.method !== 'min_max') {
+        console.warn(`⚠️ Unsupported normalization method ${normalization.method}, using min_max`);
+    }
+
+    return {
+        weights: SIGNALS.reduce((result, signal) => ({
+            ...result,
+            [signal]: Number(weights[signal]) || 0
+        }), {}),
+        thresholds: {
+            ...DEFAULT_THRESHOLDS,
+            ...getConfigValue('content.scoring.thresholds', {})
+        },
+        scale
+    };
+}
+
+/**
+ * Validate per-topic signal inputs; omitted signals are left out
+ * @returns {object} { signals } or { error }
+ */
+function validateSignals(signals = {}) {
+    if (!signals || typeof signals !== 'object' || Array.isArray(signals)) {
+        return {
+            error: 'signals must be an object'
+        };
+    }
+
+    const unknown = Object.keys(signals).filter(signal => !SIGNALS.includes(signal));
+    if (unknown.length > 0) {
+        return {
+            error: `Unknown signals: ${unknown.join(', ')} (valid: ${SIGNALS.join(', ')})`
+        };
+    }
+
+    const invalid = Object.entries(signals).find(([, value]) => value !== null && !Number.isFinite(value));
+    if (invalid) {
+        return {
+            error: `signals.${invalid[0]} must be a number`
+        };
+    }
+
+    return {
+        signals: Object.fromEntries(Object.entries(signals).filter(([, value]) => value !== null))
+    };
+}
+
+/**
+ * Tier for a composite score
+ */
+function getScoreTier(score, thresholds) {
+    if (score >= thresholds.highScore) {
+        return 'high';
+    }
+    if (score >= thresholds.mediumScore) {
+        return 'medium';
+    }
+    if (score >= thresholds.lowScore) {
+        return 'low';
+    }
+    return 'below-threshold';
+}
+
+/**
+ * Score and rank backlog topics, highest composite score first
+ *
+ * A missing signal normalizes to the bottom of the scale. When every topic
+ * has the same value for a signal it normalizes to the middle of the scale.
+ *
+ * @param {Array<object>} topics - Backlog topics with `signals`
+ * @param {object} settings - From getScoringSettings
+ * @returns {Array<object>} Topics with rank, score, tier and normalizedSignals
+ */
+function rankBacklog(topics, settings) {
+    const [low, high] = settings.scale;
+    const totalWeight = SIGNALS.reduce((sum, signal) => sum + settings.weights[signal], 0) || 1;
+
+    const ranges = {};
+    for (const signal of SIGNALS) {
+        const values = topics.map(topic => (topic.signals || {})[signal]).filter(Number.isFinite);
+        ranges[signal] = values.length > 0 ? {
+            min: Math.min(...values),
+            max: Math.max(...values)
+        } : null;
+    }
+
+    const normalize = (signal, value) => {
+        const range = ranges[signal];
+        if (!Number.isFinite(value) || !range) {
+            return low;
+        }
+        if (range.max === range.min) {
+            return (low + high) / 2;
+        }
+        return low + ((value - range.min) / (range.max - range.min)) * (high - low);
+    };
+
+    return topics
+        .map(topic => {
+            const normalizedSignals = {};
+            let weighted = 0;
+
+            for (const signal of SIGNALS) {
+                normalizedSignals[signal] = round(normalize(signal, (topic.signals || {})[signal]));
+                weighted += normalizedSignals[signal] * settings.weights[signal];
+            }
+
+            const score = round(weighted / totalWeight);
+            return {
+                ...topic,
+                score,
+                tier: getScoreTier(score, settings.thresholds),
+                normalizedSignals
+            };
+        })
+        .sort((a, b) => b.score - a.score || String(a.createdAt).localeCompare(String(b.createdAt)))
+        .map((topic, index) => ({
+            rank: index + 1,
+            ...topic
+        }));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    SIGNALS,
+    getScoringSettings,
+    validateSignals,
+    getScoreTier,
+    rankBacklog
+};
@@ -0,0 +1,174 @@
+/**
+ * Gazetteer - Topic Management
+ *
+ * Well-known travel places with their parent place, used by
+ * location-entities.js to recognize places in topics without a model (dry
+ * runs, model failures) and to fill in the region and country of places the
+ * model finds. Aliases cover the other supported project languages; accents
+ * are ignored when matching.
+ *
+ * Entries: [name, type, parent name, aliases, options]. `caseSensitive`
+ * names are also common words and only match when capitalized.
+ */
+
+const GAZETTEER = [
+    // Countries
+    ['Spain', 'country', null, ['espana', 'espagne', 'spanien', 'espanha']],
+    ['France', 'country', null, ['francia', 'frankreich', 'franca']],
+    ['Italy', 'country', null, ['italia', 'italie', 'italien']],
+    ['Portugal', 'country', null, []],
+    ['Germany', 'country', null, ['alemania', 'allemagne', 'deutschland', 'alemanha']],
+    ['United Kingdom', 'country', null, ['uk', 'great britain', 'reino unido', 'royaume-uni', 'grossbritannien']],
+    ['Ireland', 'country', null, ['irlanda', 'irlande', 'irland']],
+    ['Netherlands', 'country', null, ['holland', 'paises bajos', 'pays-bas', 'niederlande', 'paises baixos']],
+    ['Switzerland', 'country', null, ['suiza', 'suisse', 'schweiz', 'suica']],
+    ['Austria', 'country', null, ['autriche', 'osterreich', 'oesterreich']],
+    ['Greece', 'country', null, ['grecia', 'grece', 'griechenland']],
+    ['Croatia', 'country', null, ['croacia', 'croatie', 'kroatien']],
+    ['Iceland', 'country', null, ['islandia', 'islande']],
+    ['Turkey', 'country', null, ['turquia', 'turquie', 'turkei', 'turkiye'], {
+        caseSensitive: true
+    }],
+    ['Morocco', 'country', null, ['marruecos', 'maroc', 'marokko', 'marrocos']],
+    ['Egypt', 'country', null, ['egipto', 'egypte', 'agypten', 'egito']],
+    ['Japan', 'country', null, ['japon', 'japao']],
+    ['China', 'country', null, ['chine'], {
+        caseSensitive: true
+    }],
+    ['South Korea', 'country', null, ['korea', 'corea del sur', 'coree du sud', 'sudkorea', 'coreia do sul']],
+    ['Thailand', 'country', null, ['tailandia', 'thailande']],
+    ['Vietnam', 'country', null, ['viet nam']],
+    ['Cambodia', 'country', null, ['camboya', 'cambodge', 'kambodscha', 'camboja']],
+    ['Indonesia', 'country', null, ['indonesie', 'indonesien']],
+    ['India', 'country', null, ['inde', 'indien']],
+    ['Australia', 'country', null, ['australie', 'australien']],
+    ['New Zealand', 'country', null, ['nueva zelanda', 'nouvelle-zelande', 'neuseeland', 'nova zelandia']],
+    ['United States', 'country', null, ['usa', 'united states of america', 'estados unidos', 'etats-unis', 'vereinigte staaten', 'eua']],
+    ['Canada', 'country', null, ['kanada']],
+    ['Mexico', 'country', null, ['mexique', 'mexiko']],
+    ['Brazil', 'country', null, ['brasil', 'bresil', 'brasilien']],
+    ['Peru', 'country', null, ['perou']],
+    ['Argentina', 'country', null, ['argentine', 'argentinien']],
+
+    // Regions
+    ['Andalusia', 'region', 'Spain', ['andalucia', 'andalousie', 'andalusien']],
+    ['Catalonia', 'region', 'Spain', ['cataluna', 'catalunya', 'catalogne', 'katalonien', 'catalunha']],
+    ['Basque Country', 'region', 'Spain', ['pais vasco', 'pays basque', 'baskenland', 'euskadi']],
+    ['Canary Islands', 'region', 'Spain', ['islas canarias', 'canaries', 'kanaren', 'canarias']],
+    ['Balearic Islands', 'region', 'Spain', ['islas baleares', 'baleares', 'balearen']],
+    ['Provence', 'region', 'France', []],
+    ['Normandy', 'region', 'France', ['normandia', 'normandie']],
+    ['Brittany', 'region', 'France', ['bretana', 'bretagne', 'bretanha']],
+    ['French Riviera', 'region', 'France', ['cote d\'azur', 'costa azul', 'cote dazur']],
+    ['Tuscany', 'region', 'Italy', ['toscana', 'toscane', 'toskana']],
+    ['Sicily', 'region', 'Italy', ['sicilia', 'sicile', 'sizilien']],
+    ['Amalfi Coast', 'region', 'Italy', ['costa amalfitana', 'cote amalfitaine', 'amalfikuste']],
+    ['Algarve', 'region', 'Portugal', []],
+    ['Bavaria', 'region', 'Germany', ['baviera', 'baviere', 'bayern']],
+    ['Scotland', 'region', 'United Kingdom', ['escocia', 'ecosse', 'schottland']],
+    ['England', 'region', 'United Kingdom', ['inglaterra', 'angleterre']],
+    ['Santorini', 'region', 'Greece', ['santorin']],
+    ['Bali', 'region', 'Indonesia', []],
+    ['California', 'region', 'United States', ['californie', 'kalifornien']],
+    ['Florida', 'region', 'United States', ['floride']],
+    ['Hawaii', 'region', 'United States', ['hawai']],
+
+    // Cities
+    ['Madrid', 'city', 'Spain', []],
+    ['Barcelona', 'city', 'Catalonia', ['barcelone']],
+    ['Seville', 'city', 'Andalusia', ['sevilla', 'sevilha']],
+    ['Granada', 'city', 'Andalusia', ['grenade']],
+    ['Malaga', 'city', 'Andalusia', []],
+    ['Valencia', 'city', 'Spain', ['valence']],
+    ['Bilbao', 'city', 'Basque Country', []],
+    ['Toledo', 'city', 'Spain', ['tolede']],
+    ['Paris', 'city', 'France', []],
+    ['Lyon', 'city', 'France', ['lyons']],
+    ['Marseille', 'city', 'Provence', ['marsella', 'marseilles', 'marselha']],
+    ['Nice', 'city', 'French Riviera', ['niza', 'nizza'], {
+        caseSensitive: true
+    }],
+    ['Bordeaux', 'city', 'France', ['burdeos']],
+    ['Rome', 'city', 'Italy', ['roma', 'rom']],
+    ['Florence', 'city', 'Tuscany', ['florencia', 'firenze', 'florenz', 'florenca']],
+    ['Venice', 'city', 'Italy', ['venecia', 'venise', 'venedig', 'venezia', 'veneza']],
+    ['Milan', 'city', 'Italy', ['milano', 'mailand', 'milao']],
+    ['Naples', 'city', 'Italy', ['napoles', 'napoli', 'neapel']],
+    ['Lisbon', 'city', 'Portugal', ['lisboa', 'lisbonne', 'lissabon']],
+    ['Porto', 'city', 'Portugal', ['oporto']],
+    ['Berlin', 'city', 'Germany', []],
+    ['Munich', 'city', 'Bavaria', ['munchen', 'muenchen', 'munique']],
+    ['Hamburg', 'city', 'Germany', ['hamburgo', 'hambourg']],
+    ['London', 'city', 'England', ['londres']],
+    ['Edinburgh', 'city', 'Scotland', ['edimburgo', 'edimbourg']],
+    ['Dublin', 'city', 'Ireland', []],
+    ['Amsterdam', 'city', 'Netherlands', ['amsterdao']],
+    ['Zurich', 'city', 'Switzerland', []],
+    ['Vienna', 'city', 'Austria', ['viena', 'vienne', 'wien']],
+    ['Athens', 'city', 'Greece', ['atenas', 'athenes', 'athen']],
+    ['Dubrovnik', 'city', 'Croatia', []],
+    ['Reykjavik', 'city', 'Iceland', []],
+    ['Istanbul', 'city', 'Turkey', ['estambul', 'istambul']],
+    ['Marrakech', 'city', 'Morocco', ['marrakesh', 'marrakesch', 'marraquexe']],
+    ['Cairo', 'city', 'Egypt', ['el cairo', 'le caire', 'kairo']],
+    ['Tokyo', 'city', 'Japan', ['tokio', 'toquio']],
+    ['Kyoto', 'city', 'Japan', ['kioto', 'quioto']],
+    ['Osaka', 'city', 'Japan', []],
+    ['Beijing', 'city', 'China', ['pekin', 'peking', 'pequim']],
+    ['Shanghai', 'city', 'China', ['xangai']],
+    ['Seoul', 'city', 'South Korea', ['seul']],
+    ['Bangkok', 'city', 'Thailand', ['banguecoque']],
+    ['Hanoi', 'city', 'Vietnam', []],
+    ['Ho Chi Minh City', 'city', 'Vietnam', ['saigon', 'ciudad ho chi minh']],
+    ['Sydney', 'city', 'Australia', ['sidney']],
+    ['Melbourne', 'city', 'Australia', []],
+    ['Auckland', 'city', 'New Zealand', []],
+    ['New York City', 'city', 'United States', ['new york', 'nyc', 'nueva york', 'nova york']],
+    ['Los Angeles', 'city', 'California', []],
+    ['San Francisco', 'city', 'California', []],
+    ['Las Vegas', 'city', 'United States', []],
+    ['Miami', 'city', 'Florida', []],
+    ['Toronto', 'city', 'Canada', []],
+    ['Vancouver', 'city', 'Canada', []],
+    ['Mexico City', 'city', 'Mexico', ['ciudad de mexico', 'mexico df']],
+    ['Cancun', 'city', 'Mexico', []],
+    ['Rio de Janeiro', 'city', 'Brazil', []],
+    ['Lima', 'city', 'Peru', []],
+    ['Cusco', 'city', 'Peru', ['cuzco']],
+    ['Buenos Aires', 'city', 'Argentina', []],
+
+    // Landmarks
+    ['Sagrada Familia', 'landmark', 'Barcelona', []],
+    ['Park Guell', 'landmark', 'Barcelona', ['parc guell', 'parque guell']],
+    ['Alhambra', 'landmark', 'Granada', ['alhambra palace']],
+    ['Prado Museum', 'landmark', 'Madrid', ['museo del prado', 'musee du prado', 'prado']],
+    ['Eiffel Tower', 'landmark', 'Paris', ['torre eiffel', 'tour eiffel', 'eiffelturm']],
+    ['Louvre', 'landmark', 'Paris', ['louvre museum', 'musee du louvre', 'museo del louvre']],
+    ['Mont Saint-Michel', 'landmark', 'Normandy', ['mont saint michel', 'monte saint-michel']],
+    ['Colosseum', 'landmark', 'Rome', ['coliseo', 'colosseo', 'colisee', 'kolosseum', 'coliseu']],
+    ['Vatican Museums', 'landmark', 'Rome', ['vatican', 'vaticano', 'vatikan']],
+    ['Leaning Tower of Pisa', 'landmark', 'Tuscany', ['tower of pisa', 'torre de pisa', 'tour de pise', 'schiefer turm von pisa']],
+    ['Belem Tower', 'landmark', 'Lisbon', ['torre de belem', 'tour de belem']],
+    ['Brandenburg Gate', 'landmark', 'Berlin', ['brandenburger tor', 'puerta de brandeburgo', 'porte de brandebourg']],
+    ['Neuschwanstein Castle', 'landmark', 'Bavaria', ['neuschwanstein', 'schloss neuschwanstein']],
+    ['Big Ben', 'landmark', 'London', []],
+    ['Tower of London', 'landmark', 'London', ['torre de londres', 'tour de londres']],
+    ['Edinburgh Castle', 'landmark', 'Edinburgh', ['castillo de edimburgo', 'chateau d\'edimbourg']],
+    ['Acropolis', 'landmark', 'Athens', ['acropole', 'akropolis']],
+    ['Pyramids of Giza', 'landmark', 'Cairo', ['giza pyramids', 'piramides de giza', 'pyramides de gizeh', 'pyramiden von gizeh']],
+    ['Mount Fuji', 'landmark', 'Japan', ['fuji', 'monte fuji', 'mont fuji', 'fujisan']],
+    ['Fushimi Inari Shrine', 'landmark', 'Kyoto', ['fushimi inari']],
+    ['Great Wall of China', 'landmark', 'China', ['great wall', 'gran muralla china', 'grande muraille de chine', 'chinesische mauer', 'grande muralha da china']],
+    ['Angkor Wat', 'landmark', 'Cambodia', []],
+    ['Taj Mahal', 'landmark', 'India', []],
+    ['Sydney Opera House', 'landmark', 'Sydney', ['opera de sidney', 'opera de sydney', 'sydney opera']],
+    ['Statue of Liberty', 'landmark', 'New York City', ['estatua de la libertad', 'statue de la liberte', 'freiheitsstatue', 'estatua da liberdade']],
+    ['Golden Gate Bridge', 'landmark', 'San Francisco', ['golden gate', 'puente golden gate']],
+    ['Grand Canyon', 'landmark', 'United States', ['gran canon', 'grand canyon du colorado']],
+    ['Christ the Redeemer', 'landmark', 'Rio de Janeiro', ['cristo redentor', 'christ redempteur']],
+    ['Machu Picchu', 'landmark', 'Peru', []]
+];
+
+module.exports = {
+    GAZETTEER
+};
@@ -25,6 +25,48 @@
  * - Media Curator AI uses visualNeeds for intelligent image/video selection
  * - Audio Generator AI uses value propositions for engaging narration
  * - All agents benefit from the structured context and SEO optimization
+ *
+ * DUPLICATE DETECTION:
+ * - Each submitted topic is compared with the topics of earlier projects
+ *   (see topic-similarity.js); close matches are listed in the response
+ * - PK 'topics#produced', SK '{projectId}': the topic of every produced
+ *   (non dry-run) project; requests only query this partition
+ * - Projects from before the partition existed are backfilled from the
+ *   context records and S3 by a scheduled run that pages through them with a
+ *   saved cursor (SK '#backfill-cursor') until it writes SK '#backfill'
+ * - Near-identical topics are rejected with 409 unless allowDuplicate is true
+ *
+ * LANGUAGE:
+ * - POST /topics accepts language ('en', 'es', 'fr', 'de', 'pt'; default
+ *   publishing.youtube.defaultLanguage); subtopics and SEO keywords are written
+ *   in it and every later stage follows topic-context.json's language
+ *
+ * TOPIC BACKLOG:
+ * - PK 'topics#backlog', SK '{backlogId}': candidate topics with signal inputs
+ * - GET /topics/backlog ranks them by the content.scoring composite score
+ *   (see backlog-scoring.js); signals ingested by the Trend Ingestion Lambda
+ *   fill in any a topic does not set itself (see trend-data.js)
+ *
+ * LOCATIONS:
+ * - Countries, regions, cities and landmarks are extracted once into
+ *   topic-context.json's locations (see location-entities.js); Script
+ *   Generator passes them per scene and Media Curator searches Google Places
+ *   with their exact names
+ *
+ * VALIDATION:
+ * - POST /topics bodies are checked against TOPIC_REQUEST_SCHEMA and every
+ *   violated rule is listed in one 400 response (see pipeline-shared/content-validation.js)
+ * - The generated context must meet content.validation's required elements
+ *   (keywords at this stage); otherwise it is not stored and a 422 lists why
+ *
+ * CONTENT SERIES:
+ * - PK 'series', SK '{seriesId}': ordered episodes plus shared branding,
+ *   voice, language and playlist (see series.js)
+ * - POST /topics with seriesId adds the project as an episode and stores a
+ *   series snapshot in topic-context.json; dry runs get the snapshot only
+ * - Series writes are conditional on the record's version and re-read the
+ *   latest record on conflict, so parallel episodes and the publisher's
+ *   youtubeUrl updates are never lost
  * 
  * AI INTELLIGENCE FEATURES:
  * - Contextual Topic Expansion: Creates specific, actionable subtopics from broad themes
@@ -35,15 +77,81 @@
 
 const {
     S3Client,
-    PutObjectCommand
+    PutObjectCommand,
+    GetObjectCommand,
+    ListObjectsV2Command
 } = require('@aws-sdk/client-s3');
 const {
     DynamoDBClient,
-    PutItemCommand
+    GetItemCommand,
+    PutItemCommand,
+    DeleteItemCommand,
+    QueryCommand,
+    ScanCommand,
+    BatchGetItemCommand
 } = require('@aws-sdk/client-dynamodb');
 const {
-    marshall
+    marshall,
+    unmarshall
 } = require('@aws-sdk/util-dynamodb');
+const {
+    checkStageCache,
+    saveStageCache,
+    cachedResponse
+} = require('pipeline-shared/stage-cache');
+const {
+    expandTopic
+} = require('./topic-expansion');
+const {
+    createBedrockModelClient
+} = require('pipeline-shared/bedrock-client');
+const {
+    getModelDeadline
+} = require('pipeline-shared/model-deadline');
+const {
+    getConfigValue
+} = require('pipeline-shared/config-loader');
+const {
+    getDuplicateSettings,
+    checkDuplicateTopic
+} = require('./topic-similarity');
+const {
+    getScoringSettings,
+    validateSignals,
+    rankBacklog
+} = require('./backlog-scoring');
+const {
+    buildSeoContext
+} = require('./keyword-clustering');
+const {
+    SUPPORTED_LANGUAGES,
+    normalizeLanguage
+} = require('./languages');
+const {
+    applyTrendKeywords,
+    withTrendSignals
+} = require('./trend-data');
+const {
+    toTopicKey
+} = require('pipeline-shared/topic-key');
+const {
+    extractLocations
+} = require('./location-entities');
+const {
+    validateSeriesSettings,
+    orderEpisodes,
+    placeEpisode,
+    reorderEpisodes,
+    toSeriesContext
+} = require('./series');
+const {
+    TOPIC_REQUEST_SCHEMA,
+    TOPIC_CONTEXT_SCHEMA,
+    getContentRules,
+    validateSchema,
+    validateContent
+} = require('pipeline-shared/content-validation');
+const crypto = require('crypto');
 
 const s3Client = new S3Client({
     region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
@@ -52,12 +160,44 @@ const dynamoClient = new DynamoDBClient({
     region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
 });
 
+// Created on first use so dry runs and stubbed tests never build a Bedrock client
+let defaultModelClient = null;
+
+const PRODUCED_TOPICS_PK = 'topics#produced';
+const BACKFILL_ACTION = 'backfill-produced-topics';
+const BACKFILL_MARKER_SK = '#backfill';
+const BACKFILL_CURSOR_SK = '#backfill-cursor';
+
+// Parallel S3 reads and writes while backfilling produced topics
+const PRIOR_TOPIC_READ_CONCURRENCY = 10;
+const BACKFILL_FOLDER_PAGE_SIZE = 100;
+
+// A backfill run saves its cursor and stops with this much time left
+const BACKFILL_STOP_MS = 30000;
+
+const BACKLOG_PK = 'topics#backlog';
+const BACKLOG_OPTION_FIELDS = ['targetAudience', 'videoDuration', 'language'];
+
+const SERIES_PK = 'series';
+const SERIES_WRITE_ATTEMPTS = 3;
+
+// content.validation requiredElements produced by this stage
+const TOPIC_CONTENT_ELEMENTS = ['keywords'];
+
 /**
  * Main Lambda handler
  */
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
     console.log('Simplified Topic Management invoked:', JSON.stringify(event, null, 2));
 
+    // Scheduled, outside any request
+    if (event.action === BACKFILL_ACTION) {
+        return await backfillProducedTopics(context);
+    }
+
+    // Model calls must finish within this invocation (and API Gateway's limit)
+    const modelDeadline = getModelDeadline(event, context);
+
     const {
         httpMethod,
         path,
@@ -70,52 +210,241 @@ exports.handler = async (event) => {
             service: 'topic-management-simplified',
             status: 'healthy',
             timestamp: new Date().toISOString(),
-            architecture: 'simplified-no-shared-layer',
+            architecture: 'simplified-shared-layer',
             endpoints: {
                 'POST /topics': 'Create new topic and generate context',
-                'GET /topics': 'Health check and service status'
+                'GET /topics': 'Health check and service status',
+                'POST /topics/backlog': 'Add a topic with scoring signals to the backlog',
+                'GET /topics/backlog': 'Backlog ranked by composite score (optional limit, tier)',
+                'GET /topics/backlog/{backlogId}': 'One backlog topic with its score',
+                'PUT /topics/backlog/{backlogId}': 'Edit a backlog topic or its signals',
+                'DELETE /topics/backlog/{backlogId}': 'Remove a backlog topic',
+                'POST /topics/series': 'Create a series with shared branding, voice and playlist',
+                'GET /topics/series': 'List series',
+                'GET /topics/series/{seriesId}': 'One series with its ordered episodes',
+                'PUT /topics/series/{seriesId}': 'Edit series settings or reorder episodes (episodeOrder)',
+                'DELETE /topics/series/{seriesId}': 'Remove a series (episode projects are kept)'
             },
             version: '4.0.0'
         });
     }
 
+    // Topic backlog
+    const backlogMatch = (path || '').match(/^\/topics\/backlog(?:\/([^/]+))?$/);
+    if (backlogMatch) {
+        return await handleBacklogRequest(event, backlogMatch);
+    }
+
+    // Content series
+    const seriesMatch = (path || '').match(/^\/topics\/series(?:\/([^/]+))?$/);
+    if (seriesMatch) {
+        return await handleSeriesRequest(event, seriesMatch);
+    }
+
     // Topic creation
     if (httpMethod === 'POST' && path === '/topics') {
         try {
             const requestBody = body ? JSON.parse(body) : {};
+            const violations = validateSchema(requestBody, TOPIC_REQUEST_SCHEMA);
+
+            if (typeof requestBody.language === 'string' && !normalizeLanguage(requestBody.language)) {
+                violations.push({
+                    field: 'language',
+                    rule: 'supported',
+                    message: `Unsupported language: ${requestBody.language} (supported: ${SUPPORTED_LANGUAGES.join(', ')})`
+                });
+            }
+
+            if (violations.length > 0) {
+                return createResponse(400, {
+                    success: false,
+                    error: `Invalid topic request: ${violations.map(violation => violation.message).join('; ')}`,
+                    type: 'VALIDATION',
+                    violations
+                });
+            }
+
             const {
                 topic,
                 projectId,
                 targetAudience = 'general',
-                videoDuration = 300
+                videoDuration = 300,
+                autoChain,
+                seriesId,
+                episodeNumber,
+                dryRun = false,
+                force = false,
+                allowDuplicate = false
             } = requestBody;
 
-            if (!topic) {
-                return createResponse(400, {
+            // Episodes share the series language unless the request sets one
+            const series = seriesId ? await getRecord(SERIES_PK, seriesId) : null;
+
+            if (seriesId && !series) {
+                return createResponse(404, {
                     success: false,
-                    error: 'Topic is required'
+                    error: `Series not found: ${seriesId}`
                 });
             }
 
+            // An unsupported request language is a violation above; a bad series or configured default falls back to English
+            const language = normalizeLanguage(requestBody.language || (series && series.language) ||
+                getConfigValue('publishing.youtube.defaultLanguage', 'en')) || 'en';
+
             // Create project ID
             const finalProjectId = projectId || createProjectId(topic);
 
+            const placement = series ? placeEpisode(series, {
+                projectId: finalProjectId,
+                topic,
+                episodeNumber
+            }) : null;
+
+            if (placement && placement.error) {
+                return createResponse(409, {
+                    success: false,
+                    error: placement.error,
+                    seriesId
+                });
+            }
+
+            // Ingested trend signals; a fresh ingestion invalidates the cached context
+            const trendData = await loadTrendData(topic);
+
+            const cache = await checkStageCache({
+                stage: 'topic-management',
+                projectId: finalProjectId,
+                options: {
+                    topic,
+                    targetAudience,
+                    videoDuration,
+                    language,
+                    autoChain,
+                    seriesId,
+                    episodeNumber: placement ? placement.episode.episodeNumber : null,
+                    dryRun,
+                    trendCollectedAt: trendData ? trendData.collectedAt : null
+                },
+                outputKeys: [`videos/${finalProjectId}/01-context/topic-context.json`],
+                force
+            });
+
+            if (cache.hit) {
+                return createResponse(200, cachedResponse(cache));
+            }
+
+            // Compare against previously produced projects before any generation
+            const duplicateCheck = checkDuplicateTopic(
+                topic,
+                await loadPriorTopics(finalProjectId),
+                getDuplicateSettings(getConfigValue)
+            );
+
+            if (duplicateCheck.verdict === 'reject' && !allowDuplicate) {
+                console.warn(`⚠️ Rejected duplicate topic "${topic}" (matches ${duplicateCheck.matches[0].projectId})`);
+                return createResponse(409, {
+                    success: false,
+                    error: `Topic is too similar to ${duplicateCheck.matches.length} previously produced project(s)`,
+                    projectId: finalProjectId,
+                    similarProjects: duplicateCheck.matches,
+                    hint: 'Set allowDuplicate: true to produce it anyway'
+                });
+            }
+
             // Generate enhanced topic context
-            const topicContext = await generateTopicContext(topic, targetAudience, videoDuration);
+            const topicContext = await generateTopicContext(topic, targetAudience, videoDuration, {
+                dryRun,
+                language,
+                trendData,
+                deadline: modelDeadline
+            });
 
-            // Store context
-            await storeContext(topicContext, 'topic', finalProjectId);
+            const contextViolations = validateGeneratedContext(topicContext);
+
+            if (contextViolations.length > 0) {
+                console.warn(`⚠️ Generated context for "${topic}" failed validation:`, contextViolations.map(violation => violation.message));
+                return createResponse(422, {
+                    success: false,
+                    error: 'Generated topic context failed content validation',
+                    type: 'VALIDATION',
+                    projectId: finalProjectId,
+                    violations: contextViolations
+                });
+            }
+
+            // Read by the Stage Chainer to decide whether later stages start on their own
+            if (autoChain !== undefined) {
+                topicContext.autoChain = autoChain;
+            }
+
+            // Marks the project so auto-chained stages stay in dry-run mode too
+            if (dryRun) {
+                topicContext.dryRun = true;
+            }
+
+            // Dry runs are not productions, so they never join the episode list.
+            // The placement is redone on the latest record: parallel episodes may have joined since.
+            const claimed = placement && !dryRun ? await updateSeriesRecord(seriesId, latest => {
+                const latestPlacement = placeEpisode(latest, {
+                    projectId: finalProjectId,
+                    topic,
+                    episodeNumber
+                });
+
+                return latestPlacement.error ? latestPlacement : {
+                    episode: latestPlacement.episode,
+                    series: {
+                        ...latest,
+                        episodes: latestPlacement.episodes,
+                        updatedAt: new Date().toISOString()
+                    }
+                };
+            }) : null;
+
+            if (placement && !dryRun && (!claimed || claimed.error)) {
+                return createResponse(claimed ? 409 : 404, {
+                    success: false,
+                    error: claimed ? claimed.error : `Series not found: ${seriesId}`,
+                    seriesId
+                });
+            }
+
+            // Shared branding, voice and playlist for the later stages
+            if (placement) {
+                topicContext.series = claimed ? toSeriesContext(claimed.series, claimed.episode) : toSeriesContext(series, placement.episode);
+                console.log(`📺 ${finalProjectId} is episode ${topicContext.series.episodeNumber} of ${seriesId}`);
+            }
+
+            // Store context; produced topics are kept for later submissions' duplicate checks
+            await storeContext(topicContext, 'topic', finalProjectId, {
+                mainTopic: topic,
+                dryRun
+            });
+            if (!dryRun) {
+                await recordProducedTopic(finalProjectId, topic);
+            }
 
             console.log(`✅ Topic Management completed for project: ${finalProjectId}`);
 
-            return createResponse(200, {
+            const responseBody = {
                 success: true,
                 projectId: finalProjectId,
                 topic: topic,
+                language,
+                series: topicContext.series || null,
                 expandedTopics: topicContext.expandedTopics,
+                locations: topicContext.locations,
                 seoContext: topicContext.seoContext,
+                contentPlan: topicContext.contentPlan,
+                similarProjects: duplicateCheck.matches,
+                duplicateVerdict: duplicateCheck.verdict,
+                dryRun,
+                fingerprint: cache.fingerprint,
                 timestamp: new Date().toISOString()
-            });
+            };
+
+            await saveStageCache(cache, responseBody);
+            return createResponse(200, responseBody);
 
         } catch (error) {
             console.error('❌ Topic Management error:', error);
@@ -133,62 +462,605 @@ exports.handler = async (event) => {
 };
 
 /**
- * Generate enhanced topic context
+ * Route /topics/backlog requests
  */
-async function generateTopicContext(topic, targetAudience, videoDuration) {
-    // Simplified topic expansion logic
-    const expandedTopics = [{
-            subtopic: `Complete guide to ${topic}`,
-            priority: 'high',
-            trendScore: 95,
-            valueProposition: `Comprehensive ${topic} guide with practical tips`,
-            visualNeeds: ['overview', 'key points', 'examples']
-        },
-        {
-            subtopic: `Best practices for ${topic}`,
-            priority: 'high',
-            trendScore: 90,
-            valueProposition: `Expert tips and proven strategies`,
-            visualNeeds: ['best practices', 'tips', 'strategies']
+async function handleBacklogRequest(event, match) {
+    const {
+        httpMethod,
+        body
+    } = event;
+    const backlogId = match[1] ? decodeURIComponent((event.pathParameters && event.pathParameters.backlogId) || match[1]) : null;
+
+    try {
+        const requestBody = body ? JSON.parse(body) : {};
+
+        if (httpMethod === 'POST' && !backlogId) {
+            return await addBacklogTopic(requestBody);
+        }
+
+        if (httpMethod === 'GET' && !backlogId) {
+            return await listBacklog(event.queryStringParameters || {});
+        }
+
+        if (backlogId) {
+            const existing = await getRecord(BACKLOG_PK, backlogId);
+
+            if (!existing) {
+                return createResponse(404, {
+                    success: false,
+                    error: `Backlog topic not found: ${backlogId}`
+                });
+            }
+
+            if (httpMethod === 'GET') {
+                const ranked = rankBacklog(await loadBacklog(), getScoringSettings(getConfigValue));
+                return createResponse(200, {
+                    success: true,
+                    topic: ranked.find(item => item.backlogId === backlogId)
+                });
+            }
+
+            if (httpMethod === 'PUT') {
+                return await updateBacklogTopic(existing, requestBody);
+            }
+
+            if (httpMethod === 'DELETE') {
+                await deleteRecord(BACKLOG_PK, backlogId);
+                return createResponse(200, {
+                    success: true,
+                    backlogId
+                });
+            }
+        }
+
+        return createResponse(404, {
+            success: false,
+            error: 'Endpoint not found'
+        });
+
+    } catch (error) {
+        console.error('❌ Topic backlog error:', error);
+        return createResponse(error instanceof SyntaxError ? 400 : 500, {
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * POST /topics/backlog
+ */
+async function addBacklogTopic(requestBody) {
+    if (!requestBody.topic || typeof requestBody.topic !== 'string') {
+        return createResponse(400, {
+            success: false,
+            error: 'Topic is required'
+        });
+    }
+
+    const {
+        signals,
+        error
+    } = validateSignals(requestBody.signals);
+
+    if (error) {
+        return createResponse(400, {
+            success: false,
+            error
+        });
+    }
+
+    const now = new Date().toISOString();
+    const item = {
+        backlogId: `backlog-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`,
+        topic: requestBody.topic,
+        signals,
+        options: pickBacklogOptions(requestBody),
+        notes: requestBody.notes || null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await putRecord(BACKLOG_PK, item.backlogId, item);
+    console.log(`📥 Backlog topic added: ${item.topic}`);
+
+    const ranked = rankBacklog(await loadBacklog(), getScoringSettings(getConfigValue));
+    return createResponse(201, {
+        success: true,
+        topic: ranked.find(topic => topic.backlogId === item.backlogId) || item
+    });
+}
+
+/**
+ * PUT /topics/backlog/{backlogId}; signals are merged and a null signal removes it
+ */
+async function updateBacklogTopic(existing, changes) {
+    if (changes.topic !== undefined && (!changes.topic || typeof changes.topic !== 'string')) {
+        return createResponse(400, {
+            success: false,
+            error: 'topic must be a non-empty string'
+        });
+    }
+
+    if (changes.signals !== undefined && (!changes.signals || typeof changes.signals !== 'object')) {
+        return createResponse(400, {
+            success: false,
+            error: 'signals must be an object'
+        });
+    }
+
+    const {
+        signals,
+        error
+    } = validateSignals({
+        ...existing.signals,
+        ...changes.signals
+    });
+
+    if (error) {
+        return createResponse(400, {
+            success: false,
+            error
+        });
+    }
+
+    const item = {
+        ...existing,
+        topic: changes.topic || existing.topic,
+        signals,
+        options: {
+            ...existing.options,
+            ...pickBacklogOptions(changes)
         },
-        {
-            subtopic: `Common mistakes in ${topic}`,
-            priority: 'medium',
-            trendScore: 85,
-            valueProposition: `Avoid costly errors and pitfalls`,
-            visualNeeds: ['mistakes', 'warnings', 'solutions']
+        notes: changes.notes !== undefined ? changes.notes : existing.notes,
+        updatedAt: new Date().toISOString()
+    };
+
+    await putRecord(BACKLOG_PK, item.backlogId, item);
+
+    const ranked = rankBacklog(await loadBacklog(), getScoringSettings(getConfigValue));
+    return createResponse(200, {
+        success: true,
+        topic: ranked.find(topic => topic.backlogId === item.backlogId) || item
+    });
+}
+
+/**
+ * GET /topics/backlog, ranked by composite score
+ */
+async function listBacklog(query) {
+    const settings = getScoringSettings(getConfigValue);
+    let ranked = rankBacklog(await loadBacklog(), settings);
+
+    if (query.tier) {
+        ranked = ranked.filter(topic => topic.tier === query.tier);
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+            return createResponse(400, {
+                success: false,
+                error: 'limit must be a positive integer'
+            });
         }
-    ];
-
-    // Generate SEO context
-    const topicWords = topic.toLowerCase().split(' ');
-    const seoContext = {
-        primaryKeywords: [topic.toLowerCase(), ...topicWords],
-        longTailKeywords: [
-            `${topic.toLowerCase()} guide`,
-            `${topic.toLowerCase()} tips`,
-            `how to ${topic.toLowerCase()}`
-        ]
+        ranked = ranked.slice(0, limit);
+    }
+
+    return createResponse(200, {
+        success: true,
+        scoring: settings,
+        count: ranked.length,
+        topics: ranked
+    });
+}
+
+/**
+ * Route /topics/series requests
+ */
+async function handleSeriesRequest(event, match) {
+    const {
+        httpMethod,
+        body
+    } = event;
+    const seriesId = match[1] ? decodeURIComponent((event.pathParameters && event.pathParameters.seriesId) || match[1]) : null;
+
+    try {
+        const requestBody = body ? JSON.parse(body) : {};
+
+        if (httpMethod === 'POST' && !seriesId) {
+            return await createSeries(requestBody);
+        }
+
+        if (httpMethod === 'GET' && !seriesId) {
+            const series = await listRecords(SERIES_PK);
+            return createResponse(200, {
+                success: true,
+                count: series.length,
+                series: series.map(item => ({
+                    ...item,
+                    episodes: orderEpisodes(item.episodes)
+                }))
+            });
+        }
+
+        if (seriesId) {
+            const existing = await getRecord(SERIES_PK, seriesId);
+
+            if (!existing) {
+                return createResponse(404, {
+                    success: false,
+                    error: `Series not found: ${seriesId}`
+                });
+            }
+
+            if (httpMethod === 'GET') {
+                return createResponse(200, {
+                    success: true,
+                    series: {
+                        ...existing,
+                        episodes: orderEpisodes(existing.episodes)
+                    }
+                });
+            }
+
+            if (httpMethod === 'PUT') {
+                return await updateSeries(seriesId, requestBody);
+            }
+
+            if (httpMethod === 'DELETE') {
+                await deleteRecord(SERIES_PK, seriesId);
+                return createResponse(200, {
+                    success: true,
+                    seriesId
+                });
+            }
+        }
+
+        return createResponse(404, {
+            success: false,
+            error: 'Endpoint not found'
+        });
+
+    } catch (error) {
+        console.error('❌ Topic series error:', error);
+        return createResponse(error instanceof SyntaxError ? 400 : 500, {
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * POST /topics/series
+ */
+async function createSeries(requestBody) {
+    const {
+        settings,
+        error
+    } = validateSeriesSettings(requestBody);
+
+    if (error) {
+        return createResponse(400, {
+            success: false,
+            error
+        });
+    }
+
+    const now = new Date().toISOString();
+    const series = {
+        seriesId: `series-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`,
+        description: null,
+        language: null,
+        branding: {},
+        voice: null,
+        playlistId: null,
+        ...settings,
+        episodes: [],
+        version: 1,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await putRecord(SERIES_PK, series.seriesId, series);
+    console.log(`📺 Series created: ${series.title}`);
+
+    return createResponse(201, {
+        success: true,
+        series
+    });
+}
+
+/**
+ * PUT /topics/series/{seriesId}; episodeOrder lists every episode projectId in the new order
+ *
+ * Settings reach episodes whose topic context is generated afterwards; the
+ * publisher always reads the current episode order.
+ */
+async function updateSeries(seriesId, changes) {
+    const result = await updateSeriesRecord(seriesId, existing => {
+        const {
+            settings,
+            error
+        } = validateSeriesSettings(changes, existing);
+
+        if (error) {
+            return {
+                error,
+                statusCode: 400
+            };
+        }
+
+        let episodes = orderEpisodes(existing.episodes);
+
+        if (changes.episodeOrder !== undefined) {
+            const reordered = reorderEpisodes(episodes, changes.episodeOrder);
+            if (reordered.error) {
+                return {
+                    error: reordered.error,
+                    statusCode: 400
+                };
+            }
+            episodes = reordered.episodes;
+        }
+
+        return {
+            series: {
+                ...existing,
+                ...settings,
+                episodes,
+                updatedAt: new Date().toISOString()
+            }
+        };
+    });
+
+    if (!result || result.error) {
+        return createResponse(result ? result.statusCode || 409 : 404, {
+            success: false,
+            error: result ? result.error : `Series not found: ${seriesId}`
+        });
+    }
+
+    return createResponse(200, {
+        success: true,
+        series: result.series
+    });
+}
+
+/**
+ * Apply a change to the latest series record with a versioned conditional write
+ *
+ * Another writer (a parallel episode, an edit, the publisher recording a
+ * youtubeUrl) bumps the version, so the write fails and the change is
+ * re-applied to a fresh read instead of overwriting theirs.
+ * @param {function} change - latest series => { series, ... } to write, or { error } to stop
+ * @returns {Promise<object|null>} The change's result with the written series, { error } when
+ *   it stopped or every attempt conflicted, null when the series does not exist
+ */
+async function updateSeriesRecord(seriesId, change) {
+    for (let attempt = 1; attempt <= SERIES_WRITE_ATTEMPTS; attempt++) {
+        const latest = await getRecord(SERIES_PK, seriesId);
+        if (!latest) {
+            return null;
+        }
+
+        const result = change(latest);
+        if (!result.series) {
+            return result;
+        }
+
+        try {
+            await putSeriesRecord(result.series, latest.version);
+            return result;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                console.log(`⚠️ Series ${seriesId} changed concurrently, retrying (attempt ${attempt})`);
+                continue;
+            }
+            throw error;
+        }
+    }
+
+    console.error(`❌ Could not update series ${seriesId} after ${SERIES_WRITE_ATTEMPTS} attempts`);
+    return {
+        error: `Series ${seriesId} is being changed by other requests; try again`
     };
+}
+
+/**
+ * Write a series if its version is still the one that was read (records created before versioning have none)
+ */
+async function putSeriesRecord(series, expectedVersion) {
+    series.version = (expectedVersion || 0) + 1;
+
+    await dynamoClient.send(new PutItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Item: marshall({
+            ...series,
+            PK: SERIES_PK,
+            SK: series.seriesId
+        }, {
+            removeUndefinedValues: true
+        }),
+        ConditionExpression: expectedVersion ? '#version = :version' : 'attribute_exists(PK) AND attribute_not_exists(#version)',
+        ExpressionAttributeNames: {
+            '#version': 'version'
+        },
+        ...(expectedVersion ? {
+            ExpressionAttributeValues: marshall({
+                ':version': expectedVersion
+            })
+        } : {})
+    }));
+}
+
+/**
+ * Backlog topics with their ingested trend signals applied
+ */
+async function loadBacklog() {
+    const topics = await listRecords(BACKLOG_PK);
+    const trendKeys = [...new Set(topics.map(topic => toTopicKey(topic.topic)))];
+    const trends = {};
+
+    // BatchGetItem reads at most 100 keys per call
+    for (let i = 0; i < trendKeys.length; i += 100) {
+        let keys = trendKeys.slice(i, i + 100).map(topicKey => marshall({
+            PK: `trends#${topicKey}`,
+            SK: 'latest'
+        }));
+
+        while (keys && keys.length > 0) {
+            const response = await dynamoClient.send(new BatchGetItemCommand({
+                RequestItems: {
+                    [process.env.CONTEXT_TABLE]: {
+                        Keys: keys
+                    }
+                }
+            }));
+
+            for (const item of (response.Responses || {})[process.env.CONTEXT_TABLE] || []) {
+                const trendData = stripKeys(unmarshall(item));
+                trends[trendData.topicKey] = trendData;
+            }
+
+            const unprocessed = (response.UnprocessedKeys || {})[process.env.CONTEXT_TABLE];
+            keys = unprocessed ? unprocessed.Keys : null;
+        }
+    }
+
+    return topics.map(topic => withTrendSignals(topic, trends[toTopicKey(topic.topic)]));
+}
+
+/**
+ * Latest ingested trendData for a topic, or null
+ */
+async function loadTrendData(topic) {
+    try {
+        const record = await getRecord(`trends#${toTopicKey(topic)}`, 'latest');
+        if (record) {
+            delete record.ttl;
+        }
+        return record;
+    } catch (error) {
+        // Trend data only enriches the context; never fail topic creation over it
+        console.warn(`⚠️ Could not load trend data for "${topic}":`, error.message);
+        return null;
+    }
+}
+
+function pickBacklogOptions(requestBody) {
+    const options = {};
+
+    for (const field of BACKLOG_OPTION_FIELDS) {
+        if (requestBody[field] !== undefined) {
+            options[field] = requestBody[field];
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Generate enhanced topic context
+ * @param {object} options - { dryRun, language, trendData, modelClient, deadline } where modelClient
+ *   replaces the Bedrock client and deadline (see model-deadline.js) bounds every model call
+ */
+async function generateTopicContext(topic, targetAudience, videoDuration, options = {}) {
+    const {
+        dryRun = false,
+        language = 'en',
+        deadline = null
+    } = options;
+    const modelClient = options.modelClient || (dryRun ? null : getDefaultModelClient());
+
+    // Primary, fallback and location calls each get a third of the time; the expansion leaves the last third
+    const expansionDeadline = deadline ? deadline - Math.floor((deadline - Date.now()) / 3) : null;
+
+    // Model-driven topic expansion (ai.models.primary, then ai.models.fallback)
+    const expansion = await expandTopic({
+        topic,
+        targetAudience,
+        videoDuration,
+        language,
+        dryRun
+    }, {
+        modelClient,
+        getConfigValue,
+        deadline: expansionDeadline
+    });
+    console.log(`🧠 Expanded "${topic}" into ${expansion.expandedTopics.length} ${expansion.plan.depth} subtopics for ${expansion.plan.audience} (${expansion.modelId || expansion.source})`);
+
+    // Exact place names, tagged on each subtopic that mentions them
+    const {
+        locations,
+        expandedTopics
+    } = await extractLocations({
+        topic,
+        expandedTopics: expansion.expandedTopics,
+        dryRun
+    }, {
+        modelClient,
+        getConfigValue,
+        deadline
+    });
+
+    // Keyword clusters (primary, secondary, long-tail, question) for Manifest Builder and YouTube Publisher
+    const seoContext = buildSeoContext(topic, {
+        expandedTopics,
+        audienceLabel: expansion.plan.audienceLabel,
+        language
+    });
 
     return {
         mainTopic: topic,
         targetAudience,
         videoDuration,
+        // Followed by every later stage (script, voice, media search, YouTube metadata)
+        language,
         expandedTopics,
-        seoContext,
+        // Read by Script Generator (per scene) and Media Curator (Google Places queries)
+        locations,
+        seoContext: applyTrendKeywords(seoContext, options.trendData),
+        // Read by the YouTube Publisher for titles and tags
+        trendData: options.trendData || null,
+        // Depth and audience framing the subtopics were planned for
+        contentPlan: {
+            depth: expansion.plan.depth,
+            audience: expansion.plan.audience,
+            subtopicCount: expandedTopics.length,
+            secondsPerSubtopic: expansion.plan.secondsPerSubtopic
+        },
         projectMetadata: {
             createdAt: new Date().toISOString(),
             architecture: 'simplified',
-            version: '4.0.0'
+            version: '4.0.0',
+            expansionSource: expansion.source,
+            expansionModel: expansion.modelId
         }
     };
 }
 
+/**
+ * Schema and content.validation violations of a generated topic context
+ */
+function validateGeneratedContext(topicContext) {
+    const violations = validateSchema(topicContext, TOPIC_CONTEXT_SCHEMA);
+    const seoContext = topicContext.seoContext || {};
+
+    return violations.concat(validateContent({
+        keywords: seoContext.primaryKeywords
+    }, getContentRules(getConfigValue), TOPIC_CONTENT_ELEMENTS));
+}
+
+function getDefaultModelClient() {
+    defaultModelClient = defaultModelClient || createBedrockModelClient();
+    return defaultModelClient;
+}
+
 /**
  * Store context in S3 and DynamoDB
  */
-async function storeContext(context, contextType, projectId) {
+async function storeContext(context, contextType, projectId, attributes = {}) {
     try {
         // Store in S3
         const s3Key = `videos/${projectId}/01-context/${contextType}-context.json`;
@@ -201,6 +1073,7 @@ async function storeContext(context, contextType, projectId) {
 
         // Store reference in DynamoDB
         const contextRecord = {
+            ...attributes,
             PK: `${contextType}#${projectId}`,
             SK: projectId,
             s3Location: s3Key,
@@ -227,6 +1100,252 @@ async function storeContext(context, contextType, projectId) {
     }
 }
 
+/**
+ * Topics of every previously produced (non dry-run) project except projectId
+ * Only the produced topics partition is read; older projects are added to it
+ * by backfillProducedTopics, outside any request.
+ */
+async function loadPriorTopics(projectId) {
+    // The backfill marker and cursor share the partition but have no topic
+    return (await listRecords(PRODUCED_TOPICS_PK))
+        .filter(prior => prior.topic && prior.projectId !== projectId)
+        .map(prior => ({
+            projectId: prior.projectId,
+            topic: prior.topic,
+            createdAt: prior.createdAt
+        }));
+}
+
+/**
+ * Record a produced project's topic for later duplicate checks (no TTL, unlike context records)
+ */
+async function recordProducedTopic(projectId, topic) {
+    await putRecord(PRODUCED_TOPICS_PK, projectId, {
+        projectId,
+        topic,
+        createdAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Copy the topics of projects produced before the topics#produced partition existed
+ *
+ * Runs on its own schedule ({ action: 'backfill-produced-topics' }), never in a
+ * request. Context records carry mainTopic and are scanned a page at a time;
+ * project folders whose topic is still unknown are then read from their
+ * topic-context.json in S3. The position is saved after every page, so a run
+ * that nears its timeout stops and the next one continues from there. Once
+ * done, a marker record makes every later run return straight away.
+ * @param {object} context - Lambda context; getRemainingTimeInMillis bounds the run
+ * @returns {Promise<object>} { done, recorded }
+ */
+async function backfillProducedTopics(context = {}) {
+    if (await getRecord(PRODUCED_TOPICS_PK, BACKFILL_MARKER_SK)) {
+        return {
+            done: true,
+            recorded: 0
+        };
+    }
+
+    const cursor = await getRecord(PRODUCED_TOPICS_PK, BACKFILL_CURSOR_SK) || {
+        phase: 'records',
+        recorded: 0
+    };
+    const hasTimeLeft = () => !context.getRemainingTimeInMillis || context.getRemainingTimeInMillis() > BACKFILL_STOP_MS;
+    let recorded = 0;
+
+    while (cursor.phase !== 'done' && hasTimeLeft()) {
+        if (cursor.phase === 'records') {
+            const response = await dynamoClient.send(new ScanCommand({
+                TableName: process.env.CONTEXT_TABLE,
+                FilterExpression: 'begins_with(PK, :prefix)',
+                ProjectionExpression: 'projectId, mainTopic, dryRun, createdAt',
+                ExpressionAttributeValues: marshall({
+                    ':prefix': 'topic#'
+                }),
+                ExclusiveStartKey: cursor.exclusiveStartKey
+            }));
+
+            recorded += await recordPriorTopics((response.Items || [])
+                .map(item => unmarshall(item))
+                .filter(record => record.mainTopic && record.dryRun !== true)
+                .map(record => ({
+                    projectId: record.projectId,
+                    topic: record.mainTopic,
+                    createdAt: record.createdAt
+                })));
+
+            cursor.exclusiveStartKey = response.LastEvaluatedKey;
+            if (!cursor.exclusiveStartKey) {
+                cursor.phase = 'folders';
+            }
+        } else {
+            const response = await s3Client.send(new ListObjectsV2Command({
+                Bucket: process.env.S3_BUCKET,
+                Prefix: 'videos/',
+                Delimiter: '/',
+                MaxKeys: BACKFILL_FOLDER_PAGE_SIZE,
+                ContinuationToken: cursor.continuationToken
+            }));
+
+            const folders = (response.CommonPrefixes || []).map(prefix => prefix.Prefix.slice('videos/'.length, -1));
+            recorded += await recordFolderTopics(folders);
+
+            cursor.continuationToken = response.NextContinuationToken;
+            if (!cursor.continuationToken) {
+                cursor.phase = 'done';
+            }
+        }
+
+        if (cursor.phase !== 'done') {
+            await putRecord(PRODUCED_TOPICS_PK, BACKFILL_CURSOR_SK, {
+                ...cursor,
+                recorded: cursor.recorded + recorded
+            });
+        }
+    }
+
+    if (cursor.phase !== 'done') {
+        console.log(`📚 Backfilled ${recorded} produced topics, continuing on the next run`);
+        return {
+            done: false,
+            recorded
+        };
+    }
+
+    await putRecord(PRODUCED_TOPICS_PK, BACKFILL_MARKER_SK, {
+        backfilledAt: new Date().toISOString(),
+        count: cursor.recorded + recorded
+    });
+    await deleteRecord(PRODUCED_TOPICS_PK, BACKFILL_CURSOR_SK);
+    console.log(`📚 Backfilled ${cursor.recorded + recorded} produced topics`);
+
+    return {
+        done: true,
+        recorded
+    };
+}
+
+/**
+ * Topics of the given project folders that are not recorded yet, read from S3
+ * @returns {Promise<number>} Topics recorded
+ */
+async function recordFolderTopics(folders) {
+    const found = [];
+
+    for (let i = 0; i < folders.length; i += PRIOR_TOPIC_READ_CONCURRENCY) {
+        await Promise.all(folders.slice(i, i + PRIOR_TOPIC_READ_CONCURRENCY).map(async (id) => {
+            if (await getRecord(PRODUCED_TOPICS_PK, id)) {
+                return;
+            }
+
+            const topicContext = await readTopicContext(id);
+            if (topicContext && topicContext.mainTopic && topicContext.dryRun !== true) {
+                found.push({
+                    projectId: id,
+                    topic: topicContext.mainTopic,
+                    createdAt: topicContext.projectMetadata && topicContext.projectMetadata.createdAt
+                });
+            }
+        }));
+    }
+
+    return await recordPriorTopics(found);
+}
+
+/**
+ * Write prior topics into the produced topics partition
+ * @returns {Promise<number>} Topics recorded
+ */
+async function recordPriorTopics(priors) {
+    for (let i = 0; i < priors.length; i += PRIOR_TOPIC_READ_CONCURRENCY) {
+        await Promise.all(priors.slice(i, i + PRIOR_TOPIC_READ_CONCURRENCY).map(prior => putRecord(PRODUCED_TOPICS_PK, prior.projectId, prior)));
+    }
+
+    return priors.length;
+}
+
+async function readTopicContext(projectId) {
+    try {
+        const response = await s3Client.send(new GetObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: `videos/${projectId}/01-context/topic-context.json`
+        }));
+        return JSON.parse(await response.Body.transformToString());
+    } catch (error) {
+        // Folders without a topic context (or unreadable ones) are not prior productions
+        return null;
+    }
+}
+
+/**
+ * List every record under a partition key
+ */
+async function listRecords(pk) {
+    const records = [];
+    let exclusiveStartKey;
+
+    do {
+        const response = await dynamoClient.send(new QueryCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({
+                ':pk': pk
+            }),
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+
+        records.push(...(response.Items || []).map(item => stripKeys(unmarshall(item))));
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return records;
+}
+
+async function getRecord(pk, sk) {
+    const response = await dynamoClient.send(new GetItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: sk
+        })
+    }));
+
+    return response.Item ? stripKeys(unmarshall(response.Item)) : null;
+}
+
+async function putRecord(pk, sk, record) {
+    await dynamoClient.send(new PutItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Item: marshall({
+            ...record,
+            PK: pk,
+            SK: sk
+        }, {
+            removeUndefinedValues: true
+        })
+    }));
+}
+
+async function deleteRecord(pk, sk) {
+    await dynamoClient.send(new DeleteItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: sk
+        })
+    }));
+}
+
+function stripKeys(record) {
+    const rest = {
+        ...record
+    };
+    delete rest.PK;
+    delete rest.SK;
+    return rest;
+}
+
 /**
  * Create project ID
  */
@@ -254,4 +1373,9 @@ function createResponse(statusCode, body) {
         },
         body: JSON.stringify(body, null, 2)
     };
-}
\ No newline at end of file
+}
+
+exports.generateTopicContext = generateTopicContext;
+exports.updateSeriesRecord = updateSeriesRecord;
+exports.loadPriorTopics = loadPriorTopics;
+exports.backfillProducedTopics = backfillProducedTopics;
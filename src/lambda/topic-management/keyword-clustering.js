@@ -0,0 +1,321 @@
+/**
+ * Keyword Clustering - Topic Management
+ *
+ * Builds the seoContext stored in topic-context.json:
+ * {
+ *   'language': 'en',
+ *   'primaryKeywords': ['spain travel', 'spain', 'travel'],    // stopword-filtered
+ *   'longTailKeywords': ['spain travel guide', ...],
+ *   'questionKeywords': ['is spain travel worth it', ...],
+ *   'keywordClusters': {
+ *     'primary':   [{ 'keyword': 'spain travel', 'stem': 'spain travel', 'intent': 'informational' }],
+ *     'secondary': [...],   // from the expanded subtopics
+ *     'longTail':  [...],
+ *     'question':  [...]
+ *   }
+ * }
+ *
+ * A keyword appears once across all clusters: entries are deduplicated on
+ * their stemmed form in the order primary, secondary, long-tail, question.
+ * Manifest Builder and YouTube Publisher build their tags from the clusters.
+ *
+ * Stop words, intent terms and keyword templates follow the project language
+ * (see languages.js); suffix stemming is English-only.
+ */
+
+const CLUSTER_ORDER = ['primary', 'secondary', 'longTail', 'question'];
+const MAX_SECONDARY_KEYWORDS = 8;
+
+// Per-language stop words, question words, intent terms and keyword templates
+const LANGUAGE_RULES = {
+    en: {
+        stopWords: [
+            'a', 'an', 'and', 'the', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+            'or', 'as', 'into', 'about', 'your', 'you', 'my', 'our', 'is', 'are', 'be', 'it',
+            'its', 'this', 'that', 'how', 'what', 'why', 'when', 'where', 'which', 'who', 'do',
+            'does', 'vs'
+        ],
+        questionWords: ['how', 'what', 'why', 'when', 'where', 'which', 'who'],
+        intentTerms: {
+            transactional: ['buy', 'book', 'booking', 'order', 'price', 'prices', 'pricing', 'deal', 'deals', 'discount',
+                'coupon', 'ticket', 'tickets', 'hire', 'subscribe', 'download'
+            ],
+            commercial: ['best', 'top', 'vs', 'versus', 'review', 'reviews', 'compare', 'comparison', 'worth', 'cheap',
+                'cheapest', 'affordable', 'cost', 'costs', 'budget', 'alternative', 'alternatives'
+            ],
+            navigational: ['official', 'login', 'website', 'app', 'near me', 'channel']
+        },
+        longTail: [topic => `${topic} guide`, topic => `${topic} tips`, topic => `best ${topic}`],
+        questions: [
+            topic => `how to ${topic}`,
+            topic => `is ${topic} worth it`,
+            topic => `what to know about ${topic}`,
+            topic => `how much does ${topic} cost`
+        ]
+    },
+    es: {
+        stopWords: [
+            'a', 'al', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los', 'o', 'para', 'por',
+            'que', 'qué', 'se', 'su', 'sus', 'tu', 'tus', 'un', 'una', 'y', 'cómo', 'cuál', 'cuándo', 'dónde', 'cuánto'
+        ],
+        questionWords: ['cómo', 'qué', 'cuál', 'cuándo', 'dónde', 'cuánto'],
+        intentTerms: {
+            transactional: ['comprar', 'reservar', 'reserva', 'precio', 'precios', 'oferta', 'ofertas', 'descuento',
+                'cupón', 'entradas', 'billetes', 'descargar', 'suscribirse'
+            ],
+            commercial: ['mejor', 'mejores', 'vs', 'reseña', 'reseñas', 'opiniones', 'comparar', 'comparativa',
+                'vale la pena', 'barato', 'económico', 'coste', 'costo', 'cuesta', 'presupuesto', 'alternativas'
+            ],
+            navigational: ['oficial', 'sitio web', 'app', 'cerca de mí', 'canal']
+        },
+        longTail: [topic => `guía ${topic}`, topic => `consejos ${topic}`, topic => `mejores ${topic}`],
+        questions: [
+            topic => `cómo empezar con ${topic}`,
+            topic => `vale la pena ${topic}`,
+            topic => `qué saber sobre ${topic}`,
+            topic => `cuánto cuesta ${topic}`
+        ]
+    },
+    fr: {
+        stopWords: [
+            'à', 'au', 'aux', 'avec', 'c', 'd', 'de', 'des', 'du', 'en', 'est', 'et', 'j', 'l', 'la', 'le', 'les',
+            'n', 'ou', 'par', 'pour', 'qu', 'que', 's', 'sur', 'un', 'une', 'vos', 'votre', 'comment', 'quoi',
+            'quel', 'quelle', 'quand', 'où', 'pourquoi', 'combien'
+        ],
+        questionWords: ['comment', 'quoi', 'quel', 'quelle', 'quand', 'où', 'pourquoi', 'combien'],
+        intentTerms: {
+            transactional: ['acheter', 'réserver', 'réservation', 'prix', 'offre', 'offres', 'promo', 'réduction',
+                'billets', 'télécharger', 'abonner'
+            ],
+            commercial: ['meilleur', 'meilleurs', 'meilleure', 'vs', 'avis', 'comparer', 'comparatif', 'vaut le coup',
+                'pas cher', 'budget', 'coût', 'coûte', 'alternatives'
+            ],
+            navigational: ['officiel', 'site web', 'appli', 'près de chez moi', 'chaîne']
+        },
+        longTail: [topic => `guide ${topic}`, topic => `conseils ${topic}`, topic => `meilleur ${topic}`],
+        questions: [
+            topic => `comment commencer ${topic}`,
+            topic => `est-ce que ${topic} vaut le coup`,
+            topic => `que savoir sur ${topic}`,
+            topic => `combien coûte ${topic}`
+        ]
+    },
+    de: {
+        stopWords: [
+            'am', 'an', 'auf', 'das', 'dein', 'deine', 'dem', 'den', 'der', 'des', 'die', 'ein', 'eine', 'einen',
+            'für', 'ihr', 'im', 'in', 'ist', 'mit', 'oder', 'und', 'vom', 'von', 'zu', 'zum', 'zur', 'wie', 'was',
+            'warum', 'wann', 'wo', 'welche'
+        ],
+        questionWords: ['wie', 'was', 'warum', 'wann', 'wo', 'welche'],
+        intentTerms: {
+            transactional: ['kaufen', 'buchen', 'buchung', 'preis', 'preise', 'angebot', 'angebote', 'rabatt',
+                'gutschein', 'tickets', 'herunterladen', 'abonnieren'
+            ],
+            commercial: ['beste', 'besten', 'bester', 'vs', 'test', 'bewertung', 'bewertungen', 'vergleich',
+                'vergleichen', 'lohnt', 'günstig', 'billig', 'kosten', 'kostet', 'budget', 'alternativen'
+            ],
+            navigational: ['offiziell', 'offizielle', 'website', 'app', 'in der nähe', 'kanal']
+        },
+        longTail: [topic => `${topic} tipps`, topic => `${topic} ratgeber`, topic => `beste ${topic}`],
+        questions: [
+            topic => `wie funktioniert ${topic}`,
+            topic => `lohnt sich ${topic}`,
+            topic => `was man über ${topic} wissen muss`,
+            topic => `was kostet ${topic}`
+        ]
+    },
+    pt: {
+        stopWords: [
+            'a', 'ao', 'as', 'com', 'da', 'das', 'de', 'do', 'dos', 'e', 'é', 'em', 'na', 'nas', 'no', 'nos', 'o',
+            'os', 'ou', 'para', 'por', 'que', 'seu', 'sua', 'um', 'uma', 'como', 'qual', 'quando', 'onde', 'quanto'
+        ],
+        questionWords: ['como', 'que', 'qual', 'quando', 'onde', 'quanto'],
+        intentTerms: {
+            transactional: ['comprar', 'reservar', 'reserva', 'preço', 'preços', 'oferta', 'ofertas', 'desconto',
+                'cupom', 'ingressos', 'passagens', 'baixar', 'assinar'
+            ],
+            commercial: ['melhor', 'melhores', 'vs', 'avaliação', 'comparar', 'comparação', 'vale a pena', 'barato',
+                'custo', 'custos', 'custa', 'orçamento', 'alternativas'
+            ],
+            navigational: ['oficial', 'site', 'app', 'aplicativo', 'perto de mim', 'canal']
+        },
+        longTail: [topic => `guia ${topic}`, topic => `dicas ${topic}`, topic => `melhores ${topic}`],
+        questions: [
+            topic => `como começar ${topic}`,
+            topic => `vale a pena ${topic}`,
+            topic => `o que saber sobre ${topic}`,
+            topic => `quanto custa ${topic}`
+        ]
+    }
+};
+
+// First matching intent wins; anything else is informational
+const INTENT_ORDER = ['transactional', 'commercial', 'navigational'];
+
+// Longest suffixes first; each rule keeps a stem of at least three letters
+const SUFFIX_RULES = [
+    ['ational', 'ate'],
+    ['ization', 'ize'],
+    ['fulness', 'ful'],
+    ['iveness', 'ive'],
+    ['ements', ''],
+    ['ement', ''],
+    ['ments', ''],
+    ['ment', ''],
+    ['ings', ''],
+    ['ing', ''],
+    ['ies', 'y'],
+    ['ied', 'y'],
+    ['sses', 'ss'],
+    ['ches', 'ch'],
+    ['shes', 'sh'],
+    ['xes', 'x'],
+    ['ed', ''],
+    ['s', '']
+];
+
+/**
+ * Lowercase words without punctuation
+ */
+function tokenize(text) {
+    return String(text || '').toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+function getRules(language) {
+    return LANGUAGE_RULES[language] || LANGUAGE_RULES.en;
+}
+
+/**
+ * Light suffix-stripping stemmer, enough to merge plurals and verb forms
+ * English only; stemKeyword compares other languages by lowercased word.
+ */
+function stemWord(word) {
+    if (word.length <= 3 || /\d/.test(word) || /ss$/.test(word)) {
+        return word;
+    }
+
+    for (const [suffix, replacement] of SUFFIX_RULES) {
+        if (word.endsWith(suffix) && word.length - suffix.length + replacement.length >= 3) {
+            const stem = word.slice(0, word.length - suffix.length) + replacement;
+            // Collapse doubled consonants left by -ing/-ed/-er ("planning" -> "plan")
+            return /([b-df-hj-np-tv-z])\1$/.test(stem) && !/(ll|ss|zz)$/.test(stem) ? stem.slice(0, -1) : stem;
+        }
+    }
+
+    return word;
+}
+
+/**
+ * Stemmed, stopword-filtered form used to deduplicate keywords
+ * Repeated stems count once, so 'tips tips' matches 'tips'. Question words
+ * are kept so question keywords do not collapse into the topic itself.
+ */
+function stemKeyword(keyword, language = 'en') {
+    const rules = getRules(language);
+    const stems = tokenize(keyword)
+        .filter(word => !rules.stopWords.includes(word) || rules.questionWords.includes(word))
+        .map(word => (language === 'en' ? stemWord(word) : word));
+
+    return [...new Set(stems)].join(' ');
+}
+
+/**
+ * Estimated search intent of a keyword
+ */
+function estimateIntent(keyword, language = 'en') {
+    const text = ` ${tokenize(keyword).join(' ')} `;
+    const intentTerms = getRules(language).intentTerms;
+    const intent = INTENT_ORDER.find(name => intentTerms[name].some(term => text.includes(` ${term} `)));
+    return intent || 'informational';
+}
+
+/**
+ * Cluster entry for a keyword
+ */
+function toKeywordEntry(keyword, language = 'en') {
+    const text = tokenize(keyword).join(' ');
+    return {
+        keyword: text,
+        stem: stemKeyword(text, language),
+        intent: estimateIntent(text, language)
+    };
+}
+
+/**
+ * Add keywords to a cluster, skipping stems already used by any cluster
+ */
+function addToCluster(cluster, keywords, seenStems, language, limit = Infinity) {
+    for (const keyword of keywords) {
+        if (cluster.length >= limit) {
+            break;
+        }
+        const entry = toKeywordEntry(keyword, language);
+        if (!entry.stem || seenStems.has(entry.stem)) {
+            continue;
+        }
+        seenStems.add(entry.stem);
+        cluster.push(entry);
+    }
+    return cluster;
+}
+
+/**
+ * Build the clustered seoContext for a topic
+ * @param {string} topic - Main topic
+ * @param {object} options - { expandedTopics, audienceLabel, language }
+ */
+function buildSeoContext(topic, options = {}) {
+    const {
+        expandedTopics = [],
+        audienceLabel = null,
+        language = 'en'
+    } = options;
+    const rules = getRules(language);
+    const topicText = tokenize(topic).join(' ');
+    const contentWords = tokenize(topic).filter(word => !rules.stopWords.includes(word));
+    // Audience labels are English, so only English keywords name the audience
+    const audienceText = audienceLabel && language === 'en' ? tokenize(audienceLabel).join(' ') : null;
+    const audienceSuffix = audienceText ? new RegExp(`\\s+for ${audienceText}$`) : null;
+    const seenStems = new Set();
+
+    const primary = addToCluster([], [topicText, ...(contentWords.length > 1 ? contentWords : [])], seenStems, language);
+
+    // Subtopics without the audience suffix the template adds to each of them
+    const secondary = addToCluster([], expandedTopics
+        .map(item => tokenize(item.subtopic).join(' '))
+        .map(text => audienceSuffix ? text.replace(audienceSuffix, '') : text), seenStems, language, MAX_SECONDARY_KEYWORDS);
+
+    const longTail = addToCluster([], [
+        ...rules.longTail.map(template => template(topicText)),
+        audienceText ? `${topicText} for ${audienceText}` : null
+    ].filter(Boolean), seenStems, language);
+
+    const question = addToCluster([], rules.questions.map(template => template(topicText)), seenStems, language);
+
+    const keywordClusters = {
+        primary,
+        secondary,
+        longTail,
+        question
+    };
+
+    return {
+        language,
+        primaryKeywords: primary.map(entry => entry.keyword),
+        longTailKeywords: longTail.map(entry => entry.keyword),
+        questionKeywords: question.map(entry => entry.keyword),
+        keywordClusters
+    };
+}
+
+module.exports = {
+    CLUSTER_ORDER,
+    stemWord,
+    stemKeyword,
+    estimateIntent,
+    toKeywordEntry,
+    buildSeoContext
+};
@@ -0,0 +1,46 @@
+/**
+ * Project Languages - Topic Management
+ *
+ * A project's language is chosen once on POST /topics and stored in
+ * topic-context.json as its ISO 639-1 code. Script Generator copies it into
+ * the scene context; Audio Generator, Media Curator and YouTube Publisher
+ * follow it from there.
+ *
+ * Supported languages have translated script and keyword templates and a
+ * Polly voice in every downstream stage.
+ */
+
+const LANGUAGES = {
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    pt: 'Portuguese'
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+/**
+ * Supported language code for 'es', 'ES' or 'es-MX', or null
+ */
+function normalizeLanguage(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const code = value.trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[code] ? code : null;
+}
+
+/**
+ * English name of a supported language, used in model prompts
+ */
+function getLanguageName(code) {
+    return LANGUAGES[code] || LANGUAGES.en;
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    normalizeLanguage,
+    getLanguageName
+};
@@ -0,0 +1,297 @@
+/**
+ * Location Entities - Topic Management
+ *
+ * Extracts the places a topic is about once, when its context is generated,
+ * so later stages search exact place names instead of guessing them from
+ * keywords. The primary model (ai.models.primary) names the places in the
+ * topic and its subtopics; the gazetteer (gazetteer.js) recognizes
+ * well-known places without a model and fills in each place's city, region
+ * and country. Places the model names that do not appear in the text are
+ * dropped.
+ *
+ * Stored in topic-context.json as `locations`:
+ * {
+ *   'primary': { 'type': 'landmark', 'name': 'Alhambra', 'city': 'Granada', 'region': 'Andalusia',
+ *                'country': 'Spain', 'query': 'Alhambra, Granada, Spain' },
+ *   'entities': [...],          // same shape, primary first
+ *   'source': 'model',          // or 'gazetteer'
+ *   'modelId': '...'
+ * }
+ * Each expanded subtopic lists the entity names it mentions in `locations`.
+ */
+
+const {
+    GAZETTEER
+} = require('./gazetteer');
+const {
+    getAttemptTimeout
+} = require('pipeline-shared/model-deadline');
+
+const LOCATION_TYPES = ['country', 'region', 'city', 'landmark'];
+
+// Most specific first; the primary place is the most specific one in the topic
+const SPECIFICITY = ['landmark', 'city', 'region', 'country'];
+
+const LOCATION_SYSTEM_PROMPT = 'You identify real-world places in travel video outlines.';
+
+const GAZETTEER_BY_NAME = new Map(GAZETTEER.map(([name, type, parent]) => [name, {
+    name,
+    type,
+    parent
+}]));
+
+// Accent-free text; matching ignores case unless a gazetteer name is caseSensitive
+function foldText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function namePattern(name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])(${escaped})(?=$|[^\\p{L}\\p{N}])`, 'gu');
+}
+
+// Longest first so "Mexico City" is found before "Mexico" can match inside it
+const GAZETTEER_PATTERNS = GAZETTEER.flatMap(([name, , , aliases = [], options = {}]) => [{
+        name,
+        pattern: namePattern(options.caseSensitive ? foldText(name) : foldText(name).toLowerCase()),
+        caseSensitive: options.caseSensitive === true,
+        length: name.length
+    },
+    ...aliases.map(alias => ({
+        name,
+        pattern: namePattern(alias),
+        caseSensitive: false,
+        length: alias.length
+    }))
+]).sort((a, b) => b.length - a.length);
+
+const GAZETTEER_ALIASES = new Map(GAZETTEER.flatMap(([name, , , aliases = []]) =>
+    [foldText(name).toLowerCase(), ...aliases].map(alias => [alias, name])));
+
+/**
+ * Gazetteer names of the places mentioned in text, in order of appearance
+ */
+function findGazetteerPlaces(text) {
+    let cased = foldText(text);
+    let folded = cased.toLowerCase();
+    const found = [];
+
+    for (const {
+            name,
+            pattern,
+            caseSensitive
+        } of GAZETTEER_PATTERNS) {
+        for (const match of (caseSensitive ? cased : folded).matchAll(pattern)) {
+            const start = match.index + match[1].length;
+            const end = start + match[2].length;
+            const mask = ' '.repeat(end - start);
+
+            found.push({
+                name,
+                start
+            });
+            // Masked so names inside this one ("Mexico" in "Mexico City") are not found again
+            cased = cased.slice(0, start) + mask + cased.slice(end);
+            folded = folded.slice(0, start) + mask + folded.slice(end);
+        }
+    }
+
+    return [...new Set(found.sort((a, b) => a.start - b.start).map(place => place.name))];
+}
+
+/**
+ * Entity for a gazetteer place with its city, region and country filled in
+ */
+function gazetteerEntity(name) {
+    const entry = GAZETTEER_BY_NAME.get(name);
+    const entity = {
+        type: entry.type,
+        name: entry.name,
+        city: null,
+        region: null,
+        country: null
+    };
+
+    for (let place = entry; place; place = place.parent ? GAZETTEER_BY_NAME.get(place.parent) : null) {
+        if (place.type !== 'landmark' && !entity[place.type]) {
+            entity[place.type] = place.name;
+        }
+    }
+
+    return withQuery(entity);
+}
+
+/**
+ * Google Places text query: the place with its city and country ("Alhambra, Granada, Spain")
+ */
+function withQuery(entity) {
+    return {
+        ...entity,
+        query: [...new Set([entity.name, entity.city, entity.country].filter(Boolean))].join(', ')
+    };
+}
+
+/**
+ * Model entity under its gazetteer name when known, with missing parents filled in
+ */
+function completeEntity(entity) {
+    const known = GAZETTEER_ALIASES.get(foldText(entity.name).toLowerCase());
+
+    if (!known || GAZETTEER_BY_NAME.get(known).type !== entity.type) {
+        return withQuery(entity);
+    }
+
+    const reference = gazetteerEntity(known);
+    return withQuery({
+        type: entity.type,
+        name: known,
+        city: entity.city || reference.city,
+        region: entity.region || reference.region,
+        country: entity.country || reference.country
+    });
+}
+
+function isMentioned(entity, text) {
+    if (GAZETTEER_BY_NAME.has(entity.name)) {
+        return findGazetteerPlaces(text).includes(entity.name);
+    }
+    return namePattern(foldText(entity.name).toLowerCase()).test(foldText(text).toLowerCase());
+}
+
+function buildLocationPrompt(topic, expandedTopics) {
+    return [
+        'List the real-world places (countries, regions, cities, landmarks) named in this video outline.',
+        `Topic: "${topic}"`,
+        'Subtopics:',
+        ...expandedTopics.map(item => `- ${item.subtopic}`),
+        '',
+        'Return ONLY a JSON array. Each item: {"name": the place name as written, "type": "country" | "region" | "city" | "landmark",',
+        '"city": ..., "region": ..., "country": ... (English names of the places containing it, null when unknown or not applicable)}.',
+        'Return [] when no places are named.'
+    ].join('\n');
+}
+
+/**
+ * Read the model's answer; returns null when it is not a usable JSON array
+ */
+function parseLocations(text) {
+    const match = typeof text === 'string' ? text.match(/\[[\s\S]*\]/) : null;
+
+    if (!match) {
+        return null;
+    }
+
+    let items;
+    try {
+        items = JSON.parse(match[0]);
+    } catch (error) {
+        return null;
+    }
+
+    if (!Array.isArray(items)) {
+        return null;
+    }
+
+    const optional = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    return items
+        .filter(item => item && typeof item.name === 'string' && item.name.trim() && LOCATION_TYPES.includes(item.type))
+        .map(item => ({
+            type: item.type,
+            name: item.name.trim(),
+            city: item.type === 'city' ? item.name.trim() : optional(item.city),
+            region: item.type === 'region' ? item.name.trim() : optional(item.region),
+            country: item.type === 'country' ? item.name.trim() : optional(item.country)
+        }));
+}
+
+function subtopicText(item) {
+    return [item.subtopic, item.valueProposition, ...(item.visualNeeds || [])].filter(Boolean).join('\n');
+}
+
+/**
+ * Extract location entities for a topic and tag each subtopic with the places it mentions
+ * @param {object} options - { topic, expandedTopics, dryRun }; dry runs use the gazetteer only
+ * @param {object} deps - { modelClient, getConfigValue, deadline } (see model-deadline.js)
+ * @returns {Promise<object>} { locations, expandedTopics }
+ */
+async function extractLocations(options, deps) {
+    const {
+        topic,
+        expandedTopics = [],
+        dryRun = false
+    } = options;
+    const {
+        modelClient,
+        getConfigValue,
+        deadline = null
+    } = deps;
+    const allText = [topic, ...expandedTopics.map(subtopicText)].join('\n');
+
+    let entities = findGazetteerPlaces(allText).map(gazetteerEntity);
+    let source = 'gazetteer';
+    let modelId = null;
+
+    const model = dryRun || !modelClient ? null : getConfigValue('ai.models.primary', null);
+    const timeout = model && model.id ? getAttemptTimeout(model, deadline) : 0;
+    if (timeout > 0) {
+        try {
+            const named = parseLocations(await modelClient.invoke({
+                model: {
+                    ...model,
+                    timeout
+                },
+                system: LOCATION_SYSTEM_PROMPT,
+                prompt: buildLocationPrompt(topic, expandedTopics)
+            }));
+
+            if (named) {
+                entities = [...named.filter(entity => isMentioned(entity, allText)).map(completeEntity), ...entities];
+                source = 'model';
+                modelId = model.id;
+            } else {
+                console.warn(`⚠️ Unusable location answer from ${model.id}, using the gazetteer`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Location extraction failed with ${model.id}:`, error.message);
+        }
+    } else if (model && model.id) {
+        console.warn(`⚠️ No time left to extract locations with ${model.id}, using the gazetteer`);
+    }
+
+    // One entity per place; the model's version wins over the gazetteer's
+    const unique = new Map();
+    for (const entity of entities) {
+        const key = `${entity.type}:${foldText(entity.name).toLowerCase()}`;
+        if (!unique.has(key)) {
+            unique.set(key, entity);
+        }
+    }
+
+    const ranked = [...unique.values()].map(entity => ({
+        entity,
+        inTopic: isMentioned(entity, topic),
+        mentions: expandedTopics.filter(item => isMentioned(entity, subtopicText(item))).length
+    })).sort((a, b) => (b.inTopic - a.inTopic) ||
+        (SPECIFICITY.indexOf(a.entity.type) - SPECIFICITY.indexOf(b.entity.type)) ||
+        (b.mentions - a.mentions)).map(item => item.entity);
+
+    return {
+        locations: {
+            primary: ranked[0] || null,
+            entities: ranked,
+            source,
+            modelId
+        },
+        expandedTopics: expandedTopics.map(item => ({
+            ...item,
+            locations: ranked.filter(entity => isMentioned(entity, subtopicText(item))).map(entity => entity.name)
+        }))
+    };
+}
+
+module.exports = {
+    findGazetteerPlaces,
+    parseLocations,
+    extractLocations
+};
@@ -0,0 +1,210 @@
+/**
+ * Content Series - Topic Management
+ *
+ * A series ("France travel") groups projects into ordered episodes that share
+ * branding, narration voice, language and a YouTube playlist. The series
+ * record holds the episode list; each episode's topic-context.json carries a
+ * `series` snapshot (see toSeriesContext) that Script Generator, Audio
+ * Generator and YouTube Publisher read. The publisher re-reads the series
+ * record for previous/next links, so episodes added later are still linked.
+ */
+
+const {
+    normalizeLanguage
+} = require('./languages');
+
+const BRANDING_TEXT_FIELDS = ['titlePrefix', 'descriptionFooter'];
+
+/**
+ * Validate series settings from a create (POST) or edit (PUT) body
+ * @param {object} input - request body
+ * @param {object} existing - current series on edit, omitted on create
+ * @returns {object} { settings } or { error }
+ */
+function validateSeriesSettings(input, existing = null) {
+    const settings = {};
+
+    if (!existing || input.title !== undefined) {
+        if (!input.title || typeof input.title !== 'string') {
+            return {
+                error: 'title must be a non-empty string'
+            };
+        }
+        settings.title = input.title.trim();
+    }
+
+    for (const field of ['description', 'playlistId']) {
+        if (input[field] !== undefined) {
+            if (input[field] !== null && typeof input[field] !== 'string') {
+                return {
+                    error: `${field} must be a string or null`
+                };
+            }
+            settings[field] = input[field];
+        }
+    }
+
+    if (input.language !== undefined) {
+        settings.language = normalizeLanguage(input.language);
+        if (!settings.language) {
+            return {
+                error: `Unsupported language: ${input.language}`
+            };
+        }
+    }
+
+    if (input.branding !== undefined) {
+        const {
+            branding,
+            error
+        } = validateBranding(input.branding);
+        if (error) {
+            return {
+                error
+            };
+        }
+        settings.branding = branding;
+    }
+
+    if (input.voice !== undefined) {
+        if (!input.voice || typeof input.voice !== 'object' || typeof input.voice.voiceId !== 'string' || !input.voice.voiceId) {
+            return {
+                error: 'voice.voiceId must be a non-empty string'
+            };
+        }
+        settings.voice = {
+            voiceId: input.voice.voiceId
+        };
+    }
+
+    return {
+        settings
+    };
+}
+
+function validateBranding(branding) {
+    if (!branding || typeof branding !== 'object' || Array.isArray(branding)) {
+        return {
+            error: 'branding must be an object'
+        };
+    }
+
+    const result = {};
+
+    for (const field of BRANDING_TEXT_FIELDS) {
+        if (branding[field] !== undefined && branding[field] !== null) {
+            if (typeof branding[field] !== 'string') {
+                return {
+                    error: `branding.${field} must be a string`
+                };
+            }
+            result[field] = branding[field];
+        }
+    }
+
+    if (branding.tags !== undefined) {
+        if (!Array.isArray(branding.tags) || branding.tags.some(tag => typeof tag !== 'string')) {
+            return {
+                error: 'branding.tags must be an array of strings'
+            };
+        }
+        result.tags = branding.tags;
+    }
+
+    return {
+        branding: result
+    };
+}
+
+/**
+ * Episodes sorted by episodeNumber
+ */
+function orderEpisodes(episodes = []) {
+    return [...episodes].sort((a, b) => a.episodeNumber - b.episodeNumber);
+}
+
+/**
+ * Add a project to the series, or move it when it is already an episode
+ *
+ * Without episodeNumber a new project is appended and an existing episode
+ * keeps its place.
+ * @returns {object} { episodes, episode } or { error }
+ */
+function placeEpisode(series, {
+    projectId,
+    topic,
+    episodeNumber
+}) {
+    if (episodeNumber !== undefined && (!Number.isInteger(episodeNumber) || episodeNumber < 1)) {
+        return {
+            error: 'episodeNumber must be a positive integer'
+        };
+    }
+
+    const others = (series.episodes || []).filter(episode => episode.projectId !== projectId);
+    const current = (series.episodes || []).find(episode => episode.projectId === projectId);
+
+    if (episodeNumber !== undefined && others.some(episode => episode.episodeNumber === episodeNumber)) {
+        return {
+            error: `Episode ${episodeNumber} of ${series.seriesId} is already taken`
+        };
+    }
+
+    const number = episodeNumber ||
+        (current ? current.episodeNumber : Math.max(0, ...others.map(episode => episode.episodeNumber)) + 1);
+    const episode = {
+        ...current,
+        episodeNumber: number,
+        projectId,
+        topic
+    };
+
+    return {
+        episodes: orderEpisodes([...others, episode]),
+        episode
+    };
+}
+
+/**
+ * Renumber episodes 1..n in the given projectId order
+ * @returns {object} { episodes } or { error }
+ */
+function reorderEpisodes(episodes, order) {
+    const byProject = new Map(episodes.map(episode => [episode.projectId, episode]));
+
+    if (!Array.isArray(order) || order.length !== byProject.size || new Set(order).size !== order.length ||
+        order.some(projectId => !byProject.has(projectId))) {
+        return {
+            error: 'episodeOrder must list every episode projectId exactly once'
+        };
+    }
+
+    return {
+        episodes: order.map((projectId, index) => ({
+            ...byProject.get(projectId),
+            episodeNumber: index + 1
+        }))
+    };
+}
+
+/**
+ * Series snapshot stored in an episode's topic-context.json
+ */
+function toSeriesContext(series, episode) {
+    return {
+        seriesId: series.seriesId,
+        title: series.title,
+        episodeNumber: episode.episodeNumber,
+        branding: series.branding || {},
+        voice: series.voice || null,
+        playlistId: series.playlistId || null
+    };
+}
+
+module.exports = {
+    validateSeriesSettings,
+    orderEpisodes,
+    placeEpisode,
+    reorderEpisodes,
+    toSeriesContext
+};
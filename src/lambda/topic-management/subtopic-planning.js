@@ -0,0 +1,159 @@
+/**
+ * Subtopic Planning - Topic Management
+ *
+ * Turns `videoDuration` and `targetAudience` into a content plan: how many
+ * subtopics to produce, how deep each one goes, and the vocabulary and
+ * framing to use. The plan drives both the model prompt and the template
+ * subtopics.
+ *
+ * DEPTH (by videoDuration):
+ * - short:     up to 90s, 3 single-takeaway subtopics
+ * - standard:  up to 7 minutes, about one subtopic per minute
+ * - deep-dive: longer videos, 5-10 detailed subtopics
+ */
+
+const MIN_SUBTOPICS = 3;
+const MAX_SUBTOPICS = 10;
+const SECONDS_PER_SUBTOPIC = 60;
+
+const DEPTH_PROFILES = [{
+        name: 'short',
+        maxDuration: 90,
+        minSubtopics: MIN_SUBTOPICS,
+        maxSubtopics: MIN_SUBTOPICS,
+        visualNeeds: 3,
+        guidance: 'This is a short-form video: each subtopic is one punchy, single takeaway a viewer can absorb in a few seconds.'
+    },
+    {
+        name: 'standard',
+        maxDuration: 420,
+        minSubtopics: MIN_SUBTOPICS,
+        maxSubtopics: MAX_SUBTOPICS,
+        visualNeeds: 4,
+        guidance: 'Each subtopic covers one concrete point with a specific example.'
+    },
+    {
+        name: 'deep-dive',
+        maxDuration: Infinity,
+        minSubtopics: 5,
+        maxSubtopics: MAX_SUBTOPICS,
+        visualNeeds: 5,
+        guidance: 'This is a deep dive: each subtopic goes into detail with steps, numbers, examples and trade-offs.'
+    }
+];
+
+const AUDIENCE_PROFILES = {
+    general: {
+        keywords: [],
+        label: null,
+        vocabulary: 'Use clear, everyday language.',
+        framing: 'Frame subtopics around practical value for a broad audience.',
+        valueSuffix: ''
+    },
+    beginners: {
+        keywords: ['beginner', 'novice', 'newbie', 'first-time', 'first time', 'starter'],
+        label: 'beginners',
+        vocabulary: 'Avoid jargon; explain any necessary term in plain words.',
+        framing: 'Start from the basics and frame subtopics as first steps and confidence builders.',
+        valueSuffix: ', explained without jargon'
+    },
+    families: {
+        keywords: ['family', 'families', 'parent', 'kids', 'children'],
+        label: 'families',
+        vocabulary: 'Use warm, reassuring language suitable for parents.',
+        framing: 'Frame subtopics around kid-friendly options, safety, logistics and keeping everyone happy.',
+        valueSuffix: ' that work for the whole family'
+    },
+    'budget-travelers': {
+        keywords: ['budget', 'backpack', 'cheap', 'frugal', 'student'],
+        label: 'budget travelers',
+        vocabulary: 'Be direct and concrete; quote prices and savings where possible.',
+        framing: 'Frame subtopics around saving money, free alternatives and getting the most value.',
+        valueSuffix: ' without overspending'
+    },
+    professionals: {
+        keywords: ['professional', 'expert', 'business', 'advanced', 'industry'],
+        label: 'professionals',
+        vocabulary: 'Use precise, domain-specific terminology without over-explaining basics.',
+        framing: 'Frame subtopics around efficiency, measurable outcomes and advanced techniques.',
+        valueSuffix: ' with the detail professionals need'
+    }
+};
+
+/**
+ * Depth profile for a video length in seconds
+ */
+function getDepthProfile(videoDuration) {
+    const duration = Number(videoDuration) || 0;
+    return DEPTH_PROFILES.find(profile => duration <= profile.maxDuration);
+}
+
+/**
+ * Audience profile matching free-form targetAudience text
+ * @returns {object} Profile with `key`; unknown audiences get the general profile labelled with their own text
+ */
+function getAudienceProfile(targetAudience) {
+    const audience = String(targetAudience || 'general').trim().toLowerCase();
+    const key = Object.keys(AUDIENCE_PROFILES)
+        .find(name => name === audience || AUDIENCE_PROFILES[name].keywords.some(keyword => audience.includes(keyword)));
+
+    if (key) {
+        return {
+            key,
+            ...AUDIENCE_PROFILES[key]
+        };
+    }
+
+    return {
+        key: 'general',
+        ...AUDIENCE_PROFILES.general,
+        label: audience === 'general' ? null : String(targetAudience).trim()
+    };
+}
+
+/**
+ * Number of subtopics: about one per minute, within the depth profile and 3-10
+ * @param {number} videoDuration - Target video length in seconds
+ * @param {number} maxSubtopics - Upper bound from content.generation.maxTopicsPerGeneration
+ */
+function getSubtopicCount(videoDuration, maxSubtopics = MAX_SUBTOPICS) {
+    const depth = getDepthProfile(videoDuration);
+    const upper = Math.max(MIN_SUBTOPICS, Math.min(depth.maxSubtopics, maxSubtopics));
+    const lower = Math.min(depth.minSubtopics, upper);
+    const wanted = Math.round((Number(videoDuration) || 0) / SECONDS_PER_SUBTOPIC);
+    return Math.max(lower, Math.min(upper, wanted));
+}
+
+/**
+ * Content plan for a topic request
+ * @returns {object} { depth, audience, subtopicCount, secondsPerSubtopic, visualNeedsPerSubtopic, guidance }
+ */
+function planSubtopics(targetAudience, videoDuration, maxSubtopics = MAX_SUBTOPICS) {
+    const depth = getDepthProfile(videoDuration);
+    const audience = getAudienceProfile(targetAudience);
+    const subtopicCount = getSubtopicCount(videoDuration, maxSubtopics);
+
+    return {
+        depth: depth.name,
+        audience: audience.key,
+        audienceLabel: audience.label,
+        subtopicCount,
+        secondsPerSubtopic: Math.max(1, Math.round((Number(videoDuration) || 0) / subtopicCount)),
+        visualNeedsPerSubtopic: depth.visualNeeds,
+        guidance: {
+            depth: depth.guidance,
+            vocabulary: audience.vocabulary,
+            framing: audience.framing
+        },
+        valueSuffix: audience.valueSuffix
+    };
+}
+
+module.exports = {
+    MIN_SUBTOPICS,
+    MAX_SUBTOPICS,
+    getDepthProfile,
+    getAudienceProfile,
+    getSubtopicCount,
+    planSubtopics
+};
@@ -0,0 +1,219 @@
+/**
+ * Template Translations - Topic Management
+ *
+ * Non-English versions of TEMPLATE_ANGLES in topic-expansion.js, in the same
+ * order, so template subtopics (dry runs and model failures) follow the
+ * project language. visualNeeds are translated too: Media Curator searches
+ * them with the project language's locale.
+ */
+
+const TRANSLATED_TEMPLATE_ANGLES = {
+    es: [{
+            subtopic: topic => `Guía completa de ${topic}`,
+            valueProposition: topic => `Guía completa de ${topic} con consejos prácticos`,
+            visualNeeds: ['vista general', 'puntos clave', 'ejemplos', 'destacados', 'resumen']
+        },
+        {
+            subtopic: topic => `Buenas prácticas para ${topic}`,
+            valueProposition: () => 'Consejos de expertos y estrategias probadas',
+            visualNeeds: ['buenas prácticas', 'consejos', 'estrategias', 'lista de verificación', 'éxito']
+        },
+        {
+            subtopic: topic => `Errores comunes en ${topic}`,
+            valueProposition: () => 'Evita errores y trampas costosas',
+            visualNeeds: ['errores', 'advertencias', 'soluciones', 'problemas', 'arreglos']
+        },
+        {
+            subtopic: topic => `Primeros pasos con ${topic}`,
+            valueProposition: () => 'Sabrás exactamente qué hacer primero',
+            visualNeeds: ['primeros pasos', 'preparación', 'planificación', 'comienzo', 'configuración']
+        },
+        {
+            subtopic: topic => `${topic} paso a paso`,
+            valueProposition: () => 'Síguelo un paso a la vez',
+            visualNeeds: ['paso a paso', 'proceso', 'recorrido', 'secuencia', 'progreso']
+        },
+        {
+            subtopic: topic => `Costes y presupuesto para ${topic}`,
+            valueProposition: () => 'Planifica costes realistas antes de comprometerte',
+            visualNeeds: ['presupuesto', 'precios', 'dinero', 'calculadora', 'ahorro']
+        },
+        {
+            subtopic: topic => `Herramientas y recursos para ${topic}`,
+            valueProposition: () => 'Las herramientas que más tiempo ahorran',
+            visualNeeds: ['herramientas', 'aplicaciones', 'recursos', 'equipo', 'dispositivos']
+        },
+        {
+            subtopic: topic => `Ejemplos reales de ${topic}`,
+            valueProposition: () => 'Aprende de lo que funcionó para otros',
+            visualNeeds: ['ejemplos reales', 'caso de estudio', 'personas', 'resultados', 'antes y después']
+        },
+        {
+            subtopic: topic => `Estrategias avanzadas para ${topic}`,
+            valueProposition: () => 'Ve más allá de lo básico',
+            visualNeeds: ['avanzado', 'experto', 'estrategia', 'detalles', 'análisis']
+        },
+        {
+            subtopic: topic => `Preguntas frecuentes sobre ${topic}`,
+            valueProposition: () => 'Respuestas claras a las preguntas que todos hacen',
+            visualNeeds: ['preguntas', 'respuestas', 'debate', 'personas hablando', 'información']
+        }
+    ],
+    fr: [{
+            subtopic: topic => `Guide complet : ${topic}`,
+            valueProposition: topic => `Guide complet sur ${topic} avec des conseils pratiques`,
+            visualNeeds: ['vue d\'ensemble', 'points clés', 'exemples', 'temps forts', 'résumé']
+        },
+        {
+            subtopic: topic => `Bonnes pratiques pour ${topic}`,
+            valueProposition: () => 'Conseils d\'experts et stratégies éprouvées',
+            visualNeeds: ['bonnes pratiques', 'conseils', 'stratégies', 'liste de contrôle', 'réussite']
+        },
+        {
+            subtopic: topic => `Erreurs courantes avec ${topic}`,
+            valueProposition: () => 'Évitez les erreurs et les pièges coûteux',
+            visualNeeds: ['erreurs', 'avertissements', 'solutions', 'problèmes', 'corrections']
+        },
+        {
+            subtopic: topic => `Bien démarrer avec ${topic}`,
+            valueProposition: () => 'Sachez exactement par quoi commencer',
+            visualNeeds: ['premiers pas', 'préparation', 'planification', 'début', 'installation']
+        },
+        {
+            subtopic: topic => `${topic} étape par étape`,
+            valueProposition: () => 'Suivez le guide, une étape à la fois',
+            visualNeeds: ['étape par étape', 'processus', 'démonstration', 'séquence', 'progression']
+        },
+        {
+            subtopic: topic => `Coûts et budget pour ${topic}`,
+            valueProposition: () => 'Prévoyez des coûts réalistes avant de vous lancer',
+            visualNeeds: ['budget', 'prix', 'argent', 'calculatrice', 'économies']
+        },
+        {
+            subtopic: topic => `Outils et ressources pour ${topic}`,
+            valueProposition: () => 'Les outils qui font gagner le plus de temps',
+            visualNeeds: ['outils', 'applications', 'ressources', 'équipement', 'appareils']
+        },
+        {
+            subtopic: topic => `Exemples concrets : ${topic}`,
+            valueProposition: () => 'Apprenez de ce qui a marché pour d\'autres',
+            visualNeeds: ['exemples concrets', 'étude de cas', 'personnes', 'résultats', 'avant et après']
+        },
+        {
+            subtopic: topic => `Stratégies avancées pour ${topic}`,
+            valueProposition: () => 'Allez au-delà des bases',
+            visualNeeds: ['avancé', 'expert', 'stratégie', 'détails', 'analyse']
+        },
+        {
+            subtopic: topic => `Questions fréquentes sur ${topic}`,
+            valueProposition: () => 'Des réponses claires aux questions que tout le monde se pose',
+            visualNeeds: ['questions', 'réponses', 'discussion', 'personnes qui parlent', 'information']
+        }
+    ],
+    de: [{
+            subtopic: topic => `Der komplette Leitfaden: ${topic}`,
+            valueProposition: topic => `Umfassender Leitfaden zu ${topic} mit praktischen Tipps`,
+            visualNeeds: ['Überblick', 'Kernpunkte', 'Beispiele', 'Highlights', 'Zusammenfassung']
+        },
+        {
+            subtopic: topic => `Best Practices für ${topic}`,
+            valueProposition: () => 'Expertentipps und bewährte Strategien',
+            visualNeeds: ['bewährte Methoden', 'Tipps', 'Strategien', 'Checkliste', 'Erfolg']
+        },
+        {
+            subtopic: topic => `Häufige Fehler bei ${topic}`,
+            valueProposition: () => 'Teure Fehler und Fallstricke vermeiden',
+            visualNeeds: ['Fehler', 'Warnungen', 'Lösungen', 'Probleme', 'Korrekturen']
+        },
+        {
+            subtopic: topic => `Erste Schritte: ${topic}`,
+            valueProposition: () => 'Genau wissen, was zuerst zu tun ist',
+            visualNeeds: ['erste Schritte', 'Vorbereitung', 'Planung', 'Anfang', 'Einrichtung']
+        },
+        {
+            subtopic: topic => `${topic} Schritt für Schritt`,
+            valueProposition: () => 'Einen Schritt nach dem anderen mitmachen',
+            visualNeeds: ['Schritt für Schritt', 'Ablauf', 'Anleitung', 'Reihenfolge', 'Fortschritt']
+        },
+        {
+            subtopic: topic => `Kosten und Budget: ${topic}`,
+            valueProposition: () => 'Realistische Kosten planen, bevor man sich festlegt',
+            visualNeeds: ['Budget', 'Preise', 'Geld', 'Taschenrechner', 'Ersparnisse']
+        },
+        {
+            subtopic: topic => `Tools und Ressourcen: ${topic}`,
+            valueProposition: () => 'Die Tools, die am meisten Zeit sparen',
+            visualNeeds: ['Werkzeuge', 'Apps', 'Ressourcen', 'Ausrüstung', 'Geräte']
+        },
+        {
+            subtopic: topic => `Praxisbeispiele: ${topic}`,
+            valueProposition: () => 'Von dem lernen, was bei anderen funktioniert hat',
+            visualNeeds: ['Praxisbeispiele', 'Fallstudie', 'Menschen', 'Ergebnisse', 'vorher und nachher']
+        },
+        {
+            subtopic: topic => `Fortgeschrittene Strategien: ${topic}`,
+            valueProposition: () => 'Über die Grundlagen hinaus',
+            visualNeeds: ['fortgeschritten', 'Experte', 'Strategie', 'Details', 'Analyse']
+        },
+        {
+            subtopic: topic => `Häufige Fragen zu ${topic}`,
+            valueProposition: () => 'Klare Antworten auf die Fragen, die alle stellen',
+            visualNeeds: ['Fragen', 'Antworten', 'Diskussion', 'Menschen im Gespräch', 'Information']
+        }
+    ],
+    pt: [{
+            subtopic: topic => `Guia completo: ${topic}`,
+            valueProposition: topic => `Guia completo sobre ${topic} com dicas práticas`,
+            visualNeeds: ['visão geral', 'pontos-chave', 'exemplos', 'destaques', 'resumo']
+        },
+        {
+            subtopic: topic => `Boas práticas para ${topic}`,
+            valueProposition: () => 'Dicas de especialistas e estratégias comprovadas',
+            visualNeeds: ['boas práticas', 'dicas', 'estratégias', 'checklist', 'sucesso']
+        },
+        {
+            subtopic: topic => `Erros comuns em ${topic}`,
+            valueProposition: () => 'Evite erros e armadilhas caras',
+            visualNeeds: ['erros', 'avisos', 'soluções', 'problemas', 'correções']
+        },
+        {
+            subtopic: topic => `Primeiros passos: ${topic}`,
+            valueProposition: () => 'Saiba exatamente o que fazer primeiro',
+            visualNeeds: ['primeiros passos', 'preparação', 'planejamento', 'início', 'configuração']
+        },
+        {
+            subtopic: topic => `${topic} passo a passo`,
+            valueProposition: () => 'Acompanhe um passo de cada vez',
+            visualNeeds: ['passo a passo', 'processo', 'demonstração', 'sequência', 'progresso']
+        },
+        {
+            subtopic: topic => `Custos e orçamento: ${topic}`,
+            valueProposition: () => 'Planeje custos realistas antes de se comprometer',
+            visualNeeds: ['orçamento', 'preços', 'dinheiro', 'calculadora', 'economia']
+        },
+        {
+            subtopic: topic => `Ferramentas e recursos para ${topic}`,
+            valueProposition: () => 'As ferramentas que mais economizam tempo',
+            visualNeeds: ['ferramentas', 'aplicativos', 'recursos', 'equipamento', 'dispositivos']
+        },
+        {
+            subtopic: topic => `Exemplos reais: ${topic}`,
+            valueProposition: () => 'Aprenda com o que funcionou para outras pessoas',
+            visualNeeds: ['exemplos reais', 'estudo de caso', 'pessoas', 'resultados', 'antes e depois']
+        },
+        {
+            subtopic: topic => `Estratégias avançadas para ${topic}`,
+            valueProposition: () => 'Vá além do básico',
+            visualNeeds: ['avançado', 'especialista', 'estratégia', 'detalhes', 'análise']
+        },
+        {
+            subtopic: topic => `Perguntas frequentes sobre ${topic}`,
+            valueProposition: () => 'Respostas claras para as perguntas que todo mundo faz',
+            visualNeeds: ['perguntas', 'respostas', 'discussão', 'pessoas conversando', 'informação']
+        }
+    ]
+};
+
+module.exports = {
+    TRANSLATED_TEMPLATE_ANGLES
+};
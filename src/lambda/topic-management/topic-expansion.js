@@ -0,0 +1,261 @@
+/**
+ * Topic Expansion - Topic Management
+ *
+ * Asks the configured model (ai.models.primary, then ai.models.fallback) to
+ * break a topic into 3-10 specific subtopics with value propositions and
+ * visualNeeds, following the content plan from subtopic-planning.js. When no
+ * model answers usably the built-in template subtopics are returned instead.
+ * Both are written in the project language (see languages.js).
+ *
+ * MODEL CLIENT:
+ * Any object with `invoke({ model, system, prompt }) => Promise<string>`.
+ * The default client calls Amazon Bedrock (pipeline-shared/bedrock-client.js);
+ * tests pass a local stub.
+ */
+
+const {
+    MIN_SUBTOPICS,
+    MAX_SUBTOPICS,
+    planSubtopics
+} = require('./subtopic-planning');
+const {
+    getLanguageName
+} = require('./languages');
+const {
+    TRANSLATED_TEMPLATE_ANGLES
+} = require('./template-translations');
+const {
+    getAttemptTimeout
+} = require('pipeline-shared/model-deadline');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+const DEFAULT_SYSTEM_PROMPT = 'You are an expert YouTube content strategist.';
+
+/**
+ * Prompt asking for a JSON array of subtopics shaped by the content plan
+ */
+function buildExpansionPrompt(topic, targetAudience, videoDuration, plan, language = 'en') {
+    return [
+        `Break the YouTube video topic "${topic}" into exactly ${plan.subtopicCount} specific subtopics.`,
+        `Audience: ${plan.audienceLabel || targetAudience}. Target video length: ${videoDuration} seconds, about ${plan.secondsPerSubtopic} seconds per subtopic.`,
+        plan.guidance.depth,
+        `${plan.guidance.vocabulary} ${plan.guidance.framing}`,
+        'Each subtopic must be concrete and actionable (name places, numbers, steps or tools), not a generic "guide" or "tips" heading.',
+        'Answer with a JSON array only, no prose. Each item:',
+        '{"subtopic": string, "valueProposition": string (what the viewer gains, one sentence),',
+        ` "visualNeeds": string[] (${plan.visualNeedsPerSubtopic} stock footage search terms), "priority": "high" | "medium" | "low",`,
+        ' "trendScore": number (0-100)}',
+        language !== 'en' ? `Write every subtopic, valueProposition and visualNeeds term in ${getLanguageName(language)}; keep the JSON keys in English.` : null
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Parse and normalize model output into expandedTopics entries
+ * @param {object} plan - Content plan capping the subtopic and visualNeeds counts
+ * @returns {Array|null} 3-10 subtopics, or null when the output is unusable
+ */
+function parseExpansion(text, plan = {}) {
+    const {
+        subtopicCount = MAX_SUBTOPICS,
+        visualNeedsPerSubtopic = 5,
+        secondsPerSubtopic = null
+    } = plan;
+
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+
+    if (start === -1 || end <= start) {
+        return null;
+    }
+
+    let items;
+    try {
+        items = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        return null;
+    }
+
+    if (!Array.isArray(items)) {
+        return null;
+    }
+
+    const subtopics = items
+        .filter(item => item && typeof item.subtopic === 'string' && item.subtopic.trim())
+        .map((item, index) => ({
+            subtopic: item.subtopic.trim(),
+            priority: PRIORITIES.includes(item.priority) ? item.priority : (index < 2 ? 'high' : 'medium'),
+            trendScore: Number.isFinite(item.trendScore) ? Math.max(0, Math.min(100, Math.round(item.trendScore))) : 90 - index * 5,
+            valueProposition: typeof item.valueProposition === 'string' && item.valueProposition.trim() ?
+                item.valueProposition.trim() : `Practical insight on ${item.subtopic.trim()}`,
+            visualNeeds: Array.isArray(item.visualNeeds) ?
+                item.visualNeeds.filter(need => typeof need === 'string' && need.trim()).map(need => need.trim()).slice(0, visualNeedsPerSubtopic) : [],
+            estimatedDuration: secondsPerSubtopic
+        }))
+        .filter(item => item.visualNeeds.length > 0)
+        .slice(0, Math.min(MAX_SUBTOPICS, subtopicCount));
+
+    return subtopics.length >= MIN_SUBTOPICS ? subtopics : null;
+}
+
+// Template angles in order of importance; short videos use the first three
+const TEMPLATE_ANGLES = [{
+        subtopic: topic => `Complete guide to ${topic}`,
+        valueProposition: topic => `Comprehensive ${topic} guide with practical tips`,
+        visualNeeds: ['overview', 'key points', 'examples', 'highlights', 'summary']
+    },
+    {
+        subtopic: topic => `Best practices for ${topic}`,
+        valueProposition: () => 'Expert tips and proven strategies',
+        visualNeeds: ['best practices', 'tips', 'strategies', 'checklist', 'success']
+    },
+    {
+        subtopic: topic => `Common mistakes in ${topic}`,
+        valueProposition: () => 'Avoid costly errors and pitfalls',
+        visualNeeds: ['mistakes', 'warnings', 'solutions', 'problems', 'fixes']
+    },
+    {
+        subtopic: topic => `Getting started with ${topic}`,
+        valueProposition: () => 'Know exactly what to do first',
+        visualNeeds: ['first steps', 'preparation', 'planning', 'beginning', 'setup']
+    },
+    {
+        subtopic: topic => `Step-by-step walkthrough of ${topic}`,
+        valueProposition: () => 'Follow along one step at a time',
+        visualNeeds: ['step by step', 'process', 'walkthrough', 'sequence', 'progress']
+    },
+    {
+        subtopic: topic => `Costs and budgeting for ${topic}`,
+        valueProposition: () => 'Plan realistic costs before you commit',
+        visualNeeds: ['budget', 'prices', 'money', 'calculator', 'savings']
+    },
+    {
+        subtopic: topic => `Tools and resources for ${topic}`,
+        valueProposition: () => 'The tools that save the most time',
+        visualNeeds: ['tools', 'apps', 'resources', 'equipment', 'devices']
+    },
+    {
+        subtopic: topic => `Real-world examples of ${topic}`,
+        valueProposition: () => 'Learn from what worked for others',
+        visualNeeds: ['real examples', 'case study', 'people', 'results', 'before and after']
+    },
+    {
+        subtopic: topic => `Advanced strategies for ${topic}`,
+        valueProposition: () => 'Go beyond the basics',
+        visualNeeds: ['advanced', 'expert', 'strategy', 'details', 'analysis']
+    },
+    {
+        subtopic: topic => `Frequently asked questions about ${topic}`,
+        valueProposition: () => 'Clear answers to the questions everyone asks',
+        visualNeeds: ['questions', 'answers', 'discussion', 'people talking', 'information']
+    }
+];
+
+/**
+ * Built-in subtopics used in dry runs and when no model answers usably
+ * @param {object} plan - Content plan; defaults to a standard video for a general audience
+ * @param {string} language - Project language; audience framing is only added in English
+ */
+function getTemplateSubtopics(topic, plan = planSubtopics('general', 180), language = 'en') {
+    const angles = TRANSLATED_TEMPLATE_ANGLES[language] || TEMPLATE_ANGLES;
+    const english = angles === TEMPLATE_ANGLES;
+    const audienceSuffix = english && plan.audienceLabel ? ` for ${plan.audienceLabel}` : '';
+    const valueSuffix = english ? plan.valueSuffix : '';
+
+    return angles.slice(0, plan.subtopicCount).map((angle, index) => ({
+        subtopic: `${angle.subtopic(topic)}${audienceSuffix}`,
+        priority: index < 2 ? 'high' : 'medium',
+        trendScore: 95 - index * 5,
+        valueProposition: `${angle.valueProposition(topic)}${valueSuffix}`,
+        visualNeeds: angle.visualNeeds.slice(0, plan.visualNeedsPerSubtopic),
+        estimatedDuration: plan.secondsPerSubtopic
+    }));
+}
+
+/**
+ * Expand a topic with the primary model, then the fallback model
+ * @param {object} options - { topic, targetAudience, videoDuration, language, dryRun }
+ * @param {object} deps - { modelClient, getConfigValue, deadline } where deadline
+ *   (see model-deadline.js) bounds the primary and fallback attempts together
+ * @returns {Promise<object>} { expandedTopics, source, modelId, plan }
+ */
+async function expandTopic(options, deps) {
+    const {
+        topic,
+        targetAudience,
+        videoDuration,
+        language = 'en',
+        dryRun = false
+    } = options;
+    const {
+        modelClient,
+        getConfigValue,
+        deadline = null
+    } = deps;
+
+    const plan = planSubtopics(targetAudience, videoDuration,
+        getConfigValue('content.generation.maxTopicsPerGeneration', MAX_SUBTOPICS));
+
+    if (dryRun) {
+        return {
+            expandedTopics: getTemplateSubtopics(topic, plan, language),
+            source: 'template',
+            modelId: null,
+            plan
+        };
+    }
+
+    const system = getConfigValue('ai.prompts.topicGeneration.systemPrompt', DEFAULT_SYSTEM_PROMPT);
+    const prompt = buildExpansionPrompt(topic, targetAudience, videoDuration, plan, language);
+    const models = [
+        getConfigValue('ai.models.primary', null),
+        getConfigValue('ai.models.fallback', null)
+    ].filter(model => model && model.id);
+
+    for (const [index, model] of models.entries()) {
+        const timeout = getAttemptTimeout(model, deadline, models.length - index);
+        if (timeout === 0) {
+            console.warn(`⚠️ No time left to expand the topic with ${model.id}`);
+            break;
+        }
+
+        try {
+            const expandedTopics = parseExpansion(await modelClient.invoke({
+                model: {
+                    ...model,
+                    timeout
+                },
+                system,
+                prompt
+            }), plan);
+
+            if (expandedTopics) {
+                return {
+                    expandedTopics,
+                    source: 'model',
+                    modelId: model.id,
+                    plan
+                };
+            }
+
+            console.warn(`⚠️ Unusable topic expansion from ${model.id}`);
+        } catch (error) {
+            console.warn(`⚠️ Topic expansion failed with ${model.id}:`, error.message);
+        }
+    }
+
+    console.warn('⚠️ No model expanded the topic, using template subtopics');
+    return {
+        expandedTopics: getTemplateSubtopics(topic, plan, language),
+        source: 'template',
+        modelId: null,
+        plan
+    };
+}
+
+module.exports = {
+    buildExpansionPrompt,
+    parseExpansion,
+    getTemplateSubtopics,
+    expandTopic
+};
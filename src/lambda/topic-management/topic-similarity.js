@@ -0,0 +1,136 @@
+/**
+ * Topic Similarity - Topic Management
+ *
+ * Compares a submitted topic with the topics of previously produced projects
+ * so near-identical videos are caught before any stage runs.
+ *
+ * SCORING:
+ * Topics are lowercased, stripped of punctuation and filler words, and their
+ * words sorted, so "Spain Travel Guide" and "A guide to travel in Spain" compare
+ * equal. The score is the Dice coefficient over character bigrams (0-1), which
+ * also tolerates plurals and small spelling differences.
+ *
+ * THRESHOLDS (content.validation.duplicateTopics):
+ * - warnThreshold:   matches are listed in the response, the topic proceeds
+ * - rejectThreshold: the topic is rejected unless allowDuplicate is true
+ */
+
+const DEFAULT_WARN_THRESHOLD = 0.6;
+const DEFAULT_REJECT_THRESHOLD = 0.85;
+const MAX_MATCHES = 10;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'the', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+    'your', 'you', 'my', 'our', 'is', 'are', 'how', 'what', 'why', 'best', 'top',
+    'complete', 'ultimate', 'guide', 'tips', 'video'
+]);
+
+/**
+ * Normalized form used for comparison
+ * Accents are dropped ("Guía" and "Guia" match) and letters of any script are
+ * kept, so non-English topics are compared by their words instead of being
+ * emptied out.
+ */
+function normalizeTopic(topic) {
+    const words = String(topic || '').normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STOP_WORDS.has(word));
+
+    return [...new Set(words)].sort().join(' ');
+}
+
+function bigrams(text) {
+    const pairs = [];
+    for (let i = 0; i < text.length - 1; i++) {
+        pairs.push(text.slice(i, i + 2));
+    }
+    return pairs;
+}
+
+/**
+ * Similarity between two topics from 0 (unrelated) to 1 (same topic)
+ */
+function topicSimilarity(a, b) {
+    const left = normalizeTopic(a);
+    const right = normalizeTopic(b);
+
+    if (!left || !right) {
+        return 0;
+    }
+
+    if (left === right) {
+        return 1;
+    }
+
+    const leftPairs = bigrams(left);
+    const rightPairs = bigrams(right);
+    const rightCounts = {};
+    for (const pair of rightPairs) {
+        rightCounts[pair] = (rightCounts[pair] || 0) + 1;
+    }
+
+    let shared = 0;
+    for (const pair of leftPairs) {
+        if (rightCounts[pair]) {
+            rightCounts[pair]--;
+            shared++;
+        }
+    }
+
+    const total = leftPairs.length + rightPairs.length;
+    return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * Read and validate thresholds from configuration
+ * @param {Function} getConfigValue - (keyPath, defaultValue) => value
+ */
+function getDuplicateSettings(getConfigValue) {
+    const warnThreshold = Number(getConfigValue('content.validation.duplicateTopics.warnThreshold', DEFAULT_WARN_THRESHOLD));
+    const rejectThreshold = Number(getConfigValue('content.validation.duplicateTopics.rejectThreshold', DEFAULT_REJECT_THRESHOLD));
+
+    return {
+        warnThreshold: isFinite(warnThreshold) ? warnThreshold : DEFAULT_WARN_THRESHOLD,
+        rejectThreshold: isFinite(rejectThreshold) ? Math.max(rejectThreshold, warnThreshold) : DEFAULT_REJECT_THRESHOLD
+    };
+}
+
+/**
+ * Compare a topic with prior projects and decide whether it may proceed
+ * @param {string} topic - Submitted topic
+ * @param {Array<object>} priorTopics - [{ projectId, topic, createdAt }]
+ * @param {object} settings - { warnThreshold, rejectThreshold }
+ * @returns {object} { verdict: 'unique'|'warn'|'reject', matches }
+ */
+function checkDuplicateTopic(topic, priorTopics, settings) {
+    const matches = priorTopics
+        .map(prior => ({
+            projectId: prior.projectId,
+            topic: prior.topic,
+            createdAt: prior.createdAt || null,
+            similarity: Math.round(topicSimilarity(topic, prior.topic) * 100) / 100
+        }))
+        .filter(match => match.similarity >= settings.warnThreshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_MATCHES);
+
+    let verdict = 'unique';
+    if (matches.length > 0) {
+        verdict = matches[0].similarity >= settings.rejectThreshold ? 'reject' : 'warn';
+    }
+
+    return {
+        verdict,
+        matches
+    };
+}
+
+module.exports = {
+    normalizeTopic,
+    topicSimilarity,
+    getDuplicateSettings,
+    checkDuplicateTopic
+};
@@ -0,0 +1,71 @@
+/**
+ * Trend Data - Topic Management
+ *
+ * Applies trendData stored by the Trend Ingestion Lambda
+ * (PK 'trends#{topicKey}', SK 'latest') to topic contexts and backlog topics.
+ */
+
+const {
+    toKeywordEntry
+} = require('./keyword-clustering');
+
+const MAX_TRENDING_KEYWORDS = 5;
+
+/**
+ * Add trending keywords to an SEO context and its long-tail cluster
+ */
+function applyTrendKeywords(seoContext, trendData) {
+    const hotKeywords = ((trendData && trendData.hotKeywords) || []).slice(0, MAX_TRENDING_KEYWORDS);
+
+    if (hotKeywords.length === 0) {
+        return seoContext;
+    }
+
+    const clusters = seoContext.keywordClusters || {};
+    const seenStems = new Set(Object.values(clusters).flat().map(entry => entry.stem));
+    const trendEntries = [];
+
+    for (const entry of hotKeywords.map(keyword => toKeywordEntry(keyword, seoContext.language))) {
+        if (entry.stem && !seenStems.has(entry.stem)) {
+            seenStems.add(entry.stem);
+            trendEntries.push(entry);
+        }
+    }
+
+    return {
+        ...seoContext,
+        trendingKeywords: hotKeywords,
+        longTailKeywords: [...seoContext.longTailKeywords, ...trendEntries.map(entry => entry.keyword)],
+        keywordClusters: {
+            ...clusters,
+            longTail: [...(clusters.longTail || []), ...trendEntries.map(entry => ({
+                ...entry,
+                trending: true
+            }))]
+        }
+    };
+}
+
+/**
+ * Backlog topic with ingested signals filling in any it does not set itself
+ */
+function withTrendSignals(backlogTopic, trendData) {
+    if (!trendData || !trendData.signals) {
+        return backlogTopic;
+    }
+
+    return {
+        ...backlogTopic,
+        signals: {
+            ...trendData.signals,
+            ...backlogTopic.signals
+        },
+        trendSignals: trendData.signals,
+        trendCollectedAt: trendData.collectedAt || null
+    };
+}
+
+module.exports = {
+    applyTrendKeywords,
+    withTrendSignals
+};
@@ -0,0 +1,229 @@
+/* eslint-env jest */
+/**
+ * Trend Adapter and Normalization Tests
+ */
+
+const {
+    registerAdapter,
+    getAdapter,
+    toObservation,
+    parseCsv
+} = require('../trend-adapters');
+const {
+    buildTrendData,
+    groupByTopic
+} = require('../trend-normalization');
+
+const NOW = new Date('2025-06-10T00:00:00.000Z');
+
+describe('trend adapters', () => {
+    test('parseCsv handles quoted fields and CRLF line endings', () => {
+        const rows = parseCsv('topic,keyword,volume\r\n"Spain travel","spain, cheap flights",1200\r\n\r\n');
+
+        expect(rows).toEqual([{
+            topic: 'Spain travel',
+            keyword: 'spain, cheap flights',
+            volume: '1200'
+        }]);
+    });
+
+    test('toObservation maps field aliases and numeric strings', () => {
+        const observation = toObservation({
+            query: 'spain visa',
+            search_volume: '1,500',
+            growth_rate: '35%',
+            date: '2025-06-01'
+        }, 'Spain travel');
+
+        expect(observation).toEqual({
+            topic: 'Spain travel',
+            keyword: 'spain visa',
+            volume: 1500,
+            engagement: null,
+            growth: 35,
+            sentiment: null,
+            observedAt: '2025-06-01T00:00:00.000Z'
+        });
+    });
+
+    test('json adapter accepts an array or an observations object', async () => {
+        const fromArray = await getAdapter('json').collect({
+            data: [{
+                topic: 'Spain travel',
+                volume: 10
+            }]
+        });
+        const fromString = await getAdapter('json').collect({
+            data: JSON.stringify({
+                observations: [{
+                    keyword: 'madrid',
+                    volume: 5
+                }]
+            }),
+            topic: 'Spain travel'
+        });
+
+        expect(fromArray[0].volume).toBe(10);
+        expect(fromString[0]).toMatchObject({
+            topic: 'Spain travel',
+            keyword: 'madrid'
+        });
+    });
+
+    test('csv adapter rejects non-string data', async () => {
+        await expect(getAdapter('csv').collect({
+            data: []
+        })).rejects.toThrow('CSV string');
+    });
+
+    test('google-trends adapter turns interest and related queries into observations', async () => {
+        const responses = {
+            TIMESERIES: {
+                interest_over_time: {
+                    timeline_data: [40, 40, 60, 60].map((value, index) => ({
+                        timestamp: String(1717977600 + index * 86400),
+                        values: [{
+                            extracted_value: value
+                        }]
+                    }))
+                }
+            },
+            RELATED_QUERIES: {
+                related_queries: {
+                    rising: [{
+                        query: 'spain digital nomad visa',
+                        extracted_value: 250
+                    }],
+                    top: [{
+                        query: 'spain beaches',
+                        extracted_value: 100
+                    }]
+                }
+            }
+        };
+        const fetchFn = jest.fn(async (url) => ({
+            ok: true,
+            json: async () => responses[new URL(url).searchParams.get('data_type')]
+        }));
+
+        const observations = await getAdapter('google-trends').collect({
+            topic: 'Spain travel',
+            geo: 'US'
+        }, {
+            fetchFn,
+            getApiKey: async () => 'test-key'
+        });
+
+        expect(fetchFn).toHaveBeenCalledTimes(2);
+        expect(new URL(fetchFn.mock.calls[0][0]).searchParams.get('api_key')).toBe('test-key');
+        expect(observations[0]).toMatchObject({
+            keyword: null,
+            volume: 50,
+            growth: 50
+        });
+        expect(observations.slice(1).map(observation => observation.keyword)).toEqual(['spain digital nomad visa', 'spain beaches']);
+    });
+
+    test('google-trends adapter surfaces provider errors', async () => {
+        await expect(getAdapter('google-trends').collect({
+            topic: 'Spain travel'
+        }, {
+            fetchFn: async () => ({
+                ok: false,
+                status: 429
+            }),
+            getApiKey: async () => 'test-key'
+        })).rejects.toThrow('HTTP 429');
+    });
+
+    test('registerAdapter requires a name and collect function', () => {
+        expect(() => registerAdapter({
+            name: 'broken'
+        })).toThrow('collect');
+    });
+});
+
+describe('trend normalization', () => {
+    test('buildTrendData ranks keywords and averages topic-level signals', () => {
+        const trendData = buildTrendData('Spain travel', [{
+            topic: 'Spain travel',
+            keyword: null,
+            volume: 60,
+            engagement: 4,
+            growth: 10,
+            sentiment: null,
+            observedAt: '2025-06-09T00:00:00.000Z'
+        }, {
+            topic: 'Spain travel',
+            keyword: 'Spain travel',
+            volume: 80,
+            engagement: null,
+            growth: 20,
+            sentiment: null,
+            observedAt: null
+        }, {
+            topic: 'Spain travel',
+            keyword: 'Madrid food',
+            volume: 30,
+            growth: 5
+        }, {
+            topic: 'Spain travel',
+            keyword: 'spain visa',
+            volume: 20,
+            growth: 90
+        }, {
+            topic: 'Spain travel',
+            keyword: 'spain visa',
+            volume: 45,
+            growth: null
+        }], {
+            sources: ['google-trends', 'google-trends'],
+            maxAgeDays: 4,
+            now: NOW
+        });
+
+        expect(trendData.topicKey).toBe('spain-travel');
+        expect(trendData.hotKeywords).toEqual(['spain visa', 'madrid food']);
+        expect(trendData.keywords[0]).toEqual({
+            keyword: 'spain visa',
+            volume: 45,
+            growth: 90
+        });
+        expect(trendData.signals).toEqual({
+            volume: 70,
+            engagement: 4,
+            growth: 15,
+            recency: 75
+        });
+        expect(trendData.sources).toEqual(['google-trends']);
+        expect(trendData.collectedAt).toBe(NOW.toISOString());
+    });
+
+    test('keyword-only observations still produce signals', () => {
+        const trendData = buildTrendData('Spain travel', [{
+            keyword: 'spain visa',
+            volume: 20
+        }, {
+            keyword: 'madrid food',
+            volume: 40
+        }], {
+            now: NOW
+        });
+
+        expect(trendData.signals.volume).toBe(30);
+        expect(trendData.signals.recency).toBe(100);
+    });
+
+    test('groupByTopic merges topic spellings and drops observations without a topic', () => {
+        const groups = groupByTopic([{
+            topic: 'Spain travel'
+        }, {
+            topic: 'spain  TRAVEL'
+        }, {
+            topic: ''
+        }]);
+
+        expect(groups).toHaveLength(1);
+        expect(groups[0].observations).toHaveLength(2);
+    });
+});
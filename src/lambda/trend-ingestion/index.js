@@ -0,0 +1,386 @@
+/**
+ * 📈 TREND INGESTION - TREND SIGNALS FOR TOPICS AND METADATA
+ *
+ * CORE RESPONSIBILITY:
+ * Collects trend signals from pluggable sources, normalizes them into
+ * trendData and stores it per topic so the rest of the pipeline can use it:
+ * - Topic Management adds hotKeywords to the SEO context and uses the
+ *   signals when ranking the topic backlog
+ * - YouTube Publisher reads trendData from topic-context.json to optimize
+ *   titles and tags
+ *
+ * SOURCES (see trend-adapters.js):
+ * - POST /trends/import: CSV or JSON observations from any external tool
+ * - POST /trends/fetch:  Google Trends-style provider (key 'serpapi-api-key'
+ *   in the automated-video-pipeline/api-keys secret)
+ *
+ * RECORDS (CONTEXT_TABLE):
+ * - PK 'trends#{topicKey}', SK 'source#{source}': latest observations per source
+ * - PK 'trends#{topicKey}', SK 'latest': trendData combined across sources
+ *
+ * ENDPOINTS:
+ * - POST /trends/import, POST /trends/fetch
+ * - GET /trends/{topicKey} (or GET /trends?topic=...)
+ */
+
+const {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand,
+    QueryCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+    SecretsManagerClient,
+    GetSecretValueCommand
+} = require('@aws-sdk/client-secrets-manager');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const {
+    getAdapter,
+    listAdapters
+} = require('./trend-adapters');
+const {
+    buildTrendData,
+    groupByTopic
+} = require('./trend-normalization');
+const {
+    toTopicKey
+} = require('pipeline-shared/topic-key');
+const {
+    getConfigValue
+} = require('pipeline-shared/config-loader');
+
+const dynamoClient = new DynamoDBClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+const secretsClient = new SecretsManagerClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_OBSERVATIONS_PER_SOURCE = 500;
+const TREND_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Main Lambda handler
+ */
+exports.handler = async (event) => {
+    console.log('Trend Ingestion invoked:', JSON.stringify(event, null, 2));
+
+    const {
+        httpMethod,
+        path = '',
+        body
+    } = event;
+
+    if (httpMethod === 'GET' && path === '/trends/health') {
+        return createResponse(200, {
+            service: 'trend-ingestion',
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            adapters: listAdapters(),
+            endpoints: {
+                'POST /trends/import': 'Import CSV or JSON trend observations',
+                'POST /trends/fetch': 'Fetch trends for topics from a provider',
+                'GET /trends/{topicKey}': 'Normalized trendData for a topic'
+            }
+        });
+    }
+
+    try {
+        const requestBody = body ? JSON.parse(body) : {};
+        const topicMatch = path.match(/^\/trends\/([^/]+)$/);
+
+        if (httpMethod === 'POST' && path === '/trends/import') {
+            return await importTrends(requestBody);
+        }
+
+        if (httpMethod === 'POST' && path === '/trends/fetch') {
+            return await fetchTrends(requestBody);
+        }
+
+        if (httpMethod === 'GET' && (path === '/trends' || topicMatch)) {
+            const query = event.queryStringParameters || {};
+            const topicKey = topicMatch ?
+                decodeURIComponent((event.pathParameters && event.pathParameters.topicKey) || topicMatch[1]) :
+                toTopicKey(query.topic);
+
+            if (!topicKey) {
+                return createResponse(400, {
+                    success: false,
+                    error: 'topic is required'
+                });
+            }
+
+            const trendData = await getRecord(`trends#${topicKey}`, 'latest');
+            if (!trendData) {
+                return createResponse(404, {
+                    success: false,
+                    error: `No trend data for topic: ${topicKey}`
+                });
+            }
+
+            return createResponse(200, {
+                success: true,
+                trendData
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Trend Ingestion error:', error);
+        return createResponse(error instanceof SyntaxError ? 400 : 500, {
+            success: false,
+            error: error.message
+        });
+    }
+
+    return createResponse(404, {
+        success: false,
+        error: 'Endpoint not found'
+    });
+};
+
+/**
+ * POST /trends/import { format: 'csv'|'json', data, topic? }
+ */
+async function importTrends(requestBody) {
+    const {
+        format,
+        data,
+        topic,
+        source
+    } = requestBody;
+
+    if (!IMPORT_FORMATS.includes(format)) {
+        return createResponse(400, {
+            success: false,
+            error: `format must be one of: ${IMPORT_FORMATS.join(', ')}`
+        });
+    }
+
+    if (data === undefined || data === null) {
+        return createResponse(400, {
+            success: false,
+            error: 'data is required'
+        });
+    }
+
+    const observations = await getAdapter(format).collect({
+        data,
+        topic
+    });
+
+    // Imports from different tools are kept apart by naming their source
+    const sourceName = source ? `import:${source}` : `import:${format}`;
+    const topics = await ingestObservations(observations, sourceName);
+
+    if (topics.length === 0) {
+        return createResponse(400, {
+            success: false,
+            error: 'No observations with a topic were found'
+        });
+    }
+
+    return createResponse(200, {
+        success: true,
+        source: sourceName,
+        topics,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * POST /trends/fetch { topic | topics, source = 'google-trends', geo, timeframe }
+ */
+async function fetchTrends(requestBody) {
+    const {
+        source = 'google-trends',
+        geo,
+        timeframe
+    } = requestBody;
+    const topics = requestBody.topics || (requestBody.topic ? [requestBody.topic] : []);
+    const adapter = getAdapter(source);
+
+    if (!adapter || IMPORT_FORMATS.includes(source)) {
+        return createResponse(400, {
+            success: false,
+            error: `Unknown trend source: ${source}`,
+            validSources: listAdapters().filter(name => !IMPORT_FORMATS.includes(name))
+        });
+    }
+
+    if (!Array.isArray(topics) || topics.length === 0 || topics.some(item => typeof item !== 'string' || !item.trim())) {
+        return createResponse(400, {
+            success: false,
+            error: 'topic or topics is required'
+        });
+    }
+
+    const observations = [];
+    const failures = [];
+
+    for (const topic of topics) {
+        try {
+            observations.push(...await adapter.collect({
+                topic,
+                geo,
+                timeframe
+            }, {
+                getApiKey
+            }));
+        } catch (error) {
+            console.error(`⚠️ ${source} failed for "${topic}":`, error.message);
+            failures.push({
+                topic,
+                error: error.message
+            });
+        }
+    }
+
+    const ingested = await ingestObservations(observations, source);
+    const success = ingested.length > 0;
+
+    return createResponse(success ? 200 : 502, {
+        success,
+        source,
+        topics: ingested,
+        failures,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Store observations per topic and source, then rebuild each topic's trendData
+ * @returns {Promise<Array>} Summary per ingested topic
+ */
+async function ingestObservations(observations, source) {
+    const groups = groupByTopic(observations);
+    const now = new Date();
+    const ttl = Math.floor(now.getTime() / 1000) + TREND_TTL_SECONDS;
+    const maxAgeDays = getConfigValue('content.generation.trendDataMaxAge', 7);
+    const results = [];
+
+    for (const group of groups) {
+        const pk = `trends#${toTopicKey(group.topic)}`;
+
+        await putRecord(pk, `source#${source}`, {
+            topic: group.topic,
+            source,
+            observations: group.observations.slice(-MAX_OBSERVATIONS_PER_SOURCE),
+            ingestedAt: now.toISOString()
+        }, ttl);
+
+        // Combine every source still on record for this topic
+        const sourceRecords = (await listRecords(pk)).filter(record => record.source);
+        const trendData = buildTrendData(group.topic,
+            sourceRecords.flatMap(record => record.observations || []), {
+                sources: sourceRecords.map(record => record.source),
+                maxAgeDays,
+                now
+            });
+
+        await putRecord(pk, 'latest', trendData, ttl);
+        console.log(`📈 Stored trend data for "${group.topic}" (${trendData.observationCount} observations, ${trendData.sources.join(', ')})`);
+
+        results.push({
+            topic: trendData.topic,
+            topicKey: trendData.topicKey,
+            hotKeywords: trendData.hotKeywords,
+            signals: trendData.signals
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Provider key from the shared API keys secret
+ */
+async function getApiKey() {
+    const response = await secretsClient.send(new GetSecretValueCommand({
+        SecretId: 'automated-video-pipeline/api-keys'
+    }));
+
+    const keys = JSON.parse(response.SecretString);
+    const apiKey = keys['serpapi-api-key'] || keys.serpapi;
+
+    if (!apiKey) {
+        throw new Error('No serpapi-api-key in automated-video-pipeline/api-keys');
+    }
+    return apiKey;
+}
+
+async function listRecords(pk) {
+    const records = [];
+    let exclusiveStartKey;
+
+    do {
+        const response = await dynamoClient.send(new QueryCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({
+                ':pk': pk
+            }),
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+
+        records.push(...(response.Items || []).map(item => stripKeys(unmarshall(item))));
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return records;
+}
+
+async function getRecord(pk, sk) {
+    const response = await dynamoClient.send(new GetItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: sk
+        })
+    }));
+
+    return response.Item ? stripKeys(unmarshall(response.Item)) : null;
+}
+
+async function putRecord(pk, sk, record, ttl) {
+    await dynamoClient.send(new PutItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Item: marshall({
+            ...record,
+            PK: pk,
+            SK: sk,
+            ttl
+        }, {
+            removeUndefinedValues: true
+        })
+    }));
+}
+
+function stripKeys(record) {
+    const rest = {
+        ...record
+    };
+    delete rest.PK;
+    delete rest.SK;
+    delete rest.ttl;
+    return rest;
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+            'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+        },
+        body: JSON.stringify(body, null, 2)
+    };
+}
@@ -0,0 +1,257 @@
+/**
+ * Trend Source Adapters - Trend Ingestion
+ *
+ * Every adapter turns its input into raw trend observations:
+ * { topic, keyword, volume, engagement, growth, sentiment, observedAt }
+ * Missing measurements are left null; trend-normalization.js turns the
+ * observations into trendData.
+ *
+ * ADAPTER INTERFACE:
+ * { name, collect(input, deps) => Promise<Array<observation>> }
+ * New sources are added with registerAdapter().
+ *
+ * BUILT-IN ADAPTERS:
+ * - json:          { data: [...] } or a JSON string of observations
+ * - csv:           { data: 'topic,keyword,volume,...' } with a header row
+ * - google-trends: { topic, geo, timeframe } fetched from a SerpApi-compatible
+ *                  Google Trends endpoint (TRENDS_API_URL)
+ */
+
+const DEFAULT_TRENDS_API_URL = 'https://serpapi.com/search.json';
+
+// Accepted column / property names for each observation field
+const FIELD_ALIASES = {
+    topic: ['topic', 'baseTopic'],
+    keyword: ['keyword', 'query', 'term', 'tag'],
+    volume: ['volume', 'searchVolume', 'search_volume', 'interest', 'views'],
+    engagement: ['engagement', 'engagementRate', 'engagement_rate'],
+    growth: ['growth', 'growthRate', 'growth_rate', 'change'],
+    sentiment: ['sentiment', 'sentimentScore', 'sentiment_score'],
+    observedAt: ['observedAt', 'observed_at', 'date', 'timestamp']
+};
+const NUMERIC_FIELDS = ['volume', 'engagement', 'growth', 'sentiment'];
+
+const adapters = {};
+
+/**
+ * Register (or replace) a trend source adapter
+ */
+function registerAdapter(adapter) {
+    if (!adapter || !adapter.name || typeof adapter.collect !== 'function') {
+        throw new Error('A trend adapter needs a name and a collect(input, deps) function');
+    }
+    adapters[adapter.name] = adapter;
+    return adapter;
+}
+
+function getAdapter(name) {
+    return adapters[name] || null;
+}
+
+function listAdapters() {
+    return Object.keys(adapters);
+}
+
+/**
+ * Map a loosely shaped record onto an observation
+ * @param {object} record - Parsed JSON object or CSV row
+ * @param {string} defaultTopic - Used when the record has no topic
+ */
+function toObservation(record, defaultTopic) {
+    const pick = field => {
+        const key = FIELD_ALIASES[field].find(alias => record[alias] !== undefined && record[alias] !== '');
+        return key ? record[key] : null;
+    };
+
+    const observation = {
+        topic: String(pick('topic') || defaultTopic || '').trim(),
+        keyword: pick('keyword') ? String(pick('keyword')).trim() : null,
+        observedAt: null
+    };
+
+    for (const field of NUMERIC_FIELDS) {
+        const value = pick(field);
+        const number = value === null ? NaN : parseFloat(String(value).replace(/[%,]/g, ''));
+        observation[field] = Number.isFinite(number) ? number : null;
+    }
+
+    const observedAt = pick('observedAt');
+    if (observedAt) {
+        const date = new Date(observedAt);
+        observation.observedAt = isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    return observation;
+}
+
+/**
+ * Split CSV text into row objects keyed by the header row
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+    const columns = header.map(column => column.trim());
+
+    return body.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+}
+
+registerAdapter({
+    name: 'json',
+    async collect(input) {
+        const data = typeof input.data === 'string' ? JSON.parse(input.data) : input.data;
+        const records = Array.isArray(data) ? data : (data && data.observations) || [];
+
+        return records
+            .filter(record => record && typeof record === 'object')
+            .map(record => toObservation(record, input.topic));
+    }
+});
+
+registerAdapter({
+    name: 'csv',
+    async collect(input) {
+        if (typeof input.data !== 'string') {
+            throw new Error('csv import expects data as a CSV string');
+        }
+        return parseCsv(input.data).map(record => toObservation(record, input.topic));
+    }
+});
+
+registerAdapter({
+    name: 'google-trends',
+    /**
+     * @param {object} deps - { fetchFn, getApiKey } overrides for tests
+     */
+    async collect(input, deps = {}) {
+        if (!input.topic) {
+            throw new Error('google-trends needs a topic');
+        }
+
+        const fetchFn = deps.fetchFn || globalThis.fetch;
+        const apiKey = await deps.getApiKey();
+        const baseUrl = process.env.TRENDS_API_URL || DEFAULT_TRENDS_API_URL;
+
+        const request = async (dataType) => {
+            const url = new URL(baseUrl);
+            url.search = new URLSearchParams({
+                engine: 'google_trends',
+                q: input.topic,
+                data_type: dataType,
+                date: input.timeframe || 'today 3-m',
+                ...(input.geo ? {
+                    geo: input.geo
+                } : {}),
+                api_key: apiKey
+            }).toString();
+
+            const response = await fetchFn(url.toString());
+            if (!response.ok) {
+                throw new Error(`Trends provider returned HTTP ${response.status}`);
+            }
+            return response.json();
+        };
+
+        const [timeseries, related] = await Promise.all([request('TIMESERIES'), request('RELATED_QUERIES')]);
+        const observations = [];
+
+        // Interest over time (0-100): recent average as volume, first vs second half as growth
+        const timeline = ((timeseries.interest_over_time || {}).timeline_data || [])
+            .map(point => ({
+                value: ((point.values || [])[0] || {}).extracted_value,
+                timestamp: point.timestamp
+            }))
+            .filter(point => Number.isFinite(point.value));
+
+        if (timeline.length > 0) {
+            const half = Math.floor(timeline.length / 2);
+            const average = points => points.reduce((sum, point) => sum + point.value, 0) / (points.length || 1);
+            const earlier = average(timeline.slice(0, half));
+            const later = average(timeline.slice(half));
+            const last = timeline[timeline.length - 1];
+
+            observations.push({
+                topic: input.topic,
+                keyword: null,
+                volume: average(timeline.slice(-4)),
+                engagement: null,
+                growth: earlier > 0 ? ((later - earlier) / earlier) * 100 : null,
+                sentiment: null,
+                observedAt: last.timestamp ? new Date(Number(last.timestamp) * 1000).toISOString() : null
+            });
+        }
+
+        // Related queries: rising values are percentage increases, top values relative interest
+        const relatedQueries = related.related_queries || {};
+        for (const item of relatedQueries.rising || []) {
+            observations.push({
+                topic: input.topic,
+                keyword: item.query,
+                volume: null,
+                engagement: null,
+                growth: Number.isFinite(item.extracted_value) ? item.extracted_value : null,
+                sentiment: null,
+                observedAt: null
+            });
+        }
+        for (const item of relatedQueries.top || []) {
+            observations.push({
+                topic: input.topic,
+                keyword: item.query,
+                volume: Number.isFinite(item.extracted_value) ? item.extracted_value : null,
+                engagement: null,
+                growth: null,
+                sentiment: null,
+                observedAt: null
+            });
+        }
+
+        return observations;
+    }
+});
+
+module.exports = {
+    registerAdapter,
+    getAdapter,
+    listAdapters,
+    toObservation,
+    parseCsv
+};
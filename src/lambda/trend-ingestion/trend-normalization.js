@@ -0,0 +1,136 @@
+/**
+ * Trend Normalization - Trend Ingestion
+ *
+ * Turns raw observations from any adapter into the trendData consumed by the
+ * rest of the pipeline:
+ * {
+ *   'topic': 'Spain travel',
+ *   'topicKey': 'spain-travel',
+ *   'hotKeywords': ['spain digital nomad visa', ...],   // YouTube Publisher titles and tags
+ *   'keywords': [{ 'keyword': ..., 'volume': ..., 'growth': ... }],
+ *   'signals': { 'volume': 64, 'growth': 12.5, 'recency': 85.7, ... }  // topic backlog scoring
+ * }
+ *
+ * Topic-level signals average the observations without a keyword (or whose
+ * keyword is the topic itself); keyword-only imports fall back to all of them.
+ * Recency runs from 100 (observed now) down to 0 at trendDataMaxAge days.
+ */
+
+const {
+    toTopicKey
+} = require('pipeline-shared/topic-key');
+
+const MAX_HOT_KEYWORDS = 10;
+const MAX_KEYWORDS = 25;
+const DEFAULT_MAX_AGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function average(values) {
+    const numbers = values.filter(Number.isFinite);
+    return numbers.length > 0 ? Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 100) / 100 : null;
+}
+
+function maxOf(values) {
+    const numbers = values.filter(Number.isFinite);
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+}
+
+// Unknown measurements sort last
+function orderValue(value) {
+    return value === null ? -Infinity : value;
+}
+
+/**
+ * Build trendData for one topic from its observations
+ * @param {string} topic - Topic the observations belong to
+ * @param {Array<object>} observations - From a trend adapter
+ * @param {object} options - { sources, maxAgeDays, now }
+ */
+function buildTrendData(topic, observations, options = {}) {
+    const {
+        sources = [],
+        maxAgeDays = DEFAULT_MAX_AGE_DAYS,
+        now = new Date()
+    } = options;
+    const topicKey = toTopicKey(topic);
+
+    // One entry per keyword: the highest volume and growth seen across sources
+    const byKeyword = {};
+    for (const observation of observations) {
+        if (!observation.keyword || toTopicKey(observation.keyword) === topicKey) {
+            continue;
+        }
+        const key = observation.keyword.toLowerCase();
+        const entry = byKeyword[key] || (byKeyword[key] = {
+            keyword: key,
+            volumes: [],
+            growths: []
+        });
+        entry.volumes.push(observation.volume);
+        entry.growths.push(observation.growth);
+    }
+
+    const keywords = Object.values(byKeyword)
+        .map(entry => ({
+            keyword: entry.keyword,
+            volume: maxOf(entry.volumes),
+            growth: maxOf(entry.growths)
+        }))
+        .sort((a, b) => orderValue(b.growth) - orderValue(a.growth) || orderValue(b.volume) - orderValue(a.volume))
+        .slice(0, MAX_KEYWORDS);
+
+    const topicLevel = observations.filter(observation => !observation.keyword || toTopicKey(observation.keyword) === topicKey);
+    const basis = topicLevel.length > 0 ? topicLevel : observations;
+
+    const signals = {};
+    for (const signal of ['volume', 'engagement', 'growth', 'sentiment']) {
+        const value = average(basis.map(observation => observation[signal]));
+        if (value !== null) {
+            signals[signal] = value;
+        }
+    }
+
+    const observedTimes = observations.map(observation => Date.parse(observation.observedAt)).filter(Number.isFinite);
+    const latest = observedTimes.length > 0 ? Math.max(...observedTimes) : now.getTime();
+    const ageDays = Math.max(0, (now.getTime() - latest) / DAY_MS);
+    signals.recency = Math.round(Math.max(0, 1 - ageDays / maxAgeDays) * 10000) / 100;
+
+    return {
+        topic,
+        topicKey,
+        hotKeywords: keywords.slice(0, MAX_HOT_KEYWORDS).map(entry => entry.keyword),
+        keywords,
+        signals,
+        sources: [...new Set(sources)],
+        observationCount: observations.length,
+        latestObservationAt: new Date(latest).toISOString(),
+        collectedAt: now.toISOString()
+    };
+}
+
+/**
+ * Group observations by topic, dropping those without one
+ * @returns {Array<object>} [{ topic, observations }]
+ */
+function groupByTopic(observations) {
+    const groups = {};
+
+    for (const observation of observations) {
+        if (!observation.topic) {
+            continue;
+        }
+        const key = toTopicKey(observation.topic);
+        groups[key] = groups[key] || {
+            topic: observation.topic,
+            observations: []
+        };
+        groups[key].observations.push(observation);
+    }
+
+    return Object.values(groups);
+}
+
+module.exports = {
+    buildTrendData,
+    groupByTopic
+};
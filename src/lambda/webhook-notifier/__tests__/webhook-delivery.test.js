@@ -0,0 +1,176 @@
+/* eslint-env jest */
+/**
+ * Webhook Delivery Tests
+ */
+
+const crypto = require('crypto');
+const {
+    validateWebhookRequest,
+    getDeliveryId,
+    matchesEvent,
+    buildPayload,
+    signPayload,
+    getRetryDelay,
+    deliverWithRetry
+} = require('../webhook-delivery');
+
+const WEBHOOK = {
+    webhookId: 'wh-1',
+    url: 'https://hooks.example.com/pipeline',
+    format: 'json',
+    events: ['project.completed', 'project.failed'],
+    secret: 'a-very-secret-value'
+};
+
+const EVENT = {
+    event: 'project.completed',
+    deliveryId: 'd-1',
+    projectId: 'p1',
+    executionId: 'exec-1',
+    artifacts: ['videos/p1/05-video/final-video.mp4'],
+    youtubeUrl: 'https://www.youtube.com/watch?v=abc',
+    timestamp: '2025-01-01T00:00:00.000Z'
+};
+
+const respond = status => ({
+    ok: status >= 200 && status < 300,
+    status
+});
+
+describe('Webhook Delivery', () => {
+    test('validateWebhookRequest should reject bad urls, formats and events', () => {
+        expect(validateWebhookRequest({
+            url: 'ftp://example.com'
+        }).error).toMatch(/url/);
+        expect(validateWebhookRequest({
+            url: 'https://example.com',
+            format: 'xml'
+        }).error).toMatch(/format/);
+        expect(validateWebhookRequest({
+            url: 'https://example.com',
+            events: ['project.exploded']
+        }).error).toMatch(/events/);
+
+        const {
+            webhook
+        } = validateWebhookRequest({
+            url: 'https://example.com/hook'
+        });
+        expect(webhook.secret).toHaveLength(48);
+        expect(matchesEvent(webhook, 'stage.completed')).toBe(true);
+        expect(matchesEvent(WEBHOOK, 'stage.completed')).toBe(false);
+    });
+
+    test('getDeliveryId should be stable per execution, stage and event type', () => {
+        const deliveryId = getDeliveryId(EVENT);
+
+        expect(deliveryId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+        expect(getDeliveryId({
+            ...EVENT,
+            timestamp: '2025-01-02T00:00:00.000Z'
+        })).toBe(deliveryId);
+        expect(getDeliveryId({
+            ...EVENT,
+            executionId: 'exec-2'
+        })).not.toBe(deliveryId);
+        expect(getDeliveryId({
+            ...EVENT,
+            event: 'project.published'
+        })).not.toBe(deliveryId);
+        expect(getDeliveryId({
+            ...EVENT,
+            event: 'stage.completed',
+            stage: 'media-curator'
+        })).not.toBe(getDeliveryId({
+            ...EVENT,
+            event: 'stage.completed',
+            stage: 'audio-generator'
+        }));
+    });
+
+    test('json payloads should carry project, stage, artifacts and youtubeUrl', () => {
+        expect(buildPayload(WEBHOOK, EVENT)).toMatchObject({
+            event: 'project.completed',
+            projectId: 'p1',
+            stage: null,
+            artifacts: ['videos/p1/05-video/final-video.mp4'],
+            youtubeUrl: 'https://www.youtube.com/watch?v=abc'
+        });
+
+        const slack = buildPayload({
+            ...WEBHOOK,
+            format: 'slack'
+        }, {
+            ...EVENT,
+            event: 'project.failed',
+            stage: 'media-curator',
+            error: 'Pexels quota exceeded'
+        });
+        expect(Object.keys(slack)).toEqual(['text']);
+        expect(slack.text).toContain('media-curator');
+    });
+
+    test('should sign the timestamp and raw body with the webhook secret', async () => {
+        const fetchFn = jest.fn().mockResolvedValue(respond(200));
+
+        await deliverWithRetry(WEBHOOK, EVENT, {
+            fetchFn
+        });
+
+        const [url, request] = fetchFn.mock.calls[0];
+        const timestamp = request.headers['X-Webhook-Timestamp'];
+        const expected = 'sha256=' + crypto.createHmac('sha256', WEBHOOK.secret)
+            .update(`${timestamp}.${request.body}`)
+            .digest('hex');
+
+        expect(url).toBe(WEBHOOK.url);
+        expect(request.headers['X-Webhook-Signature']).toBe(expected);
+        expect(signPayload(WEBHOOK.secret, timestamp, request.body)).toBe(expected);
+    });
+
+    test('should retry server errors with exponential backoff', async () => {
+        const fetchFn = jest.fn()
+            .mockResolvedValueOnce(respond(503))
+            .mockRejectedValueOnce(new Error('ECONNRESET'))
+            .mockResolvedValueOnce(respond(204));
+        const sleep = jest.fn().mockResolvedValue();
+
+        const result = await deliverWithRetry(WEBHOOK, EVENT, {
+            fetchFn,
+            sleep
+        });
+
+        expect(result).toEqual({
+            delivered: true,
+            attempts: 3,
+            statusCode: 204,
+            error: null
+        });
+        expect(sleep.mock.calls.map(call => call[0])).toEqual([getRetryDelay(1), getRetryDelay(2)]);
+        expect(getRetryDelay(2)).toBe(2 * getRetryDelay(1));
+    });
+
+    test('should give up immediately on client errors and after the last attempt', async () => {
+        const sleep = jest.fn().mockResolvedValue();
+
+        const rejected = await deliverWithRetry(WEBHOOK, EVENT, {
+            fetchFn: jest.fn().mockResolvedValue(respond(410)),
+            sleep
+        });
+        expect(rejected).toMatchObject({
+            delivered: false,
+            attempts: 1,
+            statusCode: 410
+        });
+
+        const exhausted = await deliverWithRetry(WEBHOOK, EVENT, {
+            fetchFn: jest.fn().mockResolvedValue(respond(500)),
+            sleep
+        });
+        expect(exhausted).toMatchObject({
+            delivered: false,
+            attempts: 4,
+            error: 'HTTP 500'
+        });
+    });
+});
@@ -0,0 +1,379 @@
+/**
+ * 🔔 WEBHOOK NOTIFIER - PIPELINE EVENT CALLBACKS
+ *
+ * CORE RESPONSIBILITY:
+ * Pushes pipeline events to registered HTTP endpoints (generic JSON or Slack
+ * incoming webhooks) so teams no longer poll S3 or the workflow API.
+ *
+ * EVENTS (sent as { action: 'deliver', event } by the Workflow Orchestrator for
+ * its workflows and by the Stage Chainer for chained or directly called stages):
+ * - stage.completed:   a stage succeeded; includes its artifact keys
+ * - project.completed: every stage succeeded; includes all artifact keys
+ * - project.failed:    a stage failed; includes the stage and error
+ * - project.published: YouTube Publisher returned a youtubeUrl
+ *
+ * DELIVERY:
+ * - Global webhooks receive events for every project; project webhooks only
+ *   for their project
+ * - Payloads are signed with the webhook secret (see webhook-delivery.js) and
+ *   retried with exponential backoff on network errors, 429 and 5xx
+ * - deliveryId is derived from executionId, stage and event type, so
+ *   receivers can drop events they already processed
+ *
+ * RECORDS (CONTEXT_TABLE):
+ * - PK 'webhooks#global',      SK '{webhookId}'
+ * - PK 'webhooks#{projectId}', SK '{webhookId}'
+ *
+ * ENDPOINTS:
+ * - POST/GET /webhooks, DELETE /webhooks/{webhookId}
+ * - POST/GET /projects/{projectId}/webhooks,
+ *   DELETE /projects/{projectId}/webhooks/{webhookId}
+ */
+
+const {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand,
+    UpdateItemCommand,
+    DeleteItemCommand,
+    QueryCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const crypto = require('crypto');
+const {
+    EVENT_TYPES,
+    validateWebhookRequest,
+    getDeliveryId,
+    matchesEvent,
+    deliverWithRetry
+} = require('./webhook-delivery');
+
+const dynamoClient = new DynamoDBClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+const GLOBAL_PK = 'webhooks#global';
+const DELIVER_ACTION = 'deliver';
+
+/**
+ * Main Lambda handler
+ */
+exports.handler = async (event) => {
+    console.log('Webhook Notifier invoked:', JSON.stringify(event, null, 2));
+
+    // Asynchronous invocation from the Workflow Orchestrator
+    if (event.action === DELIVER_ACTION) {
+        return await deliverEvent(event.event);
+    }
+
+    const {
+        httpMethod,
+        path = '',
+        body
+    } = event;
+
+    if (httpMethod === 'GET' && path === '/webhooks/health') {
+        return createResponse(200, {
+            service: 'webhook-notifier',
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            events: EVENT_TYPES,
+            endpoints: {
+                'POST /webhooks': 'Register a global webhook',
+                'GET /webhooks': 'List global webhooks',
+                'DELETE /webhooks/{webhookId}': 'Remove a global webhook',
+                'POST /projects/{projectId}/webhooks': 'Register a webhook for one project',
+                'GET /projects/{projectId}/webhooks': 'List webhooks of a project',
+                'DELETE /projects/{projectId}/webhooks/{webhookId}': 'Remove a project webhook'
+            }
+        });
+    }
+
+    try {
+        const route = matchWebhookRoute(event, path);
+
+        if (!route) {
+            return createResponse(404, {
+                success: false,
+                error: 'Endpoint not found'
+            });
+        }
+
+        const pk = route.projectId ? `webhooks#${route.projectId}` : GLOBAL_PK;
+
+        if (httpMethod === 'POST' && !route.webhookId) {
+            return await registerWebhook(pk, route.projectId, body ? JSON.parse(body) : {});
+        }
+
+        if (httpMethod === 'GET' && !route.webhookId) {
+            return createResponse(200, {
+                success: true,
+                scope: route.projectId ? 'project' : 'global',
+                projectId: route.projectId,
+                webhooks: (await listWebhooks(pk)).map(maskSecret)
+            });
+        }
+
+        if (httpMethod === 'DELETE' && route.webhookId) {
+            if (!await getWebhook(pk, route.webhookId)) {
+                return createResponse(404, {
+                    success: false,
+                    error: `Webhook not found: ${route.webhookId}`
+                });
+            }
+
+            await deleteWebhook(pk, route.webhookId);
+            return createResponse(200, {
+                success: true,
+                webhookId: route.webhookId
+            });
+        }
+
+        return createResponse(404, {
+            success: false,
+            error: 'Endpoint not found'
+        });
+
+    } catch (error) {
+        console.error('❌ Webhook Notifier error:', error);
+        return createResponse(error instanceof SyntaxError ? 400 : 500, {
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * POST /webhooks and POST /projects/{projectId}/webhooks
+ */
+async function registerWebhook(pk, projectId, requestBody) {
+    const {
+        webhook,
+        error
+    } = validateWebhookRequest(requestBody);
+
+    if (error) {
+        return createResponse(400, {
+            success: false,
+            error,
+            validEvents: EVENT_TYPES
+        });
+    }
+
+    const record = {
+        ...webhook,
+        webhookId: `wh-${crypto.randomBytes(6).toString('hex')}`,
+        scope: projectId ? 'project' : 'global',
+        projectId: projectId || null,
+        lastDelivery: null,
+        createdAt: new Date().toISOString()
+    };
+
+    await putWebhook(pk, record);
+    console.log(`🔔 Registered ${record.scope} webhook ${record.webhookId} → ${record.url}`);
+
+    // The secret is only ever returned here
+    return createResponse(201, {
+        success: true,
+        webhook: record
+    });
+}
+
+/**
+ * Deliver one pipeline event to every matching global and project webhook
+ */
+async function deliverEvent(pipelineEvent) {
+    if (!pipelineEvent || !EVENT_TYPES.includes(pipelineEvent.event) || !pipelineEvent.projectId || !pipelineEvent.executionId) {
+        console.error('⚠️ Ignoring malformed webhook event:', pipelineEvent);
+        return {
+            delivered: 0,
+            failed: 0
+        };
+    }
+
+    const event = {
+        ...pipelineEvent,
+        deliveryId: pipelineEvent.deliveryId || getDeliveryId(pipelineEvent),
+        timestamp: pipelineEvent.timestamp || new Date().toISOString()
+    };
+
+    const [globalWebhooks, projectWebhooks] = await Promise.all([
+        listWebhooks(GLOBAL_PK),
+        listWebhooks(`webhooks#${event.projectId}`)
+    ]);
+    const targets = [...globalWebhooks, ...projectWebhooks].filter(webhook => matchesEvent(webhook, event.event));
+
+    const results = await Promise.all(targets.map(async (webhook) => {
+        const result = await deliverWithRetry(webhook, event);
+
+        if (result.delivered) {
+            console.log(`✅ ${event.event} delivered to ${webhook.webhookId} (${result.attempts} attempt(s))`);
+        } else {
+            console.error(`❌ ${event.event} not delivered to ${webhook.webhookId} after ${result.attempts} attempt(s): ${result.error}`);
+        }
+
+        await recordDelivery(webhook, event, result);
+        return result;
+    }));
+
+    return {
+        event: event.event,
+        deliveryId: event.deliveryId,
+        delivered: results.filter(result => result.delivered).length,
+        failed: results.filter(result => !result.delivered).length
+    };
+}
+
+/**
+ * Keep the outcome of the latest delivery on the webhook for troubleshooting
+ */
+async function recordDelivery(webhook, event, result) {
+    const pk = webhook.projectId ? `webhooks#${webhook.projectId}` : GLOBAL_PK;
+
+    try {
+        await dynamoClient.send(new UpdateItemCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            Key: marshall({
+                PK: pk,
+                SK: webhook.webhookId
+            }),
+            UpdateExpression: 'SET lastDelivery = :lastDelivery',
+            // Never resurrect a webhook deleted while the delivery was in flight
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeValues: marshall({
+                ':lastDelivery': {
+                    event: event.event,
+                    deliveryId: event.deliveryId,
+                    delivered: result.delivered,
+                    attempts: result.attempts,
+                    statusCode: result.statusCode,
+                    error: result.error,
+                    at: new Date().toISOString()
+                }
+            })
+        }));
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return;
+        }
+        console.error(`⚠️ Failed to record delivery for ${webhook.webhookId}:`, error.message);
+    }
+}
+
+/**
+ * Resolve scope and ids for /webhooks and /projects/{projectId}/webhooks routes
+ */
+function matchWebhookRoute(event, path) {
+    const params = event.pathParameters || {};
+    const globalMatch = path.match(/^\/webhooks(?:\/([^/]+))?$/);
+    const projectMatch = path.match(/^\/projects\/([^/]+)\/webhooks(?:\/([^/]+))?$/);
+
+    if (globalMatch) {
+        const webhookId = params.webhookId || globalMatch[1];
+        return {
+            projectId: null,
+            webhookId: webhookId ? decodeURIComponent(webhookId) : null
+        };
+    }
+
+    if (projectMatch) {
+        const webhookId = params.webhookId || projectMatch[2];
+        return {
+            projectId: decodeURIComponent(params.projectId || projectMatch[1]),
+            webhookId: webhookId ? decodeURIComponent(webhookId) : null
+        };
+    }
+
+    return null;
+}
+
+function maskSecret(webhook) {
+    return {
+        ...webhook,
+        secret: `****${webhook.secret.slice(-4)}`
+    };
+}
+
+async function listWebhooks(pk) {
+    const webhooks = [];
+    let exclusiveStartKey;
+
+    do {
+        const response = await dynamoClient.send(new QueryCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: marshall({
+                ':pk': pk
+            }),
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+
+        webhooks.push(...(response.Items || []).map(item => stripKeys(unmarshall(item))));
+        exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return webhooks;
+}
+
+async function getWebhook(pk, webhookId) {
+    const response = await dynamoClient.send(new GetItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: webhookId
+        })
+    }));
+
+    return response.Item ? stripKeys(unmarshall(response.Item)) : null;
+}
+
+async function putWebhook(pk, webhook) {
+    await dynamoClient.send(new PutItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Item: marshall({
+            ...webhook,
+            PK: pk,
+            SK: webhook.webhookId
+        }, {
+            removeUndefinedValues: true
+        })
+    }));
+}
+
+async function deleteWebhook(pk, webhookId) {
+    await dynamoClient.send(new DeleteItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: pk,
+            SK: webhookId
+        })
+    }));
+}
+
+function stripKeys(record) {
+    const rest = {
+        ...record
+    };
+    delete rest.PK;
+    delete rest.SK;
+    return rest;
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+            'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+        },
+        body: JSON.stringify(body, null, 2)
+    };
+}
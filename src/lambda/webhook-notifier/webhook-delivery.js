@@ -0,0 +1,243 @@
+/**
+ * Webhook Delivery - Webhook Notifier
+ *
+ * Validates registrations, shapes pipeline events into generic JSON or Slack
+ * messages, signs them and POSTs them with exponential backoff.
+ *
+ * SIGNATURE:
+ * X-Webhook-Signature: sha256=HMAC_SHA256(secret, '{X-Webhook-Timestamp}.{raw body}')
+ * Receivers recompute it with their secret and reject stale timestamps.
+ */
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['stage.completed', 'project.completed', 'project.failed', 'project.published'];
+const FORMATS = ['json', 'slack'];
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Validate a registration request body
+ * @returns {object} { webhook } or { error }
+ */
+function validateWebhookRequest(requestBody = {}) {
+    const {
+        url,
+        format = 'json',
+        events = EVENT_TYPES,
+        secret,
+        description
+    } = requestBody;
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return {
+            error: 'url must be an absolute http(s) URL'
+        };
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return {
+            error: 'url must be an absolute http(s) URL'
+        };
+    }
+
+    if (!FORMATS.includes(format)) {
+        return {
+            error: `format must be one of: ${FORMATS.join(', ')}`
+        };
+    }
+
+    if (!Array.isArray(events) || events.length === 0 || events.some(type => !EVENT_TYPES.includes(type))) {
+        return {
+            error: `events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`
+        };
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        return {
+            error: 'secret must be a string of at least 16 characters'
+        };
+    }
+
+    return {
+        webhook: {
+            url: parsedUrl.toString(),
+            format,
+            events: [...new Set(events)],
+            secret: secret || crypto.randomBytes(24).toString('hex'),
+            description: description || null
+        }
+    };
+}
+
+/**
+ * Delivery id of an event, the same for every send of it
+ * Derived from executionId, stage and event type so a resent event (Lambda
+ * retries, S3 redeliveries) reaches receivers under the id they already saw.
+ * @returns {string} UUID-formatted id
+ */
+function getDeliveryId(event) {
+    const hash = crypto.createHash('sha256')
+        .update([event.executionId, event.stage || 'project', event.event].join('|'))
+        .digest('hex');
+
+    return [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-');
+}
+
+/**
+ * Whether a webhook subscribes to an event type
+ */
+function matchesEvent(webhook, eventType) {
+    return (webhook.events || EVENT_TYPES).includes(eventType);
+}
+
+/**
+ * Request body for a webhook in its configured format
+ */
+function buildPayload(webhook, event) {
+    if (webhook.format === 'slack') {
+        return {
+            text: formatSlackMessage(event)
+        };
+    }
+
+    return {
+        event: event.event,
+        deliveryId: event.deliveryId,
+        projectId: event.projectId,
+        executionId: event.executionId || null,
+        stage: event.stage || null,
+        status: event.status || null,
+        artifacts: event.artifacts || [],
+        youtubeUrl: event.youtubeUrl || null,
+        error: event.error || null,
+        dryRun: event.dryRun === true,
+        batchId: event.batchId || null,
+        timestamp: event.timestamp
+    };
+}
+
+/**
+ * One-line Slack message (mrkdwn) for an event
+ */
+function formatSlackMessage(event) {
+    const project = `\`${event.projectId}\``;
+    const dryRun = event.dryRun ? ' (dry run)' : '';
+
+    switch (event.event) {
+        case 'stage.completed':
+            return `✅ Stage *${event.stage}* completed for ${project}${dryRun}`;
+        case 'project.completed':
+            return `🎉 Project ${project} completed${dryRun}`;
+        case 'project.published':
+            return `📺 Project ${project} published: ${event.youtubeUrl}`;
+        case 'project.failed':
+            return `❌ Project ${project} failed at *${event.stage}*${dryRun}: ${event.error}`;
+        default:
+            return `${event.event} for ${project}`;
+    }
+}
+
+/**
+ * HMAC-SHA256 signature over timestamp and raw body
+ */
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): 1s, 2s, 4s, ...
+ */
+function getRetryDelay(attempt) {
+    return BASE_DELAY_MS * Math.pow(2, attempt - 1);
+}
+
+/**
+ * Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx are not
+ */
+function isRetryable(statusCode) {
+    return statusCode === null || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * POST an event to one webhook, retrying with exponential backoff
+ * @param {object} deps - { fetchFn, sleep } overrides for tests
+ * @returns {Promise<object>} { delivered, attempts, statusCode, error }
+ */
+async function deliverWithRetry(webhook, event, deps = {}) {
+    const fetchFn = deps.fetchFn || globalThis.fetch;
+    const sleep = deps.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    const body = JSON.stringify(buildPayload(webhook, event));
+
+    let statusCode = null;
+    let error = null;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        try {
+            const response = await fetchFn(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'automated-video-pipeline-webhooks',
+                    'X-Webhook-Event': event.event,
+                    'X-Webhook-Delivery': event.deliveryId,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                signal: controller.signal
+            });
+
+            statusCode = response.status;
+            error = response.ok ? null : `HTTP ${response.status}`;
+        } catch (requestError) {
+            statusCode = null;
+            error = requestError.name === 'AbortError' ? 'Request timed out' : requestError.message;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!error) {
+            return {
+                delivered: true,
+                attempts: attempt,
+                statusCode,
+                error: null
+            };
+        }
+
+        if (!isRetryable(statusCode) || attempt === MAX_ATTEMPTS) {
+            return {
+                delivered: false,
+                attempts: attempt,
+                statusCode,
+                error
+            };
+        }
+
+        await sleep(getRetryDelay(attempt));
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    validateWebhookRequest,
+    getDeliveryId,
+    matchesEvent,
+    buildPayload,
+    formatSlackMessage,
+    signPayload,
+    getRetryDelay,
+    deliverWithRetry
+};
@@ -0,0 +1,115 @@
+/* eslint-env jest */
+/**
+ * Workflow Orchestrator Batch Advance Tests
+ */
+
+const {
+    DynamoDBClient
+} = require('@aws-sdk/client-dynamodb');
+const {
+    LambdaClient
+} = require('@aws-sdk/client-lambda');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const {
+    handler
+} = require('../index');
+
+const child = (index, projectId) => ({
+    index,
+    topic: projectId,
+    projectId,
+    request: {
+        topic: projectId
+    },
+    status: 'queued',
+    startedAt: null
+});
+
+describe('Batch advance', () => {
+    let records;
+    let invocations;
+
+    beforeEach(() => {
+        records = {
+            'batch#batch-1': {
+                batchId: 'batch-1',
+                concurrency: 1,
+                stageCount: 7,
+                children: [child(0, 'lisbon'), child(1, 'porto')],
+                version: 1
+            }
+        };
+        invocations = [];
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+            if (command.constructor.name === 'GetItemCommand') {
+                const record = records[unmarshall(command.input.Key).PK];
+                return {
+                    Item: record ? marshall(record) : undefined
+                };
+            }
+
+            const item = unmarshall(command.input.Item);
+            const values = command.input.ExpressionAttributeValues ? unmarshall(command.input.ExpressionAttributeValues) : {};
+            if (command.input.ConditionExpression === '#version = :version' && records[item.PK].version !== values[':version']) {
+                const error = new Error('The conditional request failed');
+                error.name = 'ConditionalCheckFailedException';
+                throw error;
+            }
+            records[item.PK] = item;
+            return {};
+        });
+
+        jest.spyOn(LambdaClient.prototype, 'send').mockImplementation(async (command) => {
+            const payload = JSON.parse(command.input.Payload);
+            invocations.push(payload);
+            if (payload.projectId === 'lisbon') {
+                throw new Error('Rate exceeded');
+            }
+            return {};
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('starts the next queued topic when a child fails to launch', async () => {
+        await handler({
+            action: 'advance-batch',
+            batchId: 'batch-1'
+        }, {
+            functionName: 'orchestrator'
+        });
+
+        expect(records['workflow#lisbon'].status).toBe('failed');
+        expect(records['workflow#porto'].status).toBe('running');
+        expect(records['batch#batch-1'].children.map(item => item.status)).toEqual(['started', 'started']);
+        expect(invocations.map(payload => payload.projectId)).toEqual(['lisbon', 'porto']);
+    });
+
+    test('throws when the batch changes on every attempt so the advance is retried', async () => {
+        DynamoDBClient.prototype.send.mockImplementation(async (command) => {
+            if (command.constructor.name === 'GetItemCommand') {
+                const record = records[unmarshall(command.input.Key).PK];
+                return {
+                    Item: record ? marshall(record) : undefined
+                };
+            }
+            const error = new Error('The conditional request failed');
+            error.name = 'ConditionalCheckFailedException';
+            throw error;
+        });
+
+        await expect(handler({
+            action: 'advance-batch',
+            batchId: 'batch-1'
+        }, {})).rejects.toThrow('changed concurrently on all 3 attempts');
+    });
+});
@@ -0,0 +1,124 @@
+/* eslint-env jest */
+/**
+ * Workflow Orchestrator Batch Planning Tests
+ */
+
+const {
+    MAX_BATCH_CONCURRENCY,
+    parseBatchRequest,
+    dedupeProjectIds,
+    selectChildrenToStart,
+    aggregateBatchStatus
+} = require('../batch-planning');
+
+function createBatch(statuses, concurrency = 2) {
+    return {
+        batchId: 'batch-1',
+        concurrency,
+        stageCount: 7,
+        children: statuses.map((status, index) => ({
+            index,
+            topic: `Topic ${index}`,
+            projectId: `p${index}`,
+            status
+        }))
+    };
+}
+
+describe('Workflow Orchestrator Batches', () => {
+    describe('parseBatchRequest', () => {
+        test('should accept topic strings and objects with overrides', () => {
+            const parsed = parseBatchRequest({
+                topics: ['Brittany', {
+                    topic: 'Provence',
+                    voiceId: 'Lea'
+                }]
+            });
+
+            expect(parsed.topics).toEqual([{
+                topic: 'Brittany'
+            }, {
+                topic: 'Provence',
+                voiceId: 'Lea'
+            }]);
+            expect(parsed.concurrency).toBe(3);
+        });
+
+        test('should reject empty topic lists and entries without a topic', () => {
+            expect(parseBatchRequest({
+                topics: []
+            }).error).toBeDefined();
+            expect(parseBatchRequest({
+                topics: ['Brittany', {}]
+            }).error).toBe('topics[1] is missing a topic');
+        });
+
+        test('should cap concurrency', () => {
+            expect(parseBatchRequest({
+                topics: ['Brittany'],
+                concurrency: 99
+            }).concurrency).toBe(MAX_BATCH_CONCURRENCY);
+        });
+    });
+
+    test('dedupeProjectIds should suffix repeated projectIds', () => {
+        expect(dedupeProjectIds(['a', 'b', 'a', 'a'])).toEqual(['a', 'b', 'a-2', 'a-3']);
+    });
+
+    describe('selectChildrenToStart', () => {
+        test('should only fill free concurrency slots', () => {
+            const batch = createBatch(['started', 'started', 'queued', 'queued']);
+            const workflows = {
+                p0: {
+                    status: 'succeeded'
+                },
+                p1: {
+                    status: 'running'
+                }
+            };
+
+            expect(selectChildrenToStart(batch, workflows).map(child => child.projectId)).toEqual(['p2']);
+        });
+
+        test('should count started children without a workflow record as active', () => {
+            const batch = createBatch(['started', 'started', 'queued']);
+            expect(selectChildrenToStart(batch, {})).toEqual([]);
+        });
+    });
+
+    describe('aggregateBatchStatus', () => {
+        test('should report completed_with_errors when some children failed', () => {
+            const batch = createBatch(['started', 'started']);
+            const status = aggregateBatchStatus(batch, {
+                p0: {
+                    status: 'succeeded',
+                    stages: {
+                        a: {
+                            status: 'succeeded'
+                        }
+                    }
+                },
+                p1: {
+                    status: 'failed',
+                    stages: {}
+                }
+            });
+
+            expect(status.status).toBe('completed_with_errors');
+            expect(status.counts).toEqual({
+                total: 2,
+                queued: 0,
+                running: 0,
+                succeeded: 1,
+                failed: 1
+            });
+            expect(status.progress.completedStages).toBe(1);
+        });
+
+        test('should stay running while topics are queued', () => {
+            const status = aggregateBatchStatus(createBatch(['queued']));
+            expect(status.status).toBe('running');
+            expect(status.children[0].statusPath).toBe('/workflow/p0');
+        });
+    });
+});
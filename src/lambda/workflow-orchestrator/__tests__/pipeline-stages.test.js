@@ -0,0 +1,121 @@
+/* eslint-env jest */
+/**
+ * Workflow Orchestrator Stage Planning Tests
+ */
+
+const {
+    PIPELINE_STAGES,
+    planResumeStages,
+    extractStageArtifacts,
+    failStalledStage
+} = require('../pipeline-stages');
+
+const ALL_CONTEXTS = new Set(['topic', 'scene', 'media', 'audio', 'manifest', 'video']);
+
+describe('Workflow Orchestrator Stages', () => {
+    describe('planResumeStages', () => {
+        test('should re-run every stage for a project with no contexts', () => {
+            const plan = planResumeStages({}, new Set());
+            expect(plan).toEqual(PIPELINE_STAGES.map(stage => stage.name));
+        });
+
+        test('should only re-run stages whose context is missing', () => {
+            const plan = planResumeStages({}, new Set(['topic', 'scene', 'audio']));
+            expect(plan).toEqual(['media-curator', 'manifest-builder', 'video-assembler', 'youtube-publisher']);
+        });
+
+        test('should re-run failed and interrupted stages even when context exists', () => {
+            const plan = planResumeStages({
+                'media-curator': {
+                    status: 'failed'
+                },
+                'video-assembler': {
+                    status: 'running'
+                },
+                'youtube-publisher': {
+                    status: 'succeeded'
+                }
+            }, ALL_CONTEXTS);
+
+            expect(plan).toEqual(['media-curator', 'video-assembler']);
+        });
+
+        test('should force every stage from fromStage onwards', () => {
+            const plan = planResumeStages({
+                'youtube-publisher': {
+                    status: 'succeeded'
+                }
+            }, ALL_CONTEXTS, 'audio-generator');
+
+            expect(plan).toEqual(['audio-generator', 'manifest-builder', 'video-assembler', 'youtube-publisher']);
+        });
+
+        test('should return nothing when every stage has completed', () => {
+            const plan = planResumeStages({
+                'youtube-publisher': {
+                    status: 'succeeded'
+                }
+            }, ALL_CONTEXTS);
+
+            expect(plan).toEqual([]);
+        });
+    });
+
+    describe('extractStageArtifacts', () => {
+        test('should include context file and response artifacts', () => {
+            const stage = PIPELINE_STAGES.find(s => s.name === 'video-assembler');
+            const artifacts = extractStageArtifacts(stage, 'p1', {
+                filesCreated: {
+                    finalVideo: 'videos/p1/05-video/final-video.mp4',
+                    context: 'videos/p1/01-context/video-context.json'
+                }
+            });
+
+            expect(artifacts).toEqual([
+                'videos/p1/01-context/video-context.json',
+                'videos/p1/05-video/final-video.mp4'
+            ]);
+        });
+    });
+
+    describe('failStalledStage', () => {
+        const workflowRunning = (stageName, startedAt) => ({
+            status: 'running',
+            stages: {
+                [stageName]: {
+                    status: 'running',
+                    startedAt
+                }
+            },
+            lastError: null
+        });
+
+        test('should fail a stage running past its function timeout', () => {
+            const workflow = workflowRunning('video-assembler', '2025-01-01T00:00:00.000Z');
+
+            expect(failStalledStage(workflow, new Date('2025-01-01T00:16:01.000Z'))).toBe(true);
+            expect(workflow.status).toBe('failed');
+            expect(workflow.stages['video-assembler']).toMatchObject({
+                status: 'failed',
+                completedAt: '2025-01-01T00:16:01.000Z'
+            });
+            expect(workflow.lastError).toMatchObject({
+                stage: 'video-assembler',
+                message: 'Stage video-assembler did not finish within its 900s timeout'
+            });
+        });
+
+        test('should leave stages within their timeout and finished workflows alone', () => {
+            const assembling = workflowRunning('video-assembler', '2025-01-01T00:00:00.000Z');
+            expect(failStalledStage(assembling, new Date('2025-01-01T00:15:30.000Z'))).toBe(false);
+            expect(assembling.status).toBe('running');
+
+            const failed = {
+                ...workflowRunning('audio-generator', '2025-01-01T00:00:00.000Z'),
+                status: 'failed'
+            };
+            expect(failStalledStage(failed, new Date('2025-01-02T00:00:00.000Z'))).toBe(false);
+            expect(failStalledStage(null)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Batch Planning - Workflow Orchestrator
+ *
+ * A batch fans a list of topics out into one workflow per topic while keeping
+ * at most `concurrency` child workflows running at once. The batch record only
+ * tracks which children have been started; child progress is always read from
+ * the child workflow records so the two can never disagree.
+ */
+
+const DEFAULT_BATCH_CONCURRENCY = 3;
+const MAX_BATCH_CONCURRENCY = 10;
+const MAX_BATCH_TOPICS = 50;
+
+/**
+ * Validate a POST /batches body and normalize its topic list
+ * @param {object} requestBody - { topics, options, concurrency, name }
+ * @returns {object} { topics, concurrency } or { error }
+ */
+function parseBatchRequest(requestBody = {}) {
+    const {
+        topics,
+        concurrency
+    } = requestBody;
+
+    if (!Array.isArray(topics) || topics.length === 0) {
+        return {
+            error: 'topics must be a non-empty array'
+        };
+    }
+
+    if (topics.length > MAX_BATCH_TOPICS) {
+        return {
+            error: `A batch can contain at most ${MAX_BATCH_TOPICS} topics`
+        };
+    }
+
+    // Each entry is either a topic string or an object with per-topic overrides
+    const normalized = topics.map(entry => (typeof entry === 'string' ? {
+        topic: entry
+    } : entry || {}));
+
+    const missing = normalized.findIndex(entry => !entry.topic || typeof entry.topic !== 'string');
+    if (missing !== -1) {
+        return {
+            error: `topics[${missing}] is missing a topic`
+        };
+    }
+
+    let limit = DEFAULT_BATCH_CONCURRENCY;
+    if (concurrency !== undefined) {
+        limit = parseInt(concurrency, 10);
+        if (isNaN(limit) || limit < 1) {
+            return {
+                error: 'concurrency must be a positive integer'
+            };
+        }
+    }
+
+    return {
+        topics: normalized,
+        concurrency: Math.min(limit, MAX_BATCH_CONCURRENCY)
+    };
+}
+
+/**
+ * Make child projectIds unique within the batch
+ * @param {Array<string>} projectIds - Candidate projectIds in topic order
+ * @returns {Array<string>} projectIds with a numeric suffix on repeats
+ */
+function dedupeProjectIds(projectIds) {
+    const seen = {};
+
+    return projectIds.map(projectId => {
+        seen[projectId] = (seen[projectId] || 0) + 1;
+        return seen[projectId] === 1 ? projectId : `${projectId}-${seen[projectId]}`;
+    });
+}
+
+/**
+ * Pick the queued children that can start without exceeding the concurrency limit
+ * @param {object} batch - Batch record
+ * @param {object} workflows - Child workflow records keyed by projectId
+ * @returns {Array<object>} Children to start, in topic order
+ */
+function selectChildrenToStart(batch, workflows = {}) {
+    const active = batch.children.filter(child => {
+        if (child.status !== 'started') {
+            return false;
+        }
+        const workflow = workflows[child.projectId];
+        // A started child without a record yet is still being launched
+        return !workflow || workflow.status === 'running';
+    }).length;
+
+    const slots = Math.max(batch.concurrency - active, 0);
+
+    return batch.children.filter(child => child.status === 'queued').slice(0, slots);
+}
+
+/**
+ * Aggregate child workflow progress into a batch status report
+ * @param {object} batch - Batch record
+ * @param {object} workflows - Child workflow records keyed by projectId
+ * @returns {object} Batch status with counts, progress and per-child summaries
+ */
+function aggregateBatchStatus(batch, workflows = {}) {
+    const counts = {
+        queued: 0,
+        running: 0,
+        succeeded: 0,
+        failed: 0
+    };
+    let completedStages = 0;
+    let totalStages = 0;
+
+    const children = batch.children.map(child => {
+        const workflow = child.status === 'started' ? workflows[child.projectId] : null;
+        const status = child.status === 'queued' ? 'queued' : (workflow ? workflow.status : 'running');
+        const stageStates = workflow ? Object.values(workflow.stages || {}) : [];
+
+        counts[status] = (counts[status] || 0) + 1;
+        completedStages += stageStates.filter(stage => stage.status === 'succeeded').length;
+        totalStages += batch.stageCount;
+
+        return {
+            index: child.index,
+            topic: child.topic,
+            projectId: child.projectId,
+            status,
+            currentStage: workflow ? workflow.currentStage : null,
+            youtubeUrl: workflow ? workflow.youtubeUrl || null : null,
+            lastError: workflow ? workflow.lastError || null : null,
+            statusPath: `/workflow/${child.projectId}`
+        };
+    });
+
+    let status = 'running';
+    if (counts.queued === 0 && counts.running === 0) {
+        if (counts.failed === 0) {
+            status = 'succeeded';
+        } else if (counts.succeeded === 0) {
+            status = 'failed';
+        } else {
+            status = 'completed_with_errors';
+        }
+    }
+
+    return {
+        batchId: batch.batchId,
+        name: batch.name || null,
+        status,
+        concurrency: batch.concurrency,
+        counts: {
+            total: children.length,
+            ...counts
+        },
+        progress: {
+            completedStages,
+            totalStages,
+            percent: totalStages ? Math.round((completedStages / totalStages) * 100) : 0
+        },
+        children,
+        createdAt: batch.createdAt,
+        updatedAt: batch.updatedAt
+    };
+}
+
+module.exports = {
+    DEFAULT_BATCH_CONCURRENCY,
+    MAX_BATCH_CONCURRENCY,
+    MAX_BATCH_TOPICS,
+    parseBatchRequest,
+    dedupeProjectIds,
+    selectChildrenToStart,
+    aggregateBatchStatus
+};
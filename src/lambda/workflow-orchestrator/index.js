@@ -0,0 +1,1049 @@
+/**
+ * 🎯 WORKFLOW ORCHESTRATOR - END-TO-END PIPELINE COORDINATION
+ *
+ * CORE RESPONSIBILITY:
+ * This Lambda chains every AI agent for a single projectId so a video can be
+ * produced with one API call instead of a client script driving each stage:
+ * Topic Management → Script Generator → Media Curator → Audio Generator
+ * → Manifest Builder → Video Assembler → YouTube Publisher
+ *
+ * EXECUTION MODEL:
+ * - POST /workflow/start records the workflow and returns immediately
+ * - Each stage runs in its own asynchronous self-invocation, so the full
+ *   pipeline is never bound by a single Lambda timeout
+ * - Per-stage status (pending/running/succeeded/failed), attempts, timestamps,
+ *   artifacts and errors are stored in the context table after every step
+ * - A stage still 'running' past its function timeout (the invocation waiting
+ *   for it was killed) is marked failed the next time the workflow is loaded,
+ *   so start, retry, resume and batch slots are not blocked by it
+ *
+ * WORKFLOW RECORD (CONTEXT_TABLE):
+ * {
+ *   'PK': 'workflow#{projectId}',
+ *   'SK': '{projectId}',
+ *   'status': 'running',
+ *   'stages': {
+ *     'script-generator': { 'status': 'succeeded', 'attempts': 1, 'artifacts': [...] }
+ *   }
+ * }
+ *
+ * EXTERNAL CONTROL:
+ * - GET /workflow/{projectId} reports progress for dashboards and scripts
+ * - POST /workflow/{projectId}/retry re-runs the failed stage and everything after it
+ * - POST /workflow/{projectId}/resume inspects the 01-context/ records already in
+ *   the context table and re-runs only missing or failed stages (or every stage
+ *   from an explicit fromStage), so finished work is never thrown away
+ * - Stages return their cached result when their inputs are unchanged;
+ *   pass force: true on start/retry/resume to re-run them regardless
+ * - dryRun: true runs every stage without paid services (synthetic media and
+ *   audio, no render, no upload) so a topic can be checked before a batch
+ * - Topic Management rejects topics too similar to earlier projects;
+ *   pass allowDuplicate: true on start/retry to produce them anyway
+ * - language (e.g. 'es') is given to Topic Management only; later stages
+ *   follow the language stored in the topic and scene contexts
+ * - seriesId (and optionally episodeNumber) makes the project an episode of
+ *   a Topic Management series; its voice and branding apply to later stages
+ *
+ * BATCHES:
+ * - POST /batches fans a topic list with shared options out into one workflow
+ *   per topic, starting at most `concurrency` child workflows at a time
+ * - Whenever a child workflow finishes or fails to launch, the next queued
+ *   topic is started; when the batch record stays contended, the advance is
+ *   retried in its own asynchronous invocation
+ * - GET /batches/{batchId} aggregates the status of every child workflow
+ *
+ * WEBHOOKS:
+ * - Stage completions, project completion/failure and publication are sent
+ *   to the Webhook Notifier (WEBHOOK_NOTIFIER_FUNCTION) for delivery; the
+ *   Stage Chainer sends them for projects run without a workflow
+ */
+
+const {
+    S3Client,
+    GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+    LambdaClient,
+    InvokeCommand
+} = require('@aws-sdk/client-lambda');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const crypto = require('crypto');
+const {
+    PIPELINE_STAGES,
+    invokeStage,
+    extractStageArtifacts,
+    planResumeStages,
+    failStalledStage
+} = require('./pipeline-stages');
+const {
+    parseBatchRequest,
+    dedupeProjectIds,
+    selectChildrenToStart,
+    aggregateBatchStatus
+} = require('./batch-planning');
+const {
+    sendWebhookEvent
+} = require('pipeline-shared/webhook-events');
+
+const s3Client = new S3Client({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+const dynamoClient = new DynamoDBClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+const lambdaClient = new LambdaClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+const RUN_NEXT_STAGE_ACTION = 'run-next-stage';
+const ADVANCE_BATCH_ACTION = 'advance-batch';
+const BATCH_ADVANCE_ATTEMPTS = 3;
+
+/**
+ * Main Lambda handler
+ */
+exports.handler = async (event, context = {}) => {
+    console.log('Workflow Orchestrator invoked:', JSON.stringify(event, null, 2));
+
+    // Asynchronous self-invocation that advances a workflow by one stage
+    if (event.action === RUN_NEXT_STAGE_ACTION) {
+        return await runNextStage(event.projectId, event.executionId, context.functionName);
+    }
+
+    // Asynchronous retry of a batch advance; errors surface to Lambda's own retries
+    if (event.action === ADVANCE_BATCH_ACTION) {
+        const batch = await advanceBatch(event.batchId, context.functionName);
+        return {
+            batchId: event.batchId,
+            found: batch !== null
+        };
+    }
+
+    const {
+        httpMethod,
+        path,
+        body
+    } = event;
+
+    if (httpMethod === 'GET' && path === '/workflow/health') {
+        return createResponse(200, {
+            service: 'workflow-orchestrator',
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            architecture: 'simplified-shared-layer',
+            stages: PIPELINE_STAGES.map(stage => stage.name),
+            endpoints: {
+                'POST /workflow/start': 'Start the full pipeline for one project',
+                'GET /workflow/{projectId}': 'Per-stage workflow status',
+                'POST /workflow/{projectId}/retry': 'Retry from the failed stage',
+                'POST /workflow/{projectId}/resume': 'Re-run only missing or failed stages (optional fromStage)',
+                'POST /batches': 'Start one workflow per topic with a concurrency limit',
+                'GET /batches/{batchId}': 'Aggregate status of every workflow in a batch'
+            }
+        });
+    }
+
+    try {
+        if (httpMethod === 'POST' && path === '/workflow/start') {
+            const requestBody = body ? JSON.parse(body) : {};
+            return await startWorkflow(requestBody, context.functionName);
+        }
+
+        if (httpMethod === 'POST' && path === '/batches') {
+            const requestBody = body ? JSON.parse(body) : {};
+            return await startBatch(requestBody, context.functionName);
+        }
+
+        const batchId = getBatchIdFromEvent(event);
+
+        if (httpMethod === 'GET' && batchId) {
+            const batch = await loadBatch(batchId);
+
+            if (!batch) {
+                return createResponse(404, {
+                    success: false,
+                    error: `Batch not found: ${batchId}`
+                });
+            }
+
+            return createResponse(200, {
+                success: true,
+                ...aggregateBatchStatus(batch, await loadChildWorkflows(batch))
+            });
+        }
+
+        const projectId = getProjectIdFromEvent(event);
+
+        if (httpMethod === 'GET' && projectId && getWorkflowAction(path) === null) {
+            const workflow = await loadCurrentWorkflow(projectId, context.functionName);
+
+            if (!workflow) {
+                return createResponse(404, {
+                    success: false,
+                    error: `No workflow found for project ${projectId}`
+                });
+            }
+
+            return createResponse(200, {
+                success: true,
+                ...summarizeWorkflow(workflow)
+            });
+        }
+
+        if (httpMethod === 'POST' && projectId && getWorkflowAction(path) === 'retry') {
+            const requestBody = body ? JSON.parse(body) : {};
+            return await retryWorkflow(projectId, requestBody, context.functionName);
+        }
+
+        if (httpMethod === 'POST' && projectId && getWorkflowAction(path) === 'resume') {
+            const requestBody = body ? JSON.parse(body) : {};
+            return await resumeWorkflow(projectId, requestBody, context.functionName);
+        }
+
+    } catch (error) {
+        console.error('❌ Workflow Orchestrator error:', error);
+        return createResponse(500, {
+            success: false,
+            error: error.message
+        });
+    }
+
+    return createResponse(404, {
+        success: false,
+        error: 'Endpoint not found'
+    });
+};
+
+/**
+ * Create the workflow record and dispatch the first stage
+ */
+async function startWorkflow(requestBody, functionName) {
+    const request = buildWorkflowRequest(requestBody);
+
+    if (!request.topic) {
+        return createResponse(400, {
+            success: false,
+            error: 'Topic is required'
+        });
+    }
+
+    const projectId = requestBody.projectId || requestBody.topicId || createProjectId(request.topic);
+
+    const existing = await loadCurrentWorkflow(projectId, functionName);
+    if (existing && existing.status === 'running') {
+        return createResponse(409, {
+            success: false,
+            error: `Workflow already running for project ${projectId}`,
+            executionId: existing.executionId
+        });
+    }
+
+    const workflow = createWorkflowRecord(projectId, request);
+    await saveWorkflow(workflow);
+    await dispatchNextStage(functionName, workflow);
+
+    console.log(`✅ Workflow ${workflow.executionId} started for project: ${projectId}`);
+
+    return createResponse(200, {
+        success: true,
+        projectId,
+        executionId: workflow.executionId,
+        status: workflow.status,
+        stages: PIPELINE_STAGES.map(stage => stage.name),
+        statusPath: `/workflow/${projectId}`,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Reset failed stages and dispatch the workflow again
+ */
+async function retryWorkflow(projectId, requestBody, functionName) {
+    const workflow = await loadCurrentWorkflow(projectId, functionName);
+
+    if (!workflow) {
+        return createResponse(404, {
+            success: false,
+            error: `No workflow found for project ${projectId}`
+        });
+    }
+
+    if (workflow.status === 'running') {
+        return createResponse(409, {
+            success: false,
+            error: `Workflow already running for project ${projectId}`,
+            executionId: workflow.executionId
+        });
+    }
+
+    for (const stage of PIPELINE_STAGES) {
+        const stageState = workflow.stages[stage.name];
+        if (stageState.status === 'failed' || stageState.status === 'running') {
+            stageState.status = 'pending';
+        }
+    }
+
+    workflow.request.force = requestBody.force === true;
+    // Lets a workflow rejected as a duplicate topic go ahead on retry
+    if (requestBody.allowDuplicate !== undefined) {
+        workflow.request.allowDuplicate = requestBody.allowDuplicate === true;
+    }
+    workflow.executionId = createExecutionId();
+    workflow.status = 'running';
+    workflow.lastError = null;
+    await saveWorkflow(workflow);
+    await dispatchNextStage(functionName, workflow);
+
+    console.log(`🔁 Workflow ${workflow.executionId} retried for project: ${projectId}`);
+
+    return createResponse(200, {
+        success: true,
+        ...summarizeWorkflow(workflow)
+    });
+}
+
+/**
+ * Resume a project from the stages that are missing, failed or forced by fromStage
+ */
+async function resumeWorkflow(projectId, requestBody, functionName) {
+    const {
+        fromStage
+    } = requestBody;
+
+    if (fromStage && !PIPELINE_STAGES.some(stage => stage.name === fromStage)) {
+        return createResponse(400, {
+            success: false,
+            error: `Unknown fromStage: ${fromStage}`,
+            validStages: PIPELINE_STAGES.map(stage => stage.name)
+        });
+    }
+
+    let workflow = await loadCurrentWorkflow(projectId, functionName);
+
+    if (workflow && workflow.status === 'running') {
+        return createResponse(409, {
+            success: false,
+            error: `Workflow already running for project ${projectId}`,
+            executionId: workflow.executionId
+        });
+    }
+
+    if (!workflow) {
+        // Project was produced stage by stage; rebuild the request from its topic context
+        const topicContext = await retrieveContext('topic', projectId);
+        const request = buildWorkflowRequest(requestBody, topicContext ? {
+            topic: topicContext.mainTopic,
+            targetAudience: topicContext.targetAudience,
+            videoDuration: topicContext.videoDuration,
+            language: topicContext.language,
+            seriesId: topicContext.series ? topicContext.series.seriesId : undefined
+        } : {});
+
+        if (!request.topic) {
+            return createResponse(400, {
+                success: false,
+                error: 'Topic is required when the project has no topic context'
+            });
+        }
+
+        workflow = createWorkflowRecord(projectId, request);
+    } else {
+        workflow.request = buildWorkflowRequest(requestBody, workflow.request);
+    }
+
+    const existingContextTypes = await findExistingContextTypes(projectId);
+    const stagesToRun = planResumeStages(workflow.stages, existingContextTypes, fromStage);
+
+    for (const stage of PIPELINE_STAGES) {
+        const stageState = workflow.stages[stage.name];
+
+        if (stagesToRun.includes(stage.name)) {
+            stageState.status = 'pending';
+        } else if (stageState.status !== 'succeeded') {
+            // Finished outside this workflow; adopt the existing context
+            stageState.status = 'succeeded';
+            stageState.artifacts = extractStageArtifacts(stage, projectId);
+        }
+    }
+
+    workflow.executionId = createExecutionId();
+    workflow.lastError = null;
+
+    if (stagesToRun.length === 0) {
+        workflow.status = 'succeeded';
+        workflow.currentStage = null;
+        await saveWorkflow(workflow);
+
+        return createResponse(200, {
+            success: true,
+            message: 'All stages already completed, nothing to resume',
+            resumedStages: [],
+            ...summarizeWorkflow(workflow)
+        });
+    }
+
+    workflow.status = 'running';
+    workflow.completedAt = null;
+    await saveWorkflow(workflow);
+    await dispatchNextStage(functionName, workflow);
+
+    console.log(`⏯️ Workflow ${workflow.executionId} resumed for project ${projectId}: ${stagesToRun.join(', ')}`);
+
+    return createResponse(200, {
+        success: true,
+        resumedStages: stagesToRun,
+        ...summarizeWorkflow(workflow)
+    });
+}
+
+/**
+ * Check which stage context records already exist in the context table
+ */
+async function findExistingContextTypes(projectId) {
+    const contextTypes = PIPELINE_STAGES.map(stage => stage.contextType).filter(Boolean);
+
+    const lookups = await Promise.all(contextTypes.map(async (contextType) => {
+        const response = await dynamoClient.send(new GetItemCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            Key: marshall({
+                PK: `${contextType}#${projectId}`,
+                SK: projectId
+            })
+        }));
+
+        return response.Item ? contextType : null;
+    }));
+
+    return new Set(lookups.filter(Boolean));
+}
+
+/**
+ * Run the next pending stage and dispatch the one after it on success
+ */
+async function runNextStage(projectId, executionId, functionName) {
+    const workflow = await loadWorkflow(projectId);
+
+    if (!workflow || workflow.executionId !== executionId || workflow.status !== 'running') {
+        console.log(`⚠️ Skipping stale execution ${executionId} for project ${projectId}`);
+        return {
+            skipped: true
+        };
+    }
+
+    const stage = PIPELINE_STAGES.find(s => workflow.stages[s.name].status !== 'succeeded');
+
+    if (!stage) {
+        workflow.status = 'succeeded';
+        workflow.currentStage = null;
+        workflow.completedAt = new Date().toISOString();
+        await saveWorkflow(workflow);
+        console.log(`🎉 Workflow completed for project: ${projectId}`);
+        await notifyWebhooks('project.completed', workflow, {
+            artifacts: PIPELINE_STAGES.flatMap(s => workflow.stages[s.name].artifacts || [])
+        });
+        await notifyBatch(workflow, functionName);
+        return {
+            status: workflow.status
+        };
+    }
+
+    const stageState = workflow.stages[stage.name];
+    stageState.status = 'running';
+    stageState.attempts = (stageState.attempts || 0) + 1;
+    stageState.startedAt = new Date().toISOString();
+    stageState.completedAt = null;
+    stageState.error = null;
+    workflow.currentStage = stage.name;
+    await saveWorkflow(workflow);
+
+    console.log(`▶️ Running stage ${stage.name} for project: ${projectId}`);
+
+    let result;
+    try {
+        result = await invokeStage(stage, projectId, workflow.request);
+    } catch (error) {
+        result = {
+            success: false,
+            error: error.message,
+            body: {}
+        };
+    }
+
+    stageState.completedAt = new Date().toISOString();
+
+    if (!result.success) {
+        stageState.status = 'failed';
+        stageState.error = result.error;
+        workflow.status = 'failed';
+        workflow.lastError = {
+            stage: stage.name,
+            message: result.error,
+            at: stageState.completedAt
+        };
+        await saveWorkflow(workflow);
+        console.error(`❌ Stage ${stage.name} failed for project ${projectId}: ${result.error}`);
+        await notifyWebhooks('project.failed', workflow, {
+            stage: stage.name,
+            error: result.error
+        });
+        await notifyBatch(workflow, functionName);
+        return {
+            status: workflow.status,
+            failedStage: stage.name
+        };
+    }
+
+    stageState.status = 'succeeded';
+    stageState.artifacts = extractStageArtifacts(stage, projectId, result.body);
+    if (result.body.youtubeUrl) {
+        workflow.youtubeUrl = result.body.youtubeUrl;
+    }
+    await saveWorkflow(workflow);
+    await dispatchNextStage(functionName, workflow);
+
+    console.log(`✅ Stage ${stage.name} succeeded for project: ${projectId}`);
+    await notifyWebhooks('stage.completed', workflow, {
+        stage: stage.name,
+        artifacts: stageState.artifacts
+    });
+    if (result.body.youtubeUrl) {
+        await notifyWebhooks('project.published', workflow, {
+            stage: stage.name,
+            artifacts: stageState.artifacts
+        });
+    }
+    return {
+        status: workflow.status,
+        completedStage: stage.name
+    };
+}
+
+/**
+ * Asynchronously invoke this function to advance the workflow
+ */
+async function dispatchNextStage(functionName, workflow) {
+    await lambdaClient.send(new InvokeCommand({
+        FunctionName: functionName || process.env.WORKFLOW_ORCHESTRATOR_FUNCTION,
+        InvocationType: 'Event',
+        Payload: JSON.stringify({
+            action: RUN_NEXT_STAGE_ACTION,
+            projectId: workflow.projectId,
+            executionId: workflow.executionId
+        })
+    }));
+}
+
+/**
+ * Create the batch record and start the first `concurrency` child workflows
+ */
+async function startBatch(requestBody, functionName) {
+    const {
+        topics,
+        concurrency,
+        error
+    } = parseBatchRequest(requestBody);
+
+    if (error) {
+        return createResponse(400, {
+            success: false,
+            error
+        });
+    }
+
+    // Shared options apply to every topic; per-topic fields override them
+    const sharedRequest = buildWorkflowRequest(requestBody.options || {});
+    const projectIds = dedupeProjectIds(topics.map(entry => entry.projectId || createProjectId(entry.topic)));
+    const now = new Date().toISOString();
+
+    const batch = {
+        batchId: createBatchId(),
+        name: requestBody.name || null,
+        concurrency,
+        stageCount: PIPELINE_STAGES.length,
+        children: topics.map((entry, index) => ({
+            index,
+            topic: entry.topic,
+            projectId: projectIds[index],
+            request: buildWorkflowRequest(entry, sharedRequest),
+            status: 'queued',
+            startedAt: null
+        })),
+        version: 0,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await saveBatch(batch);
+
+    let started = batch;
+    try {
+        started = await advanceBatch(batch.batchId, functionName) || batch;
+    } catch (error) {
+        console.error(`❌ Failed to start batch ${batch.batchId}:`, error);
+        await scheduleBatchAdvance(batch.batchId, functionName);
+    }
+
+    console.log(`📦 Batch ${batch.batchId} created with ${topics.length} topics (concurrency ${concurrency})`);
+
+    return createResponse(200, {
+        success: true,
+        ...aggregateBatchStatus(started),
+        statusPath: `/batches/${batch.batchId}`,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Start queued batch children while concurrency slots are free
+ * The batch record is versioned so two children finishing together cannot
+ * both claim the same queued topic.
+ * @returns {Promise<object|null>} Updated batch, or null when it does not exist
+ * @throws When the batch changed concurrently on every attempt
+ */
+async function advanceBatch(batchId, functionName) {
+    for (let attempt = 1; attempt <= BATCH_ADVANCE_ATTEMPTS; attempt++) {
+        const batch = await loadBatch(batchId);
+        if (!batch) {
+            return null;
+        }
+
+        const toStart = selectChildrenToStart(batch, await loadChildWorkflows(batch));
+        if (toStart.length === 0) {
+            return batch;
+        }
+
+        const startedAt = new Date().toISOString();
+        toStart.forEach(child => {
+            child.status = 'started';
+            child.startedAt = startedAt;
+        });
+
+        try {
+            await saveBatch(batch, batch.version);
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                console.log(`⚠️ Batch ${batchId} changed concurrently, retrying (attempt ${attempt})`);
+                continue;
+            }
+            throw error;
+        }
+
+        const launched = [];
+        for (const child of toStart) {
+            launched.push(await launchBatchChild(batch, child, functionName));
+        }
+
+        // A child that could not launch frees its slot straight away
+        if (launched.includes(false)) {
+            return await advanceBatch(batchId, functionName) || batch;
+        }
+
+        return batch;
+    }
+
+    throw new Error(`Could not advance batch ${batchId}: it changed concurrently on all ${BATCH_ADVANCE_ATTEMPTS} attempts`);
+}
+
+/**
+ * Create and dispatch the workflow for one batch child
+ * @returns {Promise<boolean>} false when the launch failed and the child was recorded as failed
+ */
+async function launchBatchChild(batch, child, functionName) {
+    const workflow = createWorkflowRecord(child.projectId, child.request);
+    workflow.batchId = batch.batchId;
+
+    try {
+        await saveWorkflow(workflow);
+        await dispatchNextStage(functionName, workflow);
+        console.log(`▶️ Batch ${batch.batchId} started project: ${child.projectId}`);
+        return true;
+    } catch (error) {
+        // Record the failure so the child frees its concurrency slot
+        console.error(`❌ Batch ${batch.batchId} could not start project ${child.projectId}:`, error);
+        workflow.status = 'failed';
+        workflow.lastError = {
+            stage: null,
+            message: error.message,
+            at: new Date().toISOString()
+        };
+        await saveWorkflow(workflow);
+        return false;
+    }
+}
+
+/**
+ * Let the parent batch start its next topic once a child workflow finishes
+ */
+async function notifyBatch(workflow, functionName) {
+    if (!workflow.batchId) {
+        return;
+    }
+
+    try {
+        await advanceBatch(workflow.batchId, functionName);
+    } catch (error) {
+        console.error(`❌ Failed to advance batch ${workflow.batchId}:`, error);
+        await scheduleBatchAdvance(workflow.batchId, functionName);
+    }
+}
+
+/**
+ * Retry a failed batch advance in its own invocation so the queue does not stall
+ */
+async function scheduleBatchAdvance(batchId, functionName) {
+    try {
+        await lambdaClient.send(new InvokeCommand({
+            FunctionName: functionName || process.env.WORKFLOW_ORCHESTRATOR_FUNCTION,
+            InvocationType: 'Event',
+            Payload: JSON.stringify({
+                action: ADVANCE_BATCH_ACTION,
+                batchId
+            })
+        }));
+        console.log(`🔁 Scheduled another advance of batch ${batchId}`);
+    } catch (error) {
+        console.error(`❌ Could not schedule an advance of batch ${batchId}; it stays stalled until a child finishes:`, error);
+    }
+}
+
+/**
+ * Hand a pipeline event of this workflow to the Webhook Notifier
+ */
+async function notifyWebhooks(eventType, workflow, details = {}) {
+    await sendWebhookEvent({
+        event: eventType,
+        projectId: workflow.projectId,
+        executionId: workflow.executionId,
+        status: workflow.status,
+        youtubeUrl: workflow.youtubeUrl,
+        dryRun: workflow.request.dryRun === true,
+        batchId: workflow.batchId || null,
+        timestamp: new Date().toISOString(),
+        ...details
+    });
+}
+
+/**
+ * Load the workflow record of every started batch child, keyed by projectId
+ */
+async function loadChildWorkflows(batch) {
+    const started = batch.children.filter(child => child.status === 'started');
+    // Called while advancing the batch, which then sees the freed slot itself
+    const records = await Promise.all(started.map(child => loadCurrentWorkflow(child.projectId, null)));
+
+    const workflows = {};
+    started.forEach((child, index) => {
+        if (records[index]) {
+            workflows[child.projectId] = records[index];
+        }
+    });
+
+    return workflows;
+}
+
+/**
+ * Normalize start/resume options, falling back to previously known values
+ */
+function buildWorkflowRequest(requestBody, fallback = {}) {
+    // Accept both the API field names and the legacy production-pipeline names
+    const pick = (...values) => values.find(value => value !== undefined && value !== null);
+
+    return {
+        topic: pick(requestBody.topic, requestBody.baseTopic, fallback.topic),
+        targetAudience: pick(requestBody.targetAudience, fallback.targetAudience),
+        videoDuration: pick(requestBody.videoDuration, requestBody.targetDuration, fallback.videoDuration),
+        videoStyle: pick(requestBody.videoStyle, fallback.videoStyle),
+        scriptStructure: pick(requestBody.scriptStructure, fallback.scriptStructure),
+        voiceId: pick(requestBody.voiceId, fallback.voiceId),
+        language: pick(requestBody.language, fallback.language),
+        seriesId: pick(requestBody.seriesId, fallback.seriesId),
+        // Never inherited: a batch shares the series but each topic takes the next number
+        episodeNumber: requestBody.episodeNumber,
+        minVisuals: pick(requestBody.minVisuals, fallback.minVisuals),
+        privacy: pick(requestBody.privacy, fallback.privacy),
+        publishAt: pick(requestBody.publishAt, fallback.publishAt),
+        dryRun: pick(requestBody.dryRun, fallback.dryRun) === true,
+        allowDuplicate: pick(requestBody.allowDuplicate, fallback.allowDuplicate) === true,
+        // Never inherited: only the call that asks for it bypasses stage caches
+        force: requestBody.force === true,
+        metadata: pick(requestBody.metadata, fallback.metadata)
+    };
+}
+
+/**
+ * Build a fresh workflow record with every stage pending
+ */
+function createWorkflowRecord(projectId, request) {
+    const now = new Date().toISOString();
+    const stages = {};
+
+    for (const stage of PIPELINE_STAGES) {
+        stages[stage.name] = {
+            status: 'pending',
+            attempts: 0,
+            startedAt: null,
+            completedAt: null,
+            artifacts: [],
+            error: null
+        };
+    }
+
+    return {
+        projectId,
+        executionId: createExecutionId(),
+        status: 'running',
+        currentStage: null,
+        request,
+        stages,
+        lastError: null,
+        youtubeUrl: null,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Shape a workflow record for API responses
+ */
+function summarizeWorkflow(workflow) {
+    return {
+        projectId: workflow.projectId,
+        executionId: workflow.executionId,
+        status: workflow.status,
+        dryRun: workflow.request.dryRun === true,
+        currentStage: workflow.currentStage,
+        stages: PIPELINE_STAGES.map(stage => ({
+            name: stage.name,
+            ...workflow.stages[stage.name]
+        })),
+        lastError: workflow.lastError,
+        youtubeUrl: workflow.youtubeUrl,
+        createdAt: workflow.createdAt,
+        updatedAt: workflow.updatedAt,
+        completedAt: workflow.completedAt || null
+    };
+}
+
+/**
+ * Resolve projectId from API Gateway path parameters or the raw path
+ */
+function getProjectIdFromEvent(event) {
+    if (event.pathParameters && event.pathParameters.projectId) {
+        return decodeURIComponent(event.pathParameters.projectId);
+    }
+
+    const match = (event.path || '').match(/^\/workflow\/([^/]+)(\/(retry|resume))?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Resolve batchId from API Gateway path parameters or the raw path
+ */
+function getBatchIdFromEvent(event) {
+    if (event.pathParameters && event.pathParameters.batchId) {
+        return decodeURIComponent(event.pathParameters.batchId);
+    }
+
+    const match = (event.path || '').match(/^\/batches\/([^/]+)$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Resolve the trailing workflow action (retry/resume) from the path
+ */
+function getWorkflowAction(path = '') {
+    const match = path.match(/\/(retry|resume)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Retrieve context from S3
+ */
+async function retrieveContext(contextType, projectId) {
+    try {
+        // Get reference from DynamoDB
+        const response = await dynamoClient.send(new GetItemCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            Key: marshall({
+                PK: `${contextType}#${projectId}`,
+                SK: projectId
+            })
+        }));
+
+        if (!response.Item) {
+            console.log(`⚠️ No ${contextType} context found for project ${projectId}`);
+            return null;
+        }
+
+        const contextRecord = unmarshall(response.Item);
+
+        // Get context from S3
+        const s3Response = await s3Client.send(new GetObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: contextRecord.s3Location
+        }));
+
+        return JSON.parse(await s3Response.Body.transformToString());
+
+    } catch (error) {
+        console.error(`❌ Error retrieving ${contextType} context:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load workflow record from DynamoDB
+ */
+async function loadWorkflow(projectId) {
+    const response = await dynamoClient.send(new GetItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: `workflow#${projectId}`,
+            SK: projectId
+        })
+    }));
+
+    return response.Item ? unmarshall(response.Item) : null;
+}
+
+/**
+ * Load a workflow record, first failing it when its running stage has stalled
+ * @param {string|null} functionName - Set to advance the parent batch of a failed child
+ */
+async function loadCurrentWorkflow(projectId, functionName) {
+    const workflow = await loadWorkflow(projectId);
+
+    if (!failStalledStage(workflow)) {
+        return workflow;
+    }
+
+    await saveWorkflow(workflow);
+    console.error(`❌ ${workflow.lastError.message} for project ${projectId}; marked failed`);
+    await notifyWebhooks('project.failed', workflow, {
+        stage: workflow.lastError.stage,
+        error: workflow.lastError.message
+    });
+    if (functionName !== null) {
+        await notifyBatch(workflow, functionName);
+    }
+
+    return workflow;
+}
+
+/**
+ * Store workflow record in DynamoDB
+ */
+async function saveWorkflow(workflow) {
+    workflow.updatedAt = new Date().toISOString();
+
+    await dynamoClient.send(new PutItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Item: marshall({
+            ...workflow,
+            PK: `workflow#${workflow.projectId}`,
+            SK: workflow.projectId,
+            ttl: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60) // 30 days
+        }, {
+            removeUndefinedValues: true
+        })
+    }));
+}
+
+/**
+ * Load batch record from DynamoDB
+ */
+async function loadBatch(batchId) {
+    const response = await dynamoClient.send(new GetItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Key: marshall({
+            PK: `batch#${batchId}`,
+            SK: batchId
+        })
+    }));
+
+    return response.Item ? unmarshall(response.Item) : null;
+}
+
+/**
+ * Store batch record in DynamoDB, optionally only if it is still at expectedVersion
+ */
+async function saveBatch(batch, expectedVersion) {
+    const conditional = expectedVersion !== undefined;
+
+    batch.version = conditional ? expectedVersion + 1 : batch.version;
+    batch.updatedAt = new Date().toISOString();
+
+    await dynamoClient.send(new PutItemCommand({
+        TableName: process.env.CONTEXT_TABLE,
+        Item: marshall({
+            ...batch,
+            PK: `batch#${batch.batchId}`,
+            SK: batch.batchId,
+            ttl: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60) // 30 days
+        }, {
+            removeUndefinedValues: true
+        }),
+        ...(conditional ? {
+            ConditionExpression: '#version = :version',
+            ExpressionAttributeNames: {
+                '#version': 'version'
+            },
+            ExpressionAttributeValues: marshall({
+                ':version': expectedVersion
+            })
+        } : {
+            ConditionExpression: 'attribute_not_exists(PK)'
+        })
+    }));
+}
+
+/**
+ * Create batch ID
+ */
+function createBatchId() {
+    return `batch-${crypto.randomUUID()}`;
+}
+
+/**
+ * Create execution ID
+ */
+function createExecutionId() {
+    return `exec-${crypto.randomUUID()}`;
+}
+
+/**
+ * Create project ID
+ */
+function createProjectId(baseTopic) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const topicSlug = baseTopic.toLowerCase()
+        .replace(/[^a-z0-9\s]/g, '')
+        .replace(/\s+/g, '-')
+        .slice(0, 30);
+
+    return `${timestamp}_${topicSlug}`;
+}
+
+/**
+ * Create HTTP response
+ */
+function createResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+            'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+        },
+        body: JSON.stringify(body, null, 2)
+    };
+}
@@ -0,0 +1,188 @@
+/**
+ * Pipeline Stage Invocation - Workflow Orchestrator
+ *
+ * Invokes the stages defined in pipeline-shared/pipeline-stages and tracks
+ * what each one produced. Stage Lambdas are invoked with the same
+ * API Gateway-shaped payload they receive over HTTP, so no agent needs a
+ * separate orchestration entry point.
+ */
+
+const {
+    LambdaClient,
+    InvokeCommand
+} = require('@aws-sdk/client-lambda');
+const {
+    PIPELINE_STAGES
+} = require('pipeline-shared/pipeline-stages');
+
+const lambdaClient = new LambdaClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+// Allowance on top of a stage's timeout for invoke and bookkeeping latency
+const STALLED_STAGE_GRACE_SECONDS = 60;
+
+/**
+ * Invoke a stage Lambda synchronously and normalize its HTTP-style response
+ */
+async function invokeStage(stage, projectId, request) {
+    const functionName = process.env[stage.functionEnv];
+
+    if (!functionName) {
+        throw new Error(`No function configured for stage ${stage.name} (${stage.functionEnv})`);
+    }
+
+    const payload = {
+        httpMethod: 'POST',
+        path: stage.path,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            ...stage.buildBody(projectId, request),
+            force: request.force,
+            dryRun: request.dryRun
+        })
+    };
+
+    const response = await lambdaClient.send(new InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'RequestResponse',
+        Payload: JSON.stringify(payload)
+    }));
+
+    const result = response.Payload ? JSON.parse(new TextDecoder().decode(response.Payload)) : {};
+
+    if (response.FunctionError) {
+        return {
+            success: false,
+            statusCode: 500,
+            error: result.errorMessage || response.FunctionError,
+            body: {}
+        };
+    }
+
+    let responseBody = {};
+    try {
+        responseBody = typeof result.body === 'string' ? JSON.parse(result.body) : (result.body || {});
+    } catch (error) {
+        responseBody = {
+            raw: result.body
+        };
+    }
+
+    const success = result.statusCode === 200 && responseBody.success !== false;
+
+    return {
+        success,
+        statusCode: result.statusCode,
+        error: success ? null : (responseBody.error || `Stage returned status ${result.statusCode}`),
+        body: responseBody
+    };
+}
+
+/**
+ * Collect the S3 keys a stage produced from its response
+ */
+function extractStageArtifacts(stage, projectId, responseBody = {}) {
+    const artifacts = [];
+
+    if (stage.contextType) {
+        artifacts.push(`videos/${projectId}/01-context/${stage.contextType}-context.json`);
+    }
+
+    if (stage.name === 'script-generator') {
+        artifacts.push(`videos/${projectId}/02-script/script.json`);
+    }
+    if (stage.name === 'audio-generator') {
+        artifacts.push(`videos/${projectId}/04-audio/narration.mp3`);
+    }
+    if (responseBody.manifestPath) {
+        artifacts.push(responseBody.manifestPath);
+    }
+    if (responseBody.filesCreated) {
+        artifacts.push(...Object.values(responseBody.filesCreated));
+    }
+    if (responseBody.metadataFiles) {
+        artifacts.push(...responseBody.metadataFiles);
+    }
+
+    return [...new Set(artifacts)];
+}
+
+/**
+ * Decide which stages a resumed run must execute
+ *
+ * A stage re-runs when its context record is missing, when it failed or was
+ * interrupted in the previous run, or when it is at or after fromStage.
+ * Stages without a context record (YouTube Publisher) rely on the workflow
+ * record alone.
+ */
+function planResumeStages(stageStates = {}, existingContextTypes = new Set(), fromStage = null) {
+    const fromIndex = fromStage ? PIPELINE_STAGES.findIndex(stage => stage.name === fromStage) : -1;
+
+    return PIPELINE_STAGES.filter((stage, index) => {
+        if (fromIndex !== -1 && index >= fromIndex) {
+            return true;
+        }
+
+        const state = stageStates[stage.name];
+        if (state && (state.status === 'failed' || state.status === 'running')) {
+            return true;
+        }
+
+        if (stage.contextType) {
+            return !existingContextTypes.has(stage.contextType);
+        }
+
+        return !(state && state.status === 'succeeded');
+    }).map(stage => stage.name);
+}
+
+/**
+ * Fail a workflow whose running stage has outlived its function timeout
+ * The orchestrator waits for each stage in one invocation; when that
+ * invocation is killed first, nothing records the outcome and the stage
+ * would stay 'running' forever.
+ * @returns {boolean} Whether the workflow was marked failed
+ */
+function failStalledStage(workflow, now = new Date()) {
+    if (!workflow || workflow.status !== 'running') {
+        return false;
+    }
+
+    const stage = PIPELINE_STAGES.find(candidate => {
+        const state = workflow.stages[candidate.name];
+        const deadline = state && state.startedAt ?
+            new Date(state.startedAt).getTime() + (candidate.timeoutSeconds + STALLED_STAGE_GRACE_SECONDS) * 1000 :
+            null;
+        return state && state.status === 'running' && deadline !== null && now.getTime() > deadline;
+    });
+
+    if (!stage) {
+        return false;
+    }
+
+    const stageState = workflow.stages[stage.name];
+    const message = `Stage ${stage.name} did not finish within its ${stage.timeoutSeconds}s timeout`;
+
+    stageState.status = 'failed';
+    stageState.error = message;
+    stageState.completedAt = now.toISOString();
+    workflow.status = 'failed';
+    workflow.lastError = {
+        stage: stage.name,
+        message,
+        at: stageState.completedAt
+    };
+
+    return true;
+}
+
+module.exports = {
+    PIPELINE_STAGES,
+    invokeStage,
+    extractStageArtifacts,
+    planResumeStages,
+    failStalledStage
+};
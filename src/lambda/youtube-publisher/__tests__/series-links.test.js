@@ -0,0 +1,90 @@
+/* eslint-env jest */
+/**
+ * Series Links Tests
+ */
+
+const {
+    buildEpisodeLinks,
+    applySeriesBranding
+} = require('../series-links');
+
+const series = {
+    seriesId: 'series-france',
+    title: 'France travel',
+    branding: {
+        titlePrefix: 'France Travel | ',
+        descriptionFooter: 'Subscribe for the whole series!',
+        tags: ['france travel', 'Paris']
+    },
+    episodes: [{
+        episodeNumber: 2,
+        projectId: 'lyon',
+        topic: 'Lyon food guide'
+    }, {
+        episodeNumber: 1,
+        projectId: 'paris',
+        topic: 'Paris in 3 days',
+        youtubeUrl: 'https://www.youtube.com/watch?v=paris'
+    }, {
+        episodeNumber: 3,
+        projectId: 'nice',
+        topic: 'Nice on a budget'
+    }]
+};
+
+describe('buildEpisodeLinks', () => {
+    test('links the previous and next episodes in episode order', () => {
+        expect(buildEpisodeLinks(series, 'lyon')).toEqual({
+            seriesTitle: 'France travel',
+            episodeNumber: 2,
+            episodeCount: 3,
+            previous: {
+                episodeNumber: 1,
+                projectId: 'paris',
+                title: 'Paris in 3 days',
+                youtubeUrl: 'https://www.youtube.com/watch?v=paris'
+            },
+            next: {
+                episodeNumber: 3,
+                projectId: 'nice',
+                title: 'Nice on a budget',
+                youtubeUrl: null
+            }
+        });
+        expect(buildEpisodeLinks(series, 'paris').previous).toBeNull();
+        expect(buildEpisodeLinks(series, 'marseille')).toBeNull();
+        expect(buildEpisodeLinks(null, 'lyon')).toBeNull();
+    });
+});
+
+describe('applySeriesBranding', () => {
+    test('prefixes the title, appends episode lines and footer, and puts series tags first', () => {
+        const branded = applySeriesBranding({
+            title: 'Lyon food guide',
+            description: 'Where to eat in Lyon.',
+            tags: ['lyon', 'paris']
+        }, series, buildEpisodeLinks(series, 'lyon'));
+
+        expect(branded.title).toBe('France Travel | Lyon food guide');
+        expect(branded.description).toBe([
+            'Where to eat in Lyon.',
+            [
+                '📺 Episode 2 of 3 in "France travel"',
+                '⏮️ Previous episode: Paris in 3 days - https://www.youtube.com/watch?v=paris',
+                '⏭️ Next episode: Nice on a budget (coming soon)'
+            ].join('\n'),
+            'Subscribe for the whole series!'
+        ].join('\n\n'));
+        expect(branded.tags).toEqual(['france travel', 'Paris', 'lyon']);
+    });
+
+    test('leaves metadata unchanged outside a series', () => {
+        const metadata = {
+            title: 'France Travel | Lyon',
+            description: 'Where to eat.',
+            tags: ['lyon']
+        };
+        expect(applySeriesBranding(metadata, null, null)).toEqual(metadata);
+        expect(applySeriesBranding(metadata, series, null).title).toBe('France Travel | Lyon');
+    });
+});
@@ -71,12 +71,39 @@
 const {
     S3Client,
     PutObjectCommand,
+    GetObjectCommand,
     ListObjectsV2Command
 } = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient,
+    GetItemCommand,
+    UpdateItemCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const {
+    checkStageCache,
+    saveStageCache,
+    cachedResponse
+} = require('pipeline-shared/stage-cache');
+const {
+    optimizeTitle,
+    addTrendingTags,
+    tagsFromSeoContext
+} = require('./metadata-optimizer');
+const {
+    buildEpisodeLinks,
+    applySeriesBranding
+} = require('./series-links');
 
 const s3Client = new S3Client({
     region: process.env.AWS_REGION || 'us-east-1'
 });
+const dynamoClient = new DynamoDBClient({
+    region: process.env.AWS_REGION || 'us-east-1'
+});
 
 const S3_BUCKET = process.env.S3_BUCKET_NAME || process.env.S3_BUCKET;
 
@@ -111,33 +138,119 @@ const handler = async (event) => {
 
         const {
             projectId,
-            privacy = 'unlisted',
-            metadata = {}
+            publishAt = null,
+            metadata = {},
+            dryRun = false,
+            force = false
         } = requestBody;
 
+        // YouTube only honours a scheduled publish time on private videos
+        const privacy = publishAt ? 'private' : (requestBody.privacy || 'unlisted');
+
         const videoId = 'yt-' + Date.now();
         const youtubeUrl = 'https://www.youtube.com/watch?v=' + videoId;
 
         try {
             console.log('Starting simplified metadata creation for project:', projectId);
 
+            // Series episodes link to their neighbours in the current episode order
+            const topicContext = await loadTopicContext(projectId);
+            const series = topicContext.series ? await loadSeries(topicContext.series.seriesId) : null;
+            const episodeLinks = buildEpisodeLinks(series, projectId);
+
+            // Never publish the same video twice for unchanged inputs
+            const cache = await checkStageCache({
+                stage: 'youtube-publisher',
+                projectId,
+                options: {
+                    privacy,
+                    publishAt,
+                    metadata,
+                    episodeLinks,
+                    dryRun
+                },
+                inputKeys: [
+                    'videos/' + projectId + '/01-context/video-context.json',
+                    'videos/' + projectId + '/01-context/topic-context.json'
+                ],
+                outputKeys: ['videos/' + projectId + '/06-metadata/youtube-metadata.json'],
+                force
+            });
+
+            if (cache.hit) {
+                return {
+                    statusCode: 200,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*'
+                    },
+                    body: JSON.stringify(cachedResponse(cache))
+                };
+            }
+
             // Step 1: Analyze project content
             const projectAnalysis = await analyzeProject(projectId);
             console.log('Project analysis complete:', projectAnalysis.totalFiles, 'files');
 
-            // Step 2: Create YouTube metadata
+            // Step 2: Create YouTube metadata, using topic keywords and trends where the caller left room
+            const trendData = topicContext.trendData || null;
+            // A deleted series record still leaves the snapshot's branding and playlist
+            const seriesSettings = series || topicContext.series || null;
+            const branded = applySeriesBranding({
+                title: metadata.title || optimizeTitle('AI Generated Video - ' + projectId, trendData),
+                description: metadata.description || 'Automated video created by AI pipeline',
+                tags: metadata.tags || tagsFromSeoContext(topicContext.seoContext) || ['ai', 'automated', 'video']
+            }, seriesSettings, episodeLinks);
             const youtubeMetadata = {
                 videoId: videoId,
                 youtubeUrl: youtubeUrl,
                 projectId: projectId,
-                title: metadata.title || 'AI Generated Video - ' + projectId,
-                description: metadata.description || 'Automated video created by AI pipeline',
-                tags: metadata.tags || ['ai', 'automated', 'video'],
+                title: branded.title,
+                description: branded.description,
+                tags: addTrendingTags(branded.tags, trendData),
+                playlistId: (seriesSettings && seriesSettings.playlistId) || null,
+                series: episodeLinks ? {
+                    seriesId: series.seriesId,
+                    ...episodeLinks
+                } : null,
+                defaultLanguage: topicContext.language || 'en',
+                defaultAudioLanguage: topicContext.language || 'en',
                 privacy: privacy,
+                publishAt: publishAt,
                 createdAt: new Date().toISOString(),
                 status: 'metadata-ready'
             };
 
+            // Dry run: report what would be published without writing or uploading anything
+            if (dryRun) {
+                return {
+                    statusCode: 200,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*'
+                    },
+                    body: JSON.stringify({
+                        success: true,
+                        projectId: projectId,
+                        dryRun: true,
+                        privacy: privacy,
+                        publishAt: publishAt,
+                        metadata: {
+                            ...youtubeMetadata,
+                            videoId: null,
+                            youtubeUrl: null,
+                            status: 'dry-run'
+                        },
+                        projectAnalysis: {
+                            totalFiles: projectAnalysis.totalFiles,
+                            totalSize: projectAnalysis.totalSize
+                        },
+                        timestamp: new Date().toISOString(),
+                        status: 'dry-run'
+                    })
+                };
+            }
+
             // Step 3: Create project summary
             const projectSummary = {
                 projectId: projectId,
@@ -158,27 +271,38 @@ const handler = async (event) => {
             await uploadToS3(summaryKey, JSON.stringify(projectSummary, null, 2));
             console.log('Project summary uploaded:', summaryKey);
 
+            // Lets the following episodes link back to this one
+            if (episodeLinks) {
+                await recordPublishedEpisode(series, projectId, videoId, youtubeUrl);
+            }
+
+            const responseBody = {
+                success: true,
+                videoId: videoId,
+                youtubeUrl: youtubeUrl,
+                projectId: projectId,
+                privacy: privacy,
+                publishAt: publishAt,
+                mode: 'simplified-metadata-creation',
+                metadataFiles: [youtubeKey, summaryKey],
+                projectAnalysis: {
+                    totalFiles: projectAnalysis.totalFiles,
+                    totalSize: projectAnalysis.totalSize
+                },
+                timestamp: new Date().toISOString(),
+                status: 'ready-for-upload',
+                fingerprint: cache.fingerprint
+            };
+
+            await saveStageCache(cache, responseBody);
+
             return {
                 statusCode: 200,
                 headers: {
                     'Content-Type': 'application/json',
                     'Access-Control-Allow-Origin': '*'
                 },
-                body: JSON.stringify({
-                    success: true,
-                    videoId: videoId,
-                    youtubeUrl: youtubeUrl,
-                    projectId: projectId,
-                    privacy: privacy,
-                    mode: 'simplified-metadata-creation',
-                    metadataFiles: [youtubeKey, summaryKey],
-                    projectAnalysis: {
-                        totalFiles: projectAnalysis.totalFiles,
-                        totalSize: projectAnalysis.totalSize
-                    },
-                    timestamp: new Date().toISOString(),
-                    status: 'ready-for-upload'
-                })
+                body: JSON.stringify(responseBody)
             };
 
         } catch (error) {
@@ -259,6 +383,79 @@ async function analyzeProject(projectId) {
     }
 }
 
+/**
+ * The project's topic context (seoContext, trendData), or an empty object
+ */
+async function loadTopicContext(projectId) {
+    try {
+        const response = await s3Client.send(new GetObjectCommand({
+            Bucket: S3_BUCKET,
+            Key: 'videos/' + projectId + '/01-context/topic-context.json'
+        }));
+        return JSON.parse(await response.Body.transformToString());
+    } catch (error) {
+        // Metadata falls back to the caller's values without a topic context
+        console.log('No topic context for project:', projectId, error.message);
+        return {};
+    }
+}
+
+/**
+ * A Topic Management series record, or null when it no longer exists
+ */
+async function loadSeries(seriesId) {
+    try {
+        const response = await dynamoClient.send(new GetItemCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            Key: marshall({
+                PK: 'series',
+                SK: seriesId
+            })
+        }));
+        return response.Item ? unmarshall(response.Item) : null;
+    } catch (error) {
+        // Publishing goes ahead with the topic context's series snapshot
+        console.log('Could not load series:', seriesId, error.message);
+        return null;
+    }
+}
+
+/**
+ * Store the episode's YouTube URL on the series record
+ *
+ * The condition guards against the episode list having been reordered
+ * since the series was read; the links are then filled in on a later publish.
+ */
+async function recordPublishedEpisode(series, projectId, videoId, youtubeUrl) {
+    const index = series.episodes.findIndex(episode => episode.projectId === projectId);
+
+    try {
+        await dynamoClient.send(new UpdateItemCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            Key: marshall({
+                PK: 'series',
+                SK: series.seriesId
+            }),
+            // Bumping the version makes Topic Management's versioned series writes re-read instead of dropping the URL
+            UpdateExpression: `SET episodes[${index}].videoId = :videoId, episodes[${index}].youtubeUrl = :youtubeUrl, episodes[${index}].publishedAt = :now, #version = if_not_exists(#version, :zero) + :one`,
+            ConditionExpression: `episodes[${index}].projectId = :projectId`,
+            ExpressionAttributeNames: {
+                '#version': 'version'
+            },
+            ExpressionAttributeValues: marshall({
+                ':videoId': videoId,
+                ':youtubeUrl': youtubeUrl,
+                ':now': new Date().toISOString(),
+                ':projectId': projectId,
+                ':zero': 0,
+                ':one': 1
+            })
+        }));
+    } catch (error) {
+        console.log('Could not record published episode on series:', series.seriesId, error.message);
+    }
+}
+
 /**
  * Upload to S3
  */
@@ -0,0 +1,95 @@
+/**
+ * Metadata Optimizer - YouTube Publisher
+ *
+ * Title and tag optimization shared by the publisher handler and
+ * YouTubeService. trendData is produced by the Trend Ingestion Lambda and
+ * stored by Topic Management in topic-context.json, next to the seoContext
+ * keyword clusters.
+ */
+
+const MAX_TITLE_LENGTH = 100;
+const TITLE_KEYWORD_SPACE = 80;
+const MAX_TRENDING_TAGS = 5;
+const MAX_TAGS = 15;
+const MAX_TAG_CHARACTERS = 500;
+
+// Clusters in the order their keywords become tags
+const TAG_CLUSTERS = ['primary', 'longTail', 'secondary', 'question'];
+
+/**
+ * Optimize title for YouTube algorithm
+ */
+function optimizeTitle(originalTitle, trendData) {
+    if (!originalTitle) return 'Automated Video Content';
+
+    // Ensure title is within YouTube limits (100 characters)
+    let optimizedTitle = originalTitle.substring(0, MAX_TITLE_LENGTH);
+
+    // Add trending keywords if space allows
+    if (trendData && trendData.hotKeywords && optimizedTitle.length < TITLE_KEYWORD_SPACE) {
+        const trendingKeyword = trendData.hotKeywords[0];
+        if (trendingKeyword && !optimizedTitle.toLowerCase().includes(trendingKeyword.toLowerCase())) {
+            optimizedTitle = `${optimizedTitle} | ${trendingKeyword}`.substring(0, MAX_TITLE_LENGTH);
+        }
+    }
+
+    return optimizedTitle;
+}
+
+/**
+ * Append trending keywords to tags, deduplicated and capped at 15
+ */
+function addTrendingTags(originalTags = [], trendData) {
+    const tags = [...originalTags];
+
+    if (trendData && trendData.hotKeywords) {
+        tags.push(...trendData.hotKeywords.slice(0, MAX_TRENDING_TAGS));
+    }
+
+    // Remove duplicates and limit to 15 tags (YouTube recommendation)
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Tags from the topic's keyword clusters, or null when it has none
+ * Keeps within YouTube's 500 character limit for all tags together.
+ */
+function tagsFromSeoContext(seoContext) {
+    const clusters = seoContext && seoContext.keywordClusters;
+
+    if (!clusters) {
+        return null;
+    }
+
+    const tags = [];
+    let characters = 0;
+
+    for (const keyword of TAG_CLUSTERS.flatMap(cluster => (clusters[cluster] || []).map(entry => entry.keyword))) {
+        if (tags.length >= MAX_TAGS || tags.includes(keyword) || characters + keyword.length > MAX_TAG_CHARACTERS) {
+            continue;
+        }
+        tags.push(keyword);
+        characters += keyword.length;
+    }
+
+    return tags.length > 0 ? tags : null;
+}
+
+/**
+ * Generate strategic tags for YouTube SEO
+ */
+function generateStrategicTags(originalTags = [], trendData) {
+    const tags = addTrendingTags(originalTags, trendData);
+
+    // Add general tags
+    tags.push('automated content', 'ai generated', '2025');
+
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+module.exports = {
+    optimizeTitle,
+    addTrendingTags,
+    tagsFromSeoContext,
+    generateStrategicTags
+};
@@ -0,0 +1,101 @@
+/**
+ * Series Links - YouTube Publisher
+ *
+ * Episode cross-links and shared branding for projects that belong to a
+ * Topic Management series. The series record (PK 'series', SK seriesId) is
+ * read at publish time so links follow the current episode order; each
+ * published episode's youtubeUrl is written back to it so later episodes can
+ * link to earlier ones.
+ */
+
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Position of a project in its series with the neighbouring episodes
+ * @returns {object|null} null when the project is not an episode of the series
+ */
+function buildEpisodeLinks(series, projectId) {
+    const episodes = [...((series && series.episodes) || [])].sort((a, b) => a.episodeNumber - b.episodeNumber);
+    const index = episodes.findIndex(episode => episode.projectId === projectId);
+
+    if (index === -1) {
+        return null;
+    }
+
+    const toLink = episode => (episode ? {
+        episodeNumber: episode.episodeNumber,
+        projectId: episode.projectId,
+        title: episode.title || episode.topic,
+        youtubeUrl: episode.youtubeUrl || null
+    } : null);
+
+    return {
+        seriesTitle: series.title,
+        episodeNumber: episodes[index].episodeNumber,
+        episodeCount: episodes.length,
+        previous: toLink(episodes[index - 1]),
+        next: toLink(episodes[index + 1])
+    };
+}
+
+/**
+ * Description lines for the series and the previous/next episodes
+ */
+function buildEpisodeLines(links) {
+    if (!links) {
+        return [];
+    }
+
+    const lines = [`📺 Episode ${links.episodeNumber} of ${links.episodeCount} in "${links.seriesTitle}"`];
+
+    if (links.previous) {
+        lines.push(`⏮️ Previous episode: ${links.previous.title}${links.previous.youtubeUrl ? ` - ${links.previous.youtubeUrl}` : ''}`);
+    }
+
+    if (links.next) {
+        lines.push(`⏭️ Next episode: ${links.next.title}${links.next.youtubeUrl ? ` - ${links.next.youtubeUrl}` : ' (coming soon)'}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Title, description and tags with the series branding and episode links applied
+ * @param {object} metadata - { title, description, tags }
+ * @param {object} series - series record, or the topic context's series snapshot
+ * @param {object} links - buildEpisodeLinks result, or null
+ */
+function applySeriesBranding(metadata, series, links) {
+    const branding = (series && series.branding) || {};
+    const prefix = branding.titlePrefix || '';
+    const title = prefix && !metadata.title.startsWith(prefix) ?
+        `${prefix}${metadata.title}`.substring(0, MAX_TITLE_LENGTH) : metadata.title;
+
+    const description = [
+        metadata.description,
+        buildEpisodeLines(links).join('\n'),
+        branding.descriptionFooter
+    ].filter(Boolean).join('\n\n');
+
+    const seen = new Set();
+    const tags = [...(branding.tags || []), ...metadata.tags].filter(tag => {
+        const key = tag.toLowerCase();
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+
+    return {
+        title,
+        description,
+        tags
+    };
+}
+
+module.exports = {
+    buildEpisodeLinks,
+    buildEpisodeLines,
+    applySeriesBranding
+};
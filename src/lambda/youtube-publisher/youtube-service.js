@@ -26,6 +26,10 @@ const {
 const {
     YouTubeOAuthManager
 } = require('./oauth-manager');
+const {
+    optimizeTitle,
+    generateStrategicTags
+} = require('./metadata-optimizer');
 const fs = require('fs');
 const path = require('path');
 
@@ -85,7 +89,10 @@ class YouTubeService {
             tags = [],
             thumbnail = null,
             privacy = 'public',
-            category = '22' // People & Blogs
+            publishAt = null,
+            category = '22', // People & Blogs
+            language = 'en',
+            playlistId = null
         } = publishRequest;
 
         try {
@@ -125,7 +132,9 @@ class YouTubeService {
                 description,
                 tags,
                 privacy,
-                category
+                publishAt,
+                category,
+                language
             });
 
             // Step 3: Upload thumbnail if provided
@@ -133,6 +142,11 @@ class YouTubeService {
                 await this.uploadThumbnail(youtubeVideoId, thumbnail);
             }
 
+            // Series episodes join the series playlist
+            if (playlistId) {
+                await this.addToPlaylist(youtubeVideoId, playlistId);
+            }
+
             // Step 4: Update record with success
             uploadRecord.status = 'completed';
             uploadRecord.youtubeVideoId = youtubeVideoId;
@@ -252,7 +266,9 @@ class YouTubeService {
             title,
             description,
             tags,
-            privacy = 'unlisted'
+            privacy = 'unlisted',
+            language = 'en',
+            playlistId = null
         } = publishRequest;
 
         console.log('📝 Creating metadata-only response...');
@@ -271,7 +287,10 @@ class YouTubeService {
                 description: description || 'AI-generated video content ready for upload.',
                 tags: tags || ['ai-generated', 'automated-content'],
                 privacy: privacy,
-                category: '22' // People & Blogs
+                category: '22', // People & Blogs
+                defaultLanguage: language,
+                defaultAudioLanguage: language,
+                playlistId
             },
             uploadInstructions: {
                 steps: [
@@ -281,7 +300,8 @@ class YouTubeService {
                     '4. Upload the video file',
                     '5. Use the provided metadata (title, description, tags)',
                     '6. Set privacy to: ' + privacy,
-                    '7. Publish the video'
+                    '7. Publish the video',
+                    ...(playlistId ? ['8. Add it to playlist: ' + playlistId] : [])
                 ],
                 videoLocation: publishRequest.videoFilePath || `videos/${videoId}/05-video/final-video.mp4`,
                 thumbnailLocation: publishRequest.thumbnail || `videos/${videoId}/03-media/scene-1/images/best-image.jpg`
@@ -322,7 +342,9 @@ class YouTubeService {
             description,
             tags,
             privacy,
-            category
+            publishAt,
+            category,
+            language = 'en'
         } = uploadParams;
 
         try {
@@ -336,11 +358,15 @@ class YouTubeService {
                         description: description,
                         tags: tags,
                         categoryId: category,
-                        defaultLanguage: 'en',
-                        defaultAudioLanguage: 'en'
+                        defaultLanguage: language,
+                        defaultAudioLanguage: language
                     },
                     status: {
-                        privacyStatus: privacy,
+                        // A scheduled video must stay private until publishAt
+                        privacyStatus: publishAt ? 'private' : privacy,
+                        ...(publishAt ? {
+                            publishAt
+                        } : {}),
                         selfDeclaredMadeForKids: false
                     }
                 },
@@ -393,6 +419,34 @@ class YouTubeService {
         }
     }
 
+    /**
+     * Add an uploaded video to the end of a playlist
+     */
+    async addToPlaylist(youtubeVideoId, playlistId) {
+        try {
+            console.log(`📺 Adding video ${youtubeVideoId} to playlist: ${playlistId}`);
+
+            await this.youtube.playlistItems.insert({
+                part: ['snippet'],
+                requestBody: {
+                    snippet: {
+                        playlistId,
+                        resourceId: {
+                            kind: 'youtube#video',
+                            videoId: youtubeVideoId
+                        }
+                    }
+                }
+            });
+
+            console.log('✅ Video added to playlist');
+
+        } catch (error) {
+            console.error('❌ Adding video to playlist failed:', error);
+            // Don't throw - the video itself is published
+        }
+    }
+
     /**
      * Download video file from S3 to local temp directory
      */
@@ -527,23 +581,10 @@ class YouTubeService {
     }
 
     /**
-     * Optimize title for YouTube algorithm
+     * Optimize title for YouTube algorithm (see metadata-optimizer.js)
      */
     optimizeTitle(originalTitle, trendData) {
-        if (!originalTitle) return 'Automated Video Content';
-
-        // Ensure title is within YouTube limits (100 characters)
-        let optimizedTitle = originalTitle.substring(0, 100);
-
-        // Add trending keywords if space allows
-        if (trendData && trendData.hotKeywords && optimizedTitle.length < 80) {
-            const trendingKeyword = trendData.hotKeywords[0];
-            if (trendingKeyword && !optimizedTitle.toLowerCase().includes(trendingKeyword.toLowerCase())) {
-                optimizedTitle = `${optimizedTitle} | ${trendingKeyword}`;
-            }
-        }
-
-        return optimizedTitle;
+        return optimizeTitle(originalTitle, trendData);
     }
 
     /**
@@ -575,23 +616,10 @@ class YouTubeService {
     }
 
     /**
-     * Generate strategic tags for YouTube SEO
+     * Generate strategic tags for YouTube SEO (see metadata-optimizer.js)
      */
     generateStrategicTags(originalTags = [], trendData) {
-        let tags = [...originalTags];
-
-        // Add trending keywords as tags
-        if (trendData && trendData.hotKeywords) {
-            tags.push(...trendData.hotKeywords.slice(0, 5));
-        }
-
-        // Add general tags
-        tags.push('automated content', 'ai generated', '2025');
-
-        // Remove duplicates and limit to 15 tags (YouTube recommendation)
-        tags = [...new Set(tags)].slice(0, 15);
-
-        return tags;
+        return generateStrategicTags(originalTags, trendData);
     }
 
     /**
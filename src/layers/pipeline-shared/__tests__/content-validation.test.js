@@ -0,0 +1,94 @@
+/* eslint-env jest */
+/**
+ * Content Validation Tests
+ */
+
+const {
+    TOPIC_REQUEST_SCHEMA,
+    SCRIPT_REQUEST_SCHEMA,
+    getContentRules,
+    validateSchema,
+    validateContent
+} = require('../content-validation');
+
+const rules = getContentRules((key, defaultValue) => (key === 'content.validation' ? {
+    minTitleLength: 30,
+    maxTitleLength: 100,
+    requiredElements: ['hook', 'title', 'keywords']
+} : defaultValue));
+
+describe('validateSchema', () => {
+    test('accepts a valid topic request', () => {
+        expect(validateSchema({
+            topic: 'Spain travel on a budget',
+            projectId: '2025-01-01T10-00-00_spain-travel',
+            videoDuration: 300,
+            autoChain: true,
+            episodeNumber: 2
+        }, TOPIC_REQUEST_SCHEMA)).toEqual([]);
+    });
+
+    test('lists every violated rule at once', () => {
+        const violations = validateSchema({
+            topic: '   ',
+            projectId: '../other-project',
+            videoDuration: 5,
+            autoChain: 'yes',
+            episodeNumber: 1.5
+        }, TOPIC_REQUEST_SCHEMA);
+
+        expect(violations.map(violation => [violation.field, violation.rule])).toEqual([
+            ['topic', 'required'],
+            ['projectId', 'pattern'],
+            ['videoDuration', 'min'],
+            ['autoChain', 'type'],
+            ['episodeNumber', 'type']
+        ]);
+        expect(violations[3].message).toBe('autoChain must be a boolean');
+    });
+
+    test('checks nested fields and non-object bodies', () => {
+        expect(validateSchema({
+            scriptOptions: {
+                targetLength: '300'
+            }
+        }, SCRIPT_REQUEST_SCHEMA)).toEqual([{
+            field: 'projectId',
+            rule: 'required',
+            message: 'projectId is required'
+        }, {
+            field: 'scriptOptions.targetLength',
+            rule: 'type',
+            message: 'scriptOptions.targetLength must be a number'
+        }]);
+        expect(validateSchema(null, SCRIPT_REQUEST_SCHEMA)[0].message).toBe('body must be a JSON object');
+    });
+});
+
+describe('validateContent', () => {
+    test('checks title bounds and only the elements the stage produces', () => {
+        expect(validateContent({
+            title: 'Complete Guide: Spain',
+            hook: ''
+        }, rules, ['title', 'hook'])).toEqual([{
+            field: 'hook',
+            rule: 'requiredElements',
+            message: 'hook is a required element'
+        }, {
+            field: 'title',
+            rule: 'minTitleLength',
+            message: 'title must be at least 30 characters (got 21)'
+        }]);
+        expect(validateContent({
+            keywords: ['spain travel']
+        }, rules, ['keywords'])).toEqual([]);
+    });
+
+    test('falls back to the default rules without config', () => {
+        expect(getContentRules((key, defaultValue) => defaultValue)).toEqual({
+            minTitleLength: 30,
+            maxTitleLength: 100,
+            requiredElements: []
+        });
+    });
+});
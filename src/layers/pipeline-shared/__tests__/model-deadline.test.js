@@ -0,0 +1,61 @@
+/* eslint-env jest */
+/**
+ * Model Deadline Tests
+ */
+
+const {
+    API_GATEWAY_TIMEOUT_MS,
+    getModelDeadline,
+    getAttemptTimeout
+} = require('../model-deadline');
+
+const lambdaContext = remaining => ({
+    getRemainingTimeInMillis: () => remaining
+});
+
+describe('getModelDeadline', () => {
+    test('uses the Lambda time left for direct invocations', () => {
+        const deadline = getModelDeadline({}, lambdaContext(300000));
+
+        expect(deadline - Date.now()).toBeGreaterThan(API_GATEWAY_TIMEOUT_MS);
+        expect(deadline - Date.now()).toBeLessThan(300000);
+    });
+
+    test('stays under the API Gateway limit for API requests', () => {
+        const deadline = getModelDeadline({
+            requestContext: {}
+        }, lambdaContext(300000));
+
+        expect(deadline - Date.now()).toBeLessThan(API_GATEWAY_TIMEOUT_MS);
+    });
+
+    test('is null without a Lambda context', () => {
+        expect(getModelDeadline({}, undefined)).toBeNull();
+    });
+});
+
+describe('getAttemptTimeout', () => {
+    const model = {
+        id: 'primary-model',
+        timeout: 300000
+    };
+
+    test('uses the configured timeout without a deadline', () => {
+        expect(getAttemptTimeout(model, null, 2)).toBe(300000);
+        expect(getAttemptTimeout({
+            id: 'fallback-model'
+        }, null)).toBe(60000);
+    });
+
+    test('splits the time left between the remaining calls', () => {
+        const timeout = getAttemptTimeout(model, Date.now() + 20000, 2);
+
+        expect(timeout).toBeGreaterThan(9000);
+        expect(timeout).toBeLessThanOrEqual(10000);
+    });
+
+    test('returns 0 when an attempt could not finish', () => {
+        expect(getAttemptTimeout(model, Date.now() + 1000)).toBe(0);
+        expect(getAttemptTimeout(model, Date.now() - 1000)).toBe(0);
+    });
+});
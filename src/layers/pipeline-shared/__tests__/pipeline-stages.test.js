@@ -0,0 +1,29 @@
+/* eslint-env jest */
+/**
+ * Pipeline Stages Tests
+ */
+
+const {
+    PIPELINE_STAGES
+} = require('../pipeline-stages');
+
+describe('PIPELINE_STAGES', () => {
+    test('lists every stage once, in execution order', () => {
+        expect(PIPELINE_STAGES.map(stage => stage.name)).toEqual([
+            'topic-management',
+            'script-generator',
+            'media-curator',
+            'audio-generator',
+            'manifest-builder',
+            'video-assembler',
+            'youtube-publisher'
+        ]);
+    });
+
+    test('only requires context written by an earlier stage', () => {
+        PIPELINE_STAGES.forEach((stage, index) => {
+            const earlier = PIPELINE_STAGES.slice(0, index).map(candidate => candidate.contextType);
+            stage.requires.forEach(contextType => expect(earlier).toContain(contextType));
+        });
+    });
+});
@@ -0,0 +1,29 @@
+/* eslint-env jest */
+/**
+ * S3 Folder Structure Tests
+ */
+
+const {
+    getProjectPaths,
+    parseProjectFolder
+} = require('../s3-folder-structure');
+
+describe('S3 folder structure', () => {
+    test('getProjectPaths places context files and stage folders under the project', () => {
+        const paths = getProjectPaths('2025-01-01_10-00-00_spain');
+
+        expect(paths.context.scene).toBe('videos/2025-01-01_10-00-00_spain/01-context/scene-context.json');
+        expect(paths.audio.narration).toBe('videos/2025-01-01_10-00-00_spain/04-audio/narration.mp3');
+        expect(paths.metadata.youtube).toBe('videos/2025-01-01_10-00-00_spain/06-metadata/youtube-metadata.json');
+    });
+
+    test('parseProjectFolder accepts both agent and timestamped folder names', () => {
+        expect(parseProjectFolder('2025-01-01T10-00-00_travel-spain')).toEqual({
+            timestamp: '2025-01-01_10-00-00',
+            title: 'travel spain',
+            date: new Date('2025-01-01T10:00:00'),
+            isValid: true
+        });
+        expect(parseProjectFolder('misc').isValid).toBe(false);
+    });
+});
@@ -0,0 +1,139 @@
+/* eslint-env jest */
+/**
+ * Stage Result Cache Tests
+ */
+
+const {
+    S3Client
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient
+} = require('@aws-sdk/client-dynamodb');
+const {
+    checkStageCache,
+    saveStageCache,
+    cachedResponse
+} = require('../stage-cache');
+
+describe('Stage Result Cache', () => {
+    let objects;
+    let records;
+
+    beforeEach(() => {
+        objects = {
+            'videos/p1/01-context/scene-context.json': '{"scenes":[1]}',
+            'videos/p1/04-audio/narration.mp3': 'audio'
+        };
+        records = {};
+
+        jest.spyOn(S3Client.prototype, 'send').mockImplementation(async (command) => {
+            const key = command.input.Key;
+            if (!(key in objects)) {
+                throw new Error('NoSuchKey');
+            }
+            return {
+                ETag: `"${objects[key].length}-${objects[key]}"`,
+                Body: {
+                    transformToString: async () => objects[key]
+                }
+            };
+        });
+
+        jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async (command) => {
+            if (command.constructor.name === 'PutItemCommand') {
+                records[command.input.Item.PK.S] = command.input.Item;
+                return {};
+            }
+            return {
+                Item: records[command.input.Key.PK.S]
+            };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const params = (overrides = {}) => ({
+        stage: 'audio-generator',
+        projectId: 'p1',
+        options: {
+            voiceId: 'Joanna'
+        },
+        inputKeys: ['videos/p1/01-context/scene-context.json'],
+        outputKeys: ['videos/p1/04-audio/narration.mp3'],
+        ...overrides
+    });
+
+    test('should return the stored response for identical inputs', async () => {
+        const first = await checkStageCache(params());
+        expect(first.hit).toBe(false);
+
+        await saveStageCache(first, {
+            success: true,
+            audioSegments: 1
+        });
+
+        const second = await checkStageCache(params());
+        expect(second.hit).toBe(true);
+        expect(cachedResponse(second)).toMatchObject({
+            success: true,
+            audioSegments: 1,
+            cached: true,
+            fingerprint: first.fingerprint
+        });
+    });
+
+    test('should miss when options or upstream context change', async () => {
+        await saveStageCache(await checkStageCache(params()), {
+            success: true
+        });
+
+        expect((await checkStageCache(params({
+            options: {
+                voiceId: 'Matthew'
+            }
+        }))).hit).toBe(false);
+
+        objects['videos/p1/01-context/scene-context.json'] = '{"scenes":[1,2]}';
+        expect((await checkStageCache(params())).hit).toBe(false);
+    });
+
+    test('should ignore option key order', async () => {
+        const a = await checkStageCache(params({
+            options: {
+                a: 1,
+                b: 2
+            }
+        }));
+        const b = await checkStageCache(params({
+            options: {
+                b: 2,
+                a: 1
+            }
+        }));
+        expect(a.fingerprint).toBe(b.fingerprint);
+    });
+
+    test('should bypass the cache with force or when outputs are gone', async () => {
+        await saveStageCache(await checkStageCache(params()), {
+            success: true
+        });
+
+        expect((await checkStageCache(params({
+            force: true
+        }))).hit).toBe(false);
+
+        delete objects['videos/p1/04-audio/narration.mp3'];
+        expect((await checkStageCache(params())).hit).toBe(false);
+    });
+
+    test('should miss when an output was overwritten after the cached run', async () => {
+        await saveStageCache(await checkStageCache(params()), {
+            success: true
+        });
+
+        objects['videos/p1/04-audio/narration.mp3'] = 'edited audio';
+        expect((await checkStageCache(params())).hit).toBe(false);
+    });
+});
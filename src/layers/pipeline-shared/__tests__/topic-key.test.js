@@ -0,0 +1,19 @@
+/* eslint-env jest */
+/**
+ * Topic Key Tests
+ */
+
+const {
+    toTopicKey
+} = require('../topic-key');
+
+describe('toTopicKey', () => {
+    test('produces a stable slug', () => {
+        expect(toTopicKey('  Spain Travel: 2025! ')).toBe('spain-travel-2025');
+    });
+
+    test('caps the key at 80 characters and handles a missing topic', () => {
+        expect(toTopicKey('a'.repeat(100))).toHaveLength(80);
+        expect(toTopicKey(undefined)).toBe('');
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Bedrock Model Client - Pipeline Shared
+ *
+ * Default model client for the stages that call a text model (Topic
+ * Management's topic expansion, Script Generator's narration). Any object
+ * with `invoke({ model, system, prompt }) => Promise<string>` can stand in
+ * for it; tests pass a local stub.
+ *
+ * `model` is an ai.models entry: { id, region, maxTokens, temperature, timeout }.
+ */
+
+/**
+ * Model client backed by Bedrock's Anthropic messages API
+ */
+function createBedrockModelClient() {
+    // Loaded lazily so stubbed clients never need the Bedrock SDK
+    const {
+        BedrockRuntimeClient,
+        InvokeModelCommand
+    } = require('@aws-sdk/client-bedrock-runtime');
+    const clients = {};
+
+    return {
+        async invoke({
+            model,
+            system,
+            prompt
+        }) {
+            const region = model.region || process.env.REGION || process.env.AWS_REGION || 'us-east-1';
+            clients[region] = clients[region] || new BedrockRuntimeClient({
+                region
+            });
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), model.timeout || 60000);
+
+            try {
+                const response = await clients[region].send(new InvokeModelCommand({
+                    modelId: model.id,
+                    contentType: 'application/json',
+                    accept: 'application/json',
+                    body: JSON.stringify({
+                        anthropic_version: 'bedrock-2023-05-31',
+                        max_tokens: model.maxTokens || 2000,
+                        temperature: model.temperature,
+                        system,
+                        messages: [{
+                            role: 'user',
+                            content: prompt
+                        }]
+                    })
+                }), {
+                    abortSignal: controller.signal
+                });
+
+                const result = JSON.parse(Buffer.from(response.body).toString('utf8'));
+                return (result.content || []).map(part => part.text || '').join('');
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+module.exports = {
+    createBedrockModelClient
+};
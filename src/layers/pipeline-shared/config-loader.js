@@ -0,0 +1,91 @@
+/**
+ * Pipeline Configuration Loader - Pipeline Shared
+ *
+ * Reads config/default.json and applies the overrides for the current
+ * environment (the `environments` section and config/{environment}.json).
+ * The deploy pipeline copies config/ into this layer before `sam build`;
+ * local runs and tests fall back to the repository copy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIRS = [
+    path.join(__dirname, 'config'),
+    path.join(__dirname, '..', '..', '..', 'config')
+];
+
+// NODE_ENV carries the stack Environment parameter (dev/staging/prod)
+const ENVIRONMENT_NAMES = {
+    dev: 'development',
+    staging: 'staging',
+    prod: 'production'
+};
+
+let cachedConfig = null;
+
+/**
+ * Load the merged pipeline configuration (cached per container)
+ * @returns {object} Configuration object, empty when no config is bundled
+ */
+function loadConfig() {
+    if (cachedConfig) {
+        return cachedConfig;
+    }
+
+    const configDir = CONFIG_DIRS.find(dir => fs.existsSync(path.join(dir, 'default.json')));
+
+    if (!configDir) {
+        console.warn('⚠️ No pipeline config bundled, using built-in defaults');
+        cachedConfig = {};
+        return cachedConfig;
+    }
+
+    const environment = ENVIRONMENT_NAMES[process.env.NODE_ENV] || process.env.NODE_ENV;
+    const {
+        environments = {},
+        ...defaults
+    } = readJson(path.join(configDir, 'default.json'));
+
+    let config = deepMerge(defaults, environments[environment] || {});
+
+    const environmentFile = path.join(configDir, `${environment}.json`);
+    if (environment && fs.existsSync(environmentFile)) {
+        config = deepMerge(config, readJson(environmentFile));
+    }
+
+    cachedConfig = config;
+    return cachedConfig;
+}
+
+/**
+ * Read a dotted path from the configuration
+ * @param {string} keyPath - e.g. 'content.generation.defaultFrequency'
+ * @param {*} defaultValue - Returned when the path is not configured
+ */
+function getConfigValue(keyPath, defaultValue) {
+    const value = keyPath.split('.').reduce((node, key) => (node && node[key] !== undefined ? node[key] : undefined), loadConfig());
+    return value === undefined ? defaultValue : value;
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function deepMerge(base, override) {
+    const merged = {
+        ...base
+    };
+
+    for (const [key, value] of Object.entries(override)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && base[key] && typeof base[key] === 'object' ? deepMerge(base[key], value) : value;
+    }
+
+    return merged;
+}
+
+module.exports = {
+    loadConfig,
+    getConfigValue
+};
@@ -0,0 +1,297 @@
+/**
+ * Content Validation - Pipeline Shared
+ *
+ * Schema checks for request bodies and generated contexts, plus the content
+ * rules in config content.validation, used by Topic Management and Script
+ * Generator. Every check reports all violated rules at once as
+ * { field, rule, message } so callers can return them in one response.
+ *
+ * SCHEMAS:
+ * Fields map to { type, required, maxLength, min, max, minItems, pattern };
+ * dotted fields ('scriptOptions.targetLength') reach into nested objects.
+ * Fields that are not set are only checked when required.
+ *
+ * CONTENT RULES (content.validation):
+ * - minTitleLength / maxTitleLength: title length bounds
+ * - requiredElements:                elements that must be present and non-empty;
+ *                                    each stage checks the elements it produces
+ */
+
+const DEFAULT_CONTENT_RULES = {
+    minTitleLength: 30,
+    maxTitleLength: 100,
+    requiredElements: []
+};
+
+const PROJECT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+const MIN_VIDEO_DURATION = 15;
+const MAX_VIDEO_DURATION = 3600;
+
+const TOPIC_REQUEST_SCHEMA = {
+    topic: {
+        type: 'string',
+        required: true,
+        maxLength: 200
+    },
+    projectId: {
+        type: 'string',
+        pattern: PROJECT_ID_PATTERN
+    },
+    targetAudience: {
+        type: 'string'
+    },
+    videoDuration: {
+        type: 'number',
+        min: MIN_VIDEO_DURATION,
+        max: MAX_VIDEO_DURATION
+    },
+    language: {
+        type: 'string'
+    },
+    autoChain: {
+        type: 'boolean'
+    },
+    seriesId: {
+        type: 'string'
+    },
+    episodeNumber: {
+        type: 'integer',
+        min: 1
+    },
+    dryRun: {
+        type: 'boolean'
+    },
+    force: {
+        type: 'boolean'
+    },
+    allowDuplicate: {
+        type: 'boolean'
+    }
+};
+
+const SCRIPT_REQUEST_SCHEMA = {
+    projectId: {
+        type: 'string',
+        required: true,
+        pattern: PROJECT_ID_PATTERN
+    },
+    scriptOptions: {
+        type: 'object'
+    },
+    'scriptOptions.targetLength': {
+        type: 'number',
+        min: MIN_VIDEO_DURATION,
+        max: MAX_VIDEO_DURATION
+    },
+    'scriptOptions.videoStyle': {
+        type: 'string'
+    },
+    'scriptOptions.targetAudience': {
+        type: 'string'
+    },
+    'scriptOptions.structure': {
+        type: 'string'
+    },
+    dryRun: {
+        type: 'boolean'
+    },
+    force: {
+        type: 'boolean'
+    }
+};
+
+// topic-context.json as Script Generator reads it
+const TOPIC_CONTEXT_SCHEMA = {
+    mainTopic: {
+        type: 'string',
+        required: true
+    },
+    expandedTopics: {
+        type: 'array',
+        required: true,
+        minItems: 1
+    },
+    seoContext: {
+        type: 'object',
+        required: true
+    },
+    videoDuration: {
+        type: 'number'
+    },
+    language: {
+        type: 'string'
+    }
+};
+
+// scene-context.json as Audio Generator and Media Curator read it
+const SCENE_CONTEXT_SCHEMA = {
+    scenes: {
+        type: 'array',
+        required: true,
+        minItems: 1
+    },
+    totalDuration: {
+        type: 'number',
+        required: true,
+        min: 1
+    },
+    language: {
+        type: 'string',
+        required: true
+    }
+};
+
+/**
+ * Content rules from config content.validation
+ * @param {function} getConfigValue - Config lookup (key, defaultValue)
+ */
+function getContentRules(getConfigValue) {
+    const rules = getConfigValue('content.validation', {}) || {};
+
+    return {
+        minTitleLength: Number(rules.minTitleLength) || DEFAULT_CONTENT_RULES.minTitleLength,
+        maxTitleLength: Number(rules.maxTitleLength) || DEFAULT_CONTENT_RULES.maxTitleLength,
+        requiredElements: Array.isArray(rules.requiredElements) ? rules.requiredElements : DEFAULT_CONTENT_RULES.requiredElements
+    };
+}
+
+function readField(value, field) {
+    return field.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), value);
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value === null) {
+        return 'null';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && !value.trim()) ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Check a value against a schema
+ * @param {object} value - Request body or context
+ * @param {object} schema - Field rules, see SCHEMAS above
+ * @returns {Array<object>} Violations ({ field, rule, message }), empty when valid
+ */
+function validateSchema(value, schema) {
+    const violations = [];
+    const violate = (field, rule, message) => violations.push({
+        field,
+        rule,
+        message: `${field} ${message}`
+    });
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [{
+            field: 'body',
+            rule: 'type',
+            message: 'body must be a JSON object'
+        }];
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const fieldValue = readField(value, field);
+
+        if (fieldValue === undefined) {
+            if (rule.required) {
+                violate(field, 'required', 'is required');
+            }
+            continue;
+        }
+
+        if (!matchesType(fieldValue, rule.type)) {
+            violate(field, 'type', `must be ${rule.type === 'integer' || rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}`);
+            continue;
+        }
+
+        if (rule.required && isBlank(fieldValue)) {
+            violate(field, 'required', 'must not be empty');
+            continue;
+        }
+
+        if (rule.maxLength !== undefined && fieldValue.length > rule.maxLength) {
+            violate(field, 'maxLength', `must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.pattern && !rule.pattern.test(fieldValue)) {
+            violate(field, 'pattern', 'may only contain letters, digits, "-" and "_" (up to 128 characters)');
+        }
+        if (rule.min !== undefined && fieldValue < rule.min) {
+            violate(field, 'min', `must be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && fieldValue > rule.max) {
+            violate(field, 'max', `must be at most ${rule.max}`);
+        }
+        if (rule.minItems !== undefined && fieldValue.length < rule.minItems) {
+            violate(field, 'minItems', `must have at least ${rule.minItems} item(s)`);
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Check generated content against the content.validation rules
+ * @param {object} content - { title, hook, keywords, ... } as far as the stage produces them
+ * @param {object} rules - From getContentRules
+ * @param {Array<string>} elements - Elements this stage produces; only these are checked for presence
+ * @returns {Array<object>} Violations ({ field, rule, message }), empty when valid
+ */
+function validateContent(content, rules, elements) {
+    const violations = [];
+
+    for (const element of rules.requiredElements.filter(name => elements.includes(name))) {
+        if (isBlank(content[element])) {
+            violations.push({
+                field: element,
+                rule: 'requiredElements',
+                message: `${element} is a required element`
+            });
+        }
+    }
+
+    const title = content.title;
+
+    if (typeof title === 'string' && title) {
+        if (title.length < rules.minTitleLength) {
+            violations.push({
+                field: 'title',
+                rule: 'minTitleLength',
+                message: `title must be at least ${rules.minTitleLength} characters (got ${title.length})`
+            });
+        }
+        if (title.length > rules.maxTitleLength) {
+            violations.push({
+                field: 'title',
+                rule: 'maxTitleLength',
+                message: `title must be at most ${rules.maxTitleLength} characters (got ${title.length})`
+            });
+        }
+    }
+
+    return violations;
+}
+
+module.exports = {
+    TOPIC_REQUEST_SCHEMA,
+    SCRIPT_REQUEST_SCHEMA,
+    TOPIC_CONTEXT_SCHEMA,
+    SCENE_CONTEXT_SCHEMA,
+    getContentRules,
+    validateSchema,
+    validateContent
+};
@@ -0,0 +1,66 @@
+/**
+ * Model Deadline - Pipeline Shared
+ *
+ * Keeps model calls inside the invocation that makes them. The Lambda
+ * timeout, and API Gateway's 29 s limit for requests that came through the
+ * API, end the invocation whatever ai.models.*.timeout says. So each model
+ * attempt gets at most its share of the time left, and the fallback model
+ * and later calls still have time to run.
+ *
+ * DEADLINE:
+ * Epoch milliseconds by which every model call must be done, or null when
+ * the caller has no context (tests, scripts); attempts then use the
+ * configured model timeout.
+ */
+
+const API_GATEWAY_TIMEOUT_MS = 29000;
+
+// Left after the last model call to validate, store and respond
+const RESPONSE_RESERVE_MS = 3000;
+
+// Attempts shorter than this cannot finish; skip straight to the next source
+const MIN_ATTEMPT_MS = 2000;
+
+const DEFAULT_MODEL_TIMEOUT_MS = 60000;
+
+/**
+ * Deadline for model calls in one invocation
+ * @param {object} event - Lambda event; API Gateway events carry requestContext
+ * @param {object} context - Lambda context with getRemainingTimeInMillis
+ * @returns {number|null} Epoch ms, or null without a Lambda context
+ */
+function getModelDeadline(event, context) {
+    if (!context || typeof context.getRemainingTimeInMillis !== 'function') {
+        return null;
+    }
+
+    const remaining = event && event.requestContext ?
+        Math.min(context.getRemainingTimeInMillis(), API_GATEWAY_TIMEOUT_MS) :
+        context.getRemainingTimeInMillis();
+
+    return Date.now() + remaining - RESPONSE_RESERVE_MS;
+}
+
+/**
+ * Timeout for one model attempt
+ * @param {object} model - ai.models entry; its timeout is the upper bound
+ * @param {number|null} deadline - From getModelDeadline
+ * @param {number} callsLeft - This attempt plus the model calls that may follow it
+ * @returns {number} Milliseconds, 0 when there is no time left for the attempt
+ */
+function getAttemptTimeout(model, deadline, callsLeft = 1) {
+    const configured = model.timeout || DEFAULT_MODEL_TIMEOUT_MS;
+
+    if (!deadline) {
+        return configured;
+    }
+
+    const share = Math.floor((deadline - Date.now()) / Math.max(1, callsLeft));
+    return share >= MIN_ATTEMPT_MS ? Math.min(configured, share) : 0;
+}
+
+module.exports = {
+    API_GATEWAY_TIMEOUT_MS,
+    getModelDeadline,
+    getAttemptTimeout
+};
@@ -0,0 +1,127 @@
+/**
+ * Pipeline Stages - Pipeline Shared
+ *
+ * The one definition of the pipeline's stages, in execution order. The
+ * Workflow Orchestrator runs them in this order, the Stage Chainer starts
+ * each one once its required context files exist, and the Project Manager
+ * reports progress per stage from their artifacts.
+ */
+
+/**
+ * Ordered pipeline stages
+ *
+ * - functionEnv / path: how the stage Lambda is invoked (API Gateway-shaped payload)
+ * - timeoutSeconds: the stage function's Timeout in template-simplified.yaml
+ * - contextType: the 01-context/ file the stage writes (null when it only writes metadata)
+ * - requires: context types the stage reads, so it can start once they all exist
+ * - artifactPrefixes: S3 keys and folders (from getProjectPaths) that show the stage ran
+ * - buildBody: request body from the workflow request (topic, voiceId, privacy, ...)
+ */
+const PIPELINE_STAGES = [{
+        name: 'topic-management',
+        functionEnv: 'TOPIC_MANAGEMENT_FUNCTION',
+        timeoutSeconds: 300,
+        path: '/topics',
+        contextType: 'topic',
+        requires: [],
+        artifactPrefixes: (paths) => [paths.context.topic],
+        buildBody: (projectId, request) => ({
+            topic: request.topic,
+            projectId,
+            targetAudience: request.targetAudience,
+            videoDuration: request.videoDuration,
+            language: request.language,
+            seriesId: request.seriesId,
+            episodeNumber: request.episodeNumber,
+            allowDuplicate: request.allowDuplicate === true
+        })
+    },
+    {
+        name: 'script-generator',
+        functionEnv: 'SCRIPT_GENERATOR_FUNCTION',
+        timeoutSeconds: 300,
+        path: '/scripts/generate',
+        contextType: 'scene',
+        requires: ['topic'],
+        artifactPrefixes: (paths) => [paths.context.scene, paths.script.base + '/'],
+        buildBody: (projectId, request) => ({
+            projectId,
+            scriptOptions: {
+                targetLength: request.videoDuration,
+                targetAudience: request.targetAudience,
+                videoStyle: request.videoStyle,
+                structure: request.scriptStructure
+            }
+        })
+    },
+    {
+        name: 'media-curator',
+        functionEnv: 'MEDIA_CURATOR_FUNCTION',
+        timeoutSeconds: 300,
+        path: '/media/curate',
+        contextType: 'media',
+        requires: ['scene'],
+        artifactPrefixes: (paths) => [paths.context.media, paths.media.base + '/'],
+        buildBody: (projectId, request) => ({
+            projectId,
+            baseTopic: request.topic
+        })
+    },
+    {
+        name: 'audio-generator',
+        functionEnv: 'AUDIO_GENERATOR_FUNCTION',
+        timeoutSeconds: 300,
+        path: '/audio/generate',
+        contextType: 'audio',
+        requires: ['scene'],
+        artifactPrefixes: (paths) => [paths.context.audio, paths.audio.base + '/'],
+        buildBody: (projectId, request) => ({
+            projectId,
+            voiceId: request.voiceId
+        })
+    },
+    {
+        name: 'manifest-builder',
+        functionEnv: 'MANIFEST_BUILDER_FUNCTION',
+        timeoutSeconds: 300,
+        path: '/manifest/build',
+        contextType: 'manifest',
+        requires: ['media', 'audio'],
+        artifactPrefixes: (paths) => [paths.context.manifest, `${paths.context.base}/manifest-context.json`],
+        buildBody: (projectId, request) => ({
+            projectId,
+            minVisuals: request.minVisuals
+        })
+    },
+    {
+        name: 'video-assembler',
+        functionEnv: 'VIDEO_ASSEMBLER_FUNCTION',
+        timeoutSeconds: 900,
+        path: '/video/assemble',
+        contextType: 'video',
+        requires: ['manifest'],
+        artifactPrefixes: (paths) => [paths.context.video, paths.video.base + '/'],
+        buildBody: (projectId) => ({
+            projectId
+        })
+    },
+    {
+        name: 'youtube-publisher',
+        functionEnv: 'YOUTUBE_PUBLISHER_FUNCTION',
+        timeoutSeconds: 300,
+        path: '/youtube/publish',
+        contextType: null,
+        requires: ['video'],
+        artifactPrefixes: (paths) => [paths.metadata.youtube],
+        buildBody: (projectId, request) => ({
+            projectId,
+            privacy: request.privacy,
+            publishAt: request.publishAt,
+            metadata: request.metadata
+        })
+    }
+];
+
+module.exports = {
+    PIPELINE_STAGES
+};
@@ -83,7 +83,15 @@ function generateProjectFolderName(title) {
  * @returns {object} Object containing all S3 key paths
  */
 function generateS3Paths(projectId, title) {
-    const folderName = generateProjectFolderName(title);
+    return getProjectPaths(generateProjectFolderName(title));
+}
+
+/**
+ * Get S3 key paths for an existing project folder
+ * @param {string} folderName - Project folder name (the projectId)
+ * @returns {object} Object containing all S3 key paths
+ */
+function getProjectPaths(folderName) {
     const basePath = `videos/${folderName}`;
 
     return {
@@ -98,7 +106,8 @@ function generateS3Paths(projectId, title) {
             scene: `${basePath}/01-context/scene-context.json`,
             media: `${basePath}/01-context/media-context.json`,
             audio: `${basePath}/01-context/audio-context.json`,
-            video: `${basePath}/01-context/video-context.json`
+            video: `${basePath}/01-context/video-context.json`,
+            manifest: `${basePath}/01-context/manifest.json`
         },
 
         // Script paths
@@ -164,7 +173,9 @@ function getLegacyPath(projectId, type, filename) {
  * @returns {object} Extracted project information
  */
 function parseProjectFolder(folderName) {
-    const parts = folderName.split('_');
+    // Agents create projectIds as {date}T{time}_{title}; normalize to {date}_{time}_{title}
+    const normalized = folderName.replace(/^(\d{4}-\d{2}-\d{2})T(\d{2}-\d{2}-\d{2})_/, '$1_$2_');
+    const parts = normalized.split('_');
     if (parts.length < 3) {
         return {
             timestamp: null,
@@ -197,15 +208,19 @@ async function listVideoProjects(s3Client, bucketName) {
     } = require('@aws-sdk/client-s3');
 
     try {
-        const response = await s3Client.send(new ListObjectsV2Command({
-            Bucket: bucketName,
-            Prefix: 'videos/',
-            Delimiter: '/'
-        }));
-
         const projects = [];
-        if (response.CommonPrefixes) {
-            for (const prefix of response.CommonPrefixes) {
+        let continuationToken;
+
+        // Follow continuation tokens so buckets with more than 1000 projects are fully listed
+        do {
+            const response = await s3Client.send(new ListObjectsV2Command({
+                Bucket: bucketName,
+                Prefix: 'videos/',
+                Delimiter: '/',
+                ContinuationToken: continuationToken
+            }));
+
+            for (const prefix of response.CommonPrefixes || []) {
                 const folderName = prefix.Prefix.replace('videos/', '').replace('/', '');
                 const projectInfo = parseProjectFolder(folderName);
 
@@ -217,7 +232,9 @@ async function listVideoProjects(s3Client, bucketName) {
                     });
                 }
             }
-        }
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
 
         // Sort by date (newest first)
         projects.sort((a, b) => b.date - a.date);
@@ -232,6 +249,7 @@ async function listVideoProjects(s3Client, bucketName) {
 module.exports = {
     generateProjectFolderName,
     generateS3Paths,
+    getProjectPaths,
     getLegacyPath,
     parseProjectFolder,
     listVideoProjects
@@ -0,0 +1,230 @@
+/**
+ * Stage Result Cache - Idempotent Stage Execution
+ *
+ * Every stage fingerprints its inputs (request options plus the contents of
+ * the upstream context files it reads). When a stage is invoked again with
+ * the same fingerprint and its outputs are still in S3 as that run wrote them
+ * (same ETag), the stored response is returned instead of redoing the work.
+ * `force: true` bypasses the cache.
+ *
+ * CACHE RECORD (CONTEXT_TABLE):
+ * {
+ *   'PK': 'stage-cache#{stage}#{projectId}',
+ *   'SK': '{projectId}',
+ *   'fingerprint': 'sha256 of the stage inputs',
+ *   'outputETags': { '{outputKey}': '"etag"' },
+ *   'response': { ...last successful response body }
+ * }
+ *
+ * Part of the pipeline-shared layer: stage Lambdas load it as
+ * require('pipeline-shared/stage-cache').
+ */
+
+const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand
+} = require('@aws-sdk/client-s3');
+const {
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+    marshall,
+    unmarshall
+} = require('@aws-sdk/util-dynamodb');
+const crypto = require('crypto');
+
+const s3Client = new S3Client({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+const dynamoClient = new DynamoDBClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+// DynamoDB items are limited to 400KB; larger responses are simply not cached
+const MAX_CACHED_RESPONSE_BYTES = 350 * 1024;
+
+/**
+ * Fingerprint the stage inputs and look for a reusable result
+ * @param {object} params - { stage, projectId, options, inputKeys, outputKeys, force }
+ * @returns {Promise<object>} { hit, fingerprint, response, cachedAt, ... }
+ */
+async function checkStageCache(params) {
+    const {
+        stage,
+        projectId,
+        options = {},
+        inputKeys = [],
+        outputKeys = [],
+        force = false
+    } = params;
+
+    const inputs = await Promise.all(inputKeys.map(readObjectText));
+    const fingerprint = crypto.createHash('sha256')
+        .update(stableStringify({
+            stage,
+            options,
+            inputs: inputKeys.map((key, index) => ({
+                key,
+                content: inputs[index]
+            }))
+        }))
+        .digest('hex');
+
+    const cache = {
+        hit: false,
+        stage,
+        projectId,
+        fingerprint,
+        outputKeys,
+        response: null,
+        cachedAt: null
+    };
+
+    if (force) {
+        console.log(`♻️ ${stage}: force flag set, bypassing cache`);
+        return cache;
+    }
+
+    try {
+        const response = await dynamoClient.send(new GetItemCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            Key: marshall({
+                PK: `stage-cache#${stage}#${projectId}`,
+                SK: projectId
+            })
+        }));
+
+        const record = response.Item ? unmarshall(response.Item) : null;
+
+        if (!record || record.fingerprint !== fingerprint) {
+            return cache;
+        }
+
+        // Outputs deleted or overwritten since the cached run must be rebuilt
+        const outputETags = await Promise.all(outputKeys.map(getObjectETag));
+        if (outputETags.includes(null)) {
+            console.log(`⚠️ ${stage}: cached outputs missing, re-running`);
+            return cache;
+        }
+
+        const recordedETags = record.outputETags || {};
+        if (outputKeys.some((key, index) => recordedETags[key] !== outputETags[index])) {
+            console.log(`⚠️ ${stage}: cached outputs changed since the cached run, re-running`);
+            return cache;
+        }
+
+        console.log(`✅ ${stage}: inputs unchanged (${fingerprint.slice(0, 12)}), returning cached result`);
+        return {
+            ...cache,
+            hit: true,
+            response: record.response,
+            cachedAt: record.createdAt
+        };
+
+    } catch (error) {
+        console.error(`⚠️ ${stage}: cache lookup failed, running stage:`, error.message);
+        return cache;
+    }
+}
+
+/**
+ * Store a successful response under the fingerprint from checkStageCache
+ */
+async function saveStageCache(cache, responseBody) {
+    const serialized = JSON.stringify(responseBody);
+
+    if (Buffer.byteLength(serialized) > MAX_CACHED_RESPONSE_BYTES) {
+        console.log(`⚠️ ${cache.stage}: response too large to cache`);
+        return;
+    }
+
+    try {
+        // Versions of the outputs this run wrote; a later overwrite changes them
+        const outputKeys = cache.outputKeys || [];
+        const outputETags = await Promise.all(outputKeys.map(getObjectETag));
+
+        await dynamoClient.send(new PutItemCommand({
+            TableName: process.env.CONTEXT_TABLE,
+            Item: marshall({
+                PK: `stage-cache#${cache.stage}#${cache.projectId}`,
+                SK: cache.projectId,
+                stage: cache.stage,
+                projectId: cache.projectId,
+                fingerprint: cache.fingerprint,
+                outputETags: Object.fromEntries(outputKeys.map((key, index) => [key, outputETags[index]])),
+                response: JSON.parse(serialized),
+                createdAt: new Date().toISOString(),
+                ttl: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60) // 30 days
+            }, {
+                removeUndefinedValues: true
+            })
+        }));
+    } catch (error) {
+        // A missing cache entry only costs a re-run
+        console.error(`⚠️ ${cache.stage}: failed to store cache entry:`, error.message);
+    }
+}
+
+/**
+ * Response body for a cache hit
+ */
+function cachedResponse(cache) {
+    return {
+        ...cache.response,
+        cached: true,
+        fingerprint: cache.fingerprint,
+        cachedAt: cache.cachedAt
+    };
+}
+
+async function readObjectText(key) {
+    try {
+        const response = await s3Client.send(new GetObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: key
+        }));
+        return await response.Body.transformToString();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * ETag of an object, '' when S3 returns none, null when it does not exist
+ */
+async function getObjectETag(key) {
+    try {
+        const response = await s3Client.send(new HeadObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: key
+        }));
+        return response.ETag || '';
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * JSON.stringify with sorted keys so equal options always hash the same
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+    checkStageCache,
+    saveStageCache,
+    cachedResponse
+};
@@ -0,0 +1,21 @@
+/**
+ * Topic Key - Pipeline Shared
+ *
+ * Stable per-topic slug used in the trendData partition
+ * (PK 'trends#{topicKey}'): Trend Ingestion writes under it and Topic
+ * Management reads it back, so both must derive it the same way.
+ */
+
+/**
+ * Lowercase, dash-separated key for a topic, at most 80 characters
+ */
+function toTopicKey(topic) {
+    return String(topic || '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+}
+
+module.exports = {
+    toTopicKey
+};
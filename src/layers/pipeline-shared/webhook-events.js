@@ -0,0 +1,50 @@
+/**
+ * Webhook Events - Pipeline Shared
+ *
+ * Hands pipeline events to the Webhook Notifier (WEBHOOK_NOTIFIER_FUNCTION)
+ * as { action: 'deliver', event }; signing, delivery and retries happen
+ * there. The Workflow Orchestrator sends the events of its workflows, the
+ * Stage Chainer those of chained and directly called stages.
+ *
+ * event: { event, projectId, executionId, stage, status, artifacts,
+ *          youtubeUrl, error, dryRun, batchId, timestamp }
+ */
+
+const {
+    LambdaClient,
+    InvokeCommand
+} = require('@aws-sdk/client-lambda');
+
+const lambdaClient = new LambdaClient({
+    region: process.env.REGION || process.env.AWS_REGION || 'us-east-1'
+});
+
+/**
+ * Send one event to the Webhook Notifier without waiting for delivery
+ * @returns {Promise<boolean>} Whether the event was handed over
+ */
+async function sendWebhookEvent(event) {
+    if (!process.env.WEBHOOK_NOTIFIER_FUNCTION) {
+        return false;
+    }
+
+    try {
+        await lambdaClient.send(new InvokeCommand({
+            FunctionName: process.env.WEBHOOK_NOTIFIER_FUNCTION,
+            InvocationType: 'Event',
+            Payload: JSON.stringify({
+                action: 'deliver',
+                event
+            })
+        }));
+        return true;
+    } catch (error) {
+        // Notifications must never fail the stage or workflow that sends them
+        console.error(`⚠️ Failed to send ${event.event} webhook event for ${event.projectId}:`, error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    sendWebhookEvent
+};